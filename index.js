@@ -4,3 +4,8 @@ module.exports = function ObjectPersistor(settings) {
   return PersistorFactory(settings)
 }
 module.exports.Errors = require('./src/Errors')
+module.exports.FSSignedUrlHandler = require('./src/FSSignedUrlHandler')
+module.exports.copyBetweenPersistors =
+  require('./src/PersistorHelper').copyBetweenPersistors
+module.exports.isRetryableError =
+  require('./src/PersistorHelper').isRetryableError
@@ -1,12 +1,13 @@
 const { NotImplementedError } = require('./Errors')
 
 module.exports = class AbstractPersistor {
-  async sendFile(location, target, source) {
+  async sendFile(location, target, source, opts = {}) {
     throw new NotImplementedError('method not implemented in persistor', {
       method: 'sendFile',
       location,
       target,
-      source
+      source,
+      opts
     })
   }
 
@@ -19,7 +20,7 @@ module.exports = class AbstractPersistor {
     })
   }
 
-  // opts may be {start: Number, end: Number}
+  // opts may be {start: Number, end: Number, version: String}
   async getObjectStream(location, name, opts) {
     throw new NotImplementedError('method not implemented in persistor', {
       method: 'getObjectStream',
@@ -29,11 +30,22 @@ module.exports = class AbstractPersistor {
     })
   }
 
-  async getRedirectUrl(location, name) {
+  async getRedirectUrl(location, name, opts = {}) {
     throw new NotImplementedError('method not implemented in persistor', {
       method: 'getRedirectUrl',
       location,
-      name
+      name,
+      opts
+    })
+  }
+
+  // returns { method, url, headers } or, for POST uploads, { method, url, fields }
+  async getUploadUrl(location, name, opts = {}) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'getUploadUrl',
+      location,
+      name,
+      opts
     })
   }
 
@@ -53,11 +65,70 @@ module.exports = class AbstractPersistor {
     })
   }
 
-  async copyObject(location, fromName, toName) {
+  // returns { size, md5, contentType, contentEncoding, lastModified, ... }
+  async getObjectMetadata(location, name, opts = {}) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'getObjectMetadata',
+      location,
+      name,
+      opts
+    })
+  }
+
+  // tags are an object of string key/value pairs
+  async getObjectTags(location, name) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'getObjectTags',
+      location,
+      name
+    })
+  }
+
+  // replaces all of the tags on the object
+  async setObjectTags(location, name, tags) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'setObjectTags',
+      location,
+      name,
+      tags
+    })
+  }
+
+  // returns an array of { version, size, md5, lastModified, isLatest }, newest
+  // first
+  async listObjectVersions(location, name) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'listObjectVersions',
+      location,
+      name
+    })
+  }
+
+  async restoreObjectVersion(location, name, version) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'restoreObjectVersion',
+      location,
+      name,
+      version
+    })
+  }
+
+  // may also be called as (fromLocation, fromName, toLocation, toName, opts)
+  async copyObject(location, fromName, toName, opts = {}) {
     throw new NotImplementedError('method not implemented in persistor', {
       method: 'copyObject',
       location,
       fromName,
+      toName,
+      opts
+    })
+  }
+
+  async moveObject(location, fromName, toName) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'moveObject',
+      location,
+      fromName,
       toName
     })
   }
@@ -70,6 +141,60 @@ module.exports = class AbstractPersistor {
     })
   }
 
+  // returns { deleted: [key, ...], errors: [{ key, error }, ...] }
+  async deleteObjects(location, names) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'deleteObjects',
+      location,
+      names
+    })
+  }
+
+  // returns an async iterator of { key, deletedAt, size, md5 }
+  async *listDeletedObjects(location, prefix) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'listDeletedObjects',
+      location,
+      prefix
+    })
+  }
+
+  async restoreDeletedObject(location, name, deletedAt) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'restoreDeletedObject',
+      location,
+      name,
+      deletedAt
+    })
+  }
+
+  // returns { deleted: [key, ...], errors: [{ key, error }, ...] }
+  async purgeDeletedObjects(location, opts = {}) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'purgeDeletedObjects',
+      location,
+      opts
+    })
+  }
+
+  // returns { deleted: [key, ...], errors: [{ key, error }, ...] }
+  async purgeExpired(location, prefix) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'purgeExpired',
+      location,
+      prefix
+    })
+  }
+
+  // deletes stored data which is no longer referenced by any object
+  // returns { deleted: [key, ...], errors: [{ key, error }, ...] }
+  async collectGarbage(location) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'collectGarbage',
+      location
+    })
+  }
+
   async deleteDirectory(location, name) {
     throw new NotImplementedError('method not implemented in persistor', {
       method: 'deleteDirectory',
@@ -93,4 +218,14 @@ module.exports = class AbstractPersistor {
       name
     })
   }
+
+  // returns an async iterator of { key, size, md5, lastModified }
+  async *listObjects(location, prefix, opts) {
+    throw new NotImplementedError('method not implemented in persistor', {
+      method: 'listObjects',
+      location,
+      prefix,
+      opts
+    })
+  }
 }
@@ -0,0 +1,534 @@
+const fs = require('fs')
+const {
+  BlobServiceClient,
+  StorageSharedKeyCredential,
+  BlobSASPermissions,
+  generateBlobSASQueryParameters
+} = require('@azure/storage-blob')
+const asyncPool = require('tiny-async-pool')
+const Logger = require('logger-sharelatex')
+const AbstractPersistor = require('./AbstractPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const {
+  WriteError,
+  ReadError,
+  SettingsError,
+  NotImplementedError
+} = require('./Errors')
+
+// Persistor for Azure Blob Storage. Buckets are containers in the storage
+// account, and objects are block blobs.
+
+module.exports = class AzureBlobPersistor extends AbstractPersistor {
+  constructor(settings = {}) {
+    super()
+
+    this.settings = settings
+
+    if (!this.settings.accountName || !this.settings.accountKey) {
+      throw new SettingsError('no azure storage account credentials provided')
+    }
+    // the shared key is also used to sign urls
+    this.credential = new StorageSharedKeyCredential(
+      this.settings.accountName,
+      this.settings.accountKey
+    )
+    // endpoint is only set for tests, e.g. to use the azurite emulator
+    this.client = new BlobServiceClient(
+      this.settings.endpoint ||
+        `https://${this.settings.accountName}.blob.core.windows.net`,
+      this.credential
+    )
+  }
+
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    return this.sendStream(bucketName, key, fs.createReadStream(fsPath), opts)
+  }
+
+  async sendStream(bucketName, key, readStream, opts = {}) {
+    // egress from us to azure
+    const observer = new PersistorHelper.ObserverStream({
+      metric: 'azure.egress',
+      Metrics: this.settings.Metrics,
+      hash: 'md5'
+    })
+
+    const blobHTTPHeaders = {}
+    let response
+    try {
+      // observer will catch errors, clean up and log a warning
+      readStream.pipe(observer)
+
+      if (opts.contentType) {
+        blobHTTPHeaders.blobContentType = opts.contentType
+      }
+      if (opts.contentEncoding) {
+        blobHTTPHeaders.blobContentEncoding = opts.contentEncoding
+      }
+      // azure stores, but does not check, the md5 hash of a blob uploaded in
+      // blocks - we check it below
+      if (opts.sourceMd5) {
+        blobHTTPHeaders.blobContentMD5 = Buffer.from(opts.sourceMd5, 'hex')
+      }
+
+      response = await this._getBlobClient(bucketName, key)
+        .getBlockBlobClient()
+        .uploadStream(
+          observer,
+          this.settings.partSize || 8 * 1024 * 1024,
+          this.settings.uploadConcurrency || 5,
+          {
+            blobHTTPHeaders,
+            metadata: PersistorHelper.getMetadataWithExpiry(opts),
+            tags: opts.tags,
+            conditions: AzureBlobPersistor._getConditions(opts)
+          }
+        )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'upload to azure failed',
+        { bucketName, key },
+        WriteError,
+        opts
+      )
+    }
+
+    const md5 = observer.getHash()
+    if (opts.sourceMd5 && opts.sourceMd5 !== md5) {
+      // the corrupted upload shouldn't be kept in the deleted bucket
+      await this._getBlobClient(bucketName, key).deleteIfExists()
+      throw new WriteError('md5 hash mismatch', {
+        bucketName,
+        key,
+        sourceMd5: opts.sourceMd5,
+        md5
+      })
+    }
+
+    // store the md5 hash we calculated, so that it isn't downloaded again by
+    // getObjectMd5Hash - unless the blob has been written since
+    if (!opts.sourceMd5) {
+      try {
+        await this._getBlobClient(bucketName, key).setHTTPHeaders(
+          { ...blobHTTPHeaders, blobContentMD5: Buffer.from(md5, 'hex') },
+          { conditions: { ifMatch: response.etag } }
+        )
+      } catch (err) {
+        Logger.warn({ err, bucketName, key }, 'failed to store md5 hash')
+      }
+    }
+  }
+
+  // opts may be {start: Number, end: Number, version: String}
+  async getObjectStream(bucketName, key, opts = {}) {
+    const blobClient = this._getBlobClient(bucketName, key, opts.version)
+    const offset = opts.start || 0
+    const count = opts.end != null ? opts.end - offset + 1 : undefined
+
+    // ingress to us from azure
+    const observer = new PersistorHelper.ObserverStream({
+      metric: 'azure.ingress',
+      Metrics: this.settings.Metrics
+    })
+
+    try {
+      const response = await blobClient.download(offset, count)
+      await PersistorHelper.getReadyPipeline(
+        response.readableStreamBody,
+        observer
+      )
+      return observer
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error reading file from azure',
+        { bucketName, key, opts },
+        ReadError
+      )
+    }
+  }
+
+  // opts may be { expiresInMs, responseContentDisposition, responseContentType }
+  async getRedirectUrl(bucketName, key, opts = {}) {
+    return this._getSignedUrl(bucketName, key, {
+      permissions: BlobSASPermissions.parse('r'),
+      expiresOn: this._getExpiry(opts),
+      contentDisposition: opts.responseContentDisposition,
+      contentType: opts.responseContentType
+    })
+  }
+
+  // opts may be { contentType, contentMd5, expiresInMs, method }
+  async getUploadUrl(bucketName, key, opts = {}) {
+    if (opts.method && opts.method !== 'PUT') {
+      throw new NotImplementedError('only PUT uploads are supported by azure', {
+        bucketName,
+        key,
+        method: opts.method
+      })
+    }
+    // a SAS can't restrict the size of the upload
+    if (opts.maxSize) {
+      throw new SettingsError('maxSize cannot be enforced by azure', {
+        bucketName,
+        key,
+        maxSize: opts.maxSize
+      })
+    }
+
+    const url = this._getSignedUrl(bucketName, key, {
+      permissions: BlobSASPermissions.parse('cw'),
+      expiresOn: this._getExpiry(opts)
+    })
+    const headers = { 'x-ms-blob-type': 'BlockBlob' }
+    if (opts.contentType) {
+      headers['Content-Type'] = opts.contentType
+    }
+    if (opts.contentMd5) {
+      headers['Content-MD5'] = PersistorHelper.hexToBase64(opts.contentMd5)
+    }
+    return { method: 'PUT', url, headers }
+  }
+
+  async getObjectSize(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.size
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    if (metadata.md5) {
+      return metadata.md5
+    }
+
+    // blobs uploaded in blocks only have an md5 hash if one was supplied
+    if (this.settings.Metrics) {
+      this.settings.Metrics.inc('azure.md5Download')
+    }
+    try {
+      return await PersistorHelper.calculateStreamMd5(
+        await this.getObjectStream(bucketName, key)
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error getting hash of azure blob',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    try {
+      const properties = await this._getBlobClient(
+        bucketName,
+        key,
+        opts.version
+      ).getProperties()
+      return {
+        size: properties.contentLength,
+        md5: properties.contentMD5
+          ? Buffer.from(properties.contentMD5).toString('hex')
+          : null,
+        contentType: properties.contentType,
+        contentEncoding: properties.contentEncoding,
+        lastModified: properties.lastModified,
+        etag: properties.etag,
+        version: properties.versionId,
+        metadata: properties.metadata || {}
+      }
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error getting metadata of azure blob',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  async getObjectTags(bucketName, key) {
+    try {
+      const response = await this._getBlobClient(bucketName, key).getTags()
+      return response.tags
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error getting tags of azure blob',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  async setObjectTags(bucketName, key, tags) {
+    try {
+      await this._getBlobClient(bucketName, key).setTags(tags)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error setting tags of azure blob',
+        { bucketName, key },
+        WriteError
+      )
+    }
+  }
+
+  async listObjectVersions(bucketName, key) {
+    const versions = []
+    try {
+      for await (const item of this._getContainerClient(
+        bucketName
+      ).listBlobsFlat({ prefix: key, includeVersions: true })) {
+        // the listing is by prefix, so may include other objects
+        if (item.name === key) {
+          versions.push({
+            version: item.versionId,
+            size: item.properties.contentLength,
+            md5: AzureBlobPersistor._md5FromProperties(item.properties),
+            lastModified: item.properties.lastModified,
+            isLatest: !!item.isCurrentVersion
+          })
+        }
+      }
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to list object versions in azure',
+        { bucketName, key },
+        ReadError
+      )
+    }
+
+    // version ids are timestamps
+    return versions.sort((a, b) => (a.version < b.version ? 1 : -1))
+  }
+
+  async restoreObjectVersion(bucketName, key, version) {
+    try {
+      await this._copyBlob(
+        this._getBlobClient(bucketName, key, version),
+        this._getBlobClient(bucketName, key)
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to restore object version in azure',
+        { bucketName, key, version },
+        WriteError
+      )
+    }
+  }
+
+  async copyObject(...args) {
+    const { sourceBucket, sourceKey, destBucket, destKey, opts } =
+      PersistorHelper.parseCopyObjectArgs(args)
+    try {
+      await this._copyBlob(
+        this._getBlobClient(sourceBucket, sourceKey),
+        this._getBlobClient(destBucket, destKey),
+        opts
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to copy file in azure',
+        { sourceBucket, sourceKey, destBucket, destKey },
+        WriteError,
+        opts
+      )
+    }
+  }
+
+  // azure has no rename operation, so copy the object and delete the original
+  async moveObject(bucketName, sourceKey, destKey) {
+    await this.copyObject(bucketName, sourceKey, destKey)
+    await this._deleteObject(bucketName, sourceKey)
+  }
+
+  async deleteObject(bucketName, key) {
+    return this._deleteObject(bucketName, key, { trash: true })
+  }
+
+  // the source of a move is not trashed, as the object still exists at its
+  // new key
+  async _deleteObject(bucketName, key, opts = {}) {
+    try {
+      if (opts.trash) {
+        await PersistorHelper.trashObject(this, bucketName, key)
+      }
+      // as for S3, deleting a blob which doesn't exist is not an error
+      await this._getBlobClient(bucketName, key).deleteIfExists({
+        deleteSnapshots: 'include'
+      })
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to delete file in azure',
+        { bucketName, key },
+        WriteError
+      )
+    }
+  }
+
+  async deleteObjects(bucketName, keys) {
+    const result = { deleted: [], errors: [] }
+
+    await asyncPool(
+      this.settings.deleteConcurrency || 50,
+      keys,
+      async (key) => {
+        try {
+          await this.deleteObject(bucketName, key)
+          result.deleted.push(key)
+        } catch (error) {
+          result.errors.push({ key, error })
+        }
+      }
+    )
+
+    return result
+  }
+
+  async *listDeletedObjects(bucketName, prefix) {
+    yield* PersistorHelper.listDeletedObjects(this, bucketName, prefix)
+  }
+
+  async restoreDeletedObject(bucketName, key, deletedAt) {
+    return PersistorHelper.restoreDeletedObject(
+      this,
+      bucketName,
+      key,
+      deletedAt
+    )
+  }
+
+  async purgeDeletedObjects(bucketName, opts = {}) {
+    return PersistorHelper.purgeDeletedObjects(this, bucketName, opts)
+  }
+
+  async purgeExpired(bucketName, prefix) {
+    return PersistorHelper.purgeExpired(this, bucketName, prefix)
+  }
+
+  async deleteDirectory(bucketName, key) {
+    const keys = []
+    for await (const object of this.listObjects(bucketName, key)) {
+      keys.push(object.key)
+    }
+
+    const { errors } = await this.deleteObjects(bucketName, keys)
+    if (errors.length) {
+      throw PersistorHelper.wrapError(
+        errors[0].error,
+        'failed to delete directory in azure',
+        { bucketName, key },
+        WriteError
+      )
+    }
+  }
+
+  async checkIfObjectExists(bucketName, key) {
+    try {
+      return await this._getBlobClient(bucketName, key).exists()
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error checking whether azure blob exists',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  async directorySize(bucketName, key) {
+    let size = 0
+    for await (const object of this.listObjects(bucketName, key)) {
+      size += object.size
+    }
+    return size
+  }
+
+  async *listObjects(bucketName, prefix, opts = {}) {
+    const pages = this._getContainerClient(bucketName)
+      .listBlobsFlat({ prefix })
+      .byPage({ maxPageSize: opts.pageSize })
+
+    while (true) {
+      let page
+      try {
+        page = await pages.next()
+      } catch (err) {
+        throw PersistorHelper.wrapError(
+          err,
+          'failed to list objects in azure',
+          { bucketName, prefix },
+          ReadError
+        )
+      }
+      if (page.done) {
+        return
+      }
+
+      for (const item of page.value.segment.blobItems) {
+        yield {
+          key: item.name,
+          size: item.properties.contentLength,
+          md5: AzureBlobPersistor._md5FromProperties(item.properties),
+          lastModified: item.properties.lastModified
+        }
+      }
+    }
+  }
+
+  _getContainerClient(bucketName) {
+    return this.client.getContainerClient(bucketName)
+  }
+
+  _getBlobClient(bucketName, key, version) {
+    const blobClient = this._getContainerClient(bucketName).getBlobClient(key)
+    return version ? blobClient.withVersion(version) : blobClient
+  }
+
+  // within a storage account, the copy is authorised by the destination's
+  // credentials
+  async _copyBlob(sourceBlobClient, destBlobClient, opts = {}) {
+    const poller = await destBlobClient.beginCopyFromURL(sourceBlobClient.url, {
+      conditions: AzureBlobPersistor._getConditions(opts)
+    })
+    await poller.pollUntilDone()
+  }
+
+  _getSignedUrl(bucketName, key, sasOptions) {
+    const blobClient = this._getBlobClient(bucketName, key)
+    const sas = generateBlobSASQueryParameters(
+      { containerName: bucketName, blobName: key, ...sasOptions },
+      this.credential
+    )
+    return `${blobClient.url}?${sas.toString()}`
+  }
+
+  _getExpiry(opts) {
+    return new Date(
+      Date.now() + (opts.expiresInMs || this.settings.signedUrlExpiryInMs)
+    )
+  }
+
+  static _getConditions(opts) {
+    if (opts.ifNotExists) {
+      return { ifNoneMatch: '*' }
+    }
+    if (opts.ifMatch) {
+      return { ifMatch: opts.ifMatch }
+    }
+    return {}
+  }
+
+  static _md5FromProperties(properties) {
+    return properties.contentMD5
+      ? Buffer.from(properties.contentMD5).toString('hex')
+      : null
+  }
+}
@@ -0,0 +1,351 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const Path = require('path')
+const Stream = require('stream')
+const { promisify } = require('util')
+const Logger = require('logger-sharelatex')
+const WrappingPersistor = require('./WrappingPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const { ReadError, SettingsError } = require('./Errors')
+
+const pipeline = promisify(Stream.pipeline)
+const fsOpen = promisify(fs.open)
+const fsUnlink = promisify(fs.unlink)
+const fsMkdir = promisify(fs.mkdir)
+const fsReaddir = promisify(fs.readdir)
+
+const CACHE_FILE_SUFFIX = '.cache'
+
+// Persistor that keeps a copy of recently-read objects on local disk, so that
+// they don't have to be fetched from the backend again.
+//
+// Whole objects are cached in `Settings.cache.path`, and the least-recently
+// used are removed when the cache is larger than `Settings.cache.maxSizeBytes`.
+// A cached object is checked against the etag or md5 hash of the object in the
+// backend before it is used, unless it was checked less than
+// `Settings.cache.ttlMs` ago. Writes and deletes through this persistor remove
+// the object from the cache.
+//
+// The index of the cache is kept in memory, so any cache files left in the
+// cache directory are removed when the cache is first used.
+
+module.exports = class CachingPersistor extends WrappingPersistor {
+  constructor(persistor, settings) {
+    super(persistor, settings)
+
+    this.path = this.settings.path
+    if (!this.path) {
+      throw new SettingsError('no path for cache')
+    }
+    this.maxSizeBytes = this.settings.maxSizeBytes || 1024 * 1024 * 1024
+    this.ttlMs = this.settings.ttlMs || 0
+
+    // entries are kept in order of use, with the least-recently used first
+    this.entries = new Map()
+    this.downloads = new Map()
+    this.size = 0
+  }
+
+  // only whole objects and ranges are cached - other options (e.g. version)
+  // change the data that is returned
+  async getObjectStream(bucketName, key, opts = {}) {
+    const { start, end, ...otherOpts } = opts
+    if (Object.keys(otherOpts).length > 0) {
+      return this.persistor.getObjectStream(bucketName, key, opts)
+    }
+
+    // a range is read from the backend while the object is downloaded to the
+    // cache in the background, rather than waiting for the whole object
+    const isRange = start != null || end != null
+    const entry = await this._getEntry(bucketName, key, { background: isRange })
+    if (entry) {
+      try {
+        const fd = await fsOpen(entry.path, 'r')
+        return fs.createReadStream(null, { fd, start, end })
+      } catch (err) {
+        // the entry was evicted after it was found
+        Logger.warn({ err, bucketName, key }, 'failed to open cache file')
+      }
+    }
+    return this.persistor.getObjectStream(bucketName, key, opts)
+  }
+
+  async sendFile(bucketName, key, ...args) {
+    try {
+      return await this.persistor.sendFile(bucketName, key, ...args)
+    } finally {
+      this._invalidate(bucketName, key)
+    }
+  }
+
+  async sendStream(bucketName, key, ...args) {
+    try {
+      return await this.persistor.sendStream(bucketName, key, ...args)
+    } finally {
+      this._invalidate(bucketName, key)
+    }
+  }
+
+  async copyObject(...args) {
+    const { destBucket, destKey } = PersistorHelper.parseCopyObjectArgs(args)
+    try {
+      return await this.persistor.copyObject(...args)
+    } finally {
+      this._invalidate(destBucket, destKey)
+    }
+  }
+
+  async moveObject(bucketName, sourceKey, destKey) {
+    try {
+      return await this.persistor.moveObject(bucketName, sourceKey, destKey)
+    } finally {
+      this._invalidate(bucketName, sourceKey)
+      this._invalidate(bucketName, destKey)
+    }
+  }
+
+  async deleteObject(bucketName, key) {
+    try {
+      return await this.persistor.deleteObject(bucketName, key)
+    } finally {
+      this._invalidate(bucketName, key)
+    }
+  }
+
+  async deleteObjects(bucketName, keys) {
+    try {
+      return await this.persistor.deleteObjects(bucketName, keys)
+    } finally {
+      for (const key of keys) {
+        this._invalidate(bucketName, key)
+      }
+    }
+  }
+
+  async deleteDirectory(bucketName, prefix) {
+    try {
+      return await this.persistor.deleteDirectory(bucketName, prefix)
+    } finally {
+      this._invalidatePrefix(bucketName, prefix)
+    }
+  }
+
+  async restoreObjectVersion(bucketName, key, version) {
+    try {
+      return await this.persistor.restoreObjectVersion(bucketName, key, version)
+    } finally {
+      this._invalidate(bucketName, key)
+    }
+  }
+
+  async restoreDeletedObject(bucketName, key, deletedAt) {
+    try {
+      return await this.persistor.restoreDeletedObject(
+        bucketName,
+        key,
+        deletedAt
+      )
+    } finally {
+      this._invalidate(bucketName, key)
+    }
+  }
+
+  async purgeExpired(bucketName, prefix) {
+    try {
+      return await this.persistor.purgeExpired(bucketName, prefix)
+    } finally {
+      this._invalidatePrefix(bucketName, prefix)
+    }
+  }
+
+  // returns a valid cache entry for the object, downloading it if necessary,
+  // or null if the object can't be cached. With `background`, a download is
+  // started but not waited for, and null is returned
+  async _getEntry(bucketName, key, opts = {}) {
+    await this._init()
+
+    const cacheKey = CachingPersistor._getCacheKey(bucketName, key)
+    const entry = this.entries.get(cacheKey)
+    if (entry) {
+      let valid = false
+      try {
+        valid = await this._isValid(entry)
+      } finally {
+        // the entry may have been replaced while it was being checked
+        if (!valid && this.entries.get(cacheKey) === entry) {
+          this._evict(cacheKey)
+        }
+      }
+      if (valid && this.entries.get(cacheKey) === entry) {
+        if (this.settings.Metrics) {
+          this.settings.Metrics.inc('cache.hit')
+        }
+        // move the entry to the end of the map, as the most-recently used
+        this.entries.delete(cacheKey)
+        this.entries.set(cacheKey, entry)
+        return entry
+      }
+    }
+
+    if (this.settings.Metrics) {
+      this.settings.Metrics.inc('cache.miss')
+    }
+
+    // concurrent reads of the same object share a download
+    let download = this.downloads.get(cacheKey)
+    if (!download) {
+      download = { bucketName, key }
+      download.promise = this._download(cacheKey, download).finally(() => {
+        if (this.downloads.get(cacheKey) === download) {
+          this.downloads.delete(cacheKey)
+        }
+      })
+      this.downloads.set(cacheKey, download)
+    }
+    if (opts.background) {
+      download.promise.catch((err) => {
+        Logger.warn({ err, bucketName, key }, 'failed to cache object')
+      })
+      return null
+    }
+    return download.promise
+  }
+
+  async _isValid(entry) {
+    if (Date.now() - entry.validatedAt < this.ttlMs) {
+      return true
+    }
+
+    const metadata = await this.persistor.getObjectMetadata(
+      entry.bucketName,
+      entry.key
+    )
+    if (CachingPersistor._getValidator(metadata) !== entry.validator) {
+      return false
+    }
+    entry.validatedAt = Date.now()
+    return true
+  }
+
+  async _download(cacheKey, download) {
+    const { bucketName, key } = download
+    const metadata = await this.persistor.getObjectMetadata(bucketName, key)
+    const validator = CachingPersistor._getValidator(metadata)
+    if (!validator || metadata.size > this.maxSizeBytes) {
+      return null
+    }
+
+    // each download has its own file, so that a stale download can't
+    // overwrite a newer one
+    const path = Path.join(
+      this.path,
+      `${crypto.randomBytes(16).toString('hex')}${CACHE_FILE_SUFFIX}`
+    )
+    const stream = await this.persistor.getObjectStream(bucketName, key, {})
+    const observer = new PersistorHelper.ObserverStream({})
+    try {
+      await pipeline(stream, observer, fs.createWriteStream(path))
+    } catch (err) {
+      // the object will be read from the backend instead
+      Logger.warn({ err, bucketName, key }, 'failed to cache object')
+      await this._removeFile(path)
+      return null
+    }
+
+    // the object was written or deleted during the download
+    if (this.downloads.get(cacheKey) !== download) {
+      await this._removeFile(path)
+      return null
+    }
+
+    const entry = {
+      bucketName,
+      key,
+      path,
+      size: observer.bytes,
+      validator,
+      validatedAt: Date.now()
+    }
+    this._evict(cacheKey)
+    this.entries.set(cacheKey, entry)
+    this.size += entry.size
+
+    // remove the least-recently used entries until the cache fits
+    for (const [oldCacheKey] of this.entries) {
+      if (this.size <= this.maxSizeBytes) {
+        break
+      }
+      this._evict(oldCacheKey)
+    }
+    return entry
+  }
+
+  // removes any cache files left by a previous process
+  async _init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          await fsMkdir(this.path, { recursive: true })
+          const filenames = await fsReaddir(this.path)
+          for (const filename of filenames) {
+            if (filename.endsWith(CACHE_FILE_SUFFIX)) {
+              await fsUnlink(Path.join(this.path, filename))
+            }
+          }
+        } catch (err) {
+          this.initPromise = null
+          throw new ReadError(
+            'failed to initialise cache',
+            { path: this.path },
+            err
+          )
+        }
+      })()
+    }
+    return this.initPromise
+  }
+
+  _invalidate(bucketName, key) {
+    const cacheKey = CachingPersistor._getCacheKey(bucketName, key)
+    this._evict(cacheKey)
+    this.downloads.delete(cacheKey)
+  }
+
+  _invalidatePrefix(bucketName, prefix) {
+    for (const [cacheKey, { bucketName: entryBucket, key }] of [
+      ...this.entries,
+      ...this.downloads
+    ]) {
+      if (entryBucket === bucketName && key.startsWith(prefix)) {
+        this._evict(cacheKey)
+        this.downloads.delete(cacheKey)
+      }
+    }
+  }
+
+  _evict(cacheKey) {
+    const entry = this.entries.get(cacheKey)
+    if (entry) {
+      this.entries.delete(cacheKey)
+      this.size -= entry.size
+      this._removeFile(entry.path)
+    }
+  }
+
+  // open read streams are unaffected by the file being removed
+  _removeFile(path) {
+    return fsUnlink(path).catch((err) => {
+      Logger.warn({ err, path }, 'failed to remove cache file')
+    })
+  }
+
+  static _getCacheKey(bucketName, key) {
+    return JSON.stringify([bucketName, key])
+  }
+
+  // the etag changes whenever the object is written - the md5 hash is used
+  // for backends which don't have one
+  static _getValidator(metadata) {
+    return metadata.etag || metadata.md5 || null
+  }
+}
@@ -0,0 +1,343 @@
+const fs = require('fs')
+const zlib = require('zlib')
+const Stream = require('stream')
+const { promisify } = require('util')
+const Logger = require('logger-sharelatex')
+const WrappingPersistor = require('./WrappingPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const { WriteError, SettingsError, NotFoundError } = require('./Errors')
+
+const pipeline = promisify(Stream.pipeline)
+const fsStat = promisify(fs.stat)
+
+// the algorithm is stored in the custom metadata of each compressed object,
+// with the size and md5 hash of the original data when they are known
+const METADATA_KEYS = {
+  algorithm: 'compression-algorithm',
+  size: 'compression-size',
+  md5: 'compression-md5'
+}
+
+const ALGORITHMS = {
+  gzip: {
+    compress: zlib.createGzip,
+    decompress: zlib.createGunzip
+  },
+  br: {
+    compress: zlib.createBrotliCompress,
+    decompress: zlib.createBrotliDecompress
+  }
+}
+
+// Persistor that compresses objects as they are uploaded, recording the
+// algorithm in the custom metadata of the object, and decompresses them again
+// as they are read. Objects without the metadata, including those uploaded
+// with their own content encoding, are returned as they are stored.
+// Objects smaller than `Settings.compression.minSizeBytes` are not compressed,
+// as the saving is not worth the cost of decompressing them.
+
+module.exports = class CompressingPersistor extends WrappingPersistor {
+  constructor(persistor, settings) {
+    super(persistor, settings)
+
+    this.algorithm = this.settings.algorithm || 'gzip'
+    if (!ALGORITHMS[this.algorithm]) {
+      throw new SettingsError('unknown compression algorithm', {
+        algorithm: this.algorithm
+      })
+    }
+    this.minSizeBytes =
+      this.settings.minSizeBytes != null ? this.settings.minSizeBytes : 1024
+
+    // the original size of objects uploaded as a stream is only known once
+    // they have been decompressed, so it is kept here by the etag of the
+    // compressed object, to avoid decompressing them again
+    this.sizeCacheEntries =
+      this.settings.sizeCacheEntries != null
+        ? this.settings.sizeCacheEntries
+        : 10000
+    this.sizes = new Map()
+  }
+
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    let stat
+    try {
+      stat = await fsStat(fsPath)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to read file for upload',
+        { bucketName, key, fsPath },
+        WriteError
+      )
+    }
+    return this._sendStream(
+      bucketName,
+      key,
+      fs.createReadStream(fsPath),
+      opts,
+      stat.size
+    )
+  }
+
+  async sendStream(bucketName, key, readStream, opts = {}) {
+    return this._sendStream(bucketName, key, readStream, opts)
+  }
+
+  // opts may be {start: Number, end: Number, version: String, raw: Boolean}
+  async getObjectStream(bucketName, key, opts = {}) {
+    const { raw, ...streamOpts } = opts
+    if (raw) {
+      return this.persistor.getObjectStream(bucketName, key, streamOpts)
+    }
+
+    const metadata = await this.persistor.getObjectMetadata(bucketName, key, {
+      version: opts.version
+    })
+    const algorithm = CompressingPersistor._getAlgorithm(metadata)
+    if (!algorithm) {
+      return this.persistor.getObjectStream(bucketName, key, streamOpts)
+    }
+
+    const { start, end, ...compressedOpts } = streamOpts
+    const stream = await this.persistor.getObjectStream(
+      bucketName,
+      key,
+      compressedOpts
+    )
+    const decompressor = ALGORITHMS[algorithm].decompress()
+    const isRange = start != null || end != null
+    pipeline(stream, decompressor).catch((error) => {
+      // reading a range stops decompressing once the range has been read
+      if (isRange && error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        return
+      }
+      Logger.warn({ error, bucketName, key }, 'failed to decompress object')
+    })
+    if (!isRange) {
+      return decompressor
+    }
+    // byte ranges of the original data can't be mapped to the compressed
+    // data, so the range is sliced from the decompressed data
+    return Stream.Readable.from(sliceStream(decompressor, start, end), {
+      objectMode: false
+    })
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    const metadata = await this.persistor.getObjectMetadata(
+      bucketName,
+      key,
+      opts
+    )
+    if (!CompressingPersistor._getAlgorithm(metadata)) {
+      return metadata
+    }
+
+    const customMetadata = { ...metadata.metadata }
+    for (const metadataKey of Object.values(METADATA_KEYS)) {
+      delete customMetadata[metadataKey]
+    }
+    return {
+      ...metadata,
+      size: await this._getOriginalSize(bucketName, key, metadata, opts),
+      // the backend only knows the md5 hash of the compressed data
+      md5: metadata.metadata[METADATA_KEYS.md5] || null,
+      metadata: customMetadata
+    }
+  }
+
+  async getObjectSize(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.size
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    const metadata = await this.persistor.getObjectMetadata(bucketName, key)
+    if (!CompressingPersistor._getAlgorithm(metadata)) {
+      return this.persistor.getObjectMd5Hash(bucketName, key)
+    }
+    return (
+      metadata.metadata[METADATA_KEYS.md5] ||
+      PersistorHelper.calculateStreamMd5(
+        await this.getObjectStream(bucketName, key)
+      )
+    )
+  }
+
+  async directorySize(bucketName, prefix) {
+    let size = 0
+    for await (const object of this.listObjects(bucketName, prefix)) {
+      size += object.size
+    }
+    return size
+  }
+
+  // the size and md5 hash of the original data are read from the metadata of
+  // each compressed object
+  async *listObjects(bucketName, prefix, opts) {
+    for await (const object of this.persistor.listObjects(
+      bucketName,
+      prefix,
+      opts
+    )) {
+      let metadata
+      try {
+        metadata = await this.persistor.getObjectMetadata(
+          bucketName,
+          object.key
+        )
+      } catch (err) {
+        // ignore objects which have just been deleted
+        if (err instanceof NotFoundError) {
+          continue
+        }
+        throw err
+      }
+      yield CompressingPersistor._getAlgorithm(metadata)
+        ? {
+            ...object,
+            size: await this._getOriginalSize(
+              bucketName,
+              object.key,
+              metadata,
+              {}
+            ),
+            md5: metadata.metadata[METADATA_KEYS.md5] || null
+          }
+        : object
+    }
+  }
+
+  // the size of the original data is known when uploading a file, and the md5
+  // hash when the caller supplies it
+  async _sendStream(bucketName, key, readStream, opts, size) {
+    // data which is already encoded is stored as it is
+    if (opts.contentEncoding) {
+      return this.persistor.sendStream(bucketName, key, readStream, opts)
+    }
+
+    let peeked
+    try {
+      peeked = await peekStream(readStream, this.minSizeBytes)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to read stream for upload',
+        { bucketName, key },
+        WriteError
+      )
+    }
+    if (peeked.ended && peeked.length < this.minSizeBytes) {
+      return this.persistor.sendStream(bucketName, key, peeked.stream, opts)
+    }
+
+    const metadata = {
+      ...opts.metadata,
+      [METADATA_KEYS.algorithm]: this.algorithm
+    }
+    if (size != null) {
+      metadata[METADATA_KEYS.size] = String(size)
+    }
+    if (opts.sourceMd5) {
+      metadata[METADATA_KEYS.md5] = opts.sourceMd5
+    }
+    await PersistorHelper.sendTransformedStream(
+      this.persistor,
+      bucketName,
+      key,
+      peeked.stream,
+      ALGORITHMS[this.algorithm].compress(),
+      { ...opts, metadata }
+    )
+  }
+
+  // objects uploaded as a stream without a known size are decompressed to
+  // count their size, once for each etag
+  async _getOriginalSize(bucketName, key, metadata, opts) {
+    if (metadata.metadata[METADATA_KEYS.size] != null) {
+      return Number(metadata.metadata[METADATA_KEYS.size])
+    }
+    const cacheKey = metadata.etag && `${bucketName}/${key}/${metadata.etag}`
+    if (cacheKey && this.sizes.has(cacheKey)) {
+      return this.sizes.get(cacheKey)
+    }
+
+    let size = 0
+    for await (const chunk of await this.getObjectStream(bucketName, key, {
+      version: opts.version
+    })) {
+      size += chunk.length
+    }
+
+    if (cacheKey && this.sizeCacheEntries > 0) {
+      // forget the oldest size when the cache is full
+      if (this.sizes.size >= this.sizeCacheEntries) {
+        this.sizes.delete(this.sizes.keys().next().value)
+      }
+      this.sizes.set(cacheKey, size)
+    }
+    return size
+  }
+
+  static _getAlgorithm(metadata) {
+    const algorithm =
+      metadata.metadata && metadata.metadata[METADATA_KEYS.algorithm]
+    return ALGORITHMS[algorithm] ? algorithm : null
+  }
+}
+
+// yields the bytes from `start` to `end` (inclusive) of the stream, and stops
+// reading from it once they have been read
+async function* sliceStream(stream, start = 0, end = Infinity) {
+  let position = 0
+  for await (const chunk of stream) {
+    const chunkEnd = position + chunk.length
+    if (chunkEnd > start) {
+      yield chunk.slice(
+        Math.max(start - position, 0),
+        Math.min(end + 1 - position, chunk.length)
+      )
+    }
+    position = chunkEnd
+    if (position > end) {
+      break
+    }
+  }
+}
+
+// reads from the stream until at least `size` bytes have been read, or the
+// stream has ended - returns a new stream which includes the bytes read
+async function peekStream(readStream, size) {
+  const iterator = readStream[Symbol.asyncIterator]()
+  const chunks = []
+  let length = 0
+  let ended = false
+
+  while (length < size) {
+    const { value, done } = await iterator.next()
+    if (done) {
+      ended = true
+      break
+    }
+    chunks.push(value)
+    length += value.length
+  }
+
+  async function* replay() {
+    yield* chunks
+    if (!ended) {
+      let result = await iterator.next()
+      while (!result.done) {
+        yield result.value
+        result = await iterator.next()
+      }
+    }
+  }
+
+  return {
+    length,
+    ended,
+    stream: Stream.Readable.from(replay(), { objectMode: false })
+  }
+}
@@ -0,0 +1,408 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const Stream = require('stream')
+const WrappingPersistor = require('./WrappingPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const {
+  WriteError,
+  NotFoundError,
+  NotImplementedError,
+  PreconditionFailedError
+} = require('./Errors')
+
+// the hash, size and md5 hash of the data are stored in the custom metadata of
+// each reference
+const METADATA_KEYS = {
+  hash: 'dedup-hash',
+  size: 'dedup-size',
+  md5: 'dedup-md5'
+}
+
+// Persistor that stores each distinct piece of data once, as a 'blob' named by
+// the sha256 hash of the data. Blobs are kept in a bucket with the suffix
+// `Settings.dedup.blobBucketSuffix`, and the object at each key is an empty
+// 'reference' to a blob, so copying an object only writes a new reference.
+//
+// Deleting an object only deletes the reference. Blobs which are no longer
+// referenced are deleted by `collectGarbage`, which should be run
+// periodically. Blobs referenced by previous versions of an object, or by
+// objects in the bucket with the suffix `Settings.dedup.deletedBucketSuffix`,
+// are kept as well. Blobs written more recently than
+// `Settings.dedup.gcGracePeriodMs` are never deleted, so that blobs aren't
+// deleted between being uploaded and their reference being written.
+
+module.exports = class DedupPersistor extends WrappingPersistor {
+  constructor(persistor, settings) {
+    super(persistor, settings)
+
+    this.blobBucketSuffix = this.settings.blobBucketSuffix || '-blobs'
+    this.gcGracePeriodMs =
+      this.settings.gcGracePeriodMs != null
+        ? this.settings.gcGracePeriodMs
+        : 24 * 60 * 60 * 1000
+  }
+
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    return this.sendStream(bucketName, key, fs.createReadStream(fsPath), opts)
+  }
+
+  async sendStream(bucketName, key, readStream, opts = {}) {
+    const blobBucket = this._getBlobBucket(bucketName)
+    const {
+      sourceMd5,
+      contentType,
+      contentEncoding,
+      ifNotExists,
+      ifMatch,
+      ...referenceOpts
+    } = opts
+    const preconditions = await this._checkPreconditions(bucketName, key, opts)
+
+    // the hash isn't known until the data has been read, so upload to a
+    // temporary key and then move the blob into place. Moving over an existing
+    // blob updates its modification time, so it can't be garbage-collected
+    // before the new reference is written.
+    const uploadKey = DedupPersistor._getUploadKey()
+    const hashStream = new PersistorHelper.ObserverStream({ hash: 'sha256' })
+    const md5 = await PersistorHelper.sendTransformedStream(
+      this.persistor,
+      blobBucket,
+      uploadKey,
+      readStream,
+      hashStream,
+      { sourceMd5, contentType, contentEncoding }
+    )
+    const hash = hashStream.getHash()
+
+    // a failed upload is left for collectGarbage to delete
+    try {
+      await this.persistor.moveObject(blobBucket, uploadKey, hash)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to store blob',
+        { bucketName, key, hash },
+        WriteError
+      )
+    }
+
+    await this.persistor.sendStream(bucketName, key, Stream.Readable.from([]), {
+      ...referenceOpts,
+      ...preconditions,
+      contentType,
+      contentEncoding,
+      metadata: {
+        ...opts.metadata,
+        [METADATA_KEYS.hash]: hash,
+        [METADATA_KEYS.size]: String(hashStream.bytes),
+        [METADATA_KEYS.md5]: md5
+      }
+    })
+  }
+
+  async getObjectStream(bucketName, key, opts = {}) {
+    const reference = await this._getReference(bucketName, key, opts.version)
+    if (!reference) {
+      return this.persistor.getObjectStream(bucketName, key, opts)
+    }
+
+    const { version, ...streamOpts } = opts
+    return this.persistor.getObjectStream(
+      this._getBlobBucket(bucketName),
+      reference.hash,
+      streamOpts
+    )
+  }
+
+  async getRedirectUrl(bucketName, key, opts = {}) {
+    const reference = await this._getReference(bucketName, key)
+    if (!reference) {
+      return this.persistor.getRedirectUrl(bucketName, key, opts)
+    }
+    return this.persistor.getRedirectUrl(
+      this._getBlobBucket(bucketName),
+      reference.hash,
+      opts
+    )
+  }
+
+  // uploads must be hashed, so can't go directly to the backend
+  async getUploadUrl() {
+    return null
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    const metadata = await this.persistor.getObjectMetadata(
+      bucketName,
+      key,
+      opts
+    )
+    const reference = DedupPersistor._getReferenceFromMetadata(metadata)
+    if (!reference) {
+      return metadata
+    }
+
+    const customMetadata = { ...metadata.metadata }
+    for (const metadataKey of Object.values(METADATA_KEYS)) {
+      delete customMetadata[metadataKey]
+    }
+    return {
+      ...metadata,
+      size: reference.size,
+      md5: reference.md5,
+      metadata: customMetadata
+    }
+  }
+
+  async getObjectSize(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.size
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.md5
+  }
+
+  // the reference is copied, and the blob is only copied if the destination
+  // bucket doesn't have it already. Otherwise the blob is refreshed, so that
+  // it can't be garbage-collected before the new reference is written.
+  async copyObject(...args) {
+    const { sourceBucket, sourceKey, destBucket, destKey, opts } =
+      PersistorHelper.parseCopyObjectArgs(args)
+
+    const reference = await this._getReference(sourceBucket, sourceKey)
+    if (reference) {
+      const destBlobBucket = this._getBlobBucket(destBucket)
+      if (
+        await this.persistor.checkIfObjectExists(destBlobBucket, reference.hash)
+      ) {
+        await this._refreshBlob(destBlobBucket, reference.hash)
+      } else {
+        await this.persistor.copyObject(
+          this._getBlobBucket(sourceBucket),
+          reference.hash,
+          destBlobBucket,
+          reference.hash
+        )
+      }
+    }
+
+    return this.persistor.copyObject(
+      sourceBucket,
+      sourceKey,
+      destBucket,
+      destKey,
+      opts
+    )
+  }
+
+  async directorySize(bucketName, prefix) {
+    let size = 0
+    for await (const object of this.listObjects(bucketName, prefix)) {
+      size += object.size
+    }
+    return size
+  }
+
+  // the size and md5 hash of each reference are read from its metadata
+  async *listObjects(bucketName, prefix, opts) {
+    for await (const object of this.persistor.listObjects(
+      bucketName,
+      prefix,
+      opts
+    )) {
+      let reference
+      try {
+        reference = await this._getReference(bucketName, object.key)
+      } catch (err) {
+        // ignore objects which have just been deleted
+        if (err instanceof NotFoundError) {
+          continue
+        }
+        throw err
+      }
+      yield reference
+        ? { ...object, size: reference.size, md5: reference.md5 }
+        : object
+    }
+  }
+
+  // deletes the blobs which are not referenced by any object in the bucket,
+  // any previous version of an object, or any object in its 'deleted' bucket,
+  // and are older than the grace period - returns the result of deleteObjects
+  async collectGarbage(bucketName) {
+    const blobBucket = this._getBlobBucket(bucketName)
+
+    // find the candidates before the references, so that blobs referenced by
+    // new objects are too recent to be candidates
+    const cutoff = new Date(Date.now() - this.gcGracePeriodMs)
+    const candidates = []
+    for await (const { key, lastModified } of this.persistor.listObjects(
+      blobBucket,
+      ''
+    )) {
+      if (lastModified < cutoff) {
+        candidates.push(key)
+      }
+    }
+
+    const hashes = new Set()
+    await this._addReferencedHashes(hashes, bucketName)
+    const deletedBucket = PersistorHelper.getDeletedBucket(this, bucketName)
+    if (deletedBucket) {
+      await this._addReferencedHashes(hashes, deletedBucket)
+    }
+
+    // a blob may have been refreshed by a new reference since it was listed
+    const unreferenced = []
+    for (const key of candidates.filter((key) => !hashes.has(key))) {
+      let metadata
+      try {
+        metadata = await this.persistor.getObjectMetadata(blobBucket, key)
+      } catch (err) {
+        if (err instanceof NotFoundError) {
+          continue
+        }
+        throw err
+      }
+      if (metadata.lastModified < cutoff) {
+        unreferenced.push(key)
+      }
+    }
+
+    return this.persistor.deleteObjects(blobBucket, unreferenced)
+  }
+
+  // adds the hashes of the blobs referenced by every version of every object
+  // in the bucket to `hashes`
+  async _addReferencedHashes(hashes, bucketName) {
+    for await (const { key } of this.persistor.listObjects(bucketName, '')) {
+      let versions
+      try {
+        versions = await this.persistor.listObjectVersions(bucketName, key)
+      } catch (err) {
+        if (!(err instanceof NotImplementedError)) {
+          throw err
+        }
+        versions = [{ isLatest: true }]
+      }
+
+      for (const { version, isLatest } of versions) {
+        let reference
+        try {
+          reference = await this._getReference(
+            bucketName,
+            key,
+            isLatest ? undefined : version
+          )
+        } catch (err) {
+          if (err instanceof NotFoundError) {
+            continue
+          }
+          throw err
+        }
+        if (reference) {
+          hashes.add(reference.hash)
+        }
+      }
+    }
+  }
+
+  // preconditions apply to the data of the object, so are checked before the
+  // data is uploaded, and are then checked again by the backend when the
+  // reference is written. Returns the preconditions for the reference, as an
+  // `ifMatch` of the md5 hash of the data must match the md5 hash of the
+  // reference on backends which compare md5 hashes.
+  async _checkPreconditions(bucketName, key, opts) {
+    if (!opts.ifNotExists && !opts.ifMatch) {
+      return {}
+    }
+
+    let metadata
+    try {
+      metadata = await this.persistor.getObjectMetadata(bucketName, key)
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) {
+        throw err
+      }
+    }
+
+    if (opts.ifNotExists) {
+      if (metadata) {
+        throw new PreconditionFailedError('object already exists', {
+          bucketName,
+          key
+        })
+      }
+      return { ifNotExists: true }
+    }
+
+    const reference =
+      metadata && DedupPersistor._getReferenceFromMetadata(metadata)
+    const md5 = reference ? reference.md5 : metadata && metadata.md5
+    if (
+      !metadata ||
+      ![metadata.etag, metadata.generation, md5].some(
+        (value) => value != null && String(value) === String(opts.ifMatch)
+      )
+    ) {
+      throw new PreconditionFailedError('object does not match', {
+        bucketName,
+        key,
+        ifMatch: opts.ifMatch
+      })
+    }
+    return {
+      ifMatch:
+        reference && opts.ifMatch === reference.md5
+          ? metadata.md5
+          : opts.ifMatch
+    }
+  }
+
+  // copying the blob to a temporary key and moving it back into place
+  // updates its modification time, as for uploads
+  async _refreshBlob(blobBucket, hash) {
+    const uploadKey = DedupPersistor._getUploadKey()
+    try {
+      await this.persistor.copyObject(blobBucket, hash, blobBucket, uploadKey)
+      await this.persistor.moveObject(blobBucket, uploadKey, hash)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to refresh blob',
+        { blobBucket, hash },
+        WriteError
+      )
+    }
+  }
+
+  _getBlobBucket(bucketName) {
+    return `${bucketName}${this.blobBucketSuffix}`
+  }
+
+  async _getReference(bucketName, key, version) {
+    const metadata = await this.persistor.getObjectMetadata(bucketName, key, {
+      version
+    })
+    return DedupPersistor._getReferenceFromMetadata(metadata)
+  }
+
+  static _getUploadKey() {
+    return `upload-${crypto.randomBytes(16).toString('hex')}`
+  }
+
+  // objects written without deduplication have no reference metadata
+  static _getReferenceFromMetadata(metadata) {
+    const customMetadata = metadata.metadata || {}
+    if (!customMetadata[METADATA_KEYS.hash]) {
+      return null
+    }
+    return {
+      hash: customMetadata[METADATA_KEYS.hash],
+      size: Number(customMetadata[METADATA_KEYS.size]),
+      md5: customMetadata[METADATA_KEYS.md5]
+    }
+  }
+}
@@ -0,0 +1,421 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const Stream = require('stream')
+const { promisify } = require('util')
+const Logger = require('logger-sharelatex')
+const WrappingPersistor = require('./WrappingPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const {
+  WriteError,
+  ReadError,
+  NotFoundError,
+  SettingsError
+} = require('./Errors')
+
+const pipeline = promisify(Stream.pipeline)
+
+const ALGORITHM = 'aes-256-gcm'
+const KEY_LENGTH = 32
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+
+// the wrapped data key and the parameters needed to decrypt the object are
+// stored in its custom metadata
+const METADATA_KEYS = {
+  wrappedKey: 'encryption-key',
+  keyId: 'encryption-key-id',
+  iv: 'encryption-iv',
+  chunkSize: 'encryption-chunk-size'
+}
+
+// Persistor that encrypts objects before they are uploaded, so that the backend
+// only ever sees the encrypted data.
+//
+// Each object is encrypted with its own data key, which is wrapped by the key
+// provider in `Settings.encryption.keyProvider` and stored with the object.
+// The data is encrypted in chunks of `Settings.encryption.chunkSize` bytes, each
+// with its own authentication tag, so that byte ranges can be decrypted without
+// reading the whole object. The index of each chunk, and whether it is the last
+// chunk, are authenticated so that the chunks can't be reordered or truncated.
+//
+// Objects without encryption metadata can only be read if
+// `Settings.encryption.allowUnencrypted` is set, e.g. while existing objects
+// are being encrypted, so that an object can't be replaced with plaintext.
+
+module.exports = class EncryptingPersistor extends WrappingPersistor {
+  constructor(persistor, settings) {
+    super(persistor, settings)
+
+    this.keyProvider = this.settings.keyProvider
+    if (!this.keyProvider) {
+      throw new SettingsError('no key provider for encryption')
+    }
+    this.chunkSize = this.settings.chunkSize || 64 * 1024
+    this.allowUnencrypted = Boolean(this.settings.allowUnencrypted)
+  }
+
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    return this.sendStream(bucketName, key, fs.createReadStream(fsPath), opts)
+  }
+
+  async sendStream(bucketName, key, readStream, opts = {}) {
+    const dataKey = crypto.randomBytes(KEY_LENGTH)
+    const iv = crypto.randomBytes(IV_LENGTH)
+
+    let wrapped
+    try {
+      wrapped = await this.keyProvider.wrapKey(dataKey)
+    } catch (err) {
+      throw new WriteError('failed to wrap data key', { bucketName, key }, err)
+    }
+
+    await PersistorHelper.sendTransformedStream(
+      this.persistor,
+      bucketName,
+      key,
+      readStream,
+      new EncryptStream(dataKey, iv, this.chunkSize),
+      {
+        ...opts,
+        metadata: {
+          ...opts.metadata,
+          [METADATA_KEYS.wrappedKey]: wrapped.wrappedKey.toString('base64'),
+          [METADATA_KEYS.keyId]: wrapped.keyId,
+          [METADATA_KEYS.iv]: iv.toString('base64'),
+          [METADATA_KEYS.chunkSize]: String(this.chunkSize)
+        }
+      }
+    )
+  }
+
+  // opts may be {start: Number, end: Number, version: String}
+  async getObjectStream(bucketName, key, opts = {}) {
+    const metadata = await this.persistor.getObjectMetadata(bucketName, key, {
+      version: opts.version
+    })
+    const encryption = EncryptingPersistor._getEncryption(metadata)
+    if (!encryption) {
+      if (!this.allowUnencrypted) {
+        throw new ReadError('object is not encrypted', { bucketName, key })
+      }
+      return this.persistor.getObjectStream(bucketName, key, opts)
+    }
+
+    const { chunkSize } = encryption
+    const chunkCount = EncryptingPersistor._getChunkCount(
+      metadata.size,
+      chunkSize
+    )
+    const size = EncryptingPersistor._getPlaintextSize(metadata.size, chunkSize)
+
+    // read only the chunks which contain the requested range
+    const { start, end, ...streamOpts } = opts
+    let firstChunk = 0
+    let lastChunk = chunkCount - 1
+    let skip = 0
+    let length = Infinity
+    if ((start != null || end != null) && size > 0) {
+      const firstByte = start || 0
+      const lastByte = end != null ? Math.min(end, size - 1) : size - 1
+      // a range which starts past the end of the data is empty
+      if (firstByte > lastByte) {
+        return Stream.Readable.from([])
+      }
+      firstChunk = Math.floor(firstByte / chunkSize)
+      lastChunk = Math.floor(lastByte / chunkSize)
+      skip = firstByte - firstChunk * chunkSize
+      length = Math.max(0, lastByte - firstByte + 1)
+      streamOpts.start = firstChunk * (chunkSize + TAG_LENGTH)
+      streamOpts.end =
+        Math.min((lastChunk + 1) * (chunkSize + TAG_LENGTH), metadata.size) - 1
+    }
+
+    const dataKey = await this._unwrapKey(bucketName, key, encryption)
+    const stream = await this.persistor.getObjectStream(
+      bucketName,
+      key,
+      streamOpts
+    )
+    const decryptStream = new DecryptStream(dataKey, encryption.iv, chunkSize, {
+      firstChunk,
+      lastChunk,
+      chunkCount,
+      skip,
+      length
+    })
+    pipeline(stream, decryptStream).catch((error) => {
+      Logger.warn({ error, bucketName, key }, 'failed to decrypt object')
+    })
+    return decryptStream
+  }
+
+  // the backend can't serve decrypted data, so the caller must stream the
+  // object instead
+  async getRedirectUrl() {
+    return null
+  }
+
+  async getUploadUrl() {
+    return null
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    const metadata = await this.persistor.getObjectMetadata(
+      bucketName,
+      key,
+      opts
+    )
+    const encryption = EncryptingPersistor._getEncryption(metadata)
+    if (!encryption) {
+      return metadata
+    }
+
+    const customMetadata = { ...metadata.metadata }
+    for (const metadataKey of Object.values(METADATA_KEYS)) {
+      delete customMetadata[metadataKey]
+    }
+    return {
+      ...metadata,
+      size: EncryptingPersistor._getPlaintextSize(
+        metadata.size,
+        encryption.chunkSize
+      ),
+      // the backend only knows the md5 hash of the encrypted data
+      md5: null,
+      metadata: customMetadata
+    }
+  }
+
+  async getObjectSize(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.size
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    const metadata = await this.persistor.getObjectMetadata(bucketName, key)
+    if (!EncryptingPersistor._getEncryption(metadata)) {
+      return this.persistor.getObjectMd5Hash(bucketName, key)
+    }
+    return PersistorHelper.calculateStreamMd5(
+      await this.getObjectStream(bucketName, key)
+    )
+  }
+
+  async directorySize(bucketName, prefix) {
+    let size = 0
+    for await (const object of this.listObjects(bucketName, prefix)) {
+      size += object.size
+    }
+    return size
+  }
+
+  // the chunk size of each object is read from its metadata, to remove the
+  // authentication tags from the listed size
+  async *listObjects(bucketName, prefix, opts) {
+    for await (const object of this.persistor.listObjects(
+      bucketName,
+      prefix,
+      opts
+    )) {
+      let metadata
+      try {
+        metadata = await this.persistor.getObjectMetadata(
+          bucketName,
+          object.key
+        )
+      } catch (err) {
+        // ignore objects which have just been deleted
+        if (err instanceof NotFoundError) {
+          continue
+        }
+        throw err
+      }
+      const encryption = EncryptingPersistor._getEncryption(metadata)
+      yield encryption
+        ? {
+            ...object,
+            size: EncryptingPersistor._getPlaintextSize(
+              object.size,
+              encryption.chunkSize
+            ),
+            md5: null
+          }
+        : object
+    }
+  }
+
+  async _unwrapKey(bucketName, key, encryption) {
+    try {
+      return await this.keyProvider.unwrapKey(
+        encryption.keyId,
+        encryption.wrappedKey
+      )
+    } catch (err) {
+      throw new ReadError(
+        'failed to unwrap data key',
+        { bucketName, key, keyId: encryption.keyId },
+        err
+      )
+    }
+  }
+
+  static _getEncryption(metadata) {
+    const customMetadata = metadata.metadata || {}
+    if (!customMetadata[METADATA_KEYS.wrappedKey]) {
+      return null
+    }
+    return {
+      wrappedKey: Buffer.from(
+        customMetadata[METADATA_KEYS.wrappedKey],
+        'base64'
+      ),
+      keyId: customMetadata[METADATA_KEYS.keyId],
+      iv: Buffer.from(customMetadata[METADATA_KEYS.iv], 'base64'),
+      chunkSize: Number(customMetadata[METADATA_KEYS.chunkSize])
+    }
+  }
+
+  static _getPlaintextSize(encryptedSize, chunkSize) {
+    return (
+      encryptedSize -
+      EncryptingPersistor._getChunkCount(encryptedSize, chunkSize) * TAG_LENGTH
+    )
+  }
+
+  // every object has at least one chunk, which may be empty
+  static _getChunkCount(encryptedSize, chunkSize) {
+    return Math.max(1, Math.ceil(encryptedSize / (chunkSize + TAG_LENGTH)))
+  }
+}
+
+// each chunk has its own iv, derived from the object's iv and the chunk index,
+// and authenticates its index and whether it is the last chunk
+function getChunkParams(iv, index, isLast) {
+  const chunkIv = Buffer.from(iv)
+  const offset = IV_LENGTH - 4
+  chunkIv.writeUInt32BE((chunkIv.readUInt32BE(offset) ^ index) >>> 0, offset)
+  const aad = Buffer.alloc(5)
+  aad.writeUInt32BE(index, 0)
+  aad.writeUInt8(isLast ? 1 : 0, 4)
+  return { chunkIv, aad }
+}
+
+class EncryptStream extends Stream.Transform {
+  constructor(dataKey, iv, chunkSize) {
+    super()
+
+    this.dataKey = dataKey
+    this.iv = iv
+    this.chunkSize = chunkSize
+    this.index = 0
+    this.buffer = Buffer.alloc(0)
+  }
+
+  _transform(chunk, encoding, done) {
+    this.buffer = Buffer.concat([this.buffer, chunk])
+    // hold back the last chunk, as it is encrypted differently
+    while (this.buffer.length > this.chunkSize) {
+      this.push(this._encryptChunk(this.buffer.slice(0, this.chunkSize), false))
+      this.buffer = this.buffer.slice(this.chunkSize)
+    }
+    done()
+  }
+
+  _flush(done) {
+    this.push(this._encryptChunk(this.buffer, true))
+    done()
+  }
+
+  _encryptChunk(data, isLast) {
+    const { chunkIv, aad } = getChunkParams(this.iv, this.index++, isLast)
+    const cipher = crypto.createCipheriv(ALGORITHM, this.dataKey, chunkIv)
+    cipher.setAAD(aad)
+    return Buffer.concat([
+      cipher.update(data),
+      cipher.final(),
+      cipher.getAuthTag()
+    ])
+  }
+}
+
+class DecryptStream extends Stream.Transform {
+  constructor(dataKey, iv, chunkSize, range) {
+    super()
+
+    this.dataKey = dataKey
+    this.iv = iv
+    this.chunkSize = chunkSize
+    this.index = range.firstChunk
+    this.lastChunk = range.lastChunk
+    this.chunkCount = range.chunkCount
+    this.skip = range.skip
+    this.remaining = range.length
+    this.buffer = Buffer.alloc(0)
+  }
+
+  _transform(chunk, encoding, done) {
+    this.buffer = Buffer.concat([this.buffer, chunk])
+    const encryptedChunkSize = this.chunkSize + TAG_LENGTH
+    try {
+      while (this.buffer.length >= encryptedChunkSize) {
+        this._decryptChunk(this.buffer.slice(0, encryptedChunkSize))
+        this.buffer = this.buffer.slice(encryptedChunkSize)
+      }
+    } catch (err) {
+      return done(err)
+    }
+    done()
+  }
+
+  _flush(done) {
+    try {
+      // the last chunk may be shorter than the others
+      if (this.buffer.length > 0) {
+        this._decryptChunk(this.buffer)
+      }
+      if (this.index !== this.lastChunk + 1) {
+        throw new ReadError('encrypted object is truncated', {
+          index: this.index,
+          lastChunk: this.lastChunk
+        })
+      }
+    } catch (err) {
+      return done(err)
+    }
+    done()
+  }
+
+  _decryptChunk(encryptedChunk) {
+    const index = this.index++
+    if (index > this.lastChunk) {
+      throw new ReadError('unexpected data after encrypted object', { index })
+    }
+
+    let data
+    try {
+      const { chunkIv, aad } = getChunkParams(
+        this.iv,
+        index,
+        index === this.chunkCount - 1
+      )
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.dataKey, chunkIv)
+      decipher.setAAD(aad)
+      decipher.setAuthTag(encryptedChunk.slice(-TAG_LENGTH))
+      data = Buffer.concat([
+        decipher.update(encryptedChunk.slice(0, -TAG_LENGTH)),
+        decipher.final()
+      ])
+    } catch (err) {
+      throw new ReadError('failed to decrypt object', { index }, err)
+    }
+
+    // trim the data to the requested range
+    const skipped = Math.min(this.skip, data.length)
+    this.skip -= skipped
+    data = data.slice(skipped, skipped + this.remaining)
+    this.remaining -= data.length
+    if (data.length) {
+      this.push(data)
+    }
+  }
+}
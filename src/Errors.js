@@ -5,11 +5,13 @@ class WriteError extends OError {}
 class ReadError extends OError {}
 class SettingsError extends OError {}
 class NotImplementedError extends OError {}
+class PreconditionFailedError extends OError {}
 
 module.exports = {
   NotFoundError,
   WriteError,
   ReadError,
   SettingsError,
-  NotImplementedError
+  NotImplementedError,
+  PreconditionFailedError
 }
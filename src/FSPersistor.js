@@ -1,22 +1,46 @@
+const crypto = require('crypto')
 const fs = require('fs')
 const glob = require('glob')
 const uuid = require('node-uuid')
 const path = require('path')
 const Stream = require('stream')
+const { URL } = require('url')
 const { promisify } = require('util')
+const asyncPool = require('tiny-async-pool')
 
 const AbstractPersistor = require('./AbstractPersistor')
-const { NotFoundError, ReadError, WriteError } = require('./Errors')
+const {
+  NotFoundError,
+  ReadError,
+  WriteError,
+  PreconditionFailedError
+} = require('./Errors')
 const PersistorHelper = require('./PersistorHelper')
 
 const pipeline = promisify(Stream.pipeline)
 const fsUnlink = promisify(fs.unlink)
 const fsOpen = promisify(fs.open)
 const fsStat = promisify(fs.stat)
+const fsRename = promisify(fs.rename)
+const fsCopyFile = promisify(fs.copyFile)
+const fsReadFile = promisify(fs.readFile)
+const fsWriteFile = promisify(fs.writeFile)
 const fsGlob = promisify(glob)
 
 const filterName = (key) => key.replace(/\//g, '_')
 
+// signed urls expire after 15 minutes, unless configured otherwise
+const DEFAULT_SIGNED_URL_EXPIRY_MS = 15 * 60 * 1000
+
+// the query parameters covered by the signature of a signed url
+const SIGNED_URL_FIELDS = [
+  'location',
+  'key',
+  'expires',
+  'response-content-disposition',
+  'response-content-type'
+]
+
 module.exports = class FSPersistor extends AbstractPersistor {
   constructor(settings) {
     super()
@@ -24,21 +48,35 @@ module.exports = class FSPersistor extends AbstractPersistor {
     this.settings = settings
   }
 
-  async sendFile(location, target, source) {
+  async sendFile(location, target, source, opts = {}) {
     const filteredTarget = filterName(target)
 
     // actually copy the file (instead of moving it) to maintain consistent behaviour
     // between the different implementations
     try {
+      await this._checkPreconditions(location, filteredTarget, opts)
+      if (!opts.ifNotExists) {
+        await this._archiveCurrentVersion(location, filteredTarget)
+      }
       const sourceStream = fs.createReadStream(source)
-      const targetStream = fs.createWriteStream(`${location}/${filteredTarget}`)
+      const targetStream = fs.createWriteStream(
+        `${location}/${filteredTarget}`,
+        FSPersistor._getWriteStreamOptions(opts)
+      )
       await pipeline(sourceStream, targetStream)
+      await this._writeSidecar(location, filteredTarget, {
+        contentType: opts.contentType,
+        contentEncoding: opts.contentEncoding,
+        metadata: PersistorHelper.getMetadataWithExpiry(opts),
+        tags: opts.tags
+      })
     } catch (err) {
       throw PersistorHelper.wrapError(
         err,
         'failed to copy the specified file',
         { location, target, source },
-        WriteError
+        WriteError,
+        opts
       )
     }
   }
@@ -51,10 +89,13 @@ module.exports = class FSPersistor extends AbstractPersistor {
     }
 
     try {
-      await this.sendFile(location, target, fsPath)
+      await this.sendFile(location, target, fsPath, opts)
       const destMd5 = await this.getObjectMd5Hash(location, target)
       if (sourceMd5 !== destMd5) {
         await this._deleteFile(`${location}/${filterName(target)}`)
+        await this._deleteFile(
+          this._getSidecarPath(location, filterName(target))
+        )
         throw new WriteError('md5 hash mismatch', {
           sourceMd5,
           destMd5,
@@ -67,12 +108,16 @@ module.exports = class FSPersistor extends AbstractPersistor {
     }
   }
 
-  // opts may be {start: Number, end: Number}
-  async getObjectStream(location, name, opts) {
+  // opts may be {start: Number, end: Number, version: String}
+  async getObjectStream(location, name, opts = {}) {
     const filteredName = filterName(name)
+    const { version, ...streamOptions } = opts
 
     try {
-      opts.fd = await fsOpen(`${location}/${filteredName}`, 'r')
+      streamOptions.fd = await fsOpen(
+        await this._getPathForVersion(location, filteredName, version),
+        'r'
+      )
     } catch (err) {
       throw PersistorHelper.wrapError(
         err,
@@ -82,10 +127,66 @@ module.exports = class FSPersistor extends AbstractPersistor {
       )
     }
 
-    return fs.createReadStream(null, opts)
+    return fs.createReadStream(null, streamOptions)
   }
 
-  async getRedirectUrl() {
+  // signed urls must be served by FSSignedUrlHandler
+  // opts may be { expiresInMs, responseContentDisposition, responseContentType }
+  async getRedirectUrl(location, name, opts = {}) {
+    if (!this.settings.signedUrlSecret || !this.settings.signedUrlBaseUrl) {
+      return null
+    }
+
+    const params = {
+      location,
+      key: filterName(name),
+      expires: String(
+        Date.now() +
+          (opts.expiresInMs ||
+            this.settings.signedUrlExpiryInMs ||
+            DEFAULT_SIGNED_URL_EXPIRY_MS)
+      ),
+      'response-content-disposition': opts.responseContentDisposition || '',
+      'response-content-type': opts.responseContentType || ''
+    }
+
+    const url = new URL(this.settings.signedUrlBaseUrl)
+    for (const field of SIGNED_URL_FIELDS) {
+      if (params[field]) {
+        url.searchParams.set(field, params[field])
+      }
+    }
+    url.searchParams.set('signature', this._signUrlParams(params))
+    return url.toString()
+  }
+
+  // returns the parameters of a signed url, or null if the signature is not
+  // valid or the url has expired. Used by FSSignedUrlHandler
+  verifySignedUrl(searchParams) {
+    if (!this.settings.signedUrlSecret) {
+      return null
+    }
+
+    const params = {}
+    for (const field of SIGNED_URL_FIELDS) {
+      params[field] = searchParams.get(field) || ''
+    }
+    const signature = Buffer.from(searchParams.get('signature') || '', 'hex')
+    const expectedSignature = Buffer.from(this._signUrlParams(params), 'hex')
+    if (
+      signature.length !== expectedSignature.length ||
+      !crypto.timingSafeEqual(signature, expectedSignature)
+    ) {
+      return null
+    }
+    const expires = Number(params.expires)
+    if (!Number.isFinite(expires) || expires < Date.now()) {
+      return null
+    }
+    return params
+  }
+
+  async getUploadUrl() {
     // not implemented
     return null
   }
@@ -119,20 +220,109 @@ module.exports = class FSPersistor extends AbstractPersistor {
     }
   }
 
-  async copyObject(location, fromName, toName) {
+  async getObjectMetadata(location, filename, opts = {}) {
+    const filteredName = filterName(filename)
+
+    try {
+      const fullPath = await this._getPathForVersion(
+        location,
+        filteredName,
+        opts.version
+      )
+      const stat = await fsStat(fullPath)
+      // previous versions do not keep their sidecar file
+      const sidecar =
+        fullPath === `${location}/${filteredName}`
+          ? await this.readSidecar(location, filteredName)
+          : {}
+      const metadata = {
+        size: stat.size,
+        md5: await FSPersistor._getFileMd5HashForPath(fullPath),
+        contentType: sidecar.contentType,
+        contentEncoding: sidecar.contentEncoding,
+        lastModified: stat.mtime,
+        metadata: sidecar.metadata || {}
+      }
+      if (this.settings.keepVersions) {
+        metadata.version =
+          opts.version ||
+          String(
+            FSPersistor._getNextVersion(
+              await this._getVersions(location, filteredName)
+            )
+          )
+      }
+      return metadata
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to get file metadata',
+        { location, filename },
+        ReadError
+      )
+    }
+  }
+
+  async copyObject(...args) {
+    const {
+      sourceBucket: fromLocation,
+      sourceKey: fromName,
+      destBucket: toLocation,
+      destKey: toName,
+      opts
+    } = PersistorHelper.parseCopyObjectArgs(args)
     const filteredFromName = filterName(fromName)
     const filteredToName = filterName(toName)
 
     try {
+      await this._checkPreconditions(toLocation, filteredToName, opts)
+      if (!opts.ifNotExists) {
+        await this._archiveCurrentVersion(toLocation, filteredToName)
+      }
       const sourceStream = fs.createReadStream(
-        `${location}/${filteredFromName}`
+        `${fromLocation}/${filteredFromName}`
+      )
+      const targetStream = fs.createWriteStream(
+        `${toLocation}/${filteredToName}`,
+        FSPersistor._getWriteStreamOptions(opts)
       )
-      const targetStream = fs.createWriteStream(`${location}/${filteredToName}`)
       await pipeline(sourceStream, targetStream)
+      await this._writeSidecar(
+        toLocation,
+        filteredToName,
+        await this.readSidecar(fromLocation, filteredFromName)
+      )
     } catch (err) {
       throw PersistorHelper.wrapError(
         err,
         'failed to copy file',
+        { fromLocation, filteredFromName, toLocation, filteredToName },
+        WriteError,
+        opts
+      )
+    }
+  }
+
+  async moveObject(location, fromName, toName) {
+    const filteredFromName = filterName(fromName)
+    const filteredToName = filterName(toName)
+
+    try {
+      await this._archiveCurrentVersion(location, filteredToName)
+      await fsRename(
+        `${location}/${filteredFromName}`,
+        `${location}/${filteredToName}`
+      )
+      await this._writeSidecar(
+        location,
+        filteredToName,
+        await this.readSidecar(location, filteredFromName)
+      )
+      await this._deleteFile(this._getSidecarPath(location, filteredFromName))
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to move file',
         { location, filteredFromName, filteredToName },
         WriteError
       )
@@ -142,6 +332,8 @@ module.exports = class FSPersistor extends AbstractPersistor {
   async deleteObject(location, name) {
     const filteredName = filterName(name)
     try {
+      await this._archiveCurrentVersion(location, filteredName)
+      await PersistorHelper.trashObject(this, location, filteredName)
       await fsUnlink(`${location}/${filteredName}`)
     } catch (err) {
       const wrappedError = PersistorHelper.wrapError(
@@ -156,17 +348,65 @@ module.exports = class FSPersistor extends AbstractPersistor {
         throw wrappedError
       }
     }
+    await this._deleteFile(this._getSidecarPath(location, filteredName))
+  }
+
+  async deleteObjects(location, names) {
+    const result = { deleted: [], errors: [] }
+
+    await asyncPool(
+      this.settings.deleteConcurrency || 50,
+      names,
+      async (name) => {
+        try {
+          await this.deleteObject(location, name)
+          result.deleted.push(name)
+        } catch (error) {
+          result.errors.push({ key: name, error })
+        }
+      }
+    )
+
+    return result
+  }
+
+  async *listDeletedObjects(location, prefix) {
+    yield* PersistorHelper.listDeletedObjects(this, location, prefix)
+  }
+
+  async restoreDeletedObject(location, name, deletedAt) {
+    return PersistorHelper.restoreDeletedObject(this, location, name, deletedAt)
+  }
+
+  async purgeDeletedObjects(location, opts = {}) {
+    return PersistorHelper.purgeDeletedObjects(this, location, opts)
+  }
+
+  async purgeExpired(location, prefix) {
+    return PersistorHelper.purgeExpired(this, location, prefix)
   }
 
   async deleteDirectory(location, name) {
     const filteredName = filterName(name.replace(/\/$/, ''))
 
     try {
-      await Promise.all(
-        (
-          await fsGlob(`${location}/${filteredName}_*`)
-        ).map((file) => fsUnlink(file))
+      const objectFiles = await fsGlob(`${location}/${filteredName}_*`)
+      const trashErrors = await PersistorHelper.trashObjects(
+        this,
+        location,
+        objectFiles.map((file) => path.basename(file)),
+        this.settings.deleteConcurrency || 50
       )
+      if (trashErrors.length) {
+        throw trashErrors[0].error
+      }
+
+      const files = [
+        ...objectFiles,
+        // sidecar files are hidden, so aren't matched by the pattern above
+        ...(await fsGlob(`${location}/.${filteredName}_*`))
+      ]
+      await Promise.all(files.map((file) => fsUnlink(file)))
     } catch (err) {
       throw PersistorHelper.wrapError(
         err,
@@ -227,6 +467,168 @@ module.exports = class FSPersistor extends AbstractPersistor {
     return size
   }
 
+  // note, keys are returned in their flattened form, as the original key can't
+  // be recovered from the filename
+  async *listObjects(location, prefix) {
+    const filteredPrefix = filterName(prefix)
+
+    let files
+    try {
+      files = await fsGlob(`${location}/${filteredPrefix}*`)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to list objects',
+        { location, prefix },
+        ReadError
+      )
+    }
+
+    for (const file of files) {
+      let stat, md5
+      try {
+        stat = await fsStat(file)
+        if (!stat.isFile()) {
+          continue
+        }
+        md5 = await FSPersistor._getFileMd5HashForPath(file)
+      } catch (err) {
+        // ignore files that may have just been deleted
+        if (err.code === 'ENOENT') {
+          continue
+        }
+        throw PersistorHelper.wrapError(
+          err,
+          'failed to stat file',
+          { location, file },
+          ReadError
+        )
+      }
+
+      yield {
+        key: path.basename(file),
+        size: stat.size,
+        md5,
+        lastModified: stat.mtime
+      }
+    }
+  }
+
+  async getObjectTags(location, name) {
+    const filteredName = filterName(name)
+
+    try {
+      await fsStat(`${location}/${filteredName}`)
+      const sidecar = await this.readSidecar(location, filteredName)
+      return sidecar.tags || {}
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to get tags of file',
+        { location, filteredName },
+        ReadError
+      )
+    }
+  }
+
+  async setObjectTags(location, name, tags) {
+    const filteredName = filterName(name)
+
+    try {
+      await fsStat(`${location}/${filteredName}`)
+      const sidecar = await this.readSidecar(location, filteredName)
+      await this._writeSidecar(location, filteredName, { ...sidecar, tags })
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to set tags of file',
+        { location, filteredName },
+        WriteError
+      )
+    }
+  }
+
+  async listObjectVersions(location, name) {
+    const filteredName = filterName(name)
+    const currentPath = `${location}/${filteredName}`
+
+    try {
+      const versions = await this._getVersions(location, filteredName)
+      const files = versions.map(({ version, path }) => ({
+        version: String(version),
+        path,
+        isLatest: false
+      }))
+      files.unshift({
+        version: String(FSPersistor._getNextVersion(versions)),
+        path: currentPath,
+        isLatest: true
+      })
+
+      const result = []
+      for (const { version, path, isLatest } of files) {
+        let stat
+        try {
+          stat = await fsStat(path)
+        } catch (err) {
+          // the current object may have been deleted
+          if (err.code === 'ENOENT') {
+            continue
+          }
+          throw err
+        }
+        result.push({
+          version,
+          size: stat.size,
+          md5: await FSPersistor._getFileMd5HashForPath(path),
+          lastModified: stat.mtime,
+          isLatest
+        })
+      }
+      return result
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to list file versions',
+        { location, name },
+        ReadError
+      )
+    }
+  }
+
+  async restoreObjectVersion(location, name, version) {
+    const filteredName = filterName(name)
+    const versionPath = await this._getPathForVersion(
+      location,
+      filteredName,
+      version
+    )
+    if (versionPath === `${location}/${filteredName}`) {
+      // this is already the current version
+      return
+    }
+
+    // check that the version exists before the current object is archived
+    try {
+      await fsStat(versionPath)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to stat file version',
+        { location, name, version },
+        ReadError
+      )
+    }
+
+    // the current object becomes a previous version, so keeps its sidecar data
+    await this.sendFile(
+      location,
+      name,
+      versionPath,
+      await this.readSidecar(location, filteredName)
+    )
+  }
+
   _getPath(key) {
     if (key == null) {
       key = uuid.v1()
@@ -269,6 +671,148 @@ module.exports = class FSPersistor extends AbstractPersistor {
     }
   }
 
+  _signUrlParams(params) {
+    return crypto
+      .createHmac('sha256', this.settings.signedUrlSecret)
+      .update(JSON.stringify(SIGNED_URL_FIELDS.map((field) => params[field])))
+      .digest('hex')
+  }
+
+  // when `keepVersions` is set, previous versions of an object are kept as
+  // hidden, numbered copies alongside it. The current object is identified by
+  // the number it will be kept under when it is replaced.
+  async _getVersions(location, filteredName) {
+    const prefix = this._getVersionPath(location, filteredName, '')
+    const files = await fsGlob(`${prefix}*`)
+    return files
+      .map((file) => file.slice(prefix.length))
+      .filter((version) => /^\d+$/.test(version))
+      .map((version) => ({
+        version: Number(version),
+        path: this._getVersionPath(location, filteredName, version)
+      }))
+      .sort((a, b) => b.version - a.version)
+  }
+
+  _getVersionPath(location, filteredName, version) {
+    return `${location}/.${filteredName}.v${version}`
+  }
+
+  async _getPathForVersion(location, filteredName, version) {
+    const currentPath = `${location}/${filteredName}`
+    if (version == null) {
+      return currentPath
+    }
+
+    const versions = await this._getVersions(location, filteredName)
+    if (String(FSPersistor._getNextVersion(versions)) === String(version)) {
+      return currentPath
+    }
+    return this._getVersionPath(location, filteredName, version)
+  }
+
+  // keeps a copy of the current object as a previous version, and removes any
+  // versions beyond the number to keep
+  async _archiveCurrentVersion(location, filteredName) {
+    if (!this.settings.keepVersions) {
+      return
+    }
+
+    const versions = await this._getVersions(location, filteredName)
+    try {
+      await fsCopyFile(
+        `${location}/${filteredName}`,
+        this._getVersionPath(
+          location,
+          filteredName,
+          FSPersistor._getNextVersion(versions)
+        )
+      )
+    } catch (err) {
+      // there is no current object to keep
+      if (err.code === 'ENOENT') {
+        return
+      }
+      throw err
+    }
+
+    const expiredVersions = versions.slice(this.settings.keepVersions - 1)
+    await Promise.all(expiredVersions.map(({ path }) => this._deleteFile(path)))
+  }
+
+  // note, this is not atomic - a concurrent write may still happen between the
+  // comparison and the write
+  async _checkPreconditions(location, filteredName, opts) {
+    if (opts.ifNotExists || !opts.ifMatch) {
+      // ifNotExists is handled by exclusively creating the file
+      return
+    }
+
+    let md5
+    try {
+      md5 = await FSPersistor._getFileMd5HashForPath(
+        `${location}/${filteredName}`
+      )
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err
+      }
+    }
+    if (md5 !== opts.ifMatch) {
+      throw new PreconditionFailedError('object does not match', {
+        location,
+        filteredName,
+        ifMatch: opts.ifMatch
+      })
+    }
+  }
+
+  // object metadata which can't be stored in the filesystem itself (content
+  // type, encoding, custom metadata and tags) is kept in a hidden JSON 'sidecar'
+  // file alongside the object
+  _getSidecarPath(location, filteredName) {
+    return `${location}/.${filteredName}.metadata.json`
+  }
+
+  // also used by FSSignedUrlHandler, to set the headers of a download
+  async readSidecar(location, filteredName) {
+    try {
+      return JSON.parse(
+        await fsReadFile(this._getSidecarPath(location, filteredName))
+      )
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return {}
+      }
+      throw err
+    }
+  }
+
+  async _writeSidecar(location, filteredName, sidecar) {
+    const sidecarPath = this._getSidecarPath(location, filteredName)
+    const contents = {}
+    for (const field of Object.keys(sidecar)) {
+      if (sidecar[field] != null) {
+        contents[field] = sidecar[field]
+      }
+    }
+
+    // remove any sidecar left behind by a previous version of the object
+    if (Object.keys(contents).length === 0) {
+      return this._deleteFile(sidecarPath)
+    }
+    await fsWriteFile(sidecarPath, JSON.stringify(contents))
+  }
+
+  static _getWriteStreamOptions(opts) {
+    // 'wx' fails with EEXIST if the file already exists
+    return { flags: opts.ifNotExists ? 'wx' : 'w' }
+  }
+
+  static _getNextVersion(versions) {
+    return versions.length ? versions[0].version + 1 : 1
+  }
+
   static async _getFileMd5HashForPath(fullPath) {
     const stream = fs.createReadStream(fullPath)
     return PersistorHelper.calculateStreamMd5(stream)
@@ -0,0 +1,106 @@
+const Logger = require('logger-sharelatex')
+const Stream = require('stream')
+const rangeParser = require('range-parser')
+const { URL } = require('url')
+const { promisify } = require('util')
+const FSPersistor = require('./FSPersistor')
+const { NotFoundError } = require('./Errors')
+
+const pipeline = promisify(Stream.pipeline)
+
+// Serves the signed urls generated by FSPersistor.getRedirectUrl. Takes the
+// same settings as the persistor itself, and returns a request handler for use
+// with an http server or express app, at the path given in
+// `settings.fs.signedUrlBaseUrl`
+// e.g.
+// app.get('/download', FSSignedUrlHandler(settings))
+
+module.exports = function FSSignedUrlHandler(settings) {
+  const persistor = new FSPersistor(
+    Object.assign({}, settings.fs, {
+      paths: settings.paths,
+      Metrics: settings.Metrics
+    })
+  )
+
+  return async function handleSignedUrlRequest(req, res) {
+    try {
+      await _handleRequest(persistor, req, res)
+    } catch (err) {
+      Logger.warn({ err }, 'error serving signed url')
+      if (!res.headersSent) {
+        res.statusCode = 500
+      }
+      res.end()
+    }
+  }
+}
+
+async function _handleRequest(persistor, req, res) {
+  const params = persistor.verifySignedUrl(
+    new URL(req.url, 'http://localhost').searchParams
+  )
+  if (!params) {
+    return _sendStatus(res, 403)
+  }
+
+  let size
+  try {
+    size = await persistor.getObjectSize(params.location, params.key)
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      return _sendStatus(res, 404)
+    }
+    throw err
+  }
+  const sidecar = await persistor.readSidecar(params.location, params.key)
+
+  res.setHeader('Accept-Ranges', 'bytes')
+  res.setHeader(
+    'Content-Type',
+    params['response-content-type'] ||
+      sidecar.contentType ||
+      'application/octet-stream'
+  )
+  if (sidecar.contentEncoding) {
+    res.setHeader('Content-Encoding', sidecar.contentEncoding)
+  }
+  if (params['response-content-disposition']) {
+    res.setHeader('Content-Disposition', params['response-content-disposition'])
+  }
+
+  const opts = {}
+  const ranges = req.headers.range
+    ? rangeParser(size, req.headers.range, { combine: true })
+    : null
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${size}`)
+    return _sendStatus(res, 416)
+  }
+  // multiple ranges aren't supported, so the whole file is sent instead
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    opts.start = ranges[0].start
+    opts.end = ranges[0].end
+    res.statusCode = 206
+    res.setHeader('Content-Range', `bytes ${opts.start}-${opts.end}/${size}`)
+    res.setHeader('Content-Length', opts.end - opts.start + 1)
+  } else {
+    res.statusCode = 200
+    res.setHeader('Content-Length', size)
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end()
+  }
+  const stream = await persistor.getObjectStream(
+    params.location,
+    params.key,
+    opts
+  )
+  await pipeline(stream, res)
+}
+
+function _sendStatus(res, statusCode) {
+  res.statusCode = statusCode
+  res.end()
+}
@@ -2,13 +2,22 @@ const fs = require('fs')
 const { promisify } = require('util')
 const Stream = require('stream')
 const { Storage } = require('@google-cloud/storage')
-const { WriteError, ReadError, NotFoundError } = require('./Errors')
+const {
+  WriteError,
+  ReadError,
+  NotFoundError,
+  NotImplementedError
+} = require('./Errors')
 const asyncPool = require('tiny-async-pool')
 const AbstractPersistor = require('./AbstractPersistor')
 const PersistorHelper = require('./PersistorHelper')
 
 const pipeline = promisify(Stream.pipeline)
 
+// GCS has no object tags, so they are stored in the custom metadata with this
+// prefix
+const TAG_PREFIX = 'tag:'
+
 module.exports = class GcsPersistor extends AbstractPersistor {
   constructor(settings) {
     super()
@@ -35,8 +44,8 @@ module.exports = class GcsPersistor extends AbstractPersistor {
     }
   }
 
-  async sendFile(bucketName, key, fsPath) {
-    return this.sendStream(bucketName, key, fs.createReadStream(fsPath))
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    return this.sendStream(bucketName, key, fs.createReadStream(fsPath), opts)
   }
 
   async sendStream(bucketName, key, readStream, opts = {}) {
@@ -73,10 +82,21 @@ module.exports = class GcsPersistor extends AbstractPersistor {
         writeOptions.metadata = writeOptions.metadata || {}
         writeOptions.metadata.contentEncoding = opts.contentEncoding
       }
+      const metadata = GcsPersistor._addTags(
+        PersistorHelper.getMetadataWithExpiry(opts),
+        opts.tags
+      )
+      if (metadata) {
+        writeOptions.metadata = writeOptions.metadata || {}
+        // custom metadata is nested inside the object metadata in GCS
+        writeOptions.metadata.metadata = metadata
+      }
 
+      // the client sends the generation of the file as an ifGenerationMatch
+      // precondition on upload
       const uploadStream = this.storage
         .bucket(bucketName)
-        .file(key)
+        .file(key, GcsPersistor._getPreconditionOptions(opts))
         .createWriteStream(writeOptions)
 
       await pipeline(readStream, observer, uploadStream)
@@ -99,10 +119,11 @@ module.exports = class GcsPersistor extends AbstractPersistor {
   }
 
   async getObjectStream(bucketName, key, opts = {}) {
+    const { version, ...readOptions } = opts
     const stream = this.storage
       .bucket(bucketName)
-      .file(key)
-      .createReadStream({ decompress: false, ...opts })
+      .file(key, GcsPersistor._getVersionOptions(version))
+      .createReadStream({ decompress: false, ...readOptions })
 
     // ingress to us from gcs
     const observer = new PersistorHelper.ObserverStream({
@@ -124,7 +145,8 @@ module.exports = class GcsPersistor extends AbstractPersistor {
     }
   }
 
-  async getRedirectUrl(bucketName, key) {
+  // opts may be { expiresInMs, responseContentDisposition, responseContentType }
+  async getRedirectUrl(bucketName, key, opts = {}) {
     if (this.settings.unsignedUrls) {
       // Construct a direct URL to the object download endpoint
       // (see https://cloud.google.com/storage/docs/request-endpoints#json-api)
@@ -133,14 +155,23 @@ module.exports = class GcsPersistor extends AbstractPersistor {
         this.settings.endpoint.apiEndpoint || 'storage.googleapis.com'
       return `${apiScheme}://${apiEndpoint}/download/storage/v1/b/${bucketName}/o/${key}?alt=media`
     }
+    const signOptions = {
+      action: 'read',
+      expires:
+        Date.now() + (opts.expiresInMs || this.settings.signedUrlExpiryInMs)
+    }
+    if (opts.responseContentDisposition) {
+      signOptions.responseDisposition = opts.responseContentDisposition
+    }
+    if (opts.responseContentType) {
+      signOptions.responseType = opts.responseContentType
+    }
+
     try {
       const [url] = await this.storage
         .bucket(bucketName)
         .file(key)
-        .getSignedUrl({
-          action: 'read',
-          expires: Date.now() + this.settings.signedUrlExpiryInMs
-        })
+        .getSignedUrl(signOptions)
       return url
     } catch (err) {
       throw PersistorHelper.wrapError(
@@ -152,51 +183,143 @@ module.exports = class GcsPersistor extends AbstractPersistor {
     }
   }
 
+  // opts may be { contentType, contentMd5, maxSize, expiresInMs }
+  async getUploadUrl(bucketName, key, opts = {}) {
+    if (opts.method && opts.method !== 'PUT') {
+      throw new NotImplementedError('only PUT uploads are supported by GCS', {
+        bucketName,
+        key,
+        method: opts.method
+      })
+    }
+
+    // the client must send the same headers as were signed
+    const headers = {}
+    const signOptions = {
+      version: 'v4',
+      action: 'write',
+      expires:
+        Date.now() + (opts.expiresInMs || this.settings.signedUrlExpiryInMs)
+    }
+    if (opts.contentType) {
+      signOptions.contentType = headers['Content-Type'] = opts.contentType
+    }
+    if (opts.contentMd5) {
+      signOptions.contentMd5 = headers['Content-MD5'] =
+        PersistorHelper.hexToBase64(opts.contentMd5)
+    }
+    if (opts.maxSize) {
+      // GCS rejects uploads outside of the signed range
+      headers['x-goog-content-length-range'] = `0,${opts.maxSize}`
+      signOptions.extensionHeaders = {
+        'x-goog-content-length-range': headers['x-goog-content-length-range']
+      }
+    }
+
+    try {
+      const [url] = await this.storage
+        .bucket(bucketName)
+        .file(key)
+        .getSignedUrl(signOptions)
+      return { method: 'PUT', url, headers }
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error generating signed upload url for GCS file',
+        { bucketName, key },
+        WriteError
+      )
+    }
+  }
+
   async getObjectSize(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.size
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.md5
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
     try {
       const [metadata] = await this.storage
         .bucket(bucketName)
-        .file(key)
+        .file(key, GcsPersistor._getVersionOptions(opts.version))
         .getMetadata()
-      return metadata.size
+      return {
+        size: Number(metadata.size),
+        // composite objects do not have an md5 hash
+        md5: metadata.md5Hash
+          ? PersistorHelper.base64ToHex(metadata.md5Hash)
+          : null,
+        contentType: metadata.contentType,
+        contentEncoding: metadata.contentEncoding,
+        lastModified: new Date(metadata.updated),
+        etag: metadata.etag,
+        generation: metadata.generation,
+        version: metadata.generation,
+        metadata: GcsPersistor._splitTags(metadata.metadata).metadata
+      }
     } catch (err) {
       throw PersistorHelper.wrapError(
         err,
-        'error getting size of GCS object',
+        'error getting metadata of GCS object',
         { bucketName, key },
         ReadError
       )
     }
   }
 
-  async getObjectMd5Hash(bucketName, key) {
+  async getObjectTags(bucketName, key) {
     try {
       const [metadata] = await this.storage
         .bucket(bucketName)
         .file(key)
         .getMetadata()
-      return PersistorHelper.base64ToHex(metadata.md5Hash)
+      return GcsPersistor._splitTags(metadata.metadata).tags
     } catch (err) {
       throw PersistorHelper.wrapError(
         err,
-        'error getting hash of GCS object',
+        'error getting tags of GCS object',
         { bucketName, key },
         ReadError
       )
     }
   }
 
-  async deleteObject(bucketName, key) {
+  async setObjectTags(bucketName, key, tags) {
     try {
       const file = this.storage.bucket(bucketName).file(key)
+      const [metadata] = await file.getMetadata()
 
-      if (this.settings.deletedBucketSuffix) {
-        await file.copy(
-          this.storage
-            .bucket(`${bucketName}${this.settings.deletedBucketSuffix}`)
-            .file(`${key}-${new Date().toISOString()}`)
-        )
+      // custom metadata is merged on update, so existing tags must be removed
+      // explicitly by setting them to null
+      const customMetadata = {}
+      for (const tag of Object.keys(
+        GcsPersistor._splitTags(metadata.metadata).tags
+      )) {
+        customMetadata[`${TAG_PREFIX}${tag}`] = null
       }
+      await file.setMetadata({
+        metadata: GcsPersistor._addTags(customMetadata, tags)
+      })
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error setting tags of GCS object',
+        { bucketName, key },
+        WriteError
+      )
+    }
+  }
+
+  async deleteObject(bucketName, key) {
+    try {
+      const file = this.storage.bucket(bucketName).file(key)
+
+      await PersistorHelper.trashObject(this, bucketName, key)
       if (this.settings.unlockBeforeDelete) {
         await file.setMetadata({ eventBasedHold: false })
       }
@@ -247,6 +370,42 @@ module.exports = class GcsPersistor extends AbstractPersistor {
     }
   }
 
+  async deleteObjects(bucketName, keys) {
+    const result = { deleted: [], errors: [] }
+
+    await asyncPool(this.settings.deleteConcurrency, keys, async (key) => {
+      try {
+        await this.deleteObject(bucketName, key)
+        result.deleted.push(key)
+      } catch (error) {
+        result.errors.push({ key, error })
+      }
+    })
+
+    return result
+  }
+
+  async *listDeletedObjects(bucketName, prefix) {
+    yield* PersistorHelper.listDeletedObjects(this, bucketName, prefix)
+  }
+
+  async restoreDeletedObject(bucketName, key, deletedAt) {
+    return PersistorHelper.restoreDeletedObject(
+      this,
+      bucketName,
+      key,
+      deletedAt
+    )
+  }
+
+  async purgeDeletedObjects(bucketName, opts = {}) {
+    return PersistorHelper.purgeDeletedObjects(this, bucketName, opts)
+  }
+
+  async purgeExpired(bucketName, prefix) {
+    return PersistorHelper.purgeExpired(this, bucketName, prefix)
+  }
+
   async directorySize(bucketName, key) {
     let files
 
@@ -267,6 +426,90 @@ module.exports = class GcsPersistor extends AbstractPersistor {
     return files.reduce((acc, file) => Number(file.metadata.size) + acc, 0)
   }
 
+  async *listObjects(bucketName, prefix, opts = {}) {
+    let query = { prefix, autoPaginate: false }
+    if (opts.pageSize) {
+      query.maxResults = opts.pageSize
+    }
+
+    while (query) {
+      let response
+      try {
+        response = await this.storage.bucket(bucketName).getFiles(query)
+      } catch (err) {
+        throw PersistorHelper.wrapError(
+          err,
+          'failed to list objects in GCS',
+          { bucketName, prefix },
+          ReadError
+        )
+      }
+
+      const [files, nextQuery] = response
+      for (const file of files) {
+        yield {
+          key: file.name,
+          size: Number(file.metadata.size),
+          // composite objects do not have an md5 hash
+          md5: file.metadata.md5Hash
+            ? PersistorHelper.base64ToHex(file.metadata.md5Hash)
+            : null,
+          lastModified: new Date(file.metadata.updated)
+        }
+      }
+      // the client returns a null query once there are no more pages
+      query = nextQuery
+    }
+  }
+
+  async listObjectVersions(bucketName, key) {
+    let files
+    try {
+      const [response] = await this.storage
+        .bucket(bucketName)
+        .getFiles({ prefix: key, versions: true })
+      files = response
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to list object versions in GCS',
+        { bucketName, key },
+        ReadError
+      )
+    }
+
+    // the listing is by prefix, so may include other objects
+    return files
+      .filter((file) => file.name === key)
+      .map((file) => ({
+        version: file.metadata.generation,
+        size: Number(file.metadata.size),
+        md5: file.metadata.md5Hash
+          ? PersistorHelper.base64ToHex(file.metadata.md5Hash)
+          : null,
+        lastModified: new Date(file.metadata.updated),
+        // noncurrent versions have the time at which they were replaced
+        isLatest: !file.metadata.timeDeleted
+      }))
+      .sort((a, b) => Number(b.version) - Number(a.version))
+  }
+
+  async restoreObjectVersion(bucketName, key, version) {
+    try {
+      const bucket = this.storage.bucket(bucketName)
+      await bucket
+        .file(key, GcsPersistor._getVersionOptions(version))
+        .copy(bucket.file(key))
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to restore object version in GCS',
+        { bucketName, key, version },
+        WriteError
+      )
+    }
+  }
+
   async checkIfObjectExists(bucketName, key) {
     try {
       const [response] = await this.storage
@@ -284,10 +527,24 @@ module.exports = class GcsPersistor extends AbstractPersistor {
     }
   }
 
-  async copyObject(bucketName, sourceKey, destKey) {
+  async copyObject(...args) {
+    const { sourceBucket, sourceKey, destBucket, destKey, opts } =
+      PersistorHelper.parseCopyObjectArgs(args)
     try {
-      const src = this.storage.bucket(bucketName).file(sourceKey)
-      const dest = this.storage.bucket(bucketName).file(destKey)
+      const src = this.storage.bucket(sourceBucket).file(sourceKey)
+      const dest = this.storage.bucket(destBucket).file(destKey)
+
+      // the client doesn't send preconditions when copying, so add them to the
+      // rewrite request ourselves
+      const { generation } = GcsPersistor._getPreconditionOptions(opts)
+      if (generation != null) {
+        src.interceptors.push({
+          request: (reqOpts) => {
+            reqOpts.qs = { ...reqOpts.qs, ifGenerationMatch: generation }
+            return reqOpts
+          }
+        })
+      }
       await src.copy(dest)
     } catch (err) {
       // fake-gcs-server has a bug that returns an invalid response when the file does not exist
@@ -297,9 +554,68 @@ module.exports = class GcsPersistor extends AbstractPersistor {
       throw PersistorHelper.wrapError(
         err,
         'failed to copy file in GCS',
+        { sourceBucket, sourceKey, destBucket, destKey },
+        WriteError
+      )
+    }
+  }
+
+  async moveObject(bucketName, sourceKey, destKey) {
+    try {
+      const src = this.storage.bucket(bucketName).file(sourceKey)
+      const dest = this.storage.bucket(bucketName).file(destKey)
+
+      // the source is deleted as part of the move, so must be unlocked first
+      if (this.settings.unlockBeforeDelete) {
+        await src.setMetadata({ eventBasedHold: false })
+      }
+      await src.move(dest)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to move file in GCS',
         { bucketName, sourceKey, destKey },
         WriteError
       )
     }
   }
+
+  static _addTags(metadata, tags) {
+    if (!tags) {
+      return metadata
+    }
+    const metadataWithTags = { ...metadata }
+    for (const tag of Object.keys(tags)) {
+      metadataWithTags[`${TAG_PREFIX}${tag}`] = tags[tag]
+    }
+    return metadataWithTags
+  }
+
+  static _splitTags(customMetadata) {
+    const metadata = {}
+    const tags = {}
+    for (const key of Object.keys(customMetadata || {})) {
+      if (key.startsWith(TAG_PREFIX)) {
+        tags[key.slice(TAG_PREFIX.length)] = customMetadata[key]
+      } else {
+        metadata[key] = customMetadata[key]
+      }
+    }
+    return { metadata, tags }
+  }
+
+  static _getVersionOptions(version) {
+    return version ? { generation: version } : {}
+  }
+
+  static _getPreconditionOptions(opts) {
+    if (opts.ifNotExists) {
+      // a generation of 0 only matches an object which does not exist
+      return { generation: 0 }
+    }
+    if (opts.ifMatch) {
+      return { generation: opts.ifMatch }
+    }
+    return {}
+  }
 }
@@ -0,0 +1,544 @@
+const fs = require('fs')
+const Stream = require('stream')
+const { MongoClient, GridFSBucket } = require('mongodb')
+const asyncPool = require('tiny-async-pool')
+const AbstractPersistor = require('./AbstractPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const {
+  NotFoundError,
+  WriteError,
+  ReadError,
+  SettingsError,
+  NotImplementedError,
+  PreconditionFailedError
+} = require('./Errors')
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Persistor which stores objects in MongoDB GridFS.
+//
+// Each bucket is a GridFS bucket, with its files in the `<bucket>.files` and
+// `<bucket>.chunks` collections, and keys are filenames. GridFS keeps every file
+// written with the same filename, so the newest is the current object, and
+// older files are removed once a new one has been written.
+
+module.exports = class GridFSPersistor extends AbstractPersistor {
+  constructor(settings = {}) {
+    super()
+
+    this.settings = settings
+
+    if (!this.settings.db && !this.settings.url) {
+      throw new SettingsError('no mongodb url for gridfs')
+    }
+  }
+
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    return this.sendStream(bucketName, key, fs.createReadStream(fsPath), opts)
+  }
+
+  async sendStream(bucketName, key, readStream, opts = {}) {
+    let file
+    try {
+      await this._checkPreconditions(bucketName, key, opts)
+      file = await this._upload(bucketName, key, readStream, {
+        contentType: opts.contentType,
+        metadata: {
+          contentEncoding: opts.contentEncoding,
+          metadata: PersistorHelper.getMetadataWithExpiry(opts),
+          tags: opts.tags || {}
+        }
+      })
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'upload to gridfs failed',
+        { bucketName, key },
+        WriteError
+      )
+    }
+
+    if (opts.sourceMd5 && opts.sourceMd5 !== file.md5) {
+      await this._deleteFiles(bucketName, [file])
+      throw new WriteError('md5 hash mismatch', {
+        bucketName,
+        key,
+        sourceMd5: opts.sourceMd5,
+        md5: file.md5
+      })
+    }
+
+    await this._deletePreviousFiles(bucketName, file)
+  }
+
+  // opts may be {start: Number, end: Number}
+  async getObjectStream(bucketName, key, opts = {}) {
+    GridFSPersistor._checkNoVersion(bucketName, key, opts)
+
+    // ingress to us from gridfs
+    const observer = new PersistorHelper.ObserverStream({
+      metric: 'gridfs.ingress',
+      Metrics: this.settings.Metrics
+    })
+
+    try {
+      const file = await this._getFile(bucketName, key)
+      const bucket = await this._getBucket(bucketName)
+      // the end of a gridfs range is exclusive, and must be within the file
+      const downloadStream = bucket.openDownloadStream(file._id, {
+        start: opts.start,
+        end: opts.end != null ? Math.min(opts.end + 1, file.length) : undefined
+      })
+      await PersistorHelper.getReadyPipeline(downloadStream, observer)
+      return observer
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error reading file from gridfs',
+        { bucketName, key, opts },
+        ReadError
+      )
+    }
+  }
+
+  async getRedirectUrl() {
+    // objects can only be read through the database connection
+    return null
+  }
+
+  async getUploadUrl() {
+    return null
+  }
+
+  async getObjectSize(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.size
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    if (metadata.md5) {
+      return metadata.md5
+    }
+
+    // files written without an md5 hash, e.g. by other drivers
+    try {
+      return await PersistorHelper.calculateStreamMd5(
+        await this.getObjectStream(bucketName, key)
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error getting hash of gridfs file',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    GridFSPersistor._checkNoVersion(bucketName, key, opts)
+
+    let file
+    try {
+      file = await this._getFile(bucketName, key)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error getting metadata of gridfs file',
+        { bucketName, key },
+        ReadError
+      )
+    }
+
+    const fields = file.metadata || {}
+    return {
+      size: file.length,
+      md5: file.md5 || null,
+      contentType: file.contentType,
+      contentEncoding: fields.contentEncoding,
+      lastModified: file.uploadDate,
+      metadata: fields.metadata || {}
+    }
+  }
+
+  async getObjectTags(bucketName, key) {
+    try {
+      const file = await this._getFile(bucketName, key)
+      return (file.metadata && file.metadata.tags) || {}
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error getting tags of gridfs file',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  async setObjectTags(bucketName, key, tags) {
+    try {
+      const file = await this._getFile(bucketName, key)
+      const db = await this._getDb()
+      await db
+        .collection(`${bucketName}.files`)
+        .updateOne({ _id: file._id }, { $set: { 'metadata.tags': tags } })
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error setting tags of gridfs file',
+        { bucketName, key },
+        WriteError
+      )
+    }
+  }
+
+  async copyObject(...args) {
+    const { sourceBucket, sourceKey, destBucket, destKey, opts } =
+      PersistorHelper.parseCopyObjectArgs(args)
+
+    let file
+    try {
+      const sourceFile = await this._getFile(sourceBucket, sourceKey)
+      await this._checkPreconditions(destBucket, destKey, opts)
+      const bucket = await this._getBucket(sourceBucket)
+      file = await this._upload(
+        destBucket,
+        destKey,
+        bucket.openDownloadStream(sourceFile._id),
+        { contentType: sourceFile.contentType, metadata: sourceFile.metadata }
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to copy file in gridfs',
+        { sourceBucket, sourceKey, destBucket, destKey },
+        WriteError
+      )
+    }
+
+    await this._deletePreviousFiles(destBucket, file)
+  }
+
+  // renames the current file, which makes it the newest file for the new key
+  async moveObject(bucketName, sourceKey, destKey) {
+    try {
+      const file = await this._getFile(bucketName, sourceKey)
+      if (sourceKey === destKey) {
+        return
+      }
+      const movedFile = { ...file, filename: destKey, uploadDate: new Date() }
+      const db = await this._getDb()
+      await db.collection(`${bucketName}.files`).updateOne(
+        { _id: file._id },
+        {
+          $set: {
+            filename: movedFile.filename,
+            uploadDate: movedFile.uploadDate
+          }
+        }
+      )
+      await this._deletePreviousFiles(bucketName, movedFile)
+      await this._deleteFiles(
+        bucketName,
+        await this._findFiles(bucketName, { filename: sourceKey })
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to move file in gridfs',
+        { bucketName, sourceKey, destKey },
+        WriteError
+      )
+    }
+  }
+
+  async deleteObject(bucketName, key) {
+    try {
+      await PersistorHelper.trashObject(this, bucketName, key)
+      // as for S3, deleting a file which doesn't exist is not an error
+      await this._deleteFiles(
+        bucketName,
+        await this._findFiles(bucketName, { filename: key })
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to delete file in gridfs',
+        { bucketName, key },
+        WriteError
+      )
+    }
+  }
+
+  async deleteObjects(bucketName, keys) {
+    const result = { deleted: [], errors: [] }
+
+    await asyncPool(
+      this.settings.deleteConcurrency || 50,
+      keys,
+      async (key) => {
+        try {
+          await this.deleteObject(bucketName, key)
+          result.deleted.push(key)
+        } catch (error) {
+          result.errors.push({ key, error })
+        }
+      }
+    )
+
+    return result
+  }
+
+  async *listDeletedObjects(bucketName, prefix) {
+    yield* PersistorHelper.listDeletedObjects(this, bucketName, prefix)
+  }
+
+  async restoreDeletedObject(bucketName, key, deletedAt) {
+    return PersistorHelper.restoreDeletedObject(
+      this,
+      bucketName,
+      key,
+      deletedAt
+    )
+  }
+
+  async purgeDeletedObjects(bucketName, opts = {}) {
+    return PersistorHelper.purgeDeletedObjects(this, bucketName, opts)
+  }
+
+  async purgeExpired(bucketName, prefix) {
+    return PersistorHelper.purgeExpired(this, bucketName, prefix)
+  }
+
+  async deleteDirectory(bucketName, prefix) {
+    try {
+      const files = await this._findFiles(
+        bucketName,
+        GridFSPersistor._getPrefixFilter(prefix)
+      )
+      const keys = [...new Set(files.map((file) => file.filename))]
+      const trashErrors = await PersistorHelper.trashObjects(
+        this,
+        bucketName,
+        keys,
+        this.settings.deleteConcurrency || 50
+      )
+      if (trashErrors.length) {
+        throw trashErrors[0].error
+      }
+      await this._deleteFiles(bucketName, files)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to delete directory in gridfs',
+        { bucketName, prefix },
+        WriteError
+      )
+    }
+  }
+
+  async checkIfObjectExists(bucketName, key) {
+    try {
+      const files = await this._findFiles(
+        bucketName,
+        { filename: key },
+        { limit: 1 }
+      )
+      return files.length > 0
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error checking whether gridfs file exists',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  async directorySize(bucketName, prefix) {
+    let size = 0
+    for await (const object of this.listObjects(bucketName, prefix)) {
+      size += object.size
+    }
+    return size
+  }
+
+  // objects are listed in order of their keys, as for S3 and GCS
+  async *listObjects(bucketName, prefix, opts = {}) {
+    let cursor
+    try {
+      const bucket = await this._getBucket(bucketName)
+      cursor = bucket.find(GridFSPersistor._getPrefixFilter(prefix), {
+        sort: { filename: 1, uploadDate: -1 },
+        batchSize: opts.pageSize
+      })
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to list objects in gridfs',
+        { bucketName, prefix },
+        ReadError
+      )
+    }
+
+    let lastKey
+    for await (const file of cursor) {
+      // only the newest file for each key is the current object
+      if (file.filename === lastKey) {
+        continue
+      }
+      lastKey = file.filename
+      yield {
+        key: file.filename,
+        size: file.length,
+        md5: file.md5 || null,
+        lastModified: file.uploadDate
+      }
+    }
+  }
+
+  // connects on first use, unless the settings have a connected database
+  _getDb() {
+    if (!this.db) {
+      this.db = this.settings.db
+        ? Promise.resolve(this.settings.db)
+        : MongoClient.connect(this.settings.url, {
+            useUnifiedTopology: true,
+            ...this.settings.options
+          })
+            .then((client) => client.db())
+            .catch((err) => {
+              this.db = null
+              throw err
+            })
+    }
+    return this.db
+  }
+
+  async _getBucket(bucketName) {
+    return new GridFSBucket(await this._getDb(), {
+      bucketName,
+      chunkSizeBytes: this.settings.chunkSizeBytes
+    })
+  }
+
+  async _findFiles(bucketName, filter, opts = {}) {
+    const bucket = await this._getBucket(bucketName)
+    return bucket.find(filter, opts).toArray()
+  }
+
+  async _getFile(bucketName, key) {
+    const [file] = await this._findFiles(
+      bucketName,
+      { filename: key },
+      { sort: { uploadDate: -1 }, limit: 1 }
+    )
+    if (!file) {
+      throw new NotFoundError('no such file', { bucketName, key })
+    }
+    return file
+  }
+
+  // preconditions are checked before writing, so are not atomic
+  async _checkPreconditions(bucketName, key, opts) {
+    if (!opts.ifNotExists && !opts.ifMatch) {
+      return
+    }
+    const [file] = await this._findFiles(
+      bucketName,
+      { filename: key },
+      { sort: { uploadDate: -1 }, limit: 1 }
+    )
+    if (opts.ifNotExists && file) {
+      throw new PreconditionFailedError('object already exists', {
+        bucketName,
+        key
+      })
+    }
+    if (opts.ifMatch && (!file || file.md5 !== opts.ifMatch)) {
+      throw new PreconditionFailedError('object does not match', {
+        bucketName,
+        key,
+        ifMatch: opts.ifMatch
+      })
+    }
+  }
+
+  // gridfs upload streams emit 'finish' with the files document once it has
+  // been written, rather than when the stream ends
+  async _upload(bucketName, key, readStream, fields) {
+    const bucket = await this._getBucket(bucketName)
+    const uploadStream = bucket.openUploadStream(key, fields)
+
+    // egress from us to gridfs
+    const observer = new PersistorHelper.ObserverStream({
+      metric: 'gridfs.egress',
+      Metrics: this.settings.Metrics
+    })
+
+    return new Promise((resolve, reject) => {
+      uploadStream.once('finish', resolve)
+      uploadStream.once('error', reject)
+      Stream.pipeline(readStream, observer, (err) => {
+        if (err) {
+          // remove the chunks which have already been written
+          uploadStream.abort(() => reject(err))
+        }
+      })
+      observer.pipe(uploadStream)
+    })
+  }
+
+  // removes the files replaced by a newer file with the same key
+  async _deletePreviousFiles(bucketName, file) {
+    try {
+      await this._deleteFiles(
+        bucketName,
+        await this._findFiles(bucketName, {
+          filename: file.filename,
+          uploadDate: { $lt: file.uploadDate }
+        })
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to delete previous gridfs files',
+        { bucketName, key: file.filename },
+        WriteError
+      )
+    }
+  }
+
+  async _deleteFiles(bucketName, files) {
+    const bucket = await this._getBucket(bucketName)
+    await asyncPool(
+      this.settings.deleteConcurrency || 50,
+      files,
+      async (file) => {
+        try {
+          await bucket.delete(file._id)
+        } catch (err) {
+          // the file may have been deleted by another request
+          if (!/^FileNotFound/.test(err.message)) {
+            throw err
+          }
+        }
+      }
+    )
+  }
+
+  static _checkNoVersion(bucketName, key, opts) {
+    if (opts.version) {
+      throw new NotImplementedError('gridfs does not keep versions', {
+        bucketName,
+        key,
+        version: opts.version
+      })
+    }
+  }
+
+  static _getPrefixFilter(prefix) {
+    return { filename: { $regex: `^${escapeRegExp(prefix)}` } }
+  }
+}
@@ -0,0 +1,234 @@
+const http = require('http')
+const https = require('https')
+const { URL } = require('url')
+const AbstractPersistor = require('./AbstractPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const {
+  NotFoundError,
+  ReadError,
+  SettingsError,
+  NotImplementedError
+} = require('./Errors')
+
+const MD5_REGEX = /^[0-9a-f]{32}$/
+
+// Read-only persistor for objects served by an HTTP server, e.g. a legacy file
+// server used as the fallback of a MigrationPersistor.
+//
+// The url of each object comes from a template for its bucket, in which
+// `{bucket}` and `{key}` are replaced by the escaped bucket name and key
+// e.g.
+// settings.buckets = {
+//   myBucket: 'https://files.example.com/legacy/{key}'
+// }
+//
+// Only the read methods are implemented - the others throw a
+// NotImplementedError from AbstractPersistor.
+
+module.exports = class HttpPersistor extends AbstractPersistor {
+  constructor(settings = {}) {
+    super()
+
+    this.settings = settings
+
+    if (!this.settings.url && !this.settings.buckets) {
+      throw new SettingsError('no url template for http persistor')
+    }
+  }
+
+  // opts may be {start: Number, end: Number}
+  async getObjectStream(bucketName, key, opts = {}) {
+    if (opts.version) {
+      throw new NotImplementedError('http persistor does not keep versions', {
+        bucketName,
+        key,
+        version: opts.version
+      })
+    }
+
+    const headers = {}
+    const isRange = opts.start != null || opts.end != null
+    if (isRange) {
+      headers.Range = `bytes=${opts.start || 0}-${
+        opts.end != null ? opts.end : ''
+      }`
+    }
+
+    // ingress to us from the http server
+    const observer = new PersistorHelper.ObserverStream({
+      metric: 'http.ingress',
+      Metrics: this.settings.Metrics
+    })
+
+    try {
+      const response = await this._request('GET', bucketName, key, headers)
+      if (isRange && response.statusCode !== 206) {
+        // the server has ignored the range, and is sending the whole object
+        response.resume()
+        throw new ReadError('http server does not support ranges', {
+          statusCode: response.statusCode
+        })
+      }
+      await PersistorHelper.getReadyPipeline(response, observer)
+      return observer
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error reading file from http server',
+        { bucketName, key, opts },
+        ReadError
+      )
+    }
+  }
+
+  async getRedirectUrl() {
+    // the server may not be reachable by clients, and its urls can't be signed
+    return null
+  }
+
+  async getObjectSize(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.size
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    if (metadata.md5) {
+      return metadata.md5
+    }
+
+    // the server doesn't send an md5 hash
+    if (this.settings.Metrics) {
+      this.settings.Metrics.inc('http.md5Download')
+    }
+    try {
+      return await PersistorHelper.calculateStreamMd5(
+        await this.getObjectStream(bucketName, key)
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error getting hash of file from http server',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    if (opts.version) {
+      throw new NotImplementedError('http persistor does not keep versions', {
+        bucketName,
+        key,
+        version: opts.version
+      })
+    }
+
+    let response
+    try {
+      response = await this._request('HEAD', bucketName, key)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error getting metadata from http server',
+        { bucketName, key },
+        ReadError
+      )
+    }
+
+    const { headers } = response
+    return {
+      size: parseInt(headers['content-length'], 10),
+      md5: HttpPersistor._getMd5FromHeaders(headers),
+      contentType: headers['content-type'],
+      contentEncoding: headers['content-encoding'],
+      lastModified: headers['last-modified']
+        ? new Date(headers['last-modified'])
+        : undefined,
+      etag: headers.etag,
+      metadata: {}
+    }
+  }
+
+  async checkIfObjectExists(bucketName, key) {
+    try {
+      await this._request('HEAD', bucketName, key)
+      return true
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        return false
+      }
+      throw PersistorHelper.wrapError(
+        err,
+        'error checking whether file exists on http server',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  _getUrl(bucketName, key) {
+    const template =
+      (this.settings.buckets && this.settings.buckets[bucketName]) ||
+      this.settings.url
+    if (!template) {
+      throw new SettingsError('no url template for bucket', { bucketName })
+    }
+    return new URL(
+      template
+        .replace('{bucket}', encodeURIComponent(bucketName))
+        .replace('{key}', key.split('/').map(encodeURIComponent).join('/'))
+    )
+  }
+
+  // resolves with the response for a successful request, and rejects for any
+  // other status
+  _request(method, bucketName, key, headers = {}) {
+    const url = this._getUrl(bucketName, key)
+    const client = url.protocol === 'https:' ? https : http
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method,
+        headers: { ...this.settings.headers, ...headers },
+        timeout: this.settings.timeout
+      })
+      request.once('timeout', () => {
+        request.destroy(new ReadError('http request timed out'))
+      })
+      request.once('error', reject)
+      request.once('response', (response) => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          if (method === 'HEAD') {
+            // there is no body, but the response must end to free the socket
+            response.resume()
+          }
+          return resolve(response)
+        }
+        // discard the body of the error
+        response.resume()
+        const info = {
+          method,
+          url: `${url.origin}${url.pathname}`,
+          statusCode: response.statusCode
+        }
+        if (response.statusCode === 404) {
+          return reject(new NotFoundError('no such file', info))
+        }
+        reject(new ReadError('unexpected status from http server', info))
+      })
+      request.end()
+    })
+  }
+
+  // the md5 hash is taken from the Content-MD5 header, or from the ETag if it
+  // is an md5 hash, as for many static file servers - weak ETags don't identify
+  // the exact content, so are ignored
+  static _getMd5FromHeaders(headers) {
+    if (headers['content-md5']) {
+      return PersistorHelper.base64ToHex(headers['content-md5'])
+    }
+    const etag = (headers.etag || '').replace(/"/g, '').toLowerCase()
+    return MD5_REGEX.test(etag) ? etag : null
+  }
+}
@@ -0,0 +1,72 @@
+const crypto = require('crypto')
+const { SettingsError, ReadError } = require('./Errors')
+
+// Key provider for EncryptingPersistor which wraps data keys with AES-256-GCM,
+// using master keys from the settings. Any object with `wrapKey` and
+// `unwrapKey` methods can be used instead, e.g. to wrap keys with a KMS.
+//
+// Settings.encryption.keys is an object of key id to 32-byte master key (in
+// base64), and Settings.encryption.currentKeyId is the id of the key to wrap
+// new data keys with. Old keys should be kept so that older objects can still
+// be decrypted.
+
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+
+module.exports = class LocalKeyProvider {
+  constructor(settings) {
+    this.keys = {}
+    for (const keyId of Object.keys(settings.keys || {})) {
+      this.keys[keyId] = Buffer.from(settings.keys[keyId], 'base64')
+      if (this.keys[keyId].length !== 32) {
+        throw new SettingsError('master key must be 32 bytes', { keyId })
+      }
+    }
+
+    this.currentKeyId = settings.currentKeyId
+    if (!this.keys[this.currentKeyId]) {
+      throw new SettingsError('no master key for current key id', {
+        currentKeyId: this.currentKeyId
+      })
+    }
+  }
+
+  // returns { keyId, wrappedKey }, where wrappedKey is a Buffer
+  async wrapKey(dataKey) {
+    const iv = crypto.randomBytes(IV_LENGTH)
+    const cipher = crypto.createCipheriv(
+      'aes-256-gcm',
+      this.keys[this.currentKeyId],
+      iv
+    )
+    const encryptedKey = Buffer.concat([cipher.update(dataKey), cipher.final()])
+    return {
+      keyId: this.currentKeyId,
+      wrappedKey: Buffer.concat([iv, encryptedKey, cipher.getAuthTag()])
+    }
+  }
+
+  async unwrapKey(keyId, wrappedKey) {
+    const masterKey = this.keys[keyId]
+    if (!masterKey) {
+      throw new ReadError('no master key to unwrap data key', { keyId })
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        masterKey,
+        wrappedKey.slice(0, IV_LENGTH)
+      )
+      decipher.setAuthTag(wrappedKey.slice(wrappedKey.length - TAG_LENGTH))
+      return Buffer.concat([
+        decipher.update(
+          wrappedKey.slice(IV_LENGTH, wrappedKey.length - TAG_LENGTH)
+        ),
+        decipher.final()
+      ])
+    } catch (err) {
+      throw new ReadError('failed to unwrap data key', { keyId }, err)
+    }
+  }
+}
@@ -0,0 +1,349 @@
+const fs = require('fs')
+const Stream = require('stream')
+const { promisify } = require('util')
+const AbstractPersistor = require('./AbstractPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const {
+  NotFoundError,
+  WriteError,
+  PreconditionFailedError
+} = require('./Errors')
+
+const pipeline = promisify(Stream.pipeline)
+
+// Persistor which keeps objects in memory, for tests and short-lived data.
+//
+// Objects are stored as Buffers, with their metadata, in a Map of keys for each
+// bucket. Buckets are created when an object is first written to them. All
+// data is lost when the process exits.
+
+module.exports = class MemoryPersistor extends AbstractPersistor {
+  constructor(settings = {}) {
+    super()
+
+    this.settings = settings
+    this.buckets = new Map()
+    this.versions = new Map()
+    this.nextVersion = 1
+  }
+
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    return this.sendStream(bucketName, key, fs.createReadStream(fsPath), opts)
+  }
+
+  async sendStream(bucketName, key, readStream, opts = {}) {
+    const chunks = []
+    const observer = new PersistorHelper.ObserverStream({ hash: 'md5' })
+    try {
+      await pipeline(
+        readStream,
+        observer,
+        new Stream.Writable({
+          write(chunk, encoding, done) {
+            chunks.push(chunk)
+            done()
+          }
+        })
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'upload to memory failed',
+        { bucketName, key },
+        WriteError
+      )
+    }
+
+    const md5 = observer.getHash()
+    if (opts.sourceMd5 && opts.sourceMd5 !== md5) {
+      throw new WriteError('md5 hash mismatch', {
+        bucketName,
+        key,
+        sourceMd5: opts.sourceMd5,
+        md5
+      })
+    }
+
+    this._putObject(
+      bucketName,
+      key,
+      {
+        data: Buffer.concat(chunks),
+        md5,
+        contentType: opts.contentType,
+        contentEncoding: opts.contentEncoding,
+        metadata: PersistorHelper.getMetadataWithExpiry(opts),
+        tags: { ...opts.tags }
+      },
+      opts
+    )
+  }
+
+  // opts may be {start: Number, end: Number, version: String}
+  async getObjectStream(bucketName, key, opts = {}) {
+    const object = this._getObject(bucketName, key, opts.version)
+    // the stream has its own copy of the data, so can't modify the object
+    const data = Buffer.from(
+      object.data.slice(
+        opts.start || 0,
+        opts.end != null ? opts.end + 1 : object.data.length
+      )
+    )
+    return Stream.Readable.from([data], { objectMode: false })
+  }
+
+  async getRedirectUrl() {
+    // objects can't be fetched from outside the process
+    return null
+  }
+
+  async getUploadUrl() {
+    return null
+  }
+
+  async getObjectSize(bucketName, key) {
+    return this._getObject(bucketName, key).data.length
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    return this._getObject(bucketName, key).md5
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    const object = this._getObject(bucketName, key, opts.version)
+    return {
+      size: object.data.length,
+      md5: object.md5,
+      contentType: object.contentType,
+      contentEncoding: object.contentEncoding,
+      lastModified: new Date(object.lastModified),
+      version: object.version,
+      metadata: { ...object.metadata }
+    }
+  }
+
+  async getObjectTags(bucketName, key) {
+    return { ...this._getObject(bucketName, key).tags }
+  }
+
+  async setObjectTags(bucketName, key, tags) {
+    this._getObject(bucketName, key).tags = { ...tags }
+  }
+
+  async listObjectVersions(bucketName, key) {
+    const current = this._getBucket(bucketName).get(key)
+    const versions = this._getVersions(bucketName, key)
+    return [
+      ...(current ? [{ ...current, isLatest: true }] : []),
+      ...versions.map((version) => ({ ...version, isLatest: false }))
+    ].map(({ version, data, md5, lastModified, isLatest }) => ({
+      version,
+      size: data.length,
+      md5,
+      lastModified: new Date(lastModified),
+      isLatest
+    }))
+  }
+
+  async restoreObjectVersion(bucketName, key, version) {
+    const object = this._getObject(bucketName, key, version)
+    const current = this._getBucket(bucketName).get(key)
+    if (current === object) {
+      // this is already the current version
+      return
+    }
+    this._putObject(bucketName, key, object)
+  }
+
+  async copyObject(...args) {
+    const { sourceBucket, sourceKey, destBucket, destKey, opts } =
+      PersistorHelper.parseCopyObjectArgs(args)
+
+    this._putObject(
+      destBucket,
+      destKey,
+      this._getObject(sourceBucket, sourceKey),
+      opts
+    )
+  }
+
+  async moveObject(bucketName, sourceKey, destKey) {
+    const object = this._getObject(bucketName, sourceKey)
+    if (sourceKey === destKey) {
+      return
+    }
+    this._putObject(bucketName, destKey, object)
+    this._getBucket(bucketName).delete(sourceKey)
+  }
+
+  async deleteObject(bucketName, key) {
+    // deleting an object which doesn't exist is not an error, as with S3
+    await PersistorHelper.trashObject(this, bucketName, key)
+    this._archiveCurrentVersion(bucketName, key)
+    this._getBucket(bucketName).delete(key)
+  }
+
+  async deleteObjects(bucketName, keys) {
+    const result = { deleted: [], errors: [] }
+
+    for (const key of keys) {
+      try {
+        await this.deleteObject(bucketName, key)
+        result.deleted.push(key)
+      } catch (error) {
+        result.errors.push({ key, error })
+      }
+    }
+
+    return result
+  }
+
+  async *listDeletedObjects(bucketName, prefix) {
+    yield* PersistorHelper.listDeletedObjects(this, bucketName, prefix)
+  }
+
+  async restoreDeletedObject(bucketName, key, deletedAt) {
+    return PersistorHelper.restoreDeletedObject(
+      this,
+      bucketName,
+      key,
+      deletedAt
+    )
+  }
+
+  async purgeDeletedObjects(bucketName, opts = {}) {
+    return PersistorHelper.purgeDeletedObjects(this, bucketName, opts)
+  }
+
+  async purgeExpired(bucketName, prefix) {
+    return PersistorHelper.purgeExpired(this, bucketName, prefix)
+  }
+
+  async deleteDirectory(bucketName, prefix) {
+    const keys = this._getKeys(bucketName, prefix)
+    const trashErrors = await PersistorHelper.trashObjects(
+      this,
+      bucketName,
+      keys,
+      keys.length
+    )
+    if (trashErrors.length) {
+      throw PersistorHelper.wrapError(
+        trashErrors[0].error,
+        'failed to delete directory',
+        { bucketName, prefix },
+        WriteError
+      )
+    }
+
+    for (const key of keys) {
+      this._archiveCurrentVersion(bucketName, key)
+      this._getBucket(bucketName).delete(key)
+    }
+  }
+
+  async checkIfObjectExists(bucketName, key) {
+    return this._getBucket(bucketName).has(key)
+  }
+
+  async directorySize(bucketName, prefix) {
+    let size = 0
+    for (const key of this._getKeys(bucketName, prefix)) {
+      size += this._getBucket(bucketName).get(key).data.length
+    }
+    return size
+  }
+
+  // objects are listed in order of their keys, as for S3 and GCS
+  async *listObjects(bucketName, prefix) {
+    for (const key of this._getKeys(bucketName, prefix)) {
+      const object = this._getBucket(bucketName).get(key)
+      // ignore objects which have been deleted during the listing
+      if (!object) {
+        continue
+      }
+      yield {
+        key,
+        size: object.data.length,
+        md5: object.md5,
+        lastModified: new Date(object.lastModified)
+      }
+    }
+  }
+
+  // returns the bucket's map of keys to objects, which is empty for a bucket
+  // that doesn't exist
+  _getBucket(bucketName) {
+    return this.buckets.get(bucketName) || new Map()
+  }
+
+  _getKeys(bucketName, prefix) {
+    return [...this._getBucket(bucketName).keys()]
+      .filter((key) => key.startsWith(prefix))
+      .sort()
+  }
+
+  _getObject(bucketName, key, version) {
+    const current = this._getBucket(bucketName).get(key)
+    const object =
+      version == null || (current && current.version === String(version))
+        ? current
+        : this._getVersions(bucketName, key).find(
+            (object) => object.version === String(version)
+          )
+    if (!object) {
+      throw new NotFoundError('no such object', { bucketName, key, version })
+    }
+    return object
+  }
+
+  // stores a copy of the object as the new current version
+  _putObject(bucketName, key, object, opts = {}) {
+    const current = this._getBucket(bucketName).get(key)
+    if (opts.ifNotExists && current) {
+      throw new PreconditionFailedError('object already exists', {
+        bucketName,
+        key
+      })
+    }
+    if (opts.ifMatch && (!current || current.md5 !== opts.ifMatch)) {
+      throw new PreconditionFailedError('object does not match', {
+        bucketName,
+        key,
+        ifMatch: opts.ifMatch
+      })
+    }
+
+    this._archiveCurrentVersion(bucketName, key)
+    if (!this.buckets.has(bucketName)) {
+      this.buckets.set(bucketName, new Map())
+    }
+    this.buckets.get(bucketName).set(key, {
+      ...object,
+      metadata: { ...object.metadata },
+      tags: { ...object.tags },
+      lastModified: Date.now(),
+      version: String(this.nextVersion++)
+    })
+  }
+
+  // when `keepVersions` is set, previous versions of each object are kept,
+  // newest first, including after the object is deleted
+  _getVersions(bucketName, key) {
+    return this.versions.get(JSON.stringify([bucketName, key])) || []
+  }
+
+  _archiveCurrentVersion(bucketName, key) {
+    const current = this._getBucket(bucketName).get(key)
+    if (!this.settings.keepVersions || !current) {
+      return
+    }
+    this.versions.set(
+      JSON.stringify([bucketName, key]),
+      [current, ...this._getVersions(bucketName, key)].slice(
+        0,
+        this.settings.keepVersions
+      )
+    )
+  }
+}
@@ -2,7 +2,13 @@ const AbstractPersistor = require('./AbstractPersistor')
 const Logger = require('logger-sharelatex')
 const Stream = require('stream')
 const { promisify } = require('util')
-const { NotFoundError, WriteError } = require('./Errors')
+const PersistorHelper = require('./PersistorHelper')
+const {
+  NotFoundError,
+  NotImplementedError,
+  WriteError,
+  PreconditionFailedError
+} = require('./Errors')
 
 const pipeline = promisify(Stream.pipeline)
 
@@ -17,6 +23,9 @@ const pipeline = promisify(Stream.pipeline)
 // Settings.fallback.buckets = {
 //   myBucketOnS3: 'myBucketOnGCS'
 // }
+//
+// The fallback may be read-only, such as an HttpPersistor, in which case writes
+// to it are skipped.
 
 module.exports = class MigrationPersistor extends AbstractPersistor {
   constructor(primaryPersistor, fallbackPersistor, settings) {
@@ -39,6 +48,10 @@ module.exports = class MigrationPersistor extends AbstractPersistor {
     return this.primaryPersistor.getRedirectUrl(...args)
   }
 
+  async getUploadUrl(...args) {
+    return this.primaryPersistor.getUploadUrl(...args)
+  }
+
   async getObjectMd5Hash(...args) {
     return this._runWithFallback('getObjectMd5Hash', ...args)
   }
@@ -51,6 +64,49 @@ module.exports = class MigrationPersistor extends AbstractPersistor {
     return this._runWithFallback('getObjectSize', ...args)
   }
 
+  async getObjectMetadata(...args) {
+    return this._runWithFallback('getObjectMetadata', ...args)
+  }
+
+  async getObjectTags(...args) {
+    return this._runWithFallback('getObjectTags', ...args)
+  }
+
+  // tags are only written to the primary, so an object which only exists on
+  // the fallback is copied to the primary first
+  async setObjectTags(bucket, key, tags) {
+    try {
+      return await this.primaryPersistor.setObjectTags(bucket, key, tags)
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) {
+        throw err
+      }
+    }
+    const fallbackBucket = this._getFallbackBucket(bucket)
+    const fallbackStream = await this.fallbackPersistor.getObjectStream(
+      fallbackBucket,
+      key,
+      {}
+    )
+    await this._copyStreamFromFallbackAndVerify(
+      fallbackStream,
+      fallbackBucket,
+      bucket,
+      key,
+      key
+    )
+    return this.primaryPersistor.setObjectTags(bucket, key, tags)
+  }
+
+  // versions are specific to a backend, so are only available on the primary
+  async listObjectVersions(...args) {
+    return this.primaryPersistor.listObjectVersions(...args)
+  }
+
+  async restoreObjectVersion(...args) {
+    return this.primaryPersistor.restoreObjectVersion(...args)
+  }
+
   async directorySize(...args) {
     return this._runWithFallback('directorySize', ...args)
   }
@@ -63,8 +119,93 @@ module.exports = class MigrationPersistor extends AbstractPersistor {
     return this._runOnBoth('deleteDirectory', ...args)
   }
 
+  // objects deleted from both persistors are restored to the primary
+  async *listDeletedObjects(...args) {
+    yield* this.primaryPersistor.listDeletedObjects(...args)
+  }
+
+  async restoreDeletedObject(...args) {
+    return this.primaryPersistor.restoreDeletedObject(...args)
+  }
+
+  async purgeDeletedObjects(bucket, opts = {}) {
+    const results = await Promise.all([
+      this.primaryPersistor.purgeDeletedObjects(bucket, opts),
+      this._runOnFallback('purgeDeletedObjects', bucket, opts).then(
+        (result) => result || { deleted: [], errors: [] }
+      )
+    ])
+    return {
+      deleted: [...results[0].deleted, ...results[1].deleted],
+      errors: [...results[0].errors, ...results[1].errors]
+    }
+  }
+
+  async purgeExpired(bucket, prefix) {
+    const results = await Promise.all([
+      this.primaryPersistor.purgeExpired(bucket, prefix),
+      this._runOnFallback('purgeExpired', bucket, prefix).then(
+        (result) => result || { deleted: [], errors: [] }
+      )
+    ])
+    return {
+      deleted: [...results[0].deleted, ...results[1].deleted],
+      errors: [...results[0].errors, ...results[1].errors]
+    }
+  }
+
+  // a key is only reported as deleted if it was deleted from both persistors
+  async deleteObjects(bucket, keys) {
+    const results = await Promise.all([
+      this.primaryPersistor.deleteObjects(bucket, keys),
+      this._runOnFallback('deleteObjects', bucket, keys).then(
+        (result) => result || { deleted: keys, errors: [] }
+      )
+    ])
+
+    const errors = [...results[0].errors, ...results[1].errors]
+    const failedKeys = new Set(errors.map(({ key }) => key))
+    return {
+      deleted: keys.filter((key) => !failedKeys.has(key)),
+      errors
+    }
+  }
+
+  // lists the objects on the primary, followed by any objects which only exist
+  // on the fallback
+  async *listObjects(bucket, prefix, opts) {
+    const seenKeys = new Set()
+    for await (const object of this.primaryPersistor.listObjects(
+      bucket,
+      prefix,
+      opts
+    )) {
+      seenKeys.add(object.key)
+      yield object
+    }
+
+    const fallbackBucket = this._getFallbackBucket(bucket)
+    try {
+      for await (const object of this.fallbackPersistor.listObjects(
+        fallbackBucket,
+        prefix,
+        opts
+      )) {
+        if (!seenKeys.has(object.key)) {
+          yield object
+        }
+      }
+    } catch (err) {
+      // not every fallback can list its objects
+      if (!(err instanceof NotImplementedError)) {
+        throw err
+      }
+    }
+  }
+
   async getObjectStream(bucket, key, opts = {}) {
-    const shouldCopy = this.settings.copyOnMiss && !opts.start && !opts.end
+    const shouldCopy =
+      this.settings.copyOnMiss && !opts.start && !opts.end && !opts.version
 
     try {
       // 'return await' so we catch NotFoundError before returning
@@ -107,12 +248,20 @@ module.exports = class MigrationPersistor extends AbstractPersistor {
     }
   }
 
-  async copyObject(bucket, sourceKey, destKey) {
+  async copyObject(...args) {
+    const { sourceBucket, sourceKey, destBucket, destKey, opts } =
+      PersistorHelper.parseCopyObjectArgs(args)
     try {
-      return await this.primaryPersistor.copyObject(bucket, sourceKey, destKey)
+      return await this.primaryPersistor.copyObject(
+        sourceBucket,
+        sourceKey,
+        destBucket,
+        destKey,
+        opts
+      )
     } catch (err) {
       if (err instanceof NotFoundError) {
-        const fallbackBucket = this._getFallbackBucket(bucket)
+        const fallbackBucket = this._getFallbackBucket(sourceBucket)
         const fallbackStream = await this.fallbackPersistor.getObjectStream(
           fallbackBucket,
           sourceKey,
@@ -134,7 +283,7 @@ module.exports = class MigrationPersistor extends AbstractPersistor {
           this._copyStreamFromFallbackAndVerify(
             missStream,
             fallbackBucket,
-            bucket,
+            sourceBucket,
             sourceKey,
             sourceKey
           ).catch(() => {
@@ -145,21 +294,50 @@ module.exports = class MigrationPersistor extends AbstractPersistor {
         return this._copyStreamFromFallbackAndVerify(
           copyStream,
           fallbackBucket,
-          bucket,
+          destBucket,
           sourceKey,
-          destKey
+          destKey,
+          opts
         )
       }
       throw err
     }
   }
 
+  async moveObject(bucket, sourceKey, destKey) {
+    const fallbackBucket = this._getFallbackBucket(bucket)
+    try {
+      await this.primaryPersistor.moveObject(bucket, sourceKey, destKey)
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) {
+        throw err
+      }
+      // the object only exists on the fallback, so move it onto the primary
+      const fallbackStream = await this.fallbackPersistor.getObjectStream(
+        fallbackBucket,
+        sourceKey,
+        {}
+      )
+      await this._copyStreamFromFallbackAndVerify(
+        fallbackStream,
+        fallbackBucket,
+        bucket,
+        sourceKey,
+        destKey
+      )
+    }
+    // remove any copy of the source from the fallback, so that reads of the
+    // old key don't fall back to it
+    await this._runOnFallback('deleteObject', bucket, sourceKey)
+  }
+
   async _copyStreamFromFallbackAndVerify(
     stream,
     sourceBucket,
     destBucket,
     sourceKey,
-    destKey
+    destKey,
+    opts = {}
   ) {
     try {
       let sourceMd5
@@ -173,9 +351,14 @@ module.exports = class MigrationPersistor extends AbstractPersistor {
       }
 
       await this.primaryPersistor.sendStream(destBucket, destKey, stream, {
+        ...opts,
         sourceMd5
       })
     } catch (err) {
+      if (err instanceof PreconditionFailedError) {
+        // the destination belongs to someone else, so must not be cleaned up
+        throw err
+      }
       const error = new WriteError(
         'unable to copy file to destination persistor',
         {
@@ -211,14 +394,27 @@ module.exports = class MigrationPersistor extends AbstractPersistor {
   }
 
   async _runOnBoth(methodName, bucket, ...moreArgs) {
-    const fallbackBucket = this._getFallbackBucket(bucket)
-
     await Promise.all([
       this.primaryPersistor[methodName](bucket, ...moreArgs),
-      this.fallbackPersistor[methodName](fallbackBucket, ...moreArgs)
+      this._runOnFallback(methodName, bucket, ...moreArgs)
     ])
   }
 
+  // resolves with undefined when the fallback doesn't implement the method,
+  // e.g. writes to a read-only fallback
+  async _runOnFallback(methodName, bucket, ...moreArgs) {
+    try {
+      return await this.fallbackPersistor[methodName](
+        this._getFallbackBucket(bucket),
+        ...moreArgs
+      )
+    } catch (err) {
+      if (!(err instanceof NotImplementedError)) {
+        throw err
+      }
+    }
+  }
+
   async _runWithFallback(methodName, bucket, key, ...moreArgs) {
     try {
       // 'return await' so we catch NotFoundError before returning
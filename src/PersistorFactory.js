@@ -1,36 +1,98 @@
 const Logger = require('logger-sharelatex')
 const { SettingsError } = require('./Errors')
-const GcsPersistor = require('./GcsPersistor')
-const S3Persistor = require('./S3Persistor')
-const FSPersistor = require('./FSPersistor')
 const MigrationPersistor = require('./MigrationPersistor')
+const ReplicatingPersistor = require('./ReplicatingPersistor')
+const RoutingPersistor = require('./RoutingPersistor')
+const RetryingPersistor = require('./RetryingPersistor')
+const EncryptingPersistor = require('./EncryptingPersistor')
+const LocalKeyProvider = require('./LocalKeyProvider')
+const CompressingPersistor = require('./CompressingPersistor')
+const DedupPersistor = require('./DedupPersistor')
+const CachingPersistor = require('./CachingPersistor')
 
+// backends are only loaded when they are used, as the packages for some of
+// them (e.g. `@azure/storage-blob` and `mongodb`) are optional
 function getPersistor(backend, settings) {
   switch (backend) {
     case 'aws-sdk':
-    case 's3':
+    case 's3': {
+      const S3Persistor = require('./S3Persistor')
       return new S3Persistor(
         Object.assign({}, settings.s3, { Metrics: settings.Metrics })
       )
-    case 'fs':
-      return new FSPersistor({
-        paths: settings.paths,
-        Metrics: settings.Metrics
-      })
-    case 'gcs':
+    }
+    case 'fs': {
+      const FSPersistor = require('./FSPersistor')
+      return new FSPersistor(
+        Object.assign({}, settings.fs, {
+          paths: settings.paths,
+          Metrics: settings.Metrics
+        })
+      )
+    }
+    case 'gcs': {
+      const GcsPersistor = require('./GcsPersistor')
       return new GcsPersistor(
         Object.assign({}, settings.gcs, { Metrics: settings.Metrics })
       )
+    }
+    case 'azure': {
+      const AzureBlobPersistor = require('./AzureBlobPersistor')
+      return new AzureBlobPersistor(
+        Object.assign({}, settings.azure, { Metrics: settings.Metrics })
+      )
+    }
+    case 'gridfs': {
+      const GridFSPersistor = require('./GridFSPersistor')
+      return new GridFSPersistor(
+        Object.assign({}, settings.gridfs, { Metrics: settings.Metrics })
+      )
+    }
+    case 'http': {
+      const HttpPersistor = require('./HttpPersistor')
+      return new HttpPersistor(
+        Object.assign({}, settings.http, { Metrics: settings.Metrics })
+      )
+    }
+    case 'memory': {
+      const MemoryPersistor = require('./MemoryPersistor')
+      return new MemoryPersistor(
+        Object.assign({}, settings.memory, { Metrics: settings.Metrics })
+      )
+    }
     default:
       throw new SettingsError('unknown backend', { backend })
   }
 }
 
+// every backend, including routes, replicas and the fallback, retries its own
+// transient errors. These retries replace those of the S3 SDK, unless
+// `s3.maxRetries` is set.
+function getRetryingPersistor(backend, settings) {
+  if (!settings.retry) {
+    return getPersistor(backend, settings)
+  }
+  const persistor = getPersistor(
+    backend,
+    Object.assign({}, settings, {
+      s3: Object.assign({ maxRetries: 0 }, settings.s3)
+    })
+  )
+  return new RetryingPersistor(
+    persistor,
+    Object.assign({}, settings.retry, { Metrics: settings.Metrics })
+  )
+}
+
 module.exports = function create(settings) {
   Logger.info(
     {
       backend: settings.backend,
-      fallback: settings.fallback && settings.fallback.backend
+      fallback: settings.fallback && settings.fallback.backend,
+      replicas:
+        settings.replicas &&
+        settings.replicas.map((replica) => replica.backend),
+      routes: settings.routes && settings.routes.map((route) => route.backend)
     },
     'Loading backend'
   )
@@ -38,11 +100,45 @@ module.exports = function create(settings) {
     throw new SettingsError('no backend specified - config incomplete')
   }
 
-  let persistor = getPersistor(settings.backend, settings)
+  let persistor = getRetryingPersistor(settings.backend, settings)
+
+  // objects which match no route are stored on the main backend, and each
+  // route may override the settings of its backend
+  if (settings.routes && settings.routes.length) {
+    persistor = new RoutingPersistor(
+      persistor,
+      settings.routes.map((route) => ({
+        bucket: route.bucket,
+        prefix: route.prefix,
+        buckets: route.buckets,
+        persistor: getRetryingPersistor(
+          route.backend,
+          Object.assign({}, settings, route)
+        )
+      })),
+      { Metrics: settings.Metrics }
+    )
+  }
+
+  // each replica may override the settings of its backend, e.g. with its own
+  // `s3` settings for a bucket in another region
+  if (settings.replicas && settings.replicas.length) {
+    const replicas = settings.replicas.map((replica) =>
+      getRetryingPersistor(
+        replica.backend,
+        Object.assign({}, settings, replica)
+      )
+    )
+    persistor = new ReplicatingPersistor([persistor, ...replicas], {
+      writeQuorum: settings.writeQuorum,
+      buckets: [{}, ...settings.replicas.map((replica) => replica.buckets)],
+      Metrics: settings.Metrics
+    })
+  }
 
   if (settings.fallback && settings.fallback.backend) {
     const primary = persistor
-    const fallback = getPersistor(settings.fallback.backend, settings)
+    const fallback = getRetryingPersistor(settings.fallback.backend, settings)
     persistor = new MigrationPersistor(
       primary,
       fallback,
@@ -50,5 +146,50 @@ module.exports = function create(settings) {
     )
   }
 
+  if (settings.encryption) {
+    persistor = new EncryptingPersistor(
+      persistor,
+      Object.assign({}, settings.encryption, {
+        keyProvider:
+          settings.encryption.keyProvider ||
+          new LocalKeyProvider(settings.encryption),
+        Metrics: settings.Metrics
+      })
+    )
+  }
+
+  // data is compressed before it is encrypted, as encrypted data can't be
+  // compressed
+  if (settings.compression) {
+    persistor = new CompressingPersistor(
+      persistor,
+      Object.assign({}, settings.compression, { Metrics: settings.Metrics })
+    )
+  }
+
+  // data is deduplicated by the hash of the original data, before it is
+  // compressed or encrypted. Blobs referenced by deleted objects are kept
+  // until the objects are purged.
+  if (settings.dedup) {
+    const backendSettings =
+      settings[settings.backend === 'aws-sdk' ? 's3' : settings.backend] || {}
+    persistor = new DedupPersistor(
+      persistor,
+      Object.assign(
+        { deletedBucketSuffix: backendSettings.deletedBucketSuffix },
+        settings.dedup,
+        { Metrics: settings.Metrics }
+      )
+    )
+  }
+
+  // the cache holds the data as it is read by the application
+  if (settings.cache) {
+    persistor = new CachingPersistor(
+      persistor,
+      Object.assign({}, settings.cache, { Metrics: settings.Metrics })
+    )
+  }
+
   return persistor
 }
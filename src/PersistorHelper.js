@@ -1,11 +1,54 @@
 const Crypto = require('crypto')
 const Stream = require('stream')
 const Logger = require('logger-sharelatex')
-const { WriteError, ReadError, NotFoundError } = require('./Errors')
+const asyncPool = require('tiny-async-pool')
+const {
+  WriteError,
+  ReadError,
+  NotFoundError,
+  PreconditionFailedError,
+  SettingsError,
+  NotImplementedError
+} = require('./Errors')
 const { promisify } = require('util')
 
 const pipeline = promisify(Stream.pipeline)
 
+// the expiry time of an object is stored in its custom metadata, so that
+// expired objects can be found on any backend
+const EXPIRES_AT_METADATA_KEY = 'expires-at'
+// the number of listed objects whose expiry is checked before listing more
+const EXPIRY_PAGE_SIZE = 1000
+
+// error codes of writes with `ifNotExists` when the object already exists, from
+// node (with the 'wx' flag) and azure
+const ALREADY_EXISTS_ERROR_CODES = ['EEXIST', 'BlobAlreadyExists']
+
+// error codes of failures which may succeed if tried again, from node and the
+// backend SDKs
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EBUSY',
+  'EMFILE',
+  'RequestTimeout',
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'ServiceUnavailable',
+  'InternalError',
+  'ServerBusy',
+  'OperationTimedOut'
+]
+
+// keys of objects in the 'deleted' bucket are `${key}-${ISO date of deletion}`
+const DELETED_KEY_REGEX = /^(.+)-(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)$/
+
 // Observes data that passes through and computes some metadata for it
 // - specifically, it computes the number of bytes transferred, and optionally
 //   computes a cryptographic hash based on the 'hash' option. e.g., pass
@@ -51,8 +94,21 @@ module.exports = {
   verifyMd5,
   getReadyPipeline,
   wrapError,
+  isRetryableError,
   hexToBase64,
-  base64ToHex
+  base64ToHex,
+  parseCopyObjectArgs,
+  copyBetweenPersistors,
+  sendTransformedStream,
+  getDeletedBucket,
+  trashObject,
+  trashObjects,
+  listDeletedObjects,
+  restoreDeletedObject,
+  purgeDeletedObjects,
+  getMetadataWithExpiry,
+  getExpiry,
+  purgeExpired
 }
 
 // returns a promise which resolves with the md5 hash of the stream
@@ -153,20 +209,368 @@ function getReadyPipeline(...streams) {
   })
 }
 
-function wrapError(error, message, params, ErrorType) {
+// `writeOpts` are the options of a write or copy, as a write with
+// `ifNotExists` fails with a backend-specific 'already exists' error
+function wrapError(error, message, params, ErrorType, writeOpts) {
   if (
     error instanceof NotFoundError ||
     ['NoSuchKey', 'NotFound', 404, 'AccessDenied', 'ENOENT'].includes(
       error.code
     ) ||
+    error.statusCode === 404 ||
     (error.response && error.response.statusCode === 404)
   ) {
     return new NotFoundError('no such file', params, error)
+  } else if (
+    error instanceof PreconditionFailedError ||
+    ['PreconditionFailed', 412].includes(error.code) ||
+    error.statusCode === 412 ||
+    (error.response && error.response.statusCode === 412) ||
+    (writeOpts &&
+      writeOpts.ifNotExists &&
+      ALREADY_EXISTS_ERROR_CODES.includes(error.code))
+  ) {
+    return new PreconditionFailedError('precondition failed', params, error)
   } else {
     return new ErrorType(message, params, error)
   }
 }
 
+// returns whether an error is transient, by looking through the errors which
+// caused it, as errors from the backend are wrapped by `wrapError`
+function isRetryableError(error) {
+  for (let err = error; err; err = err.cause) {
+    if (
+      err instanceof NotFoundError ||
+      err instanceof PreconditionFailedError ||
+      err instanceof SettingsError ||
+      err instanceof NotImplementedError
+    ) {
+      return false
+    }
+    // aws-sdk decides for itself
+    if (typeof err.retryable === 'boolean') {
+      return err.retryable
+    }
+    if (TRANSIENT_ERROR_CODES.includes(err.code)) {
+      return true
+    }
+    const statusCode =
+      err.statusCode ||
+      (err.response && err.response.statusCode) ||
+      (err.info && err.info.statusCode) ||
+      (typeof err.code === 'number' ? err.code : undefined)
+    if (statusCode) {
+      return statusCode === 408 || statusCode === 429 || statusCode >= 500
+    }
+  }
+  return false
+}
+
+// copyObject may be called as (bucket, sourceKey, destKey, opts) to copy within
+// a bucket, or as (sourceBucket, sourceKey, destBucket, destKey, opts)
+function parseCopyObjectArgs(args) {
+  if (typeof args[3] === 'string') {
+    const [sourceBucket, sourceKey, destBucket, destKey, opts = {}] = args
+    return { sourceBucket, sourceKey, destBucket, destKey, opts }
+  }
+  const [bucket, sourceKey, destKey, opts = {}] = args
+  return { sourceBucket: bucket, sourceKey, destBucket: bucket, destKey, opts }
+}
+
+// uploads the data from readStream to the persistor after passing it through
+// transformStream (e.g. to compress or encrypt it). The persistor verifies the
+// transformed data, so any `sourceMd5` is verified against the original data
+// here - the object is deleted if it does not match. Returns the md5 hash of the
+// original data.
+async function sendTransformedStream(
+  persistor,
+  bucketName,
+  key,
+  readStream,
+  transformStream,
+  opts = {}
+) {
+  const { sourceMd5, ...uploadOpts } = opts
+  const observer = new ObserverStream({ hash: 'md5' })
+
+  try {
+    await Promise.all([
+      pipeline(readStream, observer, transformStream),
+      persistor.sendStream(bucketName, key, transformStream, uploadOpts)
+    ])
+  } catch (err) {
+    transformStream.destroy()
+    throw wrapError(
+      err,
+      'upload of transformed stream failed',
+      { bucketName, key },
+      WriteError
+    )
+  }
+
+  const md5 = observer.getHash()
+  if (sourceMd5 && sourceMd5 !== md5) {
+    await persistor.deleteObject(bucketName, key)
+    throw new WriteError('md5 hash mismatch', {
+      bucketName,
+      key,
+      sourceMd5,
+      md5
+    })
+  }
+  return md5
+}
+
+// copies an object from one persistor to another by streaming it, verifying
+// the md5 hash of the copy - deletes the copy and throws an error if the copy
+// fails
+async function copyBetweenPersistors(
+  sourcePersistor,
+  destPersistor,
+  sourceBucket,
+  sourceKey,
+  destBucket,
+  destKey,
+  opts = {}
+) {
+  let sourceMd5
+  try {
+    sourceMd5 = await sourcePersistor.getObjectMd5Hash(sourceBucket, sourceKey)
+  } catch (err) {
+    Logger.warn(err, 'error getting md5 hash from source persistor')
+  }
+
+  const stream = await sourcePersistor.getObjectStream(
+    sourceBucket,
+    sourceKey,
+    {}
+  )
+
+  try {
+    await destPersistor.sendStream(destBucket, destKey, stream, {
+      ...opts,
+      sourceMd5
+    })
+  } catch (err) {
+    if (err instanceof PreconditionFailedError) {
+      // the destination belongs to someone else, so must not be cleaned up
+      throw err
+    }
+    const error = new WriteError(
+      'unable to copy object between persistors',
+      { sourceBucket, destBucket, sourceKey, destKey },
+      err
+    )
+
+    try {
+      await destPersistor.deleteObject(destBucket, destKey)
+    } catch (err) {
+      error.info.cleanupError = new WriteError(
+        'unable to clean up destination copy artifact',
+        { destBucket, destKey },
+        err
+      )
+    }
+    throw error
+  }
+}
+
+// If the persistor has a `deletedBucketSuffix` setting, objects are copied to a
+// 'deleted' bucket with that suffix before they are deleted, from where they
+// can be listed, restored or purged. Objects deleted from the 'deleted' bucket
+// itself are deleted permanently.
+function getDeletedBucket(persistor, bucketName) {
+  const suffix = persistor.settings.deletedBucketSuffix
+  if (!suffix || bucketName.endsWith(suffix)) {
+    return null
+  }
+  return `${bucketName}${suffix}`
+}
+
+function _requireDeletedBucket(persistor, bucketName) {
+  const deletedBucket = getDeletedBucket(persistor, bucketName)
+  if (!deletedBucket) {
+    throw new SettingsError('no deleted bucket configured', { bucketName })
+  }
+  return deletedBucket
+}
+
+// copies an object to the 'deleted' bucket, if there is one
+async function trashObject(persistor, bucketName, key) {
+  const deletedBucket = getDeletedBucket(persistor, bucketName)
+  if (!deletedBucket) {
+    return
+  }
+
+  try {
+    await persistor.copyObject(
+      bucketName,
+      key,
+      deletedBucket,
+      `${key}-${new Date().toISOString()}`
+    )
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) {
+      throw err
+    }
+    // there is nothing to keep if the object doesn't exist, but a missing
+    // deleted bucket must not let the object be deleted without a copy
+    if (await persistor.checkIfObjectExists(bucketName, key)) {
+      throw new WriteError(
+        'failed to copy object to the deleted bucket',
+        { bucketName, key, deletedBucket },
+        err
+      )
+    }
+  }
+}
+
+// copies objects to the 'deleted' bucket, if there is one - returns
+// [{ key, error }] for each object which could not be copied, and so must not
+// be deleted
+async function trashObjects(persistor, bucketName, keys, concurrency) {
+  const errors = []
+  if (!getDeletedBucket(persistor, bucketName)) {
+    return errors
+  }
+
+  await asyncPool(concurrency, keys, async (key) => {
+    try {
+      await trashObject(persistor, bucketName, key)
+    } catch (error) {
+      errors.push({ key, error })
+    }
+  })
+  return errors
+}
+
+async function* listDeletedObjects(persistor, bucketName, prefix) {
+  const deletedBucket = _requireDeletedBucket(persistor, bucketName)
+
+  for await (const object of persistor.listObjects(deletedBucket, prefix)) {
+    const match = object.key.match(DELETED_KEY_REGEX)
+    if (match) {
+      yield {
+        key: match[1],
+        deletedAt: match[2],
+        size: object.size,
+        md5: object.md5
+      }
+    }
+  }
+}
+
+async function restoreDeletedObject(persistor, bucketName, key, deletedAt) {
+  const deletedBucket = _requireDeletedBucket(persistor, bucketName)
+  const deletedKey = `${key}-${deletedAt}`
+
+  await persistor.copyObject(deletedBucket, deletedKey, bucketName, key)
+  await persistor.deleteObject(deletedBucket, deletedKey)
+}
+
+// permanently deletes objects which were deleted longer ago than the retention
+// period - returns the result of deleteObjects for the 'deleted' bucket
+async function purgeDeletedObjects(persistor, bucketName, opts = {}) {
+  const deletedBucket = _requireDeletedBucket(persistor, bucketName)
+  const retentionMs =
+    opts.retentionMs != null
+      ? opts.retentionMs
+      : persistor.settings.deletedRetentionMs
+  if (retentionMs == null) {
+    throw new SettingsError('no retention period for deleted objects', {
+      bucketName
+    })
+  }
+
+  // ISO dates can be compared as strings
+  const cutoff = new Date(Date.now() - retentionMs).toISOString()
+  const keys = []
+  for await (const { key, deletedAt } of listDeletedObjects(
+    persistor,
+    bucketName,
+    opts.prefix || ''
+  )) {
+    if (deletedAt < cutoff) {
+      keys.push(`${key}-${deletedAt}`)
+    }
+  }
+
+  return persistor.deleteObjects(deletedBucket, keys)
+}
+
+// returns the custom metadata to store for an upload, including the expiry time
+// from `opts.expiresAt` or `opts.ttlMs`
+function getMetadataWithExpiry(opts) {
+  let expiresAt = opts.expiresAt
+  if (expiresAt == null && opts.ttlMs != null) {
+    expiresAt = Date.now() + opts.ttlMs
+  }
+  if (expiresAt == null) {
+    return opts.metadata
+  }
+
+  expiresAt = new Date(expiresAt)
+  if (isNaN(expiresAt.getTime())) {
+    throw new WriteError('invalid expiry time', {
+      expiresAt: opts.expiresAt,
+      ttlMs: opts.ttlMs
+    })
+  }
+  return {
+    ...opts.metadata,
+    [EXPIRES_AT_METADATA_KEY]: expiresAt.toISOString()
+  }
+}
+
+// returns the expiry time from the result of getObjectMetadata, or null
+function getExpiry(objectMetadata) {
+  const expiresAt =
+    objectMetadata.metadata && objectMetadata.metadata[EXPIRES_AT_METADATA_KEY]
+  return expiresAt ? new Date(expiresAt) : null
+}
+
+// deletes the objects whose expiry time has passed - returns the result of
+// deleteObjects. The metadata of up to `deleteConcurrency` objects is fetched
+// at once, a page of the listing at a time.
+async function purgeExpired(persistor, bucketName, prefix) {
+  const concurrency = persistor.settings.deleteConcurrency || 50
+  const now = new Date()
+  const expiredKeys = []
+
+  async function addExpiredKeys(keys) {
+    await asyncPool(concurrency, keys, async (key) => {
+      let objectMetadata
+      try {
+        objectMetadata = await persistor.getObjectMetadata(bucketName, key)
+      } catch (err) {
+        // the object was deleted while we were listing
+        if (err instanceof NotFoundError) {
+          return
+        }
+        throw err
+      }
+
+      const expiresAt = getExpiry(objectMetadata)
+      if (expiresAt && expiresAt <= now) {
+        expiredKeys.push(key)
+      }
+    })
+  }
+
+  let keys = []
+  for await (const { key } of persistor.listObjects(bucketName, prefix)) {
+    keys.push(key)
+    if (keys.length >= EXPIRY_PAGE_SIZE) {
+      await addExpiredKeys(keys)
+      keys = []
+    }
+  }
+  await addExpiredKeys(keys)
+
+  return persistor.deleteObjects(bucketName, expiredKeys)
+}
+
 function base64ToHex(base64) {
   return Buffer.from(base64, 'base64').toString('hex')
 }
@@ -0,0 +1,454 @@
+const AbstractPersistor = require('./AbstractPersistor')
+const Logger = require('logger-sharelatex')
+const Stream = require('stream')
+const PersistorHelper = require('./PersistorHelper')
+const { NotFoundError, WriteError, SettingsError } = require('./Errors')
+
+// Persistor that mirrors its objects across several other persistors, e.g. in
+// different regions or providers for disaster recovery.
+//
+// Writes go to every replica, and succeed once `settings.writeQuorum` of them
+// have succeeded (by default, a majority). Replicas which are still writing
+// carry on in the background, and replicas which fail while others succeed are
+// logged as divergent, so that they can be repaired.
+//
+// Reads come from the first replica which can answer them, in order. A replica
+// which doesn't have an object is also logged as divergent if a later replica
+// has it.
+//
+// The bucket names on each replica can be overridden in `settings.buckets`,
+// which has an entry for each replica e.g.
+// settings.buckets = [{}, { myBucketOnS3: 'myBucketOnGCS' }]
+
+module.exports = class ReplicatingPersistor extends AbstractPersistor {
+  constructor(persistors, settings = {}) {
+    super()
+
+    this.persistors = persistors
+    this.settings = settings
+
+    if (!this.persistors || !this.persistors.length) {
+      throw new SettingsError('no replicas for replicating persistor')
+    }
+
+    this.writeQuorum =
+      this.settings.writeQuorum || Math.floor(this.persistors.length / 2) + 1
+    if (
+      !Number.isInteger(this.writeQuorum) ||
+      this.writeQuorum < 1 ||
+      this.writeQuorum > this.persistors.length
+    ) {
+      throw new SettingsError('invalid write quorum', {
+        writeQuorum: this.writeQuorum,
+        replicas: this.persistors.length
+      })
+    }
+  }
+
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    await this._write('sendFile', bucketName, key, (persistor, bucket) =>
+      persistor.sendFile(bucket, key, fsPath, opts)
+    )
+  }
+
+  async sendStream(bucketName, key, readStream, opts = {}) {
+    // tee the stream to every replica. A replica which fails stops reading its
+    // copy, which is then drained so that it doesn't hold up the others
+    const streams = this.persistors.map(() => new Stream.PassThrough())
+    readStream.on('error', (err) => {
+      streams.forEach((stream) => stream.destroy(err))
+    })
+    streams.forEach((stream) => readStream.pipe(stream))
+
+    await this._write(
+      'sendStream',
+      bucketName,
+      key,
+      (persistor, bucket, index) =>
+        persistor.sendStream(bucket, key, streams[index], opts).catch((err) => {
+          streams[index].resume()
+          throw err
+        })
+    )
+  }
+
+  async getObjectStream(bucketName, key, opts = {}) {
+    return this._read('getObjectStream', bucketName, key, opts)
+  }
+
+  // links are always to the first replica, which may not have the object
+  async getRedirectUrl(bucketName, key, opts = {}) {
+    return this.persistors[0].getRedirectUrl(
+      this._getBucket(0, bucketName),
+      key,
+      opts
+    )
+  }
+
+  async getUploadUrl() {
+    // uploads must go through sendStream to reach every replica
+    return null
+  }
+
+  async getObjectSize(bucketName, key) {
+    return this._read('getObjectSize', bucketName, key)
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    return this._read('getObjectMd5Hash', bucketName, key)
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    return this._read('getObjectMetadata', bucketName, key, opts)
+  }
+
+  async getObjectTags(bucketName, key) {
+    return this._read('getObjectTags', bucketName, key)
+  }
+
+  async setObjectTags(bucketName, key, tags) {
+    await this._write('setObjectTags', bucketName, key, (persistor, bucket) =>
+      persistor.setObjectTags(bucket, key, tags)
+    )
+  }
+
+  // versions are specific to a backend, so are only available on the first
+  // replica. A restored version is copied to the others in the background
+  async listObjectVersions(bucketName, key) {
+    return this.persistors[0].listObjectVersions(
+      this._getBucket(0, bucketName),
+      key
+    )
+  }
+
+  async restoreObjectVersion(bucketName, key, version) {
+    const sourceBucket = this._getBucket(0, bucketName)
+    await this.persistors[0].restoreObjectVersion(sourceBucket, key, version)
+
+    this.persistors.slice(1).forEach((persistor, i) => {
+      const index = i + 1
+      PersistorHelper.copyBetweenPersistors(
+        this.persistors[0],
+        persistor,
+        sourceBucket,
+        key,
+        this._getBucket(index, bucketName),
+        key
+      ).catch((err) => {
+        this._logDivergence(err, index, 'restoreObjectVersion', bucketName, key)
+      })
+    })
+  }
+
+  async copyObject(...args) {
+    const { sourceBucket, sourceKey, destBucket, destKey, opts } =
+      PersistorHelper.parseCopyObjectArgs(args)
+    await this._write(
+      'copyObject',
+      destBucket,
+      destKey,
+      (persistor, _, index) =>
+        persistor.copyObject(
+          this._getBucket(index, sourceBucket),
+          sourceKey,
+          this._getBucket(index, destBucket),
+          destKey,
+          opts
+        )
+    )
+  }
+
+  async moveObject(bucketName, sourceKey, destKey) {
+    await this._write('moveObject', bucketName, destKey, (persistor, bucket) =>
+      persistor.moveObject(bucket, sourceKey, destKey)
+    )
+  }
+
+  async deleteObject(bucketName, key) {
+    await this._write('deleteObject', bucketName, key, (persistor, bucket) =>
+      persistor.deleteObject(bucket, key)
+    )
+  }
+
+  // a key is only reported as deleted if it was deleted from a quorum of the
+  // replicas
+  async deleteObjects(bucketName, keys) {
+    const results = await this._writeAll('deleteObjects', bucketName, keys)
+
+    const deleted = []
+    const errors = []
+    for (const key of keys) {
+      const keyErrors = []
+      let deletedCount = 0
+      for (const result of results) {
+        const error = result.errors.find((error) => error.key === key)
+        if (error) {
+          keyErrors.push(error)
+        } else if (result.deleted.includes(key)) {
+          deletedCount++
+        }
+      }
+      if (deletedCount >= this.writeQuorum) {
+        deleted.push(key)
+      } else {
+        errors.push(...keyErrors)
+      }
+    }
+    return { deleted, errors }
+  }
+
+  async deleteDirectory(bucketName, key) {
+    await this._write('deleteDirectory', bucketName, key, (persistor, bucket) =>
+      persistor.deleteDirectory(bucket, key)
+    )
+  }
+
+  async *listDeletedObjects(bucketName, prefix) {
+    yield* this._list('listDeletedObjects', bucketName, prefix)
+  }
+
+  async restoreDeletedObject(bucketName, key, deletedAt) {
+    await this._write(
+      'restoreDeletedObject',
+      bucketName,
+      key,
+      (persistor, bucket) =>
+        persistor.restoreDeletedObject(bucket, key, deletedAt)
+    )
+  }
+
+  async purgeDeletedObjects(bucketName, opts = {}) {
+    return ReplicatingPersistor._mergeResults(
+      await this._writeAll('purgeDeletedObjects', bucketName, opts)
+    )
+  }
+
+  async purgeExpired(bucketName, prefix) {
+    return ReplicatingPersistor._mergeResults(
+      await this._writeAll('purgeExpired', bucketName, prefix)
+    )
+  }
+
+  // an object which is missing from one replica exists if a later replica has
+  // it
+  async checkIfObjectExists(bucketName, key) {
+    let error
+    let missing = false
+    for (const [index, persistor] of this.persistors.entries()) {
+      try {
+        if (
+          await persistor.checkIfObjectExists(
+            this._getBucket(index, bucketName),
+            key
+          )
+        ) {
+          return true
+        }
+        missing = true
+      } catch (err) {
+        this._logReadFailure(err, index, 'checkIfObjectExists', bucketName, key)
+        error = error || err
+      }
+    }
+    if (missing) {
+      return false
+    }
+    throw error
+  }
+
+  async directorySize(bucketName, key) {
+    return this._read('directorySize', bucketName, key)
+  }
+
+  async *listObjects(bucketName, prefix, opts) {
+    yield* this._list('listObjects', bucketName, prefix, opts)
+  }
+
+  _getBucket(index, bucketName) {
+    const buckets = this.settings.buckets && this.settings.buckets[index]
+    return (buckets && buckets[bucketName]) || bucketName
+  }
+
+  // runs the write on every replica, and resolves once `writeQuorum` of them
+  // have succeeded, or rejects once that is no longer possible
+  async _write(methodName, bucketName, key, write) {
+    const writes = this.persistors.map((persistor, index) =>
+      write(persistor, this._getBucket(index, bucketName), index)
+    )
+
+    // replicas which fail while others succeed have diverged, which is only
+    // known once every write has finished
+    Promise.allSettled(writes).then((results) => {
+      if (results.some((result) => result.status === 'fulfilled')) {
+        results.forEach((result, index) => {
+          if (result.status === 'rejected') {
+            this._logDivergence(
+              result.reason,
+              index,
+              methodName,
+              bucketName,
+              key
+            )
+          }
+        })
+      }
+    })
+
+    try {
+      await ReplicatingPersistor._waitForQuorum(writes, this.writeQuorum)
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'write quorum not reached',
+        { method: methodName, bucketName, key, writeQuorum: this.writeQuorum },
+        WriteError
+      )
+    }
+  }
+
+  // runs the method on every replica and waits for them all, returning the
+  // results of those which succeeded if there are at least `writeQuorum`
+  async _writeAll(methodName, bucketName, ...moreArgs) {
+    const results = await Promise.allSettled(
+      this.persistors.map((persistor, index) =>
+        persistor[methodName](this._getBucket(index, bucketName), ...moreArgs)
+      )
+    )
+
+    const failures = results.filter((result) => result.status === 'rejected')
+    if (results.length - failures.length < this.writeQuorum) {
+      throw PersistorHelper.wrapError(
+        failures[0].reason,
+        'write quorum not reached',
+        { method: methodName, bucketName, writeQuorum: this.writeQuorum },
+        WriteError
+      )
+    }
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        this._logDivergence(result.reason, index, methodName, bucketName)
+      }
+    })
+    return results
+      .filter((result) => result.status === 'fulfilled')
+      .map((result) => result.value)
+  }
+
+  // returns the result from the first replica which can answer. If no replica
+  // can, a NotFoundError is preferred to other errors
+  async _read(methodName, bucketName, key, ...moreArgs) {
+    const missingFrom = []
+    let notFoundError, error
+    for (const [index, persistor] of this.persistors.entries()) {
+      try {
+        const result = await persistor[methodName](
+          this._getBucket(index, bucketName),
+          key,
+          ...moreArgs
+        )
+        for (const missingIndex of missingFrom) {
+          this._logDivergence(
+            notFoundError,
+            missingIndex,
+            methodName,
+            bucketName,
+            key
+          )
+        }
+        return result
+      } catch (err) {
+        if (err instanceof NotFoundError) {
+          missingFrom.push(index)
+          notFoundError = notFoundError || err
+        } else {
+          this._logReadFailure(err, index, methodName, bucketName, key)
+          error = error || err
+        }
+      }
+    }
+    throw notFoundError || error
+  }
+
+  // lists from the first replica which returns its first page of results.
+  // Errors part-way through a listing can't be recovered from
+  async *_list(methodName, bucketName, ...moreArgs) {
+    let error
+    for (const [index, persistor] of this.persistors.entries()) {
+      const iterator = persistor[methodName](
+        this._getBucket(index, bucketName),
+        ...moreArgs
+      )[Symbol.asyncIterator]()
+
+      let item
+      try {
+        item = await iterator.next()
+      } catch (err) {
+        this._logReadFailure(err, index, methodName, bucketName)
+        error = error || err
+        continue
+      }
+      while (!item.done) {
+        yield item.value
+        item = await iterator.next()
+      }
+      return
+    }
+    throw error
+  }
+
+  _logDivergence(err, index, methodName, bucketName, key) {
+    Logger.warn(
+      { err, replica: index, method: methodName, bucketName, key },
+      'replica has diverged and needs repair'
+    )
+    if (this.settings.Metrics) {
+      this.settings.Metrics.inc('replication.divergent')
+    }
+  }
+
+  _logReadFailure(err, index, methodName, bucketName, key) {
+    Logger.warn(
+      { err, replica: index, method: methodName, bucketName, key },
+      'failed to read from replica'
+    )
+    if (this.settings.Metrics) {
+      this.settings.Metrics.inc('replication.readFailure')
+    }
+  }
+
+  // resolves once `quorum` of the promises have resolved, or rejects with the
+  // first error once that is no longer possible
+  static _waitForQuorum(promises, quorum) {
+    return new Promise((resolve, reject) => {
+      let succeeded = 0
+      const errors = []
+      for (const promise of promises) {
+        promise.then(
+          () => {
+            succeeded++
+            if (succeeded === quorum) {
+              resolve()
+            }
+          },
+          (err) => {
+            errors.push(err)
+            if (errors.length === promises.length - quorum + 1) {
+              reject(errors[0])
+            }
+          }
+        )
+      }
+    })
+  }
+
+  // each replica reports the same keys, so these are only listed once
+  static _mergeResults(results) {
+    const deleted = new Set()
+    const errors = []
+    for (const result of results) {
+      result.deleted.forEach((key) => deleted.add(key))
+      errors.push(...result.errors)
+    }
+    return { deleted: [...deleted], errors }
+  }
+}
@@ -0,0 +1,198 @@
+const Logger = require('logger-sharelatex')
+const WrappingPersistor = require('./WrappingPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const { SettingsError } = require('./Errors')
+
+// Persistor that retries operations on another persistor when they fail with
+// a transient error (see `PersistorHelper.isRetryableError`), waiting for a
+// random time of up to `minDelayMs * 2^(attempt - 1)`, capped at `maxDelayMs`,
+// before each retry.
+//
+// Only operations which can safely be repeated are retried: reads, deletes,
+// copies, tags and `sendFile`, as the file can be read again. `sendStream`,
+// `moveObject` and restores are passed through, as are streams and listings
+// which fail after they have started returning data.
+//
+// The factory turns off the retries of the S3 SDK, unless `s3.maxRetries` is
+// set, as otherwise each attempt would retry up to `maxRetries` times itself.
+//
+// Each attempt is reported to `settings.Metrics` as one of `retry.success`,
+// `retry.retry` (failed, and will be retried) or `retry.failure`.
+
+module.exports = class RetryingPersistor extends WrappingPersistor {
+  constructor(persistor, settings) {
+    super(persistor, settings)
+
+    this.maxAttempts = this.settings.maxAttempts || 3
+    this.minDelayMs =
+      this.settings.minDelayMs != null ? this.settings.minDelayMs : 100
+    this.maxDelayMs =
+      this.settings.maxDelayMs != null ? this.settings.maxDelayMs : 5000
+
+    if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+      throw new SettingsError('invalid number of attempts', {
+        maxAttempts: this.maxAttempts
+      })
+    }
+  }
+
+  async sendFile(...args) {
+    return this._runWithRetries('sendFile', ...args)
+  }
+
+  async getObjectStream(...args) {
+    return this._runWithRetries('getObjectStream', ...args)
+  }
+
+  async getObjectSize(...args) {
+    return this._runWithRetries('getObjectSize', ...args)
+  }
+
+  async getObjectMd5Hash(...args) {
+    return this._runWithRetries('getObjectMd5Hash', ...args)
+  }
+
+  async getObjectMetadata(...args) {
+    return this._runWithRetries('getObjectMetadata', ...args)
+  }
+
+  async getObjectTags(...args) {
+    return this._runWithRetries('getObjectTags', ...args)
+  }
+
+  async setObjectTags(...args) {
+    return this._runWithRetries('setObjectTags', ...args)
+  }
+
+  async listObjectVersions(...args) {
+    return this._runWithRetries('listObjectVersions', ...args)
+  }
+
+  async copyObject(...args) {
+    return this._runWithRetries('copyObject', ...args)
+  }
+
+  async deleteObject(...args) {
+    return this._runWithRetries('deleteObject', ...args)
+  }
+
+  // keys which fail to delete with a transient error are retried, and any
+  // which still fail are returned in the errors
+  async deleteObjects(bucketName, keys) {
+    const deleted = []
+    const errors = []
+    let remainingKeys = keys
+    for (let attempt = 1; remainingKeys.length; attempt++) {
+      const result = await this._runWithRetries(
+        'deleteObjects',
+        bucketName,
+        remainingKeys
+      )
+      deleted.push(...result.deleted)
+
+      const retryable = []
+      for (const keyError of result.errors) {
+        if (PersistorHelper.isRetryableError(keyError.error)) {
+          retryable.push(keyError)
+        } else {
+          errors.push(keyError)
+        }
+      }
+      if (!retryable.length || attempt >= this.maxAttempts) {
+        errors.push(...retryable)
+        break
+      }
+
+      this._inc('retry.retry')
+      await this._backOff(attempt)
+      remainingKeys = retryable.map(({ key }) => key)
+    }
+    return { deleted, errors }
+  }
+
+  async deleteDirectory(...args) {
+    return this._runWithRetries('deleteDirectory', ...args)
+  }
+
+  async checkIfObjectExists(...args) {
+    return this._runWithRetries('checkIfObjectExists', ...args)
+  }
+
+  async directorySize(...args) {
+    return this._runWithRetries('directorySize', ...args)
+  }
+
+  async *listObjects(...args) {
+    yield* this._listWithRetries('listObjects', ...args)
+  }
+
+  async *listDeletedObjects(...args) {
+    yield* this._listWithRetries('listDeletedObjects', ...args)
+  }
+
+  async _runWithRetries(methodName, ...args) {
+    return this._retry(methodName, () => this.persistor[methodName](...args))
+  }
+
+  async _retry(methodName, run) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await run()
+        this._inc('retry.success')
+        return result
+      } catch (err) {
+        if (
+          attempt >= this.maxAttempts ||
+          !PersistorHelper.isRetryableError(err)
+        ) {
+          this._inc('retry.failure')
+          throw err
+        }
+        this._inc('retry.retry')
+        Logger.warn(
+          { err, method: methodName, attempt },
+          'retrying persistor operation after transient error'
+        )
+        await this._backOff(attempt)
+      }
+    }
+  }
+
+  // the listing is retried until the first result has been returned. The
+  // listing is closed if the caller stops reading it early
+  async *_listWithRetries(methodName, ...args) {
+    let iterator
+    let item = await this._retry(methodName, () => {
+      iterator = this.persistor[methodName](...args)[Symbol.asyncIterator]()
+      return iterator.next()
+    })
+    try {
+      while (!item.done) {
+        yield item.value
+        item = await iterator.next()
+      }
+    } finally {
+      if (!item.done && iterator.return) {
+        await iterator.return()
+      }
+    }
+  }
+
+  // 'full jitter' - a random delay up to the exponential backoff time, so that
+  // clients which failed together don't retry together
+  _backOff(attempt) {
+    const maxDelay = Math.min(
+      this.maxDelayMs,
+      this.minDelayMs * 2 ** (attempt - 1)
+    )
+    return new Promise((resolve) =>
+      setTimeout(resolve, Math.random() * maxDelay)
+    )
+  }
+
+  _inc(metric) {
+    if (this.settings.Metrics) {
+      this.settings.Metrics.inc(metric)
+    }
+  }
+}
@@ -0,0 +1,304 @@
+const AbstractPersistor = require('./AbstractPersistor')
+const PersistorHelper = require('./PersistorHelper')
+const { SettingsError } = require('./Errors')
+
+// Persistor that sends each object to one of several other persistors,
+// according to its bucket and key. Each route has a `bucket`, a key `prefix`
+// or both, and the first route which matches an object is used. Objects which
+// match no route go to the default persistor.
+// e.g.
+// routes = [
+//   { bucket: 'outputs', persistor: gcsPersistor },
+//   { prefix: 'scratch/', persistor: fsPersistor }
+// ]
+//
+// The bucket names for a route can be overridden with its `buckets`, e.g.
+// `{ bucket: 'outputs', buckets: { outputs: 'my-outputs' }, ... }`
+//
+// Listings and directory sizes are combined from every route which can hold
+// objects with the prefix.
+
+module.exports = class RoutingPersistor extends AbstractPersistor {
+  constructor(defaultPersistor, routes, settings = {}) {
+    super()
+
+    for (const route of routes) {
+      if (!route.bucket && route.prefix == null) {
+        throw new SettingsError('route must have a bucket or prefix', {
+          backend: route.backend
+        })
+      }
+    }
+
+    // the default route matches every object
+    this.routes = [...routes, { persistor: defaultPersistor }]
+    this.settings = settings
+  }
+
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    return this._runOnRoute('sendFile', bucketName, key, fsPath, opts)
+  }
+
+  async sendStream(bucketName, key, readStream, opts = {}) {
+    return this._runOnRoute('sendStream', bucketName, key, readStream, opts)
+  }
+
+  async getObjectStream(bucketName, key, opts = {}) {
+    return this._runOnRoute('getObjectStream', bucketName, key, opts)
+  }
+
+  async getRedirectUrl(bucketName, key, opts = {}) {
+    return this._runOnRoute('getRedirectUrl', bucketName, key, opts)
+  }
+
+  async getUploadUrl(bucketName, key, opts = {}) {
+    return this._runOnRoute('getUploadUrl', bucketName, key, opts)
+  }
+
+  async getObjectSize(bucketName, key) {
+    return this._runOnRoute('getObjectSize', bucketName, key)
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    return this._runOnRoute('getObjectMd5Hash', bucketName, key)
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    return this._runOnRoute('getObjectMetadata', bucketName, key, opts)
+  }
+
+  async getObjectTags(bucketName, key) {
+    return this._runOnRoute('getObjectTags', bucketName, key)
+  }
+
+  async setObjectTags(bucketName, key, tags) {
+    return this._runOnRoute('setObjectTags', bucketName, key, tags)
+  }
+
+  async listObjectVersions(bucketName, key) {
+    return this._runOnRoute('listObjectVersions', bucketName, key)
+  }
+
+  async restoreObjectVersion(bucketName, key, version) {
+    return this._runOnRoute('restoreObjectVersion', bucketName, key, version)
+  }
+
+  async checkIfObjectExists(bucketName, key) {
+    return this._runOnRoute('checkIfObjectExists', bucketName, key)
+  }
+
+  async deleteObject(bucketName, key) {
+    return this._runOnRoute('deleteObject', bucketName, key)
+  }
+
+  async restoreDeletedObject(bucketName, key, deletedAt) {
+    return this._runOnRoute('restoreDeletedObject', bucketName, key, deletedAt)
+  }
+
+  // objects which are routed to different persistors are copied between them
+  async copyObject(...args) {
+    const { sourceBucket, sourceKey, destBucket, destKey, opts } =
+      PersistorHelper.parseCopyObjectArgs(args)
+    const source = this._getRoute(sourceBucket, sourceKey)
+    const dest = this._getRoute(destBucket, destKey)
+
+    if (source.persistor === dest.persistor) {
+      return source.persistor.copyObject(
+        this._getBucket(source, sourceBucket),
+        sourceKey,
+        this._getBucket(dest, destBucket),
+        destKey,
+        opts
+      )
+    }
+    await PersistorHelper.copyBetweenPersistors(
+      source.persistor,
+      dest.persistor,
+      this._getBucket(source, sourceBucket),
+      sourceKey,
+      this._getBucket(dest, destBucket),
+      destKey,
+      opts
+    )
+  }
+
+  async moveObject(bucketName, sourceKey, destKey) {
+    const source = this._getRoute(bucketName, sourceKey)
+    const dest = this._getRoute(bucketName, destKey)
+
+    if (source.persistor === dest.persistor) {
+      return source.persistor.moveObject(
+        this._getBucket(source, bucketName),
+        sourceKey,
+        destKey
+      )
+    }
+    await this.copyObject(bucketName, sourceKey, destKey)
+    await source.persistor.deleteObject(
+      this._getBucket(source, bucketName),
+      sourceKey
+    )
+  }
+
+  async deleteObjects(bucketName, keys) {
+    const keysByRoute = new Map()
+    for (const key of keys) {
+      const route = this._getRoute(bucketName, key)
+      if (!keysByRoute.has(route)) {
+        keysByRoute.set(route, [])
+      }
+      keysByRoute.get(route).push(key)
+    }
+
+    return RoutingPersistor._mergeResults(
+      await Promise.all(
+        [...keysByRoute].map(([route, routeKeys]) =>
+          route.persistor.deleteObjects(
+            this._getBucket(route, bucketName),
+            routeKeys
+          )
+        )
+      )
+    )
+  }
+
+  async deleteDirectory(bucketName, prefix) {
+    await Promise.all(
+      this._getRoutesForPrefix(bucketName, prefix).map(({ route, prefix }) =>
+        route.persistor.deleteDirectory(
+          this._getBucket(route, bucketName),
+          prefix
+        )
+      )
+    )
+  }
+
+  async directorySize(bucketName, prefix) {
+    const routes = this._getRoutesForPrefix(bucketName, prefix)
+    if (routes.length === 1) {
+      const { route } = routes[0]
+      return route.persistor.directorySize(
+        this._getBucket(route, bucketName),
+        prefix
+      )
+    }
+
+    // only the objects which are routed to each persistor are counted
+    let size = 0
+    for await (const object of this.listObjects(bucketName, prefix)) {
+      size += object.size
+    }
+    return size
+  }
+
+  async *listObjects(bucketName, prefix, opts) {
+    yield* this._listFromRoutes('listObjects', bucketName, prefix, opts)
+  }
+
+  async *listDeletedObjects(bucketName, prefix) {
+    yield* this._listFromRoutes('listDeletedObjects', bucketName, prefix)
+  }
+
+  async purgeDeletedObjects(bucketName, opts = {}) {
+    return RoutingPersistor._mergeResults(
+      await Promise.all(
+        this._getRoutesForPrefix(bucketName, '').map(({ route }) =>
+          route.persistor.purgeDeletedObjects(
+            this._getBucket(route, bucketName),
+            opts
+          )
+        )
+      )
+    )
+  }
+
+  async purgeExpired(bucketName, prefix) {
+    return RoutingPersistor._mergeResults(
+      await Promise.all(
+        this._getRoutesForPrefix(bucketName, prefix || '').map(
+          ({ route, prefix }) =>
+            route.persistor.purgeExpired(
+              this._getBucket(route, bucketName),
+              prefix
+            )
+        )
+      )
+    )
+  }
+
+  _getRoute(bucketName, key) {
+    return this.routes.find(
+      (route) =>
+        (!route.bucket || route.bucket === bucketName) &&
+        key.startsWith(route.prefix || '')
+    )
+  }
+
+  _getBucket(route, bucketName) {
+    return (route.buckets && route.buckets[bucketName]) || bucketName
+  }
+
+  // returns the routes which can hold objects with the prefix, each with the
+  // prefix to look for on it. Routes after one which matches the whole prefix
+  // can't hold any of its objects
+  _getRoutesForPrefix(bucketName, prefix) {
+    const routes = []
+    for (const route of this.routes) {
+      if (route.bucket && route.bucket !== bucketName) {
+        continue
+      }
+      const routePrefix = route.prefix || ''
+      if (prefix.startsWith(routePrefix)) {
+        routes.push({ route, prefix })
+        break
+      }
+      if (routePrefix.startsWith(prefix)) {
+        routes.push({ route, prefix: routePrefix })
+      }
+    }
+    return routes
+  }
+
+  async _runOnRoute(methodName, bucketName, key, ...moreArgs) {
+    const route = this._getRoute(bucketName, key)
+    return route.persistor[methodName](
+      this._getBucket(route, bucketName),
+      key,
+      ...moreArgs
+    )
+  }
+
+  // a persistor may hold objects which are now routed elsewhere, e.g. after
+  // the routes have changed, so objects with the prefix of an earlier route
+  // are skipped. The keys aren't routed again, as some persistors (e.g. FS)
+  // return them in a different form
+  async *_listFromRoutes(methodName, bucketName, prefix = '', ...moreArgs) {
+    const earlierPrefixes = []
+    for (const { route, prefix: routePrefix } of this._getRoutesForPrefix(
+      bucketName,
+      prefix
+    )) {
+      for await (const object of route.persistor[methodName](
+        this._getBucket(route, bucketName),
+        routePrefix,
+        ...moreArgs
+      )) {
+        if (
+          !earlierPrefixes.some((earlierPrefix) =>
+            object.key.startsWith(earlierPrefix)
+          )
+        ) {
+          yield object
+        }
+      }
+      earlierPrefixes.push(routePrefix)
+    }
+  }
+
+  static _mergeResults(results) {
+    return {
+      deleted: [].concat(...results.map((result) => result.deleted)),
+      errors: [].concat(...results.map((result) => result.errors))
+    }
+  }
+}
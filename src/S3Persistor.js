@@ -13,11 +13,13 @@ const PersistorHelper = require('./PersistorHelper')
 const fs = require('fs')
 const S3 = require('aws-sdk/clients/s3')
 const { URL } = require('url')
+const { promisify } = require('util')
 const {
   WriteError,
   ReadError,
   NotFoundError,
-  SettingsError
+  SettingsError,
+  PreconditionFailedError
 } = require('./Errors')
 
 module.exports = class S3Persistor extends AbstractPersistor {
@@ -27,8 +29,8 @@ module.exports = class S3Persistor extends AbstractPersistor {
     this.settings = settings
   }
 
-  async sendFile(bucketName, key, fsPath) {
-    return this.sendStream(bucketName, key, fs.createReadStream(fsPath))
+  async sendFile(bucketName, key, fsPath, opts = {}) {
+    return this.sendStream(bucketName, key, fs.createReadStream(fsPath), opts)
   }
 
   async sendStream(bucketName, key, readStream, opts = {}) {
@@ -56,6 +58,10 @@ module.exports = class S3Persistor extends AbstractPersistor {
       if (opts.contentEncoding) {
         uploadOptions.ContentEncoding = opts.contentEncoding
       }
+      const metadata = PersistorHelper.getMetadataWithExpiry(opts)
+      if (metadata) {
+        uploadOptions.Metadata = metadata
+      }
 
       // if we have an md5 hash, pass this to S3 to verify the upload - otherwise
       // we rely on the S3 client's checksum calculation to validate the upload
@@ -66,16 +72,31 @@ module.exports = class S3Persistor extends AbstractPersistor {
         clientOptions.computeChecksums = true
       }
 
-      await this._getClientForBucket(bucketName, clientOptions)
-        .upload(uploadOptions, { partSize: this.settings.partSize })
-        .promise()
+      // the managed upload applies the tags once the upload has completed
+      const managedUploadOptions = { partSize: this.settings.partSize }
+      if (opts.tags) {
+        managedUploadOptions.tags = S3Persistor._getTagSet(opts.tags)
+      }
+
+      const client = this._getClientForBucket(bucketName, clientOptions)
+      S3Persistor._addPreconditions(client, opts)
+      await client.upload(uploadOptions, managedUploadOptions).promise()
     } catch (err) {
-      throw PersistorHelper.wrapError(
+      const error = PersistorHelper.wrapError(
         err,
         'upload to S3 failed',
         { bucketName, key },
         WriteError
       )
+      // S3 gives a 404, rather than a 412, if there is no object to match against
+      if (opts.ifMatch && error instanceof NotFoundError) {
+        throw new PreconditionFailedError(
+          'precondition failed',
+          { bucketName, key },
+          err
+        )
+      }
+      throw error
     }
   }
 
@@ -89,6 +110,9 @@ module.exports = class S3Persistor extends AbstractPersistor {
     if (opts.start != null && opts.end != null) {
       params.Range = `bytes=${opts.start}-${opts.end}`
     }
+    if (opts.version) {
+      params.VersionId = opts.version
+    }
 
     const stream = this._getClientForBucket(bucketName)
       .getObject(params)
@@ -114,16 +138,27 @@ module.exports = class S3Persistor extends AbstractPersistor {
     }
   }
 
-  async getRedirectUrl(bucketName, key) {
-    const expiresSeconds = Math.round(this.settings.signedUrlExpiryInMs / 1000)
+  // opts may be { expiresInMs, responseContentDisposition, responseContentType }
+  async getRedirectUrl(bucketName, key, opts = {}) {
+    const expiresSeconds = Math.round(
+      (opts.expiresInMs || this.settings.signedUrlExpiryInMs) / 1000
+    )
+    const params = {
+      Bucket: bucketName,
+      Key: key,
+      Expires: expiresSeconds
+    }
+    if (opts.responseContentDisposition) {
+      params.ResponseContentDisposition = opts.responseContentDisposition
+    }
+    if (opts.responseContentType) {
+      params.ResponseContentType = opts.responseContentType
+    }
+
     try {
       const url = await this._getClientForBucket(
         bucketName
-      ).getSignedUrlPromise('getObject', {
-        Bucket: bucketName,
-        Key: key,
-        Expires: expiresSeconds
-      })
+      ).getSignedUrlPromise('getObject', params)
       return url
     } catch (err) {
       throw PersistorHelper.wrapError(
@@ -135,6 +170,69 @@ module.exports = class S3Persistor extends AbstractPersistor {
     }
   }
 
+  // opts may be { contentType, contentMd5, maxSize, expiresInMs, method }
+  async getUploadUrl(bucketName, key, opts = {}) {
+    const expiresSeconds = Math.round(
+      (opts.expiresInMs || this.settings.signedUrlExpiryInMs) / 1000
+    )
+    const contentMd5 = opts.contentMd5
+      ? PersistorHelper.hexToBase64(opts.contentMd5)
+      : null
+
+    // only a POST policy can restrict the size of the upload
+    if (opts.maxSize && opts.method !== 'POST') {
+      throw new SettingsError('maxSize is only enforced for POST uploads', {
+        bucketName,
+        key,
+        maxSize: opts.maxSize
+      })
+    }
+
+    try {
+      const client = this._getClientForBucket(bucketName)
+
+      if (opts.method === 'POST') {
+        const fields = { key }
+        const conditions = []
+        if (opts.contentType) {
+          fields['Content-Type'] = opts.contentType
+        }
+        if (contentMd5) {
+          fields['Content-MD5'] = contentMd5
+        }
+        if (opts.maxSize) {
+          conditions.push(['content-length-range', 0, opts.maxSize])
+        }
+        const post = await promisify(client.createPresignedPost.bind(client))({
+          Bucket: bucketName,
+          Fields: fields,
+          Conditions: conditions,
+          Expires: expiresSeconds
+        })
+        return { method: 'POST', url: post.url, fields: post.fields }
+      }
+
+      // the client must send the same headers as were signed
+      const params = { Bucket: bucketName, Key: key, Expires: expiresSeconds }
+      const headers = {}
+      if (opts.contentType) {
+        params.ContentType = headers['Content-Type'] = opts.contentType
+      }
+      if (contentMd5) {
+        params.ContentMD5 = headers['Content-MD5'] = contentMd5
+      }
+      const url = await client.getSignedUrlPromise('putObject', params)
+      return { method: 'PUT', url, headers }
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error generating signed upload url for S3 file',
+        { bucketName, key },
+        WriteError
+      )
+    }
+  }
+
   async deleteDirectory(bucketName, key, continuationToken) {
     let response
     const options = { Bucket: bucketName, Prefix: key }
@@ -158,6 +256,15 @@ module.exports = class S3Persistor extends AbstractPersistor {
     const objects = response.Contents.map((item) => ({ Key: item.Key }))
     if (objects.length) {
       try {
+        const trashErrors = await PersistorHelper.trashObjects(
+          this,
+          bucketName,
+          objects.map((object) => object.Key),
+          this.settings.deleteConcurrency || 50
+        )
+        if (trashErrors.length) {
+          throw trashErrors[0].error
+        }
         await this._getClientForBucket(bucketName)
           .deleteObjects({
             Bucket: bucketName,
@@ -186,50 +293,136 @@ module.exports = class S3Persistor extends AbstractPersistor {
     }
   }
 
+  async *listDeletedObjects(bucketName, prefix) {
+    yield* PersistorHelper.listDeletedObjects(this, bucketName, prefix)
+  }
+
+  async restoreDeletedObject(bucketName, key, deletedAt) {
+    return PersistorHelper.restoreDeletedObject(
+      this,
+      bucketName,
+      key,
+      deletedAt
+    )
+  }
+
+  async purgeDeletedObjects(bucketName, opts = {}) {
+    return PersistorHelper.purgeDeletedObjects(this, bucketName, opts)
+  }
+
+  async purgeExpired(bucketName, prefix) {
+    return PersistorHelper.purgeExpired(this, bucketName, prefix)
+  }
+
   async getObjectSize(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    return metadata.size
+  }
+
+  async getObjectMd5Hash(bucketName, key) {
+    const metadata = await this.getObjectMetadata(bucketName, key)
+    if (metadata.md5) {
+      return metadata.md5
+    }
+
+    // etag is not in md5 format
+    if (this.settings.Metrics) {
+      this.settings.Metrics.inc('s3.md5Download')
+    }
+    try {
+      return await PersistorHelper.calculateStreamMd5(
+        await this.getObjectStream(bucketName, key)
+      )
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error getting hash of s3 object',
+        { bucketName, key },
+        ReadError
+      )
+    }
+  }
+
+  async getObjectMetadata(bucketName, key, opts = {}) {
+    const params = { Bucket: bucketName, Key: key }
+    if (opts.version) {
+      params.VersionId = opts.version
+    }
+
     try {
       const response = await this._getClientForBucket(bucketName)
-        .headObject({ Bucket: bucketName, Key: key })
+        .headObject(params)
         .promise()
-      return response.ContentLength
+      return {
+        size: response.ContentLength,
+        md5: S3Persistor._md5FromResponse(response),
+        contentType: response.ContentType,
+        contentEncoding: response.ContentEncoding,
+        lastModified: response.LastModified,
+        etag: response.ETag,
+        version: response.VersionId,
+        metadata: response.Metadata || {}
+      }
     } catch (err) {
       throw PersistorHelper.wrapError(
         err,
-        'error getting size of s3 object',
+        'error getting metadata of s3 object',
         { bucketName, key },
         ReadError
       )
     }
   }
 
-  async getObjectMd5Hash(bucketName, key) {
+  async getObjectTags(bucketName, key) {
     try {
       const response = await this._getClientForBucket(bucketName)
-        .headObject({ Bucket: bucketName, Key: key })
+        .getObjectTagging({ Bucket: bucketName, Key: key })
         .promise()
-      const md5 = S3Persistor._md5FromResponse(response)
-      if (md5) {
-        return md5
+      const tags = {}
+      for (const tag of response.TagSet) {
+        tags[tag.Key] = tag.Value
       }
-      // etag is not in md5 format
-      if (this.settings.Metrics) {
-        this.settings.Metrics.inc('s3.md5Download')
-      }
-      return PersistorHelper.calculateStreamMd5(
-        await this.getObjectStream(bucketName, key)
-      )
+      return tags
     } catch (err) {
       throw PersistorHelper.wrapError(
         err,
-        'error getting hash of s3 object',
+        'error getting tags of s3 object',
         { bucketName, key },
         ReadError
       )
     }
   }
 
+  async setObjectTags(bucketName, key, tags) {
+    try {
+      await this._getClientForBucket(bucketName)
+        .putObjectTagging({
+          Bucket: bucketName,
+          Key: key,
+          Tagging: { TagSet: S3Persistor._getTagSet(tags) }
+        })
+        .promise()
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'error setting tags of s3 object',
+        { bucketName, key },
+        WriteError
+      )
+    }
+  }
+
   async deleteObject(bucketName, key) {
+    return this._deleteObject(bucketName, key, { trash: true })
+  }
+
+  // the source of a move is not trashed, as the object still exists at its
+  // new key
+  async _deleteObject(bucketName, key, opts = {}) {
     try {
+      if (opts.trash) {
+        await PersistorHelper.trashObject(this, bucketName, key)
+      }
       await this._getClientForBucket(bucketName)
         .deleteObject({ Bucket: bucketName, Key: key })
         .promise()
@@ -244,14 +437,19 @@ module.exports = class S3Persistor extends AbstractPersistor {
     }
   }
 
-  async copyObject(bucketName, sourceKey, destKey) {
+  async copyObject(...args) {
+    const { sourceBucket, sourceKey, destBucket, destKey, opts } =
+      PersistorHelper.parseCopyObjectArgs(args)
     const params = {
-      Bucket: bucketName,
+      Bucket: destBucket,
       Key: destKey,
-      CopySource: `${bucketName}/${sourceKey}`
+      CopySource: `${sourceBucket}/${sourceKey}`
     }
     try {
-      await this._getClientForBucket(bucketName).copyObject(params).promise()
+      // the credentials for the destination must also be able to read the source
+      const client = this._getClientForBucket(destBucket)
+      S3Persistor._addPreconditions(client, opts)
+      await client.copyObject(params).promise()
     } catch (err) {
       throw PersistorHelper.wrapError(
         err,
@@ -262,6 +460,163 @@ module.exports = class S3Persistor extends AbstractPersistor {
     }
   }
 
+  async deleteObjects(bucketName, keys) {
+    const result = { deleted: [], errors: [] }
+
+    // S3 accepts at most 1000 keys in a single request
+    for (let index = 0; index < keys.length; index += 1000) {
+      let chunk = keys.slice(index, index + 1000)
+
+      // objects which could not be kept must not be deleted
+      const trashErrors = await PersistorHelper.trashObjects(
+        this,
+        bucketName,
+        chunk,
+        this.settings.deleteConcurrency || 50
+      )
+      if (trashErrors.length) {
+        result.errors.push(...trashErrors)
+        const failedKeys = new Set(trashErrors.map(({ key }) => key))
+        chunk = chunk.filter((key) => !failedKeys.has(key))
+      }
+      if (chunk.length === 0) {
+        continue
+      }
+
+      let response
+      try {
+        response = await this._getClientForBucket(bucketName)
+          .deleteObjects({
+            Bucket: bucketName,
+            Delete: {
+              Objects: chunk.map((key) => ({ Key: key })),
+              Quiet: true
+            }
+          })
+          .promise()
+      } catch (err) {
+        const error = PersistorHelper.wrapError(
+          err,
+          'failed to delete objects in S3',
+          { bucketName },
+          WriteError
+        )
+        result.errors.push(...chunk.map((key) => ({ key, error })))
+        continue
+      }
+
+      // in quiet mode, S3 only reports the keys which could not be deleted
+      const failures = new Map(
+        (response.Errors || []).map((failure) => [failure.Key, failure])
+      )
+      for (const key of chunk) {
+        const failure = failures.get(key)
+        if (failure) {
+          result.errors.push({
+            key,
+            error: new WriteError('failed to delete file in S3', {
+              bucketName,
+              key,
+              code: failure.Code,
+              message: failure.Message
+            })
+          })
+        } else {
+          result.deleted.push(key)
+        }
+      }
+    }
+
+    return result
+  }
+
+  // S3 has no rename operation, so copy the object and check the copy before
+  // deleting the original
+  async moveObject(bucketName, sourceKey, destKey) {
+    const sourceMetadata = await this.getObjectMetadata(bucketName, sourceKey)
+    await this.copyObject(bucketName, sourceKey, destKey)
+    const destMetadata = await this.getObjectMetadata(bucketName, destKey)
+
+    // the etag of a multipart upload is not an md5 hash, so the hashes can only
+    // be compared if both are available
+    if (
+      sourceMetadata.size !== destMetadata.size ||
+      (sourceMetadata.md5 &&
+        destMetadata.md5 &&
+        sourceMetadata.md5 !== destMetadata.md5)
+    ) {
+      throw new WriteError('copied object does not match source', {
+        bucketName,
+        sourceKey,
+        destKey,
+        sourceMd5: sourceMetadata.md5,
+        destMd5: destMetadata.md5
+      })
+    }
+
+    await this._deleteObject(bucketName, sourceKey)
+  }
+
+  async listObjectVersions(bucketName, key) {
+    const versions = []
+    let response
+    do {
+      const options = { Bucket: bucketName, Prefix: key }
+      if (response) {
+        options.KeyMarker = response.NextKeyMarker
+        options.VersionIdMarker = response.NextVersionIdMarker
+      }
+
+      try {
+        response = await this._getClientForBucket(bucketName)
+          .listObjectVersions(options)
+          .promise()
+      } catch (err) {
+        throw PersistorHelper.wrapError(
+          err,
+          'failed to list object versions in S3',
+          { bucketName, key },
+          ReadError
+        )
+      }
+
+      // the listing is by prefix, so may include other objects
+      for (const item of response.Versions) {
+        if (item.Key === key) {
+          versions.push({
+            version: item.VersionId,
+            size: item.Size,
+            md5: S3Persistor._md5FromResponse(item),
+            lastModified: item.LastModified,
+            isLatest: item.IsLatest
+          })
+        }
+      }
+    } while (response.IsTruncated)
+
+    return versions
+  }
+
+  async restoreObjectVersion(bucketName, key, version) {
+    const params = {
+      Bucket: bucketName,
+      Key: key,
+      CopySource: `${bucketName}/${key}?versionId=${encodeURIComponent(
+        version
+      )}`
+    }
+    try {
+      await this._getClientForBucket(bucketName).copyObject(params).promise()
+    } catch (err) {
+      throw PersistorHelper.wrapError(
+        err,
+        'failed to restore object version in S3',
+        params,
+        WriteError
+      )
+    }
+  }
+
   async checkIfObjectExists(bucketName, key) {
     try {
       await this.getObjectSize(bucketName, key)
@@ -314,6 +669,41 @@ module.exports = class S3Persistor extends AbstractPersistor {
     }
   }
 
+  async *listObjects(bucketName, prefix, opts = {}) {
+    let response
+    do {
+      const options = { Bucket: bucketName, Prefix: prefix }
+      if (opts.pageSize) {
+        options.MaxKeys = opts.pageSize
+      }
+      if (response) {
+        options.ContinuationToken = response.NextContinuationToken
+      }
+
+      try {
+        response = await this._getClientForBucket(bucketName)
+          .listObjectsV2(options)
+          .promise()
+      } catch (err) {
+        throw PersistorHelper.wrapError(
+          err,
+          'failed to list objects in S3',
+          { bucketName, prefix },
+          ReadError
+        )
+      }
+
+      for (const item of response.Contents) {
+        yield {
+          key: item.Key,
+          size: item.Size,
+          md5: S3Persistor._md5FromResponse(item),
+          lastModified: item.LastModified
+        }
+      }
+    } while (response.IsTruncated)
+  }
+
   _getClientForBucket(bucket, clientOptions) {
     if (this.settings.bucketCreds && this.settings.bucketCreds[bucket]) {
       return new S3(
@@ -362,7 +752,8 @@ module.exports = class S3Persistor extends AbstractPersistor {
     }
 
     for (const opt of ['httpOptions', 'maxRetries']) {
-      if (this.settings[opt]) {
+      // a maxRetries of 0 turns off the retries of the SDK
+      if (this.settings[opt] != null) {
         options[opt] = this.settings[opt]
       }
     }
@@ -370,6 +761,38 @@ module.exports = class S3Persistor extends AbstractPersistor {
     return options
   }
 
+  // the S3 client doesn't model conditional writes, so add the headers to the
+  // requests which create the object ourselves
+  static _addPreconditions(client, opts) {
+    const headers = {}
+    if (opts.ifNotExists) {
+      headers['If-None-Match'] = '*'
+    } else if (opts.ifMatch) {
+      headers['If-Match'] = opts.ifMatch.startsWith('"')
+        ? opts.ifMatch
+        : `"${opts.ifMatch}"`
+    }
+    if (Object.keys(headers).length === 0) {
+      return
+    }
+
+    client.customizeRequests((request) => {
+      if (
+        ['putObject', 'completeMultipartUpload', 'copyObject'].includes(
+          request.operation
+        )
+      ) {
+        request.on('build', () => {
+          Object.assign(request.httpRequest.headers, headers)
+        })
+      }
+    })
+  }
+
+  static _getTagSet(tags) {
+    return Object.keys(tags).map((key) => ({ Key: key, Value: tags[key] }))
+  }
+
   static _md5FromResponse(response) {
     const md5 = (response.ETag || '').replace(/[ "]/g, '')
     if (!md5.match(/^[a-f0-9]{32}$/)) {
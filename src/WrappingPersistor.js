@@ -0,0 +1,113 @@
+const AbstractPersistor = require('./AbstractPersistor')
+
+// Base class for persistors which add behaviour to another persistor. Every
+// method is passed through to the wrapped persistor, so subclasses only need to
+// override the methods they change.
+module.exports = class WrappingPersistor extends AbstractPersistor {
+  constructor(persistor, settings) {
+    super()
+
+    this.persistor = persistor
+    this.settings = settings || {}
+  }
+
+  async sendFile(...args) {
+    return this.persistor.sendFile(...args)
+  }
+
+  async sendStream(...args) {
+    return this.persistor.sendStream(...args)
+  }
+
+  async getObjectStream(...args) {
+    return this.persistor.getObjectStream(...args)
+  }
+
+  async getRedirectUrl(...args) {
+    return this.persistor.getRedirectUrl(...args)
+  }
+
+  async getUploadUrl(...args) {
+    return this.persistor.getUploadUrl(...args)
+  }
+
+  async getObjectSize(...args) {
+    return this.persistor.getObjectSize(...args)
+  }
+
+  async getObjectMd5Hash(...args) {
+    return this.persistor.getObjectMd5Hash(...args)
+  }
+
+  async getObjectMetadata(...args) {
+    return this.persistor.getObjectMetadata(...args)
+  }
+
+  async getObjectTags(...args) {
+    return this.persistor.getObjectTags(...args)
+  }
+
+  async setObjectTags(...args) {
+    return this.persistor.setObjectTags(...args)
+  }
+
+  async listObjectVersions(...args) {
+    return this.persistor.listObjectVersions(...args)
+  }
+
+  async restoreObjectVersion(...args) {
+    return this.persistor.restoreObjectVersion(...args)
+  }
+
+  async copyObject(...args) {
+    return this.persistor.copyObject(...args)
+  }
+
+  async moveObject(...args) {
+    return this.persistor.moveObject(...args)
+  }
+
+  async deleteObject(...args) {
+    return this.persistor.deleteObject(...args)
+  }
+
+  async deleteObjects(...args) {
+    return this.persistor.deleteObjects(...args)
+  }
+
+  async *listDeletedObjects(...args) {
+    yield* this.persistor.listDeletedObjects(...args)
+  }
+
+  async restoreDeletedObject(...args) {
+    return this.persistor.restoreDeletedObject(...args)
+  }
+
+  async purgeDeletedObjects(...args) {
+    return this.persistor.purgeDeletedObjects(...args)
+  }
+
+  async purgeExpired(...args) {
+    return this.persistor.purgeExpired(...args)
+  }
+
+  async collectGarbage(...args) {
+    return this.persistor.collectGarbage(...args)
+  }
+
+  async deleteDirectory(...args) {
+    return this.persistor.deleteDirectory(...args)
+  }
+
+  async checkIfObjectExists(...args) {
+    return this.persistor.checkIfObjectExists(...args)
+  }
+
+  async directorySize(...args) {
+    return this.persistor.directorySize(...args)
+  }
+
+  async *listObjects(...args) {
+    yield* this.persistor.listObjects(...args)
+  }
+}
@@ -0,0 +1,57 @@
+const sinon = require('sinon')
+const SandboxedModule = require('sandboxed-module')
+const Stream = require('stream')
+const asyncPool = require('tiny-async-pool')
+
+const Errors = require('../src/Errors')
+
+// Helpers shared by the unit tests
+
+module.exports = {
+  requireModule,
+  readAll,
+  send,
+  listKeys
+}
+
+// loads a module from src in a sandbox, with the modules and globals which
+// every module needs - `requires` and `globals` add to or replace these
+function requireModule(name, requires = {}, globals = {}) {
+  return SandboxedModule.require(`../src/${name}`, {
+    requires: {
+      './Errors': Errors,
+      'logger-sharelatex': { warn: sinon.stub() },
+      'tiny-async-pool': asyncPool,
+      ...requires
+    },
+    globals: { console, Buffer, ...globals }
+  })
+}
+
+// returns the whole of a stream as a buffer
+async function readAll(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+// uploads a buffer to the persistor with sendStream
+async function send(persistor, bucketName, key, content, opts = {}) {
+  await persistor.sendStream(
+    bucketName,
+    key,
+    Stream.Readable.from([content]),
+    opts
+  )
+}
+
+// returns the keys of the objects listed by the persistor, in listing order
+async function listKeys(persistor, bucketName, prefix) {
+  const keys = []
+  for await (const object of persistor.listObjects(bucketName, prefix)) {
+    keys.push(object.key)
+  }
+  return keys
+}
@@ -0,0 +1,586 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const Crypto = require('crypto')
+const Stream = require('stream')
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll } = require('../TestHelper')
+
+describe('AzureBlobPersistorTests', function () {
+  const bucket = 'womBucket'
+  const key = 'monKey'
+  const destKey = 'donKey'
+  const data = Buffer.from('wombats are the best marsupials')
+  const md5 = Crypto.createHash('md5').update(data).digest('hex')
+  const blobUrl = `https://wombats.blob.core.windows.net/${bucket}/${key}`
+  const genericError = new Error('guru meditation error')
+
+  let AzureBlobPersistor,
+    persistor,
+    settings,
+    azure,
+    BlobServiceClient,
+    containerClient,
+    blobClient,
+    blockBlobClient,
+    versionClient,
+    poller,
+    blobItems,
+    uploaded,
+    Metrics
+
+  function makeError(statusCode, code) {
+    return Object.assign(new Error('azure error'), { statusCode, code })
+  }
+
+  // listBlobsFlat returns an async iterable which can also be read in pages
+  function blobListing(items) {
+    return {
+      async *[Symbol.asyncIterator]() {
+        yield* items
+      },
+      byPage: sinon.stub().callsFake(async function* () {
+        yield { segment: { blobItems: items } }
+      })
+    }
+  }
+
+  beforeEach(function () {
+    uploaded = null
+    blobItems = [
+      {
+        name: 'dir/one',
+        properties: {
+          contentLength: 11,
+          contentMD5: Buffer.from(md5, 'hex'),
+          lastModified: new Date(1000)
+        }
+      },
+      {
+        name: 'dir/two',
+        properties: { contentLength: 22, lastModified: new Date(2000) }
+      }
+    ]
+
+    blockBlobClient = {
+      uploadStream: sinon.stub().callsFake(async (stream) => {
+        uploaded = await readAll(stream)
+        return { etag: '"0x8D"' }
+      })
+    }
+
+    versionClient = {
+      url: `${blobUrl}?versionid=1`,
+      download: sinon.stub().resolves({
+        readableStreamBody: Stream.Readable.from([Buffer.from('old')])
+      }),
+      getProperties: sinon.stub().resolves({ contentLength: 3 })
+    }
+
+    blobClient = {
+      url: blobUrl,
+      getBlockBlobClient: sinon.stub().returns(blockBlobClient),
+      withVersion: sinon.stub().returns(versionClient),
+      download: sinon.stub().callsFake(async () => ({
+        readableStreamBody: Stream.Readable.from([data])
+      })),
+      getProperties: sinon.stub().resolves({
+        contentLength: data.length,
+        contentMD5: Buffer.from(md5, 'hex'),
+        contentType: 'text/plain',
+        lastModified: new Date(1000),
+        etag: '"0x8D"',
+        versionId: '2020-01-01T00:00:00.0000000Z',
+        metadata: { project: 'wombat' }
+      }),
+      getTags: sinon.stub().resolves({ tags: { team: 'marsupials' } }),
+      setTags: sinon.stub().resolves(),
+      setHTTPHeaders: sinon.stub().resolves(),
+      deleteIfExists: sinon.stub().resolves({ succeeded: true }),
+      exists: sinon.stub().resolves(true),
+      beginCopyFromURL: sinon.stub().callsFake(async () => poller)
+    }
+
+    poller = { pollUntilDone: sinon.stub().resolves() }
+
+    containerClient = {
+      getBlobClient: sinon.stub().returns(blobClient),
+      listBlobsFlat: sinon.stub().callsFake(() => blobListing(blobItems))
+    }
+
+    BlobServiceClient = sinon.stub().returns({
+      getContainerClient: sinon.stub().returns(containerClient)
+    })
+
+    azure = {
+      BlobServiceClient,
+      StorageSharedKeyCredential: sinon.stub(),
+      BlobSASPermissions: { parse: sinon.stub().returnsArg(0) },
+      generateBlobSASQueryParameters: sinon
+        .stub()
+        .returns({ toString: () => 'sig=wombat' })
+    }
+
+    Metrics = { inc: sinon.stub(), count: sinon.stub() }
+
+    settings = {
+      accountName: 'wombats',
+      accountKey: 'secret',
+      signedUrlExpiryInMs: 60 * 1000,
+      Metrics
+    }
+
+    AzureBlobPersistor = requireModule('AzureBlobPersistor.js', {
+      '@azure/storage-blob': azure
+    })
+    persistor = new AzureBlobPersistor(settings)
+  })
+
+  describe('constructor', function () {
+    it('should use the storage account endpoint', function () {
+      expect(BlobServiceClient).to.have.been.calledWith(
+        'https://wombats.blob.core.windows.net'
+      )
+      expect(azure.StorageSharedKeyCredential).to.have.been.calledWith(
+        'wombats',
+        'secret'
+      )
+    })
+
+    it('should use the configured endpoint', function () {
+      const endpoint = 'http://127.0.0.1:10000/devstoreaccount1'
+      persistor = new AzureBlobPersistor({ ...settings, endpoint })
+      expect(BlobServiceClient).to.have.been.calledWith(endpoint)
+    })
+
+    it('should throw a SettingsError without credentials', function () {
+      expect(() => new AzureBlobPersistor({ accountName: 'wombats' })).to.throw(
+        Errors.SettingsError
+      )
+    })
+  })
+
+  describe('sendStream', function () {
+    describe('when the upload succeeds', function () {
+      beforeEach(async function () {
+        await persistor.sendStream(bucket, key, Stream.Readable.from([data]), {
+          contentType: 'text/plain',
+          metadata: { project: 'wombat' },
+          tags: { team: 'marsupials' },
+          sourceMd5: md5
+        })
+      })
+
+      it('should upload the data', function () {
+        expect(uploaded).to.deep.equal(data)
+      })
+
+      it('should upload to the blob', function () {
+        expect(containerClient.getBlobClient).to.have.been.calledWith(key)
+      })
+
+      it('should set the headers, metadata and tags', function () {
+        const opts = blockBlobClient.uploadStream.args[0][3]
+        expect(opts.blobHTTPHeaders).to.deep.equal({
+          blobContentType: 'text/plain',
+          blobContentMD5: Buffer.from(md5, 'hex')
+        })
+        expect(opts.metadata).to.deep.equal({ project: 'wombat' })
+        expect(opts.tags).to.deep.equal({ team: 'marsupials' })
+        expect(opts.conditions).to.deep.equal({})
+      })
+
+      it('should count the egress', function () {
+        expect(Metrics.count).to.have.been.calledWith(
+          'azure.egress',
+          data.length
+        )
+      })
+
+      it('should not set the md5 hash again', function () {
+        expect(blobClient.setHTTPHeaders).not.to.have.been.called
+      })
+    })
+
+    describe('when no md5 hash is supplied', function () {
+      beforeEach(async function () {
+        await persistor.sendStream(bucket, key, Stream.Readable.from([data]), {
+          contentType: 'text/plain'
+        })
+      })
+
+      it('should store the calculated md5 hash with the headers', function () {
+        expect(blobClient.setHTTPHeaders).to.have.been.calledWith(
+          {
+            blobContentType: 'text/plain',
+            blobContentMD5: Buffer.from(md5, 'hex')
+          },
+          { conditions: { ifMatch: '"0x8D"' } }
+        )
+      })
+    })
+
+    it('should not fail the upload if the md5 hash cannot be stored', async function () {
+      blobClient.setHTTPHeaders.rejects(genericError)
+      await expect(
+        persistor.sendStream(bucket, key, Stream.Readable.from([data]))
+      ).to.eventually.be.fulfilled
+    })
+
+    it('should only upload if the blob does not exist for ifNotExists', async function () {
+      await persistor.sendStream(bucket, key, Stream.Readable.from([data]), {
+        ifNotExists: true
+      })
+      expect(blockBlobClient.uploadStream.args[0][3].conditions).to.deep.equal({
+        ifNoneMatch: '*'
+      })
+    })
+
+    it('should only upload if the etag matches for ifMatch', async function () {
+      await persistor.sendStream(bucket, key, Stream.Readable.from([data]), {
+        ifMatch: '"0x8D"'
+      })
+      expect(blockBlobClient.uploadStream.args[0][3].conditions).to.deep.equal({
+        ifMatch: '"0x8D"'
+      })
+    })
+
+    describe('when the md5 hash does not match', function () {
+      let error
+
+      beforeEach(async function () {
+        try {
+          await persistor.sendStream(
+            bucket,
+            key,
+            Stream.Readable.from([data]),
+            { sourceMd5: 'ffffffff' }
+          )
+        } catch (err) {
+          error = err
+        }
+      })
+
+      it('should throw a WriteError', function () {
+        expect(error).to.be.an.instanceOf(Errors.WriteError)
+        expect(error.message).to.equal('md5 hash mismatch')
+      })
+
+      it('should delete the uploaded blob', function () {
+        expect(blobClient.deleteIfExists).to.have.been.called
+      })
+    })
+
+    it('should throw a PreconditionFailedError when the blob already exists', async function () {
+      blockBlobClient.uploadStream = sinon
+        .stub()
+        .rejects(makeError(409, 'BlobAlreadyExists'))
+      await expect(
+        persistor.sendStream(bucket, key, Stream.Readable.from([data]), {
+          ifNotExists: true
+        })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+    })
+
+    it('should throw a WriteError when the upload fails', async function () {
+      blockBlobClient.uploadStream = sinon.stub().rejects(genericError)
+      await expect(
+        persistor.sendStream(bucket, key, Stream.Readable.from([data]))
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+    })
+  })
+
+  describe('getObjectStream', function () {
+    it('should return the blob', async function () {
+      const stream = await persistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(data)
+      expect(blobClient.download).to.have.been.calledWith(0, undefined)
+    })
+
+    it('should download a range', async function () {
+      await persistor.getObjectStream(bucket, key, { start: 4, end: 9 })
+      expect(blobClient.download).to.have.been.calledWith(4, 6)
+    })
+
+    it('should download a version', async function () {
+      const stream = await persistor.getObjectStream(bucket, key, {
+        version: '1'
+      })
+      expect(blobClient.withVersion).to.have.been.calledWith('1')
+      expect(await readAll(stream)).to.deep.equal(Buffer.from('old'))
+    })
+
+    it('should throw a NotFoundError when the blob does not exist', async function () {
+      blobClient.download = sinon.stub().rejects(makeError(404, 'BlobNotFound'))
+      await expect(
+        persistor.getObjectStream(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+
+    it('should throw a ReadError when the download fails', async function () {
+      blobClient.download = sinon.stub().rejects(genericError)
+      await expect(
+        persistor.getObjectStream(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+    })
+  })
+
+  describe('getRedirectUrl', function () {
+    it('should return a url signed for reading', async function () {
+      const url = await persistor.getRedirectUrl(bucket, key, {
+        responseContentDisposition: 'attachment'
+      })
+      expect(url).to.equal(`${blobUrl}?sig=wombat`)
+      expect(azure.generateBlobSASQueryParameters).to.have.been.calledWith(
+        sinon.match({
+          containerName: bucket,
+          blobName: key,
+          permissions: 'r',
+          contentDisposition: 'attachment'
+        })
+      )
+    })
+  })
+
+  describe('getUploadUrl', function () {
+    it('should return a url signed for writing', async function () {
+      const upload = await persistor.getUploadUrl(bucket, key, {
+        contentType: 'text/plain',
+        contentMd5: md5
+      })
+      expect(upload).to.deep.equal({
+        method: 'PUT',
+        url: `${blobUrl}?sig=wombat`,
+        headers: {
+          'x-ms-blob-type': 'BlockBlob',
+          'Content-Type': 'text/plain',
+          'Content-MD5': Buffer.from(md5, 'hex').toString('base64')
+        }
+      })
+      expect(azure.generateBlobSASQueryParameters).to.have.been.calledWith(
+        sinon.match({ permissions: 'cw' })
+      )
+    })
+
+    it('should throw a NotImplementedError for POST uploads', async function () {
+      await expect(
+        persistor.getUploadUrl(bucket, key, { method: 'POST' })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.NotImplementedError
+      )
+    })
+
+    it('should throw a SettingsError for uploads with a maximum size', async function () {
+      await expect(
+        persistor.getUploadUrl(bucket, key, { maxSize: 1024 })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.SettingsError)
+    })
+  })
+
+  describe('getObjectMetadata', function () {
+    it('should return the metadata', async function () {
+      expect(await persistor.getObjectMetadata(bucket, key)).to.deep.equal({
+        size: data.length,
+        md5,
+        contentType: 'text/plain',
+        contentEncoding: undefined,
+        lastModified: new Date(1000),
+        etag: '"0x8D"',
+        version: '2020-01-01T00:00:00.0000000Z',
+        metadata: { project: 'wombat' }
+      })
+    })
+
+    it('should return the metadata of a version', async function () {
+      const metadata = await persistor.getObjectMetadata(bucket, key, {
+        version: '1'
+      })
+      expect(metadata.size).to.equal(3)
+    })
+
+    it('should throw a NotFoundError when the blob does not exist', async function () {
+      blobClient.getProperties = sinon.stub().rejects(makeError(404))
+      await expect(
+        persistor.getObjectMetadata(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('getObjectMd5Hash', function () {
+    it('should return the stored md5 hash', async function () {
+      expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+      expect(blobClient.download).not.to.have.been.called
+    })
+
+    it('should download the blob when there is no stored md5 hash', async function () {
+      blobClient.getProperties = sinon.stub().resolves({
+        contentLength: data.length
+      })
+      expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+      expect(Metrics.inc).to.have.been.calledWith('azure.md5Download')
+    })
+  })
+
+  describe('tags', function () {
+    it('should return the tags', async function () {
+      expect(await persistor.getObjectTags(bucket, key)).to.deep.equal({
+        team: 'marsupials'
+      })
+    })
+
+    it('should set the tags', async function () {
+      await persistor.setObjectTags(bucket, key, { team: 'wombats' })
+      expect(blobClient.setTags).to.have.been.calledWith({ team: 'wombats' })
+    })
+  })
+
+  describe('listObjectVersions', function () {
+    it('should list the versions of the blob, newest first', async function () {
+      blobItems = [
+        {
+          name: key,
+          versionId: '2020-01-01T00:00:00.0000000Z',
+          properties: { contentLength: 3, lastModified: new Date(1000) }
+        },
+        {
+          name: 'monKeys',
+          versionId: '2020-01-03T00:00:00.0000000Z',
+          properties: { contentLength: 4, lastModified: new Date(3000) }
+        },
+        {
+          name: key,
+          versionId: '2020-01-02T00:00:00.0000000Z',
+          isCurrentVersion: true,
+          properties: { contentLength: 5, lastModified: new Date(2000) }
+        }
+      ]
+      const versions = await persistor.listObjectVersions(bucket, key)
+      expect(containerClient.listBlobsFlat).to.have.been.calledWith({
+        prefix: key,
+        includeVersions: true
+      })
+      expect(
+        versions.map(({ version, size, isLatest }) => [version, size, isLatest])
+      ).to.deep.equal([
+        ['2020-01-02T00:00:00.0000000Z', 5, true],
+        ['2020-01-01T00:00:00.0000000Z', 3, false]
+      ])
+    })
+  })
+
+  describe('restoreObjectVersion', function () {
+    it('should copy the version over the blob', async function () {
+      await persistor.restoreObjectVersion(bucket, key, '1')
+      expect(blobClient.beginCopyFromURL).to.have.been.calledWith(
+        versionClient.url
+      )
+      expect(poller.pollUntilDone).to.have.been.called
+    })
+  })
+
+  describe('copyObject', function () {
+    it('should copy the blob', async function () {
+      await persistor.copyObject(bucket, key, destKey, { ifNotExists: true })
+      expect(containerClient.getBlobClient).to.have.been.calledWith(destKey)
+      expect(blobClient.beginCopyFromURL).to.have.been.calledWith(blobUrl, {
+        conditions: { ifNoneMatch: '*' }
+      })
+      expect(poller.pollUntilDone).to.have.been.called
+    })
+
+    it('should throw a NotFoundError when the blob does not exist', async function () {
+      poller.pollUntilDone = sinon.stub().rejects(makeError(404))
+      await expect(
+        persistor.copyObject(bucket, key, destKey)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('moveObject', function () {
+    it('should copy the blob and delete the original', async function () {
+      await persistor.moveObject(bucket, key, destKey)
+      expect(blobClient.beginCopyFromURL).to.have.been.calledWith(blobUrl)
+      expect(blobClient.deleteIfExists).to.have.been.calledAfter(
+        blobClient.beginCopyFromURL
+      )
+    })
+
+    it('should not copy the original to the deleted bucket', async function () {
+      persistor.settings.deletedBucketSuffix = '-deleted'
+      await persistor.moveObject(bucket, key, destKey)
+      expect(blobClient.beginCopyFromURL).to.have.been.calledOnce
+      expect(blobClient.deleteIfExists).to.have.been.calledOnce
+    })
+  })
+
+  describe('deleteObject', function () {
+    it('should delete the blob and its snapshots', async function () {
+      await persistor.deleteObject(bucket, key)
+      expect(blobClient.deleteIfExists).to.have.been.calledWith({
+        deleteSnapshots: 'include'
+      })
+    })
+
+    it('should throw a WriteError when the delete fails', async function () {
+      blobClient.deleteIfExists = sinon.stub().rejects(genericError)
+      await expect(
+        persistor.deleteObject(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+    })
+  })
+
+  describe('deleteObjects', function () {
+    it('should report the blobs which could not be deleted', async function () {
+      blobClient.deleteIfExists = sinon.stub().resolves()
+      blobClient.deleteIfExists.onSecondCall().rejects(genericError)
+      const result = await persistor.deleteObjects(bucket, ['one', 'two'])
+      expect(result.deleted).to.deep.equal(['one'])
+      expect(result.errors.map(({ key }) => key)).to.deep.equal(['two'])
+    })
+  })
+
+  describe('deleteDirectory', function () {
+    it('should delete each blob with the prefix', async function () {
+      await persistor.deleteDirectory(bucket, 'dir/')
+      expect(containerClient.listBlobsFlat).to.have.been.calledWith({
+        prefix: 'dir/'
+      })
+      expect(containerClient.getBlobClient).to.have.been.calledWith('dir/one')
+      expect(containerClient.getBlobClient).to.have.been.calledWith('dir/two')
+      expect(blobClient.deleteIfExists).to.have.been.calledTwice
+    })
+
+    it('should throw a WriteError when a delete fails', async function () {
+      blobClient.deleteIfExists = sinon.stub().rejects(genericError)
+      await expect(
+        persistor.deleteDirectory(bucket, 'dir/')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+    })
+  })
+
+  describe('listObjects', function () {
+    it('should list the blobs with the prefix', async function () {
+      const objects = []
+      for await (const object of persistor.listObjects(bucket, 'dir/')) {
+        objects.push(object)
+      }
+      expect(objects).to.deep.equal([
+        { key: 'dir/one', size: 11, md5, lastModified: new Date(1000) },
+        { key: 'dir/two', size: 22, md5: null, lastModified: new Date(2000) }
+      ])
+    })
+
+    it('should return the size of a directory', async function () {
+      expect(await persistor.directorySize(bucket, 'dir/')).to.equal(33)
+    })
+  })
+
+  describe('checkIfObjectExists', function () {
+    it('should return whether the blob exists', async function () {
+      expect(await persistor.checkIfObjectExists(bucket, key)).to.be.true
+    })
+  })
+})
@@ -0,0 +1,268 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const fs = require('fs')
+const os = require('os')
+const Path = require('path')
+const Stream = require('stream')
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll } = require('../TestHelper')
+
+describe('CachingPersistorTests', function () {
+  const bucket = 'womBucket'
+  const key = 'monKey'
+  const data = Buffer.from('wombats are the best marsupials')
+
+  let CachingPersistor,
+    cachingPersistor,
+    persistor,
+    objects,
+    etags,
+    Metrics,
+    cachePath
+
+  async function read(opts) {
+    return readAll(await cachingPersistor.getObjectStream(bucket, key, opts))
+  }
+
+  function cacheFiles() {
+    return fs.readdirSync(cachePath)
+  }
+
+  beforeEach(function () {
+    cachePath = fs.mkdtempSync(Path.join(os.tmpdir(), 'cache-'))
+    objects = { [key]: data, otherKey: Buffer.from('other wombats') }
+    etags = { [key]: 'etag-1', otherKey: 'etag-2' }
+
+    persistor = {
+      getObjectStream: sinon.stub().callsFake(async (bucketName, key, opts) => {
+        // like FSPersistor, this requires the options
+        const { start, end } = opts
+        if (!objects[key]) {
+          throw new Errors.NotFoundError('not found')
+        }
+        return Stream.Readable.from([
+          objects[key].slice(
+            start || 0,
+            end != null ? end + 1 : objects[key].length
+          )
+        ])
+      }),
+      getObjectMetadata: sinon.stub().callsFake(async (bucketName, key) => {
+        if (!objects[key]) {
+          throw new Errors.NotFoundError('not found')
+        }
+        return { size: objects[key].length, etag: etags[key] }
+      }),
+      sendStream: sinon.stub().resolves(),
+      copyObject: sinon.stub().resolves(),
+      deleteObject: sinon.stub().resolves(),
+      deleteDirectory: sinon.stub().resolves()
+    }
+
+    Metrics = { inc: sinon.stub() }
+
+    CachingPersistor = requireModule('CachingPersistor.js')
+    cachingPersistor = new CachingPersistor(persistor, {
+      path: cachePath,
+      Metrics
+    })
+  })
+
+  afterEach(function () {
+    for (const filename of cacheFiles()) {
+      fs.unlinkSync(Path.join(cachePath, filename))
+    }
+    fs.rmdirSync(cachePath)
+  })
+
+  describe('constructor', function () {
+    it('should throw a SettingsError without a path', function () {
+      expect(() => new CachingPersistor(persistor, { Metrics })).to.throw(
+        Errors.SettingsError
+      )
+    })
+  })
+
+  describe('getObjectStream', function () {
+    beforeEach(async function () {
+      expect(await read()).to.deep.equal(data)
+    })
+
+    it('should store the object in the cache', function () {
+      expect(cacheFiles()).to.have.length(1)
+      expect(Metrics.inc).to.have.been.calledWith('cache.miss')
+    })
+
+    it('should read the object from the cache', async function () {
+      expect(await read()).to.deep.equal(data)
+      expect(persistor.getObjectStream).to.have.been.calledOnce
+      expect(Metrics.inc).to.have.been.calledWith('cache.hit')
+    })
+
+    it('should read a range from the cache', async function () {
+      expect(await read({ start: 4, end: 9 })).to.deep.equal(data.slice(4, 10))
+      expect(persistor.getObjectStream).to.have.been.calledOnce
+    })
+
+    it('should check the etag of the object', async function () {
+      await read()
+      expect(persistor.getObjectMetadata).to.have.been.calledTwice
+    })
+
+    it('should fetch the object again when it has changed', async function () {
+      objects[key] = Buffer.from('new wombats')
+      etags[key] = 'etag-3'
+      expect(await read()).to.deep.equal(objects[key])
+      expect(persistor.getObjectStream).to.have.been.calledTwice
+    })
+
+    it('should throw a NotFoundError when the object has been deleted', async function () {
+      delete objects[key]
+      await expect(read()).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.NotFoundError
+      )
+    })
+
+    it('should not cache other versions of the object', async function () {
+      await cachingPersistor.getObjectStream(bucket, key, { version: '1' })
+      expect(persistor.getObjectStream).to.have.been.calledWith(bucket, key, {
+        version: '1'
+      })
+    })
+  })
+
+  describe('when a range is read before the object is cached', function () {
+    let result
+
+    beforeEach(async function () {
+      result = await read({ start: 4, end: 9 })
+      // wait for the download to the cache
+      await Promise.all(
+        [...cachingPersistor.downloads.values()].map(
+          (download) => download.promise
+        )
+      )
+    })
+
+    it('should read the range from the backend', function () {
+      expect(result).to.deep.equal(data.slice(4, 10))
+      expect(persistor.getObjectStream).to.have.been.calledWith(bucket, key, {
+        start: 4,
+        end: 9
+      })
+    })
+
+    it('should cache the object in the background', async function () {
+      expect(cacheFiles()).to.have.length(1)
+      expect(await read()).to.deep.equal(data)
+      expect(Metrics.inc).to.have.been.calledWith('cache.hit')
+    })
+  })
+
+  describe('without metrics', function () {
+    it('should read the object', async function () {
+      cachingPersistor = new CachingPersistor(persistor, { path: cachePath })
+      expect(await read()).to.deep.equal(data)
+      expect(await read()).to.deep.equal(data)
+    })
+  })
+
+  describe('with a ttl', function () {
+    beforeEach(async function () {
+      cachingPersistor = new CachingPersistor(persistor, {
+        path: cachePath,
+        ttlMs: 60 * 1000,
+        Metrics
+      })
+      await read()
+    })
+
+    it('should not check the etag of the object within the ttl', async function () {
+      etags[key] = 'etag-3'
+      expect(await read()).to.deep.equal(data)
+      expect(persistor.getObjectMetadata).to.have.been.calledOnce
+    })
+  })
+
+  describe('when the cache is full', function () {
+    beforeEach(async function () {
+      cachingPersistor = new CachingPersistor(persistor, {
+        path: cachePath,
+        maxSizeBytes: data.length + 5,
+        Metrics
+      })
+      await read()
+      await readAll(await cachingPersistor.getObjectStream(bucket, 'otherKey'))
+    })
+
+    it('should remove the least-recently used object', async function () {
+      expect(cachingPersistor.size).to.equal(objects.otherKey.length)
+      await read()
+      expect(persistor.getObjectStream).to.have.been.calledThrice
+    })
+
+    it('should not cache objects larger than the cache', async function () {
+      objects.largeKey = Buffer.alloc(data.length + 6)
+      etags.largeKey = 'etag-4'
+      await readAll(await cachingPersistor.getObjectStream(bucket, 'largeKey'))
+      expect(cachingPersistor.size).to.equal(objects.otherKey.length)
+    })
+  })
+
+  describe('when an object is written through the persistor', function () {
+    beforeEach(async function () {
+      await read()
+    })
+
+    for (const [method, args] of [
+      ['sendStream', [bucket, key, Stream.Readable.from([])]],
+      ['deleteObject', [bucket, key]],
+      ['deleteDirectory', [bucket, 'mon']],
+      ['copyObject', [bucket, 'otherKey', key]]
+    ]) {
+      it(`should remove the object from the cache after ${method}`, async function () {
+        await cachingPersistor[method](...args)
+        expect(cachingPersistor.entries.size).to.equal(0)
+        await read()
+        expect(persistor.getObjectStream).to.have.been.calledTwice
+      })
+    }
+
+    it('should remove the object from the cache when the write fails', async function () {
+      persistor.sendStream = sinon.stub().rejects(new Errors.WriteError('no'))
+      await expect(
+        cachingPersistor.sendStream(bucket, key, Stream.Readable.from([]))
+      ).to.eventually.be.rejected
+      expect(cachingPersistor.entries.size).to.equal(0)
+    })
+
+    it('should not remove other objects from the cache', async function () {
+      await cachingPersistor.deleteObject(bucket, 'otherKey')
+      expect(cachingPersistor.entries.size).to.equal(1)
+    })
+  })
+
+  describe('when the object is written during a download', function () {
+    it('should not cache the old object', async function () {
+      persistor.getObjectStream = sinon.stub().callsFake(async () => {
+        await cachingPersistor.deleteObject(bucket, key)
+        return Stream.Readable.from([data])
+      })
+      await read()
+      expect(cachingPersistor.entries.size).to.equal(0)
+      expect(cacheFiles()).to.deep.equal([])
+    })
+  })
+
+  describe('when the cache directory has old files', function () {
+    it('should remove them', async function () {
+      fs.writeFileSync(Path.join(cachePath, 'old.cache'), 'old')
+      fs.writeFileSync(Path.join(cachePath, 'other'), 'other')
+      await read()
+      expect(cacheFiles()).to.include('other')
+      expect(cacheFiles()).not.to.include('old.cache')
+    })
+  })
+})
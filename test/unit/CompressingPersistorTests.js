@@ -0,0 +1,475 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const Crypto = require('crypto')
+const Stream = require('stream')
+const zlib = require('zlib')
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll } = require('../TestHelper')
+
+describe('CompressingPersistorTests', function () {
+  const bucket = 'womBucket'
+  const key = 'monKey'
+  const smallData = Buffer.from('small')
+  const largeData = Buffer.from('compressible '.repeat(1000))
+  const largeMd5 = Crypto.createHash('md5').update(largeData).digest('hex')
+
+  let CompressingPersistor,
+    persistor,
+    compressingPersistor,
+    Logger,
+    Fs,
+    uploaded
+
+  beforeEach(function () {
+    uploaded = null
+    persistor = {
+      sendStream: sinon.stub().callsFake(async (bucket, key, stream) => {
+        uploaded = await readAll(stream)
+      }),
+      getObjectStream: sinon.stub(),
+      getObjectMetadata: sinon.stub().resolves({
+        size: 100,
+        md5: 'compressedMd5',
+        metadata: { 'compression-algorithm': 'gzip', foo: 'bar' }
+      }),
+      getObjectMd5Hash: sinon.stub().resolves('backendMd5'),
+      deleteObject: sinon.stub().resolves()
+    }
+
+    Fs = {
+      stat: sinon.stub().yields(null, { size: largeData.length }),
+      createReadStream: sinon.stub().returns(Stream.Readable.from([largeData]))
+    }
+
+    Logger = {
+      warn: sinon.stub()
+    }
+
+    CompressingPersistor = requireModule('CompressingPersistor.js', {
+      fs: Fs,
+      'logger-sharelatex': Logger
+    })
+    compressingPersistor = new CompressingPersistor(persistor, {})
+  })
+
+  describe('constructor', function () {
+    it('should throw a SettingsError for an unknown algorithm', function () {
+      expect(
+        () => new CompressingPersistor(persistor, { algorithm: 'zip' })
+      ).to.throw(Errors.SettingsError)
+    })
+  })
+
+  describe('sendStream', function () {
+    describe('when the data is smaller than the minimum size', function () {
+      beforeEach(async function () {
+        return compressingPersistor.sendStream(
+          bucket,
+          key,
+          Stream.Readable.from([smallData]),
+          { contentType: 'text/plain' }
+        )
+      })
+
+      it('should upload the data uncompressed', function () {
+        expect(uploaded).to.deep.equal(smallData)
+        expect(persistor.sendStream).to.have.been.calledWith(
+          bucket,
+          key,
+          sinon.match.any,
+          { contentType: 'text/plain' }
+        )
+      })
+    })
+
+    describe('when the data is larger than the minimum size', function () {
+      beforeEach(async function () {
+        return compressingPersistor.sendStream(
+          bucket,
+          key,
+          Stream.Readable.from([
+            largeData.slice(0, 1000),
+            largeData.slice(1000)
+          ]),
+          { contentType: 'text/plain', sourceMd5: largeMd5 }
+        )
+      })
+
+      it('should upload the compressed data', function () {
+        expect(uploaded.length).to.be.below(largeData.length)
+        expect(zlib.gunzipSync(uploaded)).to.deep.equal(largeData)
+      })
+
+      it('should record the algorithm and md5 hash in the custom metadata', function () {
+        expect(persistor.sendStream).to.have.been.calledWith(
+          bucket,
+          key,
+          sinon.match.any,
+          {
+            contentType: 'text/plain',
+            metadata: {
+              'compression-algorithm': 'gzip',
+              'compression-md5': largeMd5
+            }
+          }
+        )
+      })
+    })
+
+    describe('when brotli is configured', function () {
+      beforeEach(async function () {
+        compressingPersistor = new CompressingPersistor(persistor, {
+          algorithm: 'br'
+        })
+        return compressingPersistor.sendStream(
+          bucket,
+          key,
+          Stream.Readable.from([largeData])
+        )
+      })
+
+      it('should upload the data compressed with brotli', function () {
+        expect(zlib.brotliDecompressSync(uploaded)).to.deep.equal(largeData)
+        expect(
+          persistor.sendStream.firstCall.args[3].metadata[
+            'compression-algorithm'
+          ]
+        ).to.equal('br')
+      })
+    })
+
+    describe('when the data is already encoded', function () {
+      it('should upload the data as it is', async function () {
+        const compressed = zlib.gzipSync(largeData)
+        await compressingPersistor.sendStream(
+          bucket,
+          key,
+          Stream.Readable.from([compressed]),
+          { contentEncoding: 'gzip' }
+        )
+        expect(uploaded).to.deep.equal(compressed)
+      })
+    })
+
+    describe('when a file is uploaded', function () {
+      beforeEach(async function () {
+        return compressingPersistor.sendFile(bucket, key, '/tmp/file', {
+          metadata: { foo: 'bar' }
+        })
+      })
+
+      it('should upload the compressed file', function () {
+        expect(Fs.createReadStream).to.have.been.calledWith('/tmp/file')
+        expect(zlib.gunzipSync(uploaded)).to.deep.equal(largeData)
+      })
+
+      it('should record the size of the file', function () {
+        expect(persistor.sendStream.firstCall.args[3].metadata).to.deep.equal({
+          foo: 'bar',
+          'compression-algorithm': 'gzip',
+          'compression-size': String(largeData.length)
+        })
+      })
+    })
+
+    describe('when the md5 hash does not match', function () {
+      let error
+
+      beforeEach(async function () {
+        try {
+          await compressingPersistor.sendStream(
+            bucket,
+            key,
+            Stream.Readable.from([largeData]),
+            { sourceMd5: 'ffffffff' }
+          )
+        } catch (err) {
+          error = err
+        }
+      })
+
+      it('should throw a WriteError', function () {
+        expect(error).to.be.an.instanceOf(Errors.WriteError)
+        expect(error.message).to.equal('md5 hash mismatch')
+      })
+
+      it('should delete the uploaded object', function () {
+        expect(persistor.deleteObject).to.have.been.calledWith(bucket, key)
+      })
+    })
+
+    describe('when the upload fails', function () {
+      it('should throw a WriteError', async function () {
+        persistor.sendStream = sinon.stub().rejects(new Error('upload failed'))
+        await expect(
+          compressingPersistor.sendStream(
+            bucket,
+            key,
+            Stream.Readable.from([largeData])
+          )
+        ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+      })
+    })
+  })
+
+  describe('getObjectStream', function () {
+    describe('when the object is compressed', function () {
+      let data
+
+      beforeEach(async function () {
+        persistor.getObjectStream.resolves(
+          Stream.Readable.from([zlib.gzipSync(largeData)])
+        )
+        data = await readAll(
+          await compressingPersistor.getObjectStream(bucket, key, {
+            version: '2'
+          })
+        )
+      })
+
+      it('should check the encoding of the requested version', function () {
+        expect(persistor.getObjectMetadata).to.have.been.calledWith(
+          bucket,
+          key,
+          { version: '2' }
+        )
+      })
+
+      it('should return the decompressed data', function () {
+        expect(data).to.deep.equal(largeData)
+      })
+    })
+
+    describe('when the object is not compressed', function () {
+      it('should return the stream from the persistor', async function () {
+        const stream = Stream.Readable.from([smallData])
+        persistor.getObjectMetadata.resolves({})
+        persistor.getObjectStream.resolves(stream)
+        expect(
+          await compressingPersistor.getObjectStream(bucket, key, { start: 1 })
+        ).to.equal(stream)
+        expect(persistor.getObjectStream).to.have.been.calledWith(bucket, key, {
+          start: 1
+        })
+      })
+    })
+
+    describe('when the object was uploaded with its own encoding', function () {
+      it('should return the stored data', async function () {
+        const stream = Stream.Readable.from([zlib.gzipSync(largeData)])
+        persistor.getObjectMetadata.resolves({
+          contentEncoding: 'gzip',
+          metadata: {}
+        })
+        persistor.getObjectStream.resolves(stream)
+        expect(
+          await compressingPersistor.getObjectStream(bucket, key)
+        ).to.equal(stream)
+      })
+    })
+
+    describe('when the raw data is requested', function () {
+      it('should not decompress the data', async function () {
+        const stream = Stream.Readable.from([smallData])
+        persistor.getObjectStream.resolves(stream)
+        expect(
+          await compressingPersistor.getObjectStream(bucket, key, { raw: true })
+        ).to.equal(stream)
+        expect(persistor.getObjectMetadata).not.to.have.been.called
+        expect(persistor.getObjectStream).to.have.been.calledWith(
+          bucket,
+          key,
+          {}
+        )
+      })
+    })
+
+    describe('when a range of a compressed object is requested', function () {
+      let data
+
+      beforeEach(async function () {
+        const compressed = zlib.gzipSync(largeData)
+        persistor.getObjectStream.resolves(
+          Stream.Readable.from([compressed.slice(0, 10), compressed.slice(10)])
+        )
+        data = await readAll(
+          await compressingPersistor.getObjectStream(bucket, key, {
+            start: 1000,
+            end: 1999
+          })
+        )
+      })
+
+      it('should read the whole compressed object', function () {
+        expect(persistor.getObjectStream).to.have.been.calledWith(
+          bucket,
+          key,
+          {}
+        )
+      })
+
+      it('should return the range of the decompressed data', function () {
+        expect(data).to.deep.equal(largeData.slice(1000, 2000))
+      })
+
+      it('should not log a warning when it stops decompressing', async function () {
+        await new Promise((resolve) => setImmediate(resolve))
+        expect(Logger.warn).not.to.have.been.called
+      })
+    })
+  })
+
+  describe('getObjectMetadata', function () {
+    describe('when the size and md5 hash were recorded', function () {
+      it('should return them, without the compression metadata', async function () {
+        persistor.getObjectMetadata.resolves({
+          size: 100,
+          md5: 'compressedMd5',
+          contentType: 'text/plain',
+          metadata: {
+            'compression-algorithm': 'gzip',
+            'compression-size': String(largeData.length),
+            'compression-md5': largeMd5,
+            foo: 'bar'
+          }
+        })
+        expect(
+          await compressingPersistor.getObjectMetadata(bucket, key)
+        ).to.deep.equal({
+          size: largeData.length,
+          md5: largeMd5,
+          contentType: 'text/plain',
+          metadata: { foo: 'bar' }
+        })
+        expect(persistor.getObjectStream).not.to.have.been.called
+      })
+    })
+
+    describe('when the size was not recorded', function () {
+      it('should decompress the object to count its size', async function () {
+        persistor.getObjectStream.resolves(
+          Stream.Readable.from([zlib.gzipSync(largeData)])
+        )
+        const metadata = await compressingPersistor.getObjectMetadata(
+          bucket,
+          key
+        )
+        expect(metadata.size).to.equal(largeData.length)
+        expect(metadata.md5).to.be.null
+      })
+
+      it('should only count the size once for each etag', async function () {
+        persistor.getObjectMetadata.resolves({
+          size: 100,
+          etag: 'etag-1',
+          metadata: { 'compression-algorithm': 'gzip' }
+        })
+        persistor.getObjectStream.callsFake(async () =>
+          Stream.Readable.from([zlib.gzipSync(largeData)])
+        )
+        await compressingPersistor.getObjectSize(bucket, key)
+        expect(await compressingPersistor.getObjectSize(bucket, key)).to.equal(
+          largeData.length
+        )
+        expect(persistor.getObjectStream).to.have.been.calledOnce
+
+        persistor.getObjectMetadata.resolves({
+          size: 100,
+          etag: 'etag-2',
+          metadata: { 'compression-algorithm': 'gzip' }
+        })
+        await compressingPersistor.getObjectSize(bucket, key)
+        expect(persistor.getObjectStream).to.have.been.calledTwice
+      })
+    })
+
+    describe('when the object is not compressed', function () {
+      it('should return the metadata from the persistor', async function () {
+        const metadata = { size: 5, md5: 'md5', metadata: {} }
+        persistor.getObjectMetadata.resolves(metadata)
+        expect(
+          await compressingPersistor.getObjectMetadata(bucket, key)
+        ).to.equal(metadata)
+      })
+    })
+  })
+
+  describe('getObjectSize', function () {
+    it('should return the size of the original data', async function () {
+      persistor.getObjectMetadata.resolves({
+        size: 100,
+        metadata: {
+          'compression-algorithm': 'gzip',
+          'compression-size': '12345'
+        }
+      })
+      expect(await compressingPersistor.getObjectSize(bucket, key)).to.equal(
+        12345
+      )
+    })
+  })
+
+  describe('getObjectMd5Hash', function () {
+    it('should calculate the md5 hash of the original data when it was not recorded', async function () {
+      persistor.getObjectStream.resolves(
+        Stream.Readable.from([zlib.gzipSync(largeData)])
+      )
+      expect(await compressingPersistor.getObjectMd5Hash(bucket, key)).to.equal(
+        largeMd5
+      )
+    })
+
+    it('should return the md5 hash from the persistor for an uncompressed object', async function () {
+      persistor.getObjectMetadata.resolves({ metadata: {} })
+      expect(await compressingPersistor.getObjectMd5Hash(bucket, key)).to.equal(
+        'backendMd5'
+      )
+    })
+  })
+
+  describe('listObjects', function () {
+    beforeEach(function () {
+      persistor.listObjects = sinon.stub().callsFake(async function* () {
+        yield { key, size: 100, md5: 'compressedMd5' }
+        yield { key: 'plainKey', size: 5, md5: 'plainMd5' }
+      })
+      persistor.getObjectMetadata.withArgs(bucket, key).resolves({
+        size: 100,
+        metadata: {
+          'compression-algorithm': 'gzip',
+          'compression-size': String(largeData.length),
+          'compression-md5': largeMd5
+        }
+      })
+      persistor.getObjectMetadata
+        .withArgs(bucket, 'plainKey')
+        .resolves({ size: 5, md5: 'plainMd5', metadata: {} })
+    })
+
+    it('should list the size and md5 hash of the original data', async function () {
+      const objects = []
+      for await (const object of compressingPersistor.listObjects(bucket, '')) {
+        objects.push(object)
+      }
+      expect(objects).to.deep.equal([
+        { key, size: largeData.length, md5: largeMd5 },
+        { key: 'plainKey', size: 5, md5: 'plainMd5' }
+      ])
+    })
+
+    it('should add up the size of the original data', async function () {
+      expect(await compressingPersistor.directorySize(bucket, '')).to.equal(
+        largeData.length + 5
+      )
+    })
+  })
+
+  describe('other methods', function () {
+    it('should pass them through to the wrapped persistor', async function () {
+      await compressingPersistor.deleteObject(bucket, key)
+      expect(persistor.deleteObject).to.have.been.calledWith(bucket, key)
+    })
+  })
+})
@@ -0,0 +1,465 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const Crypto = require('crypto')
+const Stream = require('stream')
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll } = require('../TestHelper')
+
+describe('DedupPersistorTests', function () {
+  const bucket = 'womBucket'
+  const blobBucket = 'womBucket-blobs'
+  const key = 'monKey'
+  const data = Buffer.from('wombats are the best marsupials')
+  const hash = Crypto.createHash('sha256').update(data).digest('hex')
+  const md5 = Crypto.createHash('md5').update(data).digest('hex')
+  const dayAgo = Date.now() - 25 * 60 * 60 * 1000
+
+  let DedupPersistor, dedupPersistor, persistor, objects, versions
+
+  function getObject(bucketName, key) {
+    const object = objects[`${bucketName}/${key}`]
+    if (!object) {
+      throw new Errors.NotFoundError('not found', { bucketName, key })
+    }
+    return object
+  }
+
+  beforeEach(function () {
+    objects = {}
+    // previous versions of objects, keyed by `${bucketName}/${key}`
+    versions = {}
+
+    // stores objects in memory, keyed by `${bucketName}/${key}`
+    persistor = {
+      sendStream: sinon
+        .stub()
+        .callsFake(async (bucketName, key, stream, opts = {}) => {
+          objects[`${bucketName}/${key}`] = {
+            data: await readAll(stream),
+            metadata: opts.metadata,
+            lastModified: new Date()
+          }
+        }),
+      getObjectStream: sinon
+        .stub()
+        .callsFake(async (bucketName, key, opts = {}) => {
+          const { data } = getObject(bucketName, key)
+          return Stream.Readable.from([
+            data.slice(
+              opts.start || 0,
+              opts.end != null ? opts.end + 1 : data.length
+            )
+          ])
+        }),
+      getObjectMetadata: sinon
+        .stub()
+        .callsFake(async (bucketName, key, opts = {}) => {
+          const object = opts.version
+            ? versions[`${bucketName}/${key}`][opts.version]
+            : getObject(bucketName, key)
+          return {
+            size: object.data.length,
+            md5: 'referenceMd5',
+            lastModified: object.lastModified,
+            metadata: object.metadata
+          }
+        }),
+      listObjectVersions: sinon
+        .stub()
+        .callsFake(async (bucketName, key) => [
+          { version: 'current', isLatest: true },
+          ...Object.keys(versions[`${bucketName}/${key}`] || {}).map(
+            (version) => ({ version, isLatest: false })
+          )
+        ]),
+      getRedirectUrl: sinon
+        .stub()
+        .callsFake(async (bucketName, key) => `https://${bucketName}/${key}`),
+      checkIfObjectExists: sinon
+        .stub()
+        .callsFake(
+          async (bucketName, key) => !!objects[`${bucketName}/${key}`]
+        ),
+      copyObject: sinon
+        .stub()
+        .callsFake(async (sourceBucket, sourceKey, destBucket, destKey) => {
+          objects[`${destBucket}/${destKey}`] = {
+            ...getObject(sourceBucket, sourceKey),
+            lastModified: new Date()
+          }
+        }),
+      moveObject: sinon
+        .stub()
+        .callsFake(async (bucketName, sourceKey, destKey) => {
+          objects[`${bucketName}/${destKey}`] = {
+            ...getObject(bucketName, sourceKey),
+            lastModified: new Date()
+          }
+          delete objects[`${bucketName}/${sourceKey}`]
+        }),
+      deleteObject: sinon.stub().callsFake(async (bucketName, key) => {
+        delete objects[`${bucketName}/${key}`]
+      }),
+      deleteObjects: sinon.stub().callsFake(async (bucketName, keys) => {
+        for (const key of keys) {
+          delete objects[`${bucketName}/${key}`]
+        }
+        return { deleted: keys, errors: [] }
+      }),
+      listObjects: sinon.stub().callsFake(async function* (bucketName) {
+        for (const path of Object.keys(objects)) {
+          if (path.startsWith(`${bucketName}/`)) {
+            yield {
+              key: path.slice(bucketName.length + 1),
+              size: objects[path].data.length,
+              lastModified: objects[path].lastModified
+            }
+          }
+        }
+      })
+    }
+
+    DedupPersistor = requireModule('DedupPersistor.js')
+    dedupPersistor = new DedupPersistor(persistor, {})
+  })
+
+  describe('sendStream', function () {
+    beforeEach(async function () {
+      await dedupPersistor.sendStream(
+        bucket,
+        key,
+        Stream.Readable.from([data]),
+        { metadata: { project: 'wombat' }, sourceMd5: md5 }
+      )
+    })
+
+    it('should store the data under its hash in the blob bucket', function () {
+      expect(objects[`${blobBucket}/${hash}`].data).to.deep.equal(data)
+    })
+
+    it('should not leave the upload in the blob bucket', function () {
+      expect(
+        Object.keys(objects).filter((path) => path.startsWith(blobBucket))
+      ).to.deep.equal([`${blobBucket}/${hash}`])
+    })
+
+    it('should write an empty reference to the blob', function () {
+      const reference = objects[`${bucket}/${key}`]
+      expect(reference.data.length).to.equal(0)
+      expect(reference.metadata).to.deep.equal({
+        project: 'wombat',
+        'dedup-hash': hash,
+        'dedup-size': String(data.length),
+        'dedup-md5': md5
+      })
+    })
+
+    it('should only store the data once', async function () {
+      await dedupPersistor.sendStream(
+        bucket,
+        'otherKey',
+        Stream.Readable.from([data])
+      )
+      expect(
+        Object.keys(objects).filter((path) => path.startsWith(blobBucket))
+      ).to.have.length(1)
+      expect(objects[`${bucket}/otherKey`].metadata['dedup-hash']).to.equal(
+        hash
+      )
+    })
+  })
+
+  describe('with preconditions', function () {
+    beforeEach(async function () {
+      await dedupPersistor.sendStream(bucket, key, Stream.Readable.from([data]))
+      persistor.sendStream.resetHistory()
+    })
+
+    it('should not upload the data when the object already exists', async function () {
+      await expect(
+        dedupPersistor.sendStream(bucket, key, Stream.Readable.from([data]), {
+          ifNotExists: true
+        })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+      expect(persistor.sendStream).not.to.have.been.called
+    })
+
+    it('should write the reference only if it does not exist', async function () {
+      await dedupPersistor.sendStream(
+        bucket,
+        'newKey',
+        Stream.Readable.from([data]),
+        { ifNotExists: true }
+      )
+      expect(persistor.sendStream).to.have.been.calledWith(
+        bucket,
+        'newKey',
+        sinon.match.any,
+        sinon.match({ ifNotExists: true })
+      )
+    })
+
+    it('should not upload the data when the object does not match', async function () {
+      await expect(
+        dedupPersistor.sendStream(bucket, key, Stream.Readable.from([data]), {
+          ifMatch: 'ffffffff'
+        })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+      expect(persistor.sendStream).not.to.have.been.called
+    })
+
+    it('should match the md5 hash of the data against the reference', async function () {
+      await dedupPersistor.sendStream(
+        bucket,
+        key,
+        Stream.Readable.from([data]),
+        { ifMatch: md5 }
+      )
+      expect(persistor.sendStream).to.have.been.calledWith(
+        bucket,
+        key,
+        sinon.match.any,
+        sinon.match({ ifMatch: 'referenceMd5' })
+      )
+    })
+  })
+
+  describe('when the md5 hash does not match', function () {
+    it('should throw a WriteError without writing a reference', async function () {
+      await expect(
+        dedupPersistor.sendStream(bucket, key, Stream.Readable.from([data]), {
+          sourceMd5: 'ffffffff'
+        })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+      expect(objects).to.deep.equal({})
+    })
+  })
+
+  describe('when the blob cannot be stored', function () {
+    it('should throw a WriteError without writing a reference', async function () {
+      persistor.moveObject = sinon.stub().rejects(new Error('no'))
+      await expect(
+        dedupPersistor.sendStream(bucket, key, Stream.Readable.from([data]))
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+      expect(objects[`${bucket}/${key}`]).not.to.exist
+    })
+  })
+
+  describe('reading objects', function () {
+    beforeEach(async function () {
+      await dedupPersistor.sendStream(
+        bucket,
+        key,
+        Stream.Readable.from([data]),
+        { metadata: { project: 'wombat' } }
+      )
+    })
+
+    it('should read the data from the blob', async function () {
+      const stream = await dedupPersistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(data)
+    })
+
+    it('should read a range from the blob', async function () {
+      const stream = await dedupPersistor.getObjectStream(bucket, key, {
+        start: 4,
+        end: 9
+      })
+      expect(await readAll(stream)).to.deep.equal(data.slice(4, 10))
+    })
+
+    it('should redirect to the blob', async function () {
+      expect(await dedupPersistor.getRedirectUrl(bucket, key)).to.equal(
+        `https://${blobBucket}/${hash}`
+      )
+    })
+
+    it('should return the size and md5 hash of the data', async function () {
+      expect(await dedupPersistor.getObjectMetadata(bucket, key)).to.deep.equal(
+        {
+          size: data.length,
+          md5,
+          lastModified: objects[`${bucket}/${key}`].lastModified,
+          metadata: { project: 'wombat' }
+        }
+      )
+      expect(await dedupPersistor.getObjectSize(bucket, key)).to.equal(
+        data.length
+      )
+      expect(await dedupPersistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+    })
+
+    it('should list the size of the data', async function () {
+      const listed = []
+      for await (const object of dedupPersistor.listObjects(bucket, '')) {
+        listed.push(object)
+      }
+      expect(listed).to.have.length(1)
+      expect(listed[0]).to.include({ key, size: data.length, md5 })
+      expect(await dedupPersistor.directorySize(bucket, '')).to.equal(
+        data.length
+      )
+    })
+
+    it('should return objects without a reference as they are', async function () {
+      objects[`${bucket}/plain`] = { data, metadata: {} }
+      const stream = await dedupPersistor.getObjectStream(bucket, 'plain')
+      expect(await readAll(stream)).to.deep.equal(data)
+      expect(persistor.getObjectStream).to.have.been.calledWith(bucket, 'plain')
+    })
+  })
+
+  describe('copyObject', function () {
+    beforeEach(async function () {
+      await dedupPersistor.sendStream(bucket, key, Stream.Readable.from([data]))
+    })
+
+    it('should only copy the reference within a bucket', async function () {
+      await dedupPersistor.copyObject(bucket, key, 'copyKey')
+      expect(persistor.copyObject).to.have.been.calledWith(
+        bucket,
+        key,
+        bucket,
+        'copyKey'
+      )
+      expect(persistor.copyObject).not.to.have.been.calledWith(
+        blobBucket,
+        hash,
+        blobBucket,
+        hash
+      )
+    })
+
+    it('should refresh the blob before copying the reference', async function () {
+      objects[`${blobBucket}/${hash}`].lastModified = new Date(dayAgo)
+      await dedupPersistor.copyObject(bucket, key, 'copyKey')
+      expect(
+        objects[`${blobBucket}/${hash}`].lastModified.getTime()
+      ).to.be.above(dayAgo)
+      expect(
+        Object.keys(objects).filter((path) => path.includes('upload-'))
+      ).to.deep.equal([])
+      expect(persistor.moveObject.lastCall).to.have.been.calledBefore(
+        persistor.copyObject.lastCall
+      )
+    })
+
+    it('should copy the blob to another bucket', async function () {
+      await dedupPersistor.copyObject(bucket, key, 'otherBucket', 'copyKey')
+      expect(objects[`otherBucket-blobs/${hash}`].data).to.deep.equal(data)
+      const stream = await dedupPersistor.getObjectStream(
+        'otherBucket',
+        'copyKey'
+      )
+      expect(await readAll(stream)).to.deep.equal(data)
+    })
+
+    it('should not copy a blob which is already in the other bucket', async function () {
+      await dedupPersistor.sendStream(
+        'otherBucket',
+        'otherKey',
+        Stream.Readable.from([data])
+      )
+      await dedupPersistor.copyObject(bucket, key, 'otherBucket', 'copyKey')
+      expect(persistor.copyObject).not.to.have.been.calledWith(
+        blobBucket,
+        hash,
+        'otherBucket-blobs',
+        hash
+      )
+    })
+  })
+
+  describe('collectGarbage', function () {
+    beforeEach(async function () {
+      await dedupPersistor.sendStream(bucket, key, Stream.Readable.from([data]))
+      await dedupPersistor.sendStream(
+        bucket,
+        'otherKey',
+        Stream.Readable.from(['other data'])
+      )
+      for (const path of Object.keys(objects)) {
+        objects[path].lastModified = new Date(dayAgo)
+      }
+    })
+
+    it('should not delete referenced blobs', async function () {
+      const result = await dedupPersistor.collectGarbage(bucket)
+      expect(result.deleted).to.deep.equal([])
+      expect(objects[`${blobBucket}/${hash}`]).to.exist
+    })
+
+    it('should delete blobs which are no longer referenced', async function () {
+      await dedupPersistor.deleteObject(bucket, 'otherKey')
+      const result = await dedupPersistor.collectGarbage(bucket)
+      expect(result.deleted).to.have.length(1)
+      expect(result.deleted[0]).not.to.equal(hash)
+      expect(objects[`${blobBucket}/${hash}`]).to.exist
+    })
+
+    it('should keep blobs which are still referenced by another object', async function () {
+      await dedupPersistor.copyObject(bucket, key, 'copyKey')
+      await dedupPersistor.deleteObject(bucket, key)
+      await dedupPersistor.collectGarbage(bucket)
+      const stream = await dedupPersistor.getObjectStream(bucket, 'copyKey')
+      expect(await readAll(stream)).to.deep.equal(data)
+    })
+
+    it('should not delete recent blobs', async function () {
+      await dedupPersistor.deleteObject(bucket, key)
+      objects[`${blobBucket}/${hash}`].lastModified = new Date()
+      const result = await dedupPersistor.collectGarbage(bucket)
+      expect(result.deleted).to.deep.equal([])
+    })
+
+    it('should not delete blobs refreshed after they were listed', async function () {
+      await dedupPersistor.deleteObject(bucket, key)
+      objects[`${blobBucket}/${hash}`].lastModified = new Date()
+      persistor.listObjects.withArgs(blobBucket).callsFake(async function* () {
+        yield { key: hash, lastModified: new Date(dayAgo) }
+      })
+      const result = await dedupPersistor.collectGarbage(bucket)
+      expect(result.deleted).to.deep.equal([])
+      expect(objects[`${blobBucket}/${hash}`]).to.exist
+    })
+
+    it('should keep blobs referenced by previous versions of an object', async function () {
+      versions[`${bucket}/otherKey`] = { 1: objects[`${bucket}/${key}`] }
+      await dedupPersistor.deleteObject(bucket, key)
+      const result = await dedupPersistor.collectGarbage(bucket)
+      expect(result.deleted).to.deep.equal([])
+      expect(persistor.getObjectMetadata).to.have.been.calledWith(
+        bucket,
+        'otherKey',
+        { version: '1' }
+      )
+    })
+
+    it('should keep blobs referenced by deleted objects', async function () {
+      dedupPersistor = new DedupPersistor(persistor, {
+        deletedBucketSuffix: '-deleted'
+      })
+      objects[`${bucket}-deleted/${key}-2020-01-01T00:00:00.000Z`] =
+        objects[`${bucket}/${key}`]
+      await dedupPersistor.deleteObject(bucket, key)
+      const result = await dedupPersistor.collectGarbage(bucket)
+      expect(result.deleted).to.deep.equal([])
+      expect(objects[`${blobBucket}/${hash}`]).to.exist
+    })
+
+    it('should delete stale uploads', async function () {
+      objects[`${blobBucket}/upload-abc`] = {
+        data,
+        lastModified: new Date(dayAgo)
+      }
+      const result = await dedupPersistor.collectGarbage(bucket)
+      expect(result.deleted).to.deep.equal(['upload-abc'])
+    })
+  })
+})
@@ -0,0 +1,306 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const Crypto = require('crypto')
+const Stream = require('stream')
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll } = require('../TestHelper')
+const LocalKeyProvider = require('../../src/LocalKeyProvider')
+
+describe('EncryptingPersistorTests', function () {
+  const bucket = 'womBucket'
+  const key = 'monKey'
+  const chunkSize = 16
+  // four full chunks and a partial one
+  const data = Buffer.from('0123456789abcdef'.repeat(4) + 'wombat')
+  const md5 = Crypto.createHash('md5').update(data).digest('hex')
+
+  let EncryptingPersistor,
+    encryptingPersistor,
+    persistor,
+    keyProvider,
+    stored,
+    storedMetadata
+
+  beforeEach(function () {
+    stored = null
+    storedMetadata = null
+
+    // stores a single object in memory
+    persistor = {
+      sendStream: sinon
+        .stub()
+        .callsFake(async (bucketName, key, stream, opts) => {
+          stored = await readAll(stream)
+          storedMetadata = opts.metadata
+        }),
+      getObjectStream: sinon
+        .stub()
+        .callsFake(async (bucketName, key, opts) =>
+          Stream.Readable.from([
+            stored.slice(
+              opts.start || 0,
+              opts.end != null ? opts.end + 1 : stored.length
+            )
+          ])
+        ),
+      getObjectMetadata: sinon.stub().callsFake(async () => ({
+        size: stored.length,
+        md5: 'encryptedMd5',
+        contentType: 'text/plain',
+        metadata: storedMetadata
+      })),
+      getObjectMd5Hash: sinon.stub().resolves('plainMd5'),
+      deleteObject: sinon.stub().resolves()
+    }
+
+    keyProvider = new LocalKeyProvider({
+      keys: { one: Crypto.randomBytes(32).toString('base64') },
+      currentKeyId: 'one'
+    })
+
+    EncryptingPersistor = requireModule('EncryptingPersistor.js')
+    encryptingPersistor = new EncryptingPersistor(persistor, {
+      keyProvider,
+      chunkSize
+    })
+  })
+
+  describe('constructor', function () {
+    it('should throw a SettingsError without a key provider', function () {
+      expect(() => new EncryptingPersistor(persistor, {})).to.throw(
+        Errors.SettingsError
+      )
+    })
+  })
+
+  describe('sendStream', function () {
+    beforeEach(async function () {
+      return encryptingPersistor.sendStream(
+        bucket,
+        key,
+        Stream.Readable.from([data]),
+        { metadata: { project: 'wombat' }, sourceMd5: md5 }
+      )
+    })
+
+    it('should not upload the plaintext', function () {
+      expect(stored.includes(Buffer.from('0123456789abcdef'))).to.be.false
+      expect(stored.includes(Buffer.from('wombat'))).to.be.false
+    })
+
+    it('should add an authentication tag to each chunk', function () {
+      expect(stored.length).to.equal(data.length + 5 * 16)
+    })
+
+    it('should store the wrapped key in the metadata', function () {
+      expect(storedMetadata).to.include({
+        project: 'wombat',
+        'encryption-key-id': 'one',
+        'encryption-chunk-size': '16'
+      })
+      expect(storedMetadata['encryption-key']).to.exist
+      expect(storedMetadata['encryption-iv']).to.exist
+    })
+
+    it('should not pass the md5 of the plaintext to the backend', function () {
+      expect(persistor.sendStream.firstCall.args[3].sourceMd5).not.to.exist
+    })
+  })
+
+  describe('when the md5 hash does not match', function () {
+    it('should delete the object and throw a WriteError', async function () {
+      await expect(
+        encryptingPersistor.sendStream(
+          bucket,
+          key,
+          Stream.Readable.from([data]),
+          { sourceMd5: 'ffffffff' }
+        )
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+      expect(persistor.deleteObject).to.have.been.calledWith(bucket, key)
+    })
+  })
+
+  describe('getObjectStream', function () {
+    beforeEach(async function () {
+      return encryptingPersistor.sendStream(
+        bucket,
+        key,
+        Stream.Readable.from([data])
+      )
+    })
+
+    it('should decrypt the object', async function () {
+      const stream = await encryptingPersistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(data)
+    })
+
+    it('should decrypt a range spanning several chunks', async function () {
+      const stream = await encryptingPersistor.getObjectStream(bucket, key, {
+        start: 20,
+        end: 69
+      })
+      expect(await readAll(stream)).to.deep.equal(data.slice(20, 70))
+    })
+
+    it('should only read the chunks which contain the range', async function () {
+      await encryptingPersistor.getObjectStream(bucket, key, {
+        start: 20,
+        end: 40
+      })
+      expect(persistor.getObjectStream).to.have.been.calledWith(bucket, key, {
+        start: 32,
+        end: 95
+      })
+    })
+
+    it('should decrypt a range within a single chunk', async function () {
+      const stream = await encryptingPersistor.getObjectStream(bucket, key, {
+        start: 3,
+        end: 5
+      })
+      expect(await readAll(stream)).to.deep.equal(data.slice(3, 6))
+    })
+
+    it('should return no data for a range past the end of the object', async function () {
+      persistor.getObjectStream.resetHistory()
+      const stream = await encryptingPersistor.getObjectStream(bucket, key, {
+        start: data.length,
+        end: data.length + 10
+      })
+      expect(await readAll(stream)).to.deep.equal(Buffer.alloc(0))
+      expect(persistor.getObjectStream).not.to.have.been.called
+    })
+
+    it('should fail to decrypt a modified object', async function () {
+      stored[3] ^= 1
+      const stream = await encryptingPersistor.getObjectStream(bucket, key)
+      await expect(
+        readAll(stream)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+    })
+
+    it('should fail to decrypt a truncated object', async function () {
+      const fullSize = stored.length
+      persistor.getObjectStream = sinon
+        .stub()
+        .resolves(Stream.Readable.from([stored.slice(0, 64)]))
+      persistor.getObjectMetadata = sinon.stub().resolves({
+        size: fullSize,
+        metadata: storedMetadata
+      })
+      const stream = await encryptingPersistor.getObjectStream(bucket, key)
+      await expect(
+        readAll(stream)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+    })
+
+    it('should not return unencrypted objects', async function () {
+      persistor.getObjectMetadata = sinon.stub().resolves({ metadata: {} })
+      await expect(
+        encryptingPersistor.getObjectStream(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+      expect(persistor.getObjectStream).not.to.have.been.called
+    })
+
+    it('should return unencrypted objects as they are when they are allowed', async function () {
+      encryptingPersistor = new EncryptingPersistor(persistor, {
+        keyProvider,
+        allowUnencrypted: true
+      })
+      const stream = Stream.Readable.from([data])
+      persistor.getObjectMetadata = sinon.stub().resolves({ metadata: {} })
+      persistor.getObjectStream = sinon.stub().resolves(stream)
+      expect(await encryptingPersistor.getObjectStream(bucket, key)).to.equal(
+        stream
+      )
+    })
+  })
+
+  describe('with an empty object', function () {
+    it('should encrypt and decrypt the object', async function () {
+      await encryptingPersistor.sendStream(
+        bucket,
+        key,
+        Stream.Readable.from([])
+      )
+      expect(stored.length).to.equal(16)
+      const stream = await encryptingPersistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(Buffer.alloc(0))
+    })
+  })
+
+  describe('getObjectMetadata', function () {
+    let metadata
+
+    beforeEach(async function () {
+      await encryptingPersistor.sendStream(
+        bucket,
+        key,
+        Stream.Readable.from([data]),
+        { metadata: { project: 'wombat' } }
+      )
+      metadata = await encryptingPersistor.getObjectMetadata(bucket, key)
+    })
+
+    it('should return the size of the plaintext', function () {
+      expect(metadata.size).to.equal(data.length)
+    })
+
+    it('should not return the md5 hash of the encrypted data', function () {
+      expect(metadata.md5).to.be.null
+    })
+
+    it('should only return the custom metadata', function () {
+      expect(metadata.metadata).to.deep.equal({ project: 'wombat' })
+    })
+  })
+
+  describe('getObjectMd5Hash', function () {
+    it('should calculate the md5 hash of the plaintext', async function () {
+      await encryptingPersistor.sendStream(
+        bucket,
+        key,
+        Stream.Readable.from([data])
+      )
+      expect(await encryptingPersistor.getObjectMd5Hash(bucket, key)).to.equal(
+        md5
+      )
+    })
+  })
+
+  describe('listObjects', function () {
+    beforeEach(async function () {
+      await encryptingPersistor.sendStream(
+        bucket,
+        key,
+        Stream.Readable.from([data])
+      )
+      persistor.listObjects = sinon.stub().callsFake(async function* () {
+        yield { key, size: stored.length, md5: 'encryptedMd5' }
+      })
+    })
+
+    it('should list the size of the plaintext', async function () {
+      const objects = []
+      for await (const object of encryptingPersistor.listObjects(bucket, '')) {
+        objects.push(object)
+      }
+      expect(objects).to.deep.equal([{ key, size: data.length, md5: null }])
+    })
+
+    it('should add up the size of the plaintext', async function () {
+      expect(await encryptingPersistor.directorySize(bucket, '')).to.equal(
+        data.length
+      )
+    })
+  })
+
+  describe('getRedirectUrl', function () {
+    it('should return null', async function () {
+      expect(await encryptingPersistor.getRedirectUrl(bucket, key)).to.be.null
+    })
+  })
+})
@@ -4,6 +4,8 @@ const { expect } = chai
 const SandboxedModule = require('sandboxed-module')
 const Errors = require('../../src/Errors')
 const StreamModule = require('stream')
+const Crypto = require('crypto')
+const asyncPool = require('tiny-async-pool')
 
 const modulePath = '../../src/FSPersistor.js'
 
@@ -15,6 +17,8 @@ describe('FSPersistorTests', function () {
   const location = '/foo'
   const error = new Error('guru meditation error')
   const md5 = 'ffffffff'
+  const noentError = new Error('not found')
+  noentError.code = 'ENOENT'
 
   const files = ['animals/wombat.tex', 'vegetables/potato.tex']
   const globs = [`${location}/${files[0]}`, `${location}/${files[1]}`]
@@ -37,7 +41,11 @@ describe('FSPersistorTests', function () {
       createWriteStream: sinon.stub().returns(writeStream),
       unlink: sinon.stub().yields(),
       open: sinon.stub().yields(null, fd),
-      stat: sinon.stub().yields(null, stat)
+      stat: sinon.stub().yields(null, stat),
+      rename: sinon.stub().yields(),
+      copyFile: sinon.stub().yields(),
+      readFile: sinon.stub().yields(noentError),
+      writeFile: sinon.stub().yields()
     }
     glob = sinon.stub().yields(null, globs)
     stream = {
@@ -51,7 +59,9 @@ describe('FSPersistorTests', function () {
       setEncoding: sinon.stub()
     }
     crypto = {
-      createHash: sinon.stub().returns(Hash)
+      createHash: sinon.stub().returns(Hash),
+      createHmac: Crypto.createHmac,
+      timingSafeEqual: Crypto.timingSafeEqual
     }
     FSPersistor = new (SandboxedModule.require(modulePath, {
       requires: {
@@ -62,9 +72,10 @@ describe('FSPersistorTests', function () {
         crypto,
         'node-uuid': uuid,
         // imported by PersistorHelper but otherwise unused here
-        'logger-sharelatex': {}
+        'logger-sharelatex': {},
+        'tiny-async-pool': asyncPool
       },
-      globals: { console }
+      globals: { console, Buffer }
     }))({ paths: { uploadFolder: '/tmp' } })
   })
 
@@ -85,6 +96,103 @@ describe('FSPersistorTests', function () {
         FSPersistor.sendFile(location, files[0], localFilesystemPath)
       ).to.eventually.be.rejected.and.have.property('cause', error)
     })
+
+    it('should write the metadata to a sidecar file', async function () {
+      await FSPersistor.sendFile(location, files[0], localFilesystemPath, {
+        contentType: 'text/plain',
+        metadata: { project: 'wombat' }
+      })
+      expect(fs.writeFile).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[0]}.metadata.json`,
+        JSON.stringify({
+          contentType: 'text/plain',
+          metadata: { project: 'wombat' }
+        })
+      )
+    })
+
+    it('should write the expiry time to the sidecar file', async function () {
+      await FSPersistor.sendFile(location, files[0], localFilesystemPath, {
+        expiresAt: new Date('2030-01-01T00:00:00.000Z')
+      })
+      expect(fs.writeFile).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[0]}.metadata.json`,
+        JSON.stringify({
+          metadata: { 'expires-at': '2030-01-01T00:00:00.000Z' }
+        })
+      )
+    })
+
+    it('should write the tags to the sidecar file', async function () {
+      await FSPersistor.sendFile(location, files[0], localFilesystemPath, {
+        tags: { team: 'wombat' }
+      })
+      expect(fs.writeFile).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[0]}.metadata.json`,
+        JSON.stringify({ tags: { team: 'wombat' } })
+      )
+    })
+
+    it('should exclusively create the file when it must not exist', async function () {
+      await FSPersistor.sendFile(location, files[0], localFilesystemPath, {
+        ifNotExists: true
+      })
+      expect(fs.createWriteStream).to.have.been.calledWith(
+        `${location}/${filteredFilenames[0]}`,
+        { flags: 'wx' }
+      )
+    })
+
+    it('should throw a PreconditionFailedError if the file exists', async function () {
+      const existsError = new Error('file exists')
+      existsError.code = 'EEXIST'
+      stream.pipeline.yields(existsError)
+      await expect(
+        FSPersistor.sendFile(location, files[0], localFilesystemPath, {
+          ifNotExists: true
+        })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+    })
+
+    it('should throw a WriteError for other EEXIST errors', async function () {
+      const existsError = new Error('directory exists')
+      existsError.code = 'EEXIST'
+      stream.pipeline.yields(existsError)
+      await expect(
+        FSPersistor.sendFile(location, files[0], localFilesystemPath)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+    })
+
+    it('should write the file when the expected hash matches', async function () {
+      await FSPersistor.sendFile(location, files[0], localFilesystemPath, {
+        ifMatch: md5
+      })
+      expect(fs.createWriteStream).to.have.been.calledWith(
+        `${location}/${filteredFilenames[0]}`,
+        { flags: 'w' }
+      )
+    })
+
+    it('should throw a PreconditionFailedError when the expected hash does not match', async function () {
+      await expect(
+        FSPersistor.sendFile(location, files[0], localFilesystemPath, {
+          ifMatch: '00000000'
+        })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+      expect(fs.createWriteStream).not.to.have.been.called
+    })
+
+    it('should remove any existing sidecar file when there is no metadata', async function () {
+      await FSPersistor.sendFile(location, files[0], localFilesystemPath)
+      expect(fs.writeFile).not.to.have.been.called
+      expect(fs.unlink).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[0]}.metadata.json`
+      )
+    })
   })
 
   describe('sendStream', function () {
@@ -173,6 +281,208 @@ describe('FSPersistorTests', function () {
     })
   })
 
+  describe('versioning', function () {
+    const localFilesystemPath = '/path/to/local/file'
+    const currentPath = `${location}/${filteredFilenames[0]}`
+    const versionPath = (version) =>
+      `${location}/.${filteredFilenames[0]}.v${version}`
+
+    it('Should not keep versions by default', async function () {
+      await FSPersistor.sendFile(location, files[0], localFilesystemPath)
+      expect(fs.copyFile).not.to.have.been.called
+    })
+
+    describe('when versions are kept', function () {
+      beforeEach(function () {
+        FSPersistor.settings.keepVersions = 2
+        glob
+          .withArgs(`${versionPath('')}*`)
+          .yields(null, [
+            versionPath(1),
+            versionPath(2),
+            `${versionPath(3)}.metadata.json`
+          ])
+      })
+
+      it('Should keep the current object when it is replaced', async function () {
+        await FSPersistor.sendFile(location, files[0], localFilesystemPath)
+        expect(fs.copyFile).to.have.been.calledWith(currentPath, versionPath(3))
+      })
+
+      it('Should remove versions beyond the number to keep', async function () {
+        await FSPersistor.sendFile(location, files[0], localFilesystemPath)
+        expect(fs.unlink).to.have.been.calledWith(versionPath(1))
+        expect(fs.unlink).not.to.have.been.calledWith(versionPath(2))
+      })
+
+      it('Should keep the current object when it is deleted', async function () {
+        await FSPersistor.deleteObject(location, files[0])
+        expect(fs.copyFile).to.have.been.calledWith(currentPath, versionPath(3))
+        expect(fs.unlink).to.have.been.calledWith(currentPath)
+      })
+
+      it('Should not keep anything when there is no current object', async function () {
+        fs.copyFile.yields(noentError)
+        await FSPersistor.sendFile(location, files[0], localFilesystemPath)
+        expect(fs.unlink).not.to.have.been.calledWith(versionPath(1))
+      })
+
+      it('Should read a previous version', async function () {
+        await FSPersistor.getObjectStream(location, files[0], { version: '1' })
+        expect(fs.open).to.have.been.calledWith(versionPath(1))
+      })
+
+      it('Should read the current version by its number', async function () {
+        await FSPersistor.getObjectStream(location, files[0], { version: '3' })
+        expect(fs.open).to.have.been.calledWith(currentPath)
+      })
+
+      it('Should return the version in the metadata', async function () {
+        const metadata = await FSPersistor.getObjectMetadata(location, files[0])
+        expect(metadata.version).to.equal('3')
+      })
+
+      it('Should list the versions, newest first', async function () {
+        const versions = await FSPersistor.listObjectVersions(
+          location,
+          files[0]
+        )
+        expect(versions.map(({ version }) => version)).to.deep.equal([
+          '3',
+          '2',
+          '1'
+        ])
+        expect(versions.map(({ isLatest }) => isLatest)).to.deep.equal([
+          true,
+          false,
+          false
+        ])
+      })
+
+      it('Should not list the current version once it is deleted', async function () {
+        fs.stat.withArgs(currentPath).yields(noentError)
+        const versions = await FSPersistor.listObjectVersions(
+          location,
+          files[0]
+        )
+        expect(versions.map(({ version }) => version)).to.deep.equal(['2', '1'])
+      })
+
+      it('Should restore a previous version with the current sidecar data', async function () {
+        const sidecar = { contentType: 'text/plain' }
+        fs.readFile
+          .withArgs(`${location}/.${filteredFilenames[0]}.metadata.json`)
+          .yields(null, JSON.stringify(sidecar))
+        await FSPersistor.restoreObjectVersion(location, files[0], '1')
+        expect(fs.createReadStream).to.have.been.calledWith(versionPath(1))
+        expect(fs.createWriteStream).to.have.been.calledWith(currentPath)
+        expect(fs.writeFile).to.have.been.calledWith(
+          `${location}/.${filteredFilenames[0]}.metadata.json`,
+          JSON.stringify(sidecar)
+        )
+      })
+
+      it('Should throw a NotFoundError for an unknown version, without touching the current object', async function () {
+        fs.stat.withArgs(versionPath(7)).yields(noentError)
+        await expect(
+          FSPersistor.restoreObjectVersion(location, files[0], '7')
+        ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+        expect(fs.copyFile).not.to.have.been.called
+        expect(fs.unlink).not.to.have.been.called
+        expect(fs.createWriteStream).not.to.have.been.called
+      })
+
+      it('Should not restore the current version over itself', async function () {
+        await FSPersistor.restoreObjectVersion(location, files[0], '3')
+        expect(fs.createWriteStream).not.to.have.been.called
+      })
+    })
+  })
+
+  describe('getRedirectUrl', function () {
+    const baseUrl = 'https://wombat.potato/download'
+
+    it('Should return null when signed urls are not configured', async function () {
+      expect(await FSPersistor.getRedirectUrl(location, files[0])).to.be.null
+    })
+
+    describe('when signed urls are configured', function () {
+      let url
+
+      beforeEach(async function () {
+        FSPersistor.settings.signedUrlSecret = 'secret'
+        FSPersistor.settings.signedUrlBaseUrl = baseUrl
+        FSPersistor.settings.signedUrlExpiryInMs = 60000
+        url = new URL(
+          await FSPersistor.getRedirectUrl(location, files[0], {
+            responseContentDisposition: 'attachment'
+          })
+        )
+      })
+
+      it('Should return a url for the configured base url', function () {
+        expect(`${url.origin}${url.pathname}`).to.equal(baseUrl)
+      })
+
+      it('Should include the signed parameters', function () {
+        expect(url.searchParams.get('location')).to.equal(location)
+        expect(url.searchParams.get('key')).to.equal(filteredFilenames[0])
+        expect(url.searchParams.get('response-content-disposition')).to.equal(
+          'attachment'
+        )
+        expect(url.searchParams.get('signature')).to.match(/^[0-9a-f]{64}$/)
+      })
+
+      it('Should verify the signature of the url', function () {
+        expect(FSPersistor.verifySignedUrl(url.searchParams)).to.include({
+          location,
+          key: filteredFilenames[0],
+          'response-content-disposition': 'attachment',
+          'response-content-type': ''
+        })
+      })
+
+      it('Should reject a url which has been altered', function () {
+        url.searchParams.set('key', filteredFilenames[1])
+        expect(FSPersistor.verifySignedUrl(url.searchParams)).to.be.null
+      })
+
+      it('Should reject a url signed with another secret', function () {
+        FSPersistor.settings.signedUrlSecret = 'another secret'
+        expect(FSPersistor.verifySignedUrl(url.searchParams)).to.be.null
+      })
+
+      it('Should reject a url which has expired', async function () {
+        url = new URL(
+          await FSPersistor.getRedirectUrl(location, files[0], {
+            expiresInMs: -1000
+          })
+        )
+        expect(FSPersistor.verifySignedUrl(url.searchParams)).to.be.null
+      })
+
+      it('Should expire urls when no expiry time is configured', async function () {
+        delete FSPersistor.settings.signedUrlExpiryInMs
+        url = new URL(await FSPersistor.getRedirectUrl(location, files[0]))
+        const expires = Number(url.searchParams.get('expires'))
+        expect(expires).to.be.within(Date.now(), Date.now() + 15 * 60 * 1000)
+      })
+
+      it('Should reject a url without a valid expiry time', function () {
+        const params = {
+          location,
+          key: filteredFilenames[0],
+          expires: 'NaN',
+          'response-content-disposition': 'attachment',
+          'response-content-type': ''
+        }
+        url.searchParams.set('expires', params.expires)
+        url.searchParams.set('signature', FSPersistor._signUrlParams(params))
+        expect(FSPersistor.verifySignedUrl(url.searchParams)).to.be.null
+      })
+    })
+  })
+
   describe('getObjectSize', function () {
     const badFilename = 'neenaw.tex'
     const size = 65536
@@ -205,6 +515,61 @@ describe('FSPersistorTests', function () {
     })
   })
 
+  describe('getObjectMetadata', function () {
+    const mtime = new Date('2020-01-01T00:00:00Z')
+
+    beforeEach(function () {
+      fs.stat.yields(null, { size: 65536, mtime })
+    })
+
+    it('should stat the file', async function () {
+      await FSPersistor.getObjectMetadata(location, files[0])
+      expect(fs.stat).to.have.been.calledWith(
+        `${location}/${filteredFilenames[0]}`
+      )
+    })
+
+    it('should return the size, hash and modification time', async function () {
+      expect(
+        await FSPersistor.getObjectMetadata(location, files[0])
+      ).to.deep.equal({
+        size: 65536,
+        md5,
+        contentType: undefined,
+        contentEncoding: undefined,
+        lastModified: mtime,
+        metadata: {}
+      })
+    })
+
+    it('should return the metadata from the sidecar file', async function () {
+      fs.readFile
+        .withArgs(`${location}/.${filteredFilenames[0]}.metadata.json`)
+        .yields(
+          null,
+          JSON.stringify({
+            contentType: 'text/plain',
+            metadata: { project: 'wombat' }
+          })
+        )
+      expect(
+        await FSPersistor.getObjectMetadata(location, files[0])
+      ).to.deep.include({
+        contentType: 'text/plain',
+        metadata: { project: 'wombat' }
+      })
+    })
+
+    it('should throw a NotFoundError if the file does not exist', async function () {
+      const noentError = new Error('not found')
+      noentError.code = 'ENOENT'
+      fs.stat.yields(noentError)
+      await expect(
+        FSPersistor.getObjectMetadata(location, files[0])
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
   describe('copyObject', function () {
     it('Should open the source for reading', async function () {
       await FSPersistor.copyObject(location, files[0], files[1])
@@ -224,6 +589,105 @@ describe('FSPersistorTests', function () {
       await FSPersistor.copyObject(location, files[0], files[1])
       expect(stream.pipeline).to.have.been.calledWith(readStream, writeStream)
     })
+
+    it('Should copy the file to another location', async function () {
+      await FSPersistor.copyObject(location, files[0], '/bar', files[1])
+      expect(fs.createReadStream).to.have.been.calledWith(
+        `${location}/${filteredFilenames[0]}`
+      )
+      expect(fs.createWriteStream).to.have.been.calledWith(
+        `/bar/${filteredFilenames[1]}`
+      )
+    })
+
+    it('Should copy the sidecar file', async function () {
+      const sidecar = JSON.stringify({ metadata: { project: 'wombat' } })
+      fs.readFile
+        .withArgs(`${location}/.${filteredFilenames[0]}.metadata.json`)
+        .yields(null, sidecar)
+      await FSPersistor.copyObject(location, files[0], files[1])
+      expect(fs.writeFile).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[1]}.metadata.json`,
+        sidecar
+      )
+    })
+  })
+
+  describe('moveObject', function () {
+    it('Should rename the file', async function () {
+      await FSPersistor.moveObject(location, files[0], files[1])
+      expect(fs.rename).to.have.been.calledWith(
+        `${location}/${filteredFilenames[0]}`,
+        `${location}/${filteredFilenames[1]}`
+      )
+    })
+
+    it('Should move the sidecar file', async function () {
+      const sidecar = JSON.stringify({ metadata: { project: 'wombat' } })
+      fs.readFile
+        .withArgs(`${location}/.${filteredFilenames[0]}.metadata.json`)
+        .yields(null, sidecar)
+      await FSPersistor.moveObject(location, files[0], files[1])
+      expect(fs.writeFile).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[1]}.metadata.json`,
+        sidecar
+      )
+      expect(fs.unlink).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[0]}.metadata.json`
+      )
+    })
+
+    it('Should throw a NotFoundError if the file does not exist', async function () {
+      fs.rename.yields(noentError)
+      await expect(
+        FSPersistor.moveObject(location, files[0], files[1])
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('getObjectTags', function () {
+    it('should return the tags from the sidecar file', async function () {
+      fs.readFile
+        .withArgs(`${location}/.${filteredFilenames[0]}.metadata.json`)
+        .yields(null, JSON.stringify({ tags: { team: 'wombat' } }))
+      const tags = await FSPersistor.getObjectTags(location, files[0])
+      expect(tags).to.deep.equal({ team: 'wombat' })
+    })
+
+    it('should return no tags without a sidecar file', async function () {
+      const tags = await FSPersistor.getObjectTags(location, files[0])
+      expect(tags).to.deep.equal({})
+    })
+
+    it('should throw a NotFoundError when the file does not exist', async function () {
+      fs.stat.yields(noentError)
+      await expect(
+        FSPersistor.getObjectTags(location, files[0])
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('setObjectTags', function () {
+    it('should replace the tags in the sidecar file', async function () {
+      fs.readFile
+        .withArgs(`${location}/.${filteredFilenames[0]}.metadata.json`)
+        .yields(
+          null,
+          JSON.stringify({ contentType: 'text/plain', tags: { cost: 'low' } })
+        )
+      await FSPersistor.setObjectTags(location, files[0], { team: 'wombat' })
+      expect(fs.writeFile).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[0]}.metadata.json`,
+        JSON.stringify({ contentType: 'text/plain', tags: { team: 'wombat' } })
+      )
+    })
+
+    it('should throw a NotFoundError when the file does not exist', async function () {
+      fs.stat.yields(noentError)
+      await expect(
+        FSPersistor.setObjectTags(location, files[0], {})
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
   })
 
   describe('deleteObject', function () {
@@ -234,12 +698,52 @@ describe('FSPersistorTests', function () {
       )
     })
 
+    it('Should delete the sidecar file', async function () {
+      await FSPersistor.deleteObject(location, files[0])
+      expect(fs.unlink).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[0]}.metadata.json`
+      )
+    })
+
     it('Should propagate the error', async function () {
       fs.unlink.yields(error)
       await expect(
         FSPersistor.deleteObject(location, files[0])
       ).to.eventually.be.rejected.and.have.property('cause', error)
     })
+
+    describe('with a deleted bucket', function () {
+      beforeEach(async function () {
+        FSPersistor.settings.deletedBucketSuffix = '-deleted'
+        await FSPersistor.deleteObject(location, files[0])
+      })
+
+      it('Should copy the file to the deleted location', function () {
+        expect(fs.createReadStream).to.have.been.calledWith(
+          `${location}/${filteredFilenames[0]}`
+        )
+        expect(fs.createWriteStream).to.have.been.calledWith(
+          sinon.match(`${location}-deleted/${filteredFilenames[0]}-`)
+        )
+      })
+
+      it('Should delete the file', function () {
+        expect(fs.unlink).to.have.been.calledWith(
+          `${location}/${filteredFilenames[0]}`
+        )
+      })
+
+      it('Should not delete the file if the deleted location is missing', async function () {
+        fs.unlink.resetHistory()
+        stream.pipeline.yields(noentError)
+        await expect(
+          FSPersistor.deleteObject(location, files[0])
+        ).to.eventually.be.rejectedWith(Errors.WriteError)
+        expect(fs.unlink).not.to.have.been.calledWith(
+          `${location}/${filteredFilenames[0]}`
+        )
+      })
+    })
   })
 
   describe('deleteDirectory', function () {
@@ -250,6 +754,13 @@ describe('FSPersistorTests', function () {
       )
     })
 
+    it('Should glob for sidecar files', async function () {
+      await FSPersistor.deleteDirectory(location, files[0])
+      expect(glob).to.have.been.calledWith(
+        `${location}/.${filteredFilenames[0]}_*`
+      )
+    })
+
     it('Should call unlink on the returned files', async function () {
       await FSPersistor.deleteDirectory(location, files[0])
       for (const filename of globs) {
@@ -265,6 +776,51 @@ describe('FSPersistorTests', function () {
     })
   })
 
+  describe('deleteObjects', function () {
+    it('Should unlink each file', async function () {
+      await FSPersistor.deleteObjects(location, files)
+      for (const filename of filteredFilenames) {
+        expect(fs.unlink).to.have.been.calledWith(`${location}/${filename}`)
+      }
+    })
+
+    it('Should report the deleted files', async function () {
+      const result = await FSPersistor.deleteObjects(location, files)
+      expect(result.deleted).to.have.members(files)
+      expect(result.errors).to.be.empty
+    })
+
+    it('Should report failures without stopping', async function () {
+      fs.unlink.withArgs(`${location}/${filteredFilenames[0]}`).yields(error)
+      const result = await FSPersistor.deleteObjects(location, files)
+      expect(result.deleted).to.deep.equal([files[1]])
+      expect(result.errors).to.have.length(1)
+      expect(result.errors[0].key).to.equal(files[0])
+      expect(result.errors[0].error).to.be.an.instanceOf(Errors.WriteError)
+      expect(result.errors[0].error.cause).to.equal(error)
+    })
+
+    it('Should limit the number of files deleted at once', async function () {
+      FSPersistor.settings.deleteConcurrency = 1
+      let finishFirstFile
+      fs.unlink
+        .withArgs(`${location}/${filteredFilenames[0]}`)
+        .callsFake((path, callback) => {
+          finishFirstFile = callback
+        })
+      const promise = FSPersistor.deleteObjects(location, files)
+      await new Promise((resolve) => setImmediate(resolve))
+      expect(fs.unlink).not.to.have.been.calledWith(
+        `${location}/${filteredFilenames[1]}`
+      )
+      finishFirstFile()
+      await promise
+      expect(fs.unlink).to.have.been.calledWith(
+        `${location}/${filteredFilenames[1]}`
+      )
+    })
+  })
+
   describe('checkIfObjectExists', function () {
     const badFilename = 'pototo'
     const noentError = new Error('not found')
@@ -328,4 +884,46 @@ describe('FSPersistorTests', function () {
       )
     })
   })
+
+  describe('listObjects', function () {
+    const mtime = new Date('2020-01-01T00:00:00Z')
+
+    async function listObjects(...args) {
+      const objects = []
+      for await (const object of FSPersistor.listObjects(...args)) {
+        objects.push(object)
+      }
+      return objects
+    }
+
+    beforeEach(function () {
+      fs.stat.yields(null, { ...stat, mtime })
+    })
+
+    it('should glob for files with the filtered prefix', async function () {
+      await listObjects(location, 'animals/')
+      expect(glob).to.have.been.calledWith(`${location}/animals_*`)
+    })
+
+    it('should return the files', async function () {
+      expect(await listObjects(location, 'animals/')).to.deep.equal([
+        { key: 'wombat.tex', size: stat.size, md5, lastModified: mtime },
+        { key: 'potato.tex', size: stat.size, md5, lastModified: mtime }
+      ])
+    })
+
+    it('should skip files that have been deleted', async function () {
+      const noentError = new Error('not found')
+      noentError.code = 'ENOENT'
+      fs.stat.withArgs(globs[0]).yields(noentError)
+      expect(await listObjects(location, 'animals/')).to.have.length(1)
+    })
+
+    it('should wrap the error', async function () {
+      glob.yields(error)
+      await expect(listObjects(location, 'animals/'))
+        .to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+        .and.have.property('cause', error)
+    })
+  })
 })
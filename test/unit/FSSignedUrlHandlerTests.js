@@ -0,0 +1,216 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const SandboxedModule = require('sandboxed-module')
+const Errors = require('../../src/Errors')
+
+const modulePath = '../../src/FSSignedUrlHandler.js'
+
+describe('FSSignedUrlHandlerTests', function () {
+  const location = '/foo'
+  const key = 'animals_wombat.tex'
+  const size = 100
+  const fileStream = 'fileStream'
+  const params = {
+    location,
+    key,
+    expires: '1234',
+    'response-content-disposition': '',
+    'response-content-type': ''
+  }
+
+  let FSPersistor, persistor, Logger, Stream, handler, req, res
+
+  beforeEach(function () {
+    persistor = {
+      verifySignedUrl: sinon.stub().returns(params),
+      readSidecar: sinon.stub().resolves({ contentType: 'text/plain' }),
+      getObjectSize: sinon.stub().resolves(size),
+      getObjectStream: sinon.stub().resolves(fileStream)
+    }
+    FSPersistor = sinon.stub().returns(persistor)
+
+    Stream = {
+      pipeline: sinon.stub().yields()
+    }
+
+    Logger = {
+      warn: sinon.stub()
+    }
+
+    const FSSignedUrlHandler = SandboxedModule.require(modulePath, {
+      requires: {
+        './FSPersistor': FSPersistor,
+        './Errors': Errors,
+        stream: Stream,
+        'logger-sharelatex': Logger
+      },
+      globals: { console }
+    })
+    handler = FSSignedUrlHandler({
+      fs: { signedUrlSecret: 'secret' },
+      paths: { uploadFolder: '/tmp' }
+    })
+
+    req = {
+      method: 'GET',
+      url: '/download?location=%2Ffoo&signature=abcd',
+      headers: {}
+    }
+    res = {
+      setHeader: sinon.stub(),
+      end: sinon.stub()
+    }
+  })
+
+  it('should create a persistor with the fs settings', function () {
+    expect(FSPersistor).to.have.been.calledWithNew
+    expect(FSPersistor).to.have.been.calledWith({
+      signedUrlSecret: 'secret',
+      paths: { uploadFolder: '/tmp' },
+      Metrics: undefined
+    })
+  })
+
+  describe('with a valid url', function () {
+    beforeEach(async function () {
+      await handler(req, res)
+    })
+
+    it('should verify the query parameters', function () {
+      expect(persistor.verifySignedUrl).to.have.been.calledOnce
+      expect(
+        persistor.verifySignedUrl.firstCall.args[0].get('location')
+      ).to.equal(location)
+    })
+
+    it('should send the whole file', function () {
+      expect(res.statusCode).to.equal(200)
+      expect(res.setHeader).to.have.been.calledWith('Content-Length', size)
+      expect(persistor.getObjectStream).to.have.been.calledWith(
+        location,
+        key,
+        {}
+      )
+      expect(Stream.pipeline).to.have.been.calledWith(fileStream, res)
+    })
+
+    it('should send the stored content type', function () {
+      expect(res.setHeader).to.have.been.calledWith(
+        'Content-Type',
+        'text/plain'
+      )
+    })
+  })
+
+  describe('with response overrides', function () {
+    beforeEach(async function () {
+      persistor.verifySignedUrl.returns({
+        ...params,
+        'response-content-disposition': 'attachment',
+        'response-content-type': 'application/x-tex'
+      })
+      await handler(req, res)
+    })
+
+    it('should send the overridden headers', function () {
+      expect(res.setHeader).to.have.been.calledWith(
+        'Content-Type',
+        'application/x-tex'
+      )
+      expect(res.setHeader).to.have.been.calledWith(
+        'Content-Disposition',
+        'attachment'
+      )
+    })
+  })
+
+  describe('with a range', function () {
+    beforeEach(async function () {
+      req.headers.range = 'bytes=10-19'
+      await handler(req, res)
+    })
+
+    it('should send the partial content', function () {
+      expect(res.statusCode).to.equal(206)
+      expect(res.setHeader).to.have.been.calledWith(
+        'Content-Range',
+        `bytes 10-19/${size}`
+      )
+      expect(res.setHeader).to.have.been.calledWith('Content-Length', 10)
+      expect(persistor.getObjectStream).to.have.been.calledWith(location, key, {
+        start: 10,
+        end: 19
+      })
+    })
+  })
+
+  describe('with an unsatisfiable range', function () {
+    beforeEach(async function () {
+      req.headers.range = `bytes=${size}-`
+      await handler(req, res)
+    })
+
+    it('should return a 416', function () {
+      expect(res.statusCode).to.equal(416)
+      expect(res.setHeader).to.have.been.calledWith(
+        'Content-Range',
+        `bytes */${size}`
+      )
+      expect(persistor.getObjectStream).not.to.have.been.called
+    })
+  })
+
+  describe('with a HEAD request', function () {
+    beforeEach(async function () {
+      req.method = 'HEAD'
+      await handler(req, res)
+    })
+
+    it('should not send the file', function () {
+      expect(res.statusCode).to.equal(200)
+      expect(persistor.getObjectStream).not.to.have.been.called
+      expect(res.end).to.have.been.called
+    })
+  })
+
+  describe('with an invalid signature', function () {
+    beforeEach(async function () {
+      persistor.verifySignedUrl.returns(null)
+      await handler(req, res)
+    })
+
+    it('should return a 403', function () {
+      expect(res.statusCode).to.equal(403)
+      expect(persistor.getObjectSize).not.to.have.been.called
+    })
+  })
+
+  describe('when the file does not exist', function () {
+    beforeEach(async function () {
+      persistor.getObjectSize.rejects(new Errors.NotFoundError('not found'))
+      await handler(req, res)
+    })
+
+    it('should return a 404', function () {
+      expect(res.statusCode).to.equal(404)
+      expect(persistor.getObjectStream).not.to.have.been.called
+    })
+  })
+
+  describe('when there is an error', function () {
+    beforeEach(async function () {
+      persistor.getObjectSize.rejects(new Error('guru meditation error'))
+      await handler(req, res)
+    })
+
+    it('should return a 500', function () {
+      expect(res.statusCode).to.equal(500)
+      expect(res.end).to.have.been.called
+    })
+
+    it('should log a warning', function () {
+      expect(Logger.warn).to.have.been.called
+    })
+  })
+})
@@ -88,6 +88,9 @@ describe('GcsPersistorTests', function () {
       getMetadata: sinon.stub().resolves([files[0].metadata]),
       createWriteStream: sinon.stub().returns(WriteStream),
       copy: sinon.stub().resolves(),
+      move: sinon.stub().resolves(),
+      setMetadata: sinon.stub().resolves(),
+      interceptors: [],
       exists: sinon.stub().resolves([true]),
       getSignedUrl: sinon.stub().resolves([redirectUrl])
     }
@@ -173,6 +176,21 @@ describe('GcsPersistorTests', function () {
       })
     })
 
+    describe('when called with a version', function () {
+      beforeEach(async function () {
+        await GcsPersistor.getObjectStream(bucket, key, { version: '1234' })
+      })
+
+      it('fetches that generation of the object', function () {
+        expect(GcsBucket.file).to.have.been.calledWith(key, {
+          generation: '1234'
+        })
+        expect(GcsFile.createReadStream).to.have.been.calledWith({
+          decompress: false
+        })
+      })
+    })
+
     describe('when called with a byte range', function () {
       let stream
 
@@ -274,6 +292,25 @@ describe('GcsPersistorTests', function () {
       })
     })
 
+    describe('with options', function () {
+      beforeEach(async function () {
+        signedUrl = await GcsPersistor.getRedirectUrl(bucket, key, {
+          expiresInMs: 60000,
+          responseContentDisposition: 'attachment; filename="potato.tex"',
+          responseContentType: 'text/plain'
+        })
+      })
+
+      it('should sign the response overrides', function () {
+        expect(GcsFile.getSignedUrl).to.have.been.calledWith({
+          action: 'read',
+          expires: sinon.match.number,
+          responseDisposition: 'attachment; filename="potato.tex"',
+          responseType: 'text/plain'
+        })
+      })
+    })
+
     describe('with unsigned URLs', function () {
       beforeEach(async function () {
         GcsPersistor.settings.unsignedUrls = true
@@ -292,6 +329,54 @@ describe('GcsPersistorTests', function () {
     })
   })
 
+  describe('getUploadUrl', function () {
+    describe('with valid parameters', function () {
+      let upload
+
+      beforeEach(async function () {
+        upload = await GcsPersistor.getUploadUrl(bucket, key, {
+          contentType: 'text/plain',
+          contentMd5: md5,
+          maxSize: 1024,
+          expiresInMs: 60000
+        })
+      })
+
+      it('should request a signed v4 write URL', function () {
+        expect(GcsFile.getSignedUrl).to.have.been.calledWith({
+          version: 'v4',
+          action: 'write',
+          expires: sinon.match.number,
+          contentType: 'text/plain',
+          contentMd5: '/////wAAAAD/////AAAAAA==',
+          extensionHeaders: { 'x-goog-content-length-range': '0,1024' }
+        })
+      })
+
+      it('should return the url and the headers to send', function () {
+        expect(upload).to.deep.equal({
+          method: 'PUT',
+          url: redirectUrl,
+          headers: {
+            'Content-Type': 'text/plain',
+            'Content-MD5': '/////wAAAAD/////AAAAAA==',
+            'x-goog-content-length-range': '0,1024'
+          }
+        })
+      })
+    })
+
+    describe('when a POST upload is requested', function () {
+      it('should throw a NotImplementedError', async function () {
+        await expect(
+          GcsPersistor.getUploadUrl(bucket, key, { method: 'POST' })
+        ).to.eventually.be.rejected.and.be.an.instanceOf(
+          Errors.NotImplementedError
+        )
+      })
+    })
+  })
+
   describe('getObjectSize', function () {
     describe('when called with valid parameters', function () {
       let size
@@ -354,6 +439,74 @@ describe('GcsPersistorTests', function () {
     })
   })
 
+  describe('getObjectMetadata', function () {
+    describe('when called with valid parameters', function () {
+      const updated = '2020-01-01T00:00:00.000Z'
+      let metadata
+
+      beforeEach(async function () {
+        GcsFile.getMetadata.resolves([
+          {
+            size: '11',
+            md5Hash: files[0].metadata.md5Hash,
+            contentType: 'text/plain',
+            contentEncoding: 'gzip',
+            updated,
+            etag: 'CKih16GjycICEAE=',
+            generation: '1234',
+            metadata: { project: 'wombat', 'tag:team': 'wombat' }
+          }
+        ])
+        metadata = await GcsPersistor.getObjectMetadata(bucket, key)
+      })
+
+      it('should fetch the metadata once', function () {
+        expect(GcsBucket.file).to.have.been.calledWith(key)
+        expect(GcsFile.getMetadata).to.have.been.calledOnce
+      })
+
+      it('should return the normalized metadata', function () {
+        expect(metadata).to.deep.equal({
+          size: 11,
+          md5,
+          contentType: 'text/plain',
+          contentEncoding: 'gzip',
+          lastModified: new Date(updated),
+          etag: 'CKih16GjycICEAE=',
+          generation: '1234',
+          version: '1234',
+          metadata: { project: 'wombat' }
+        })
+      })
+    })
+
+    describe('when a version is requested', function () {
+      it('should get the metadata of that generation', async function () {
+        await GcsPersistor.getObjectMetadata(bucket, key, { version: '1234' })
+        expect(GcsBucket.file).to.have.been.calledWith(key, {
+          generation: '1234'
+        })
+      })
+    })
+
+    describe('when the object has no md5 hash', function () {
+      it('should return a null md5', async function () {
+        GcsFile.getMetadata.resolves([{ size: '11' }])
+        const metadata = await GcsPersistor.getObjectMetadata(bucket, key)
+        expect(metadata.md5).to.be.null
+      })
+    })
+
+    describe('when the object is not found', function () {
+      it('should throw a NotFoundError', async function () {
+        GcsFile.getMetadata.rejects(GcsNotFoundError)
+        await expect(GcsPersistor.getObjectMetadata(bucket, key))
+          .to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+          .and.have.property('cause', GcsNotFoundError)
+      })
+    })
+  })
+
   describe('sendStream', function () {
     describe('with valid parameters', function () {
       beforeEach(async function () {
@@ -430,6 +583,85 @@ describe('GcsPersistorTests', function () {
       })
     })
 
+    describe('when custom metadata is supplied', function () {
+      const metadata = { project: 'wombat', uploader: 'potato' }
+
+      beforeEach(async function () {
+        return GcsPersistor.sendStream(bucket, key, ReadStream, { metadata })
+      })
+
+      it('should nest the custom metadata in the object metadata', function () {
+        expect(GcsFile.createWriteStream).to.have.been.calledWith({
+          metadata: { metadata },
+          resumable: false
+        })
+      })
+    })
+
+    describe('when tags are supplied', function () {
+      beforeEach(async function () {
+        return GcsPersistor.sendStream(bucket, key, ReadStream, {
+          metadata: { project: 'wombat' },
+          tags: { team: 'wombat' }
+        })
+      })
+
+      it('should store the tags in the custom metadata', function () {
+        expect(GcsFile.createWriteStream).to.have.been.calledWith({
+          metadata: { metadata: { project: 'wombat', 'tag:team': 'wombat' } },
+          resumable: false
+        })
+      })
+    })
+
+    describe('when an expiry time is supplied', function () {
+      beforeEach(async function () {
+        return GcsPersistor.sendStream(bucket, key, ReadStream, {
+          expiresAt: '2030-01-01T00:00:00.000Z'
+        })
+      })
+
+      it('should store the expiry time in the custom metadata', function () {
+        expect(GcsFile.createWriteStream).to.have.been.calledWith({
+          metadata: { metadata: { 'expires-at': '2030-01-01T00:00:00.000Z' } },
+          resumable: false
+        })
+      })
+    })
+
+    describe('when preconditions are supplied', function () {
+      it('should only create the object if it does not exist', async function () {
+        await GcsPersistor.sendStream(bucket, key, ReadStream, {
+          ifNotExists: true
+        })
+        expect(GcsBucket.file).to.have.been.calledWith(key, { generation: 0 })
+      })
+
+      it('should only replace the expected generation', async function () {
+        await GcsPersistor.sendStream(bucket, key, ReadStream, {
+          ifMatch: '1234'
+        })
+        expect(GcsBucket.file).to.have.been.calledWith(key, {
+          generation: '1234'
+        })
+      })
+
+      it('should throw a PreconditionFailedError when the precondition fails', async function () {
+        const preconditionError = new Error('Precondition Failed')
+        preconditionError.code = 412
+        Stream.pipeline.yields(preconditionError)
+        await expect(
+          GcsPersistor.sendStream(bucket, key, ReadStream, {
+            ifNotExists: true
+          })
+        )
+          .to.eventually.be.rejected.and.be.an.instanceOf(
+            Errors.PreconditionFailedError
+          )
+          .and.have.property('cause', preconditionError)
+      })
+    })
+
     describe('when the upload fails', function () {
       let error
       beforeEach(async function () {
@@ -503,6 +735,33 @@ describe('GcsPersistorTests', function () {
       })
     })
 
+    describe('when copying to another bucket', function () {
+      beforeEach(async function () {
+        return GcsPersistor.copyObject(bucket, key, 'destBucket', destKey)
+      })
+
+      it('should copy the object into the destination bucket', function () {
+        expect(Storage.prototype.bucket).to.have.been.calledWith(bucket)
+        expect(Storage.prototype.bucket).to.have.been.calledWith('destBucket')
+        expect(GcsFile.copy).to.have.been.calledWith(destinationFile)
+      })
+    })
+
+    describe('when preconditions are supplied', function () {
+      beforeEach(async function () {
+        return GcsPersistor.copyObject(bucket, key, destKey, {
+          ifNotExists: true
+        })
+      })
+
+      it('should add the precondition to the rewrite request', function () {
+        expect(GcsFile.interceptors).to.have.length(1)
+        expect(
+          GcsFile.interceptors[0].request({ qs: { userProject: 'wombat' } })
+        ).to.deep.equal({ qs: { userProject: 'wombat', ifGenerationMatch: 0 } })
+      })
+    })
+
     describe('when the file does not exist', function () {
       let error
 
@@ -521,6 +780,93 @@ describe('GcsPersistorTests', function () {
     })
   })
 
+  describe('moveObject', function () {
+    const destinationFile = 'destFile'
+
+    beforeEach(function () {
+      GcsBucket.file.withArgs(destKey).returns(destinationFile)
+    })
+
+    describe('with valid parameters', function () {
+      beforeEach(async function () {
+        return GcsPersistor.moveObject(bucket, key, destKey)
+      })
+
+      it('should move the object', function () {
+        expect(Storage.prototype.bucket).to.have.been.calledWith(bucket)
+        expect(GcsBucket.file).to.have.been.calledWith(key)
+        expect(GcsFile.move).to.have.been.calledWith(destinationFile)
+      })
+
+      it('should not unlock the object', function () {
+        expect(GcsFile.setMetadata).not.to.have.been.called
+      })
+    })
+
+    describe('when the object must be unlocked before deletion', function () {
+      beforeEach(async function () {
+        Settings.unlockBeforeDelete = true
+        return GcsPersistor.moveObject(bucket, key, destKey)
+      })
+
+      it('should unlock the object before moving it', function () {
+        expect(GcsFile.setMetadata).to.have.been.calledWith({
+          eventBasedHold: false
+        })
+        expect(GcsFile.setMetadata).to.have.been.calledBefore(GcsFile.move)
+      })
+    })
+
+    describe('when the file does not exist', function () {
+      let error
+
+      beforeEach(async function () {
+        GcsFile.move = sinon.stub().rejects(GcsNotFoundError)
+        try {
+          await GcsPersistor.moveObject(bucket, key, destKey)
+        } catch (err) {
+          error = err
+        }
+      })
+
+      it('should throw a NotFoundError', function () {
+        expect(error).to.be.an.instanceOf(Errors.NotFoundError)
+      })
+    })
+  })
+
+  describe('getObjectTags', function () {
+    it('should return the tags from the custom metadata', async function () {
+      GcsFile.getMetadata.resolves([
+        { metadata: { project: 'wombat', 'tag:team': 'wombat' } }
+      ])
+      const tags = await GcsPersistor.getObjectTags(bucket, key)
+      expect(tags).to.deep.equal({ team: 'wombat' })
+    })
+
+    it('should throw a NotFoundError when the object does not exist', async function () {
+      GcsFile.getMetadata.rejects(GcsNotFoundError)
+      await expect(
+        GcsPersistor.getObjectTags(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('setObjectTags', function () {
+    beforeEach(async function () {
+      GcsFile.getMetadata.resolves([
+        { metadata: { project: 'wombat', 'tag:team': 'wombat' } }
+      ])
+      return GcsPersistor.setObjectTags(bucket, key, { cost: 'low' })
+    })
+
+    it('should remove the old tags and add the new ones', function () {
+      expect(GcsFile.setMetadata).to.have.been.calledWith({
+        metadata: { 'tag:team': null, 'tag:cost': 'low' }
+      })
+    })
+  })
+
   describe('deleteObject', function () {
     describe('with valid parameters', function () {
       beforeEach(async function () {
@@ -534,6 +880,25 @@ describe('GcsPersistorTests', function () {
       })
     })
 
+    describe('with a deleted bucket', function () {
+      beforeEach(async function () {
+        GcsPersistor.settings.deletedBucketSuffix = '-deleted'
+        return GcsPersistor.deleteObject(bucket, key)
+      })
+
+      it('should copy the object to the deleted bucket', function () {
+        expect(Storage.prototype.bucket).to.have.been.calledWith(
+          `${bucket}-deleted`
+        )
+        expect(GcsBucket.file).to.have.been.calledWith(sinon.match(`${key}-`))
+        expect(GcsFile.copy).to.have.been.called
+      })
+
+      it('should delete the object', function () {
+        expect(GcsFile.delete).to.have.been.called
+      })
+    })
+
     describe('when the file does not exist', function () {
       let error
 
@@ -593,6 +958,50 @@ describe('GcsPersistorTests', function () {
     })
   })
 
+  describe('deleteObjects', function () {
+    const keys = [key, destKey]
+
+    describe('with valid parameters', function () {
+      let result
+
+      beforeEach(async function () {
+        result = await GcsPersistor.deleteObjects(bucket, keys)
+      })
+
+      it('should delete each object', function () {
+        expect(GcsBucket.file).to.have.been.calledWith(key)
+        expect(GcsBucket.file).to.have.been.calledWith(destKey)
+        expect(GcsFile.delete).to.have.been.calledTwice
+      })
+
+      it('should report the deleted objects', function () {
+        expect(result).to.deep.equal({ deleted: keys, errors: [] })
+      })
+    })
+
+    describe('when an object cannot be deleted', function () {
+      let result
+
+      beforeEach(async function () {
+        GcsFile.delete = sinon.stub()
+        GcsFile.delete.onFirstCall().rejects(genericError)
+        GcsFile.delete.onSecondCall().resolves()
+        result = await GcsPersistor.deleteObjects(bucket, keys)
+      })
+
+      it('should continue deleting the other objects', function () {
+        expect(result.deleted).to.deep.equal([destKey])
+      })
+
+      it('should report the failure', function () {
+        expect(result.errors).to.have.length(1)
+        expect(result.errors[0].key).to.equal(key)
+        expect(result.errors[0].error).to.be.an.instanceOf(Errors.WriteError)
+        expect(result.errors[0].error.cause).to.equal(genericError)
+      })
+    })
+  })
+
   describe('directorySize', function () {
     describe('with valid parameters', function () {
       let size
@@ -651,6 +1060,165 @@ describe('GcsPersistorTests', function () {
     })
   })
 
+  describe('listObjects', function () {
+    const updated = '2020-01-01T00:00:00.000Z'
+    let listedFiles
+
+    async function listObjects(...args) {
+      const objects = []
+      for await (const object of GcsPersistor.listObjects(...args)) {
+        objects.push(object)
+      }
+      return objects
+    }
+
+    beforeEach(function () {
+      listedFiles = [
+        { name: 'llama', metadata: { ...files[0].metadata, updated } },
+        { name: 'hippo', metadata: { ...files[1].metadata, updated } }
+      ]
+      GcsBucket.getFiles.resolves([listedFiles, null])
+    })
+
+    describe('with valid parameters', function () {
+      let objects
+
+      beforeEach(async function () {
+        objects = await listObjects(bucket, key)
+      })
+
+      it('should list the objects with the prefix', function () {
+        expect(Storage.prototype.bucket).to.have.been.calledWith(bucket)
+        expect(GcsBucket.getFiles).to.have.been.calledWith({
+          prefix: key,
+          autoPaginate: false
+        })
+      })
+
+      it('should return the objects', function () {
+        expect(objects).to.deep.equal([
+          { key: 'llama', size: 11, md5, lastModified: new Date(updated) },
+          { key: 'hippo', size: 22, md5, lastModified: new Date(updated) }
+        ])
+      })
+    })
+
+    describe('when there are more files available', function () {
+      const nextQuery = { prefix: key, autoPaginate: false, pageToken: 'tok' }
+      let objects
+
+      beforeEach(async function () {
+        GcsBucket.getFiles.onCall(0).resolves([listedFiles, nextQuery])
+        objects = await listObjects(bucket, key, { pageSize: 2 })
+      })
+
+      it('should pass the page size to GCS', function () {
+        expect(GcsBucket.getFiles).to.have.been.calledWith({
+          prefix: key,
+          autoPaginate: false,
+          maxResults: 2
+        })
+      })
+
+      it('should request the next page', function () {
+        expect(GcsBucket.getFiles).to.have.been.calledTwice
+        expect(GcsBucket.getFiles.secondCall).to.have.been.calledWith(nextQuery)
+      })
+
+      it('should return both sets of files', function () {
+        expect(objects).to.have.length(4)
+      })
+    })
+
+    describe('when an object is composite', function () {
+      it('should return a null md5 hash', async function () {
+        delete listedFiles[0].metadata.md5Hash
+        const objects = await listObjects(bucket, key)
+        expect(objects[0].md5).to.be.null
+        expect(objects[1].md5).to.equal(md5)
+      })
+    })
+
+    describe('when there is an error listing the objects', function () {
+      beforeEach(function () {
+        GcsBucket.getFiles.rejects(genericError)
+      })
+
+      it('should generate a ReadError', async function () {
+        await expect(listObjects(bucket, key))
+          .to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+          .and.have.property('cause', genericError)
+      })
+    })
+  })
+
+  describe('listObjectVersions', function () {
+    const updated = '2020-01-01T00:00:00.000Z'
+    let versions
+
+    beforeEach(async function () {
+      GcsBucket.getFiles = sinon.stub().resolves([
+        [
+          {
+            name: key,
+            metadata: {
+              generation: '1',
+              size: '11',
+              md5Hash: '/////wAAAAD/////AAAAAA==',
+              updated,
+              timeDeleted: updated
+            }
+          },
+          { name: `${key}-other`, metadata: { generation: '3' } },
+          {
+            name: key,
+            metadata: { generation: '2', size: '22', updated }
+          }
+        ]
+      ])
+      versions = await GcsPersistor.listObjectVersions(bucket, key)
+    })
+
+    it('should list all generations of the object', function () {
+      expect(GcsBucket.getFiles).to.have.been.calledWith({
+        prefix: key,
+        versions: true
+      })
+    })
+
+    it('should return the versions of the object, newest first', function () {
+      expect(versions).to.deep.equal([
+        {
+          version: '2',
+          size: 22,
+          md5: null,
+          lastModified: new Date(updated),
+          isLatest: true
+        },
+        {
+          version: '1',
+          size: 11,
+          md5,
+          lastModified: new Date(updated),
+          isLatest: false
+        }
+      ])
+    })
+  })
+
+  describe('restoreObjectVersion', function () {
+    beforeEach(async function () {
+      GcsBucket.file.withArgs(key).returns('currentFile')
+      GcsBucket.file.withArgs(key, { generation: '1' }).returns(GcsFile)
+      await GcsPersistor.restoreObjectVersion(bucket, key, '1')
+    })
+
+    it('should copy the generation over the object', function () {
+      expect(GcsBucket.file).to.have.been.calledWith(key, { generation: '1' })
+      expect(GcsFile.copy).to.have.been.calledWith('currentFile')
+    })
+  })
+
   describe('checkIfObjectExists', function () {
     describe('when the file exists', function () {
       let exists
@@ -0,0 +1,536 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const Crypto = require('crypto')
+const Stream = require('stream')
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll, send, listKeys } = require('../TestHelper')
+
+describe('GridFSPersistorTests', function () {
+  const bucket = 'womBucket'
+  const key = 'monKey'
+  const data = Buffer.from('wombats are the best marsupials')
+  const md5 = Crypto.createHash('md5').update(data).digest('hex')
+
+  let GridFSPersistor,
+    persistor,
+    mongodb,
+    db,
+    client,
+    files,
+    nextId,
+    nextUploadDate,
+    Metrics
+
+  // a fake of the parts of the GridFS API used by the persistor, keeping the
+  // files documents, with their data, in an array for each bucket
+
+  function getFiles(bucketName) {
+    if (!files[bucketName]) {
+      files[bucketName] = []
+    }
+    return files[bucketName]
+  }
+
+  function matches(file, filter) {
+    for (const [field, condition] of Object.entries(filter)) {
+      const value = file[field]
+      if (condition && condition.$regex) {
+        if (!new RegExp(condition.$regex).test(value)) return false
+      } else if (condition && condition.$lt) {
+        if (!(value < condition.$lt)) return false
+      } else if (value !== condition) {
+        return false
+      }
+    }
+    return true
+  }
+
+  function compare(a, b, sort) {
+    for (const [field, direction] of Object.entries(sort)) {
+      if (a[field] < b[field]) return -direction
+      if (a[field] > b[field]) return direction
+    }
+    return 0
+  }
+
+  class UploadStream extends Stream.Writable {
+    constructor(bucketName, filename, options) {
+      super()
+      this.id = nextId++
+      this.bucketName = bucketName
+      this.filename = filename
+      this.options = options
+      this.chunks = []
+      this.abort = sinon.stub().yields()
+    }
+
+    // like the GridFS write stream, 'finish' is emitted with the files
+    // document once it has been written
+    write(chunk, encoding, callback) {
+      this.chunks.push(chunk)
+      if (typeof callback === 'function') callback()
+      return true
+    }
+
+    end() {
+      const data = Buffer.concat(this.chunks)
+      const file = {
+        _id: this.id,
+        filename: this.filename,
+        length: data.length,
+        uploadDate: new Date(nextUploadDate++),
+        md5: Crypto.createHash('md5').update(data).digest('hex'),
+        contentType: this.options.contentType,
+        metadata: this.options.metadata,
+        data
+      }
+      getFiles(this.bucketName).push(file)
+      process.nextTick(() => this.emit('finish', file))
+    }
+  }
+
+  class GridFSBucket {
+    constructor(db, options) {
+      this.bucketName = options.bucketName
+    }
+
+    openUploadStream(filename, options) {
+      return new UploadStream(this.bucketName, filename, options)
+    }
+
+    openDownloadStream(id, options = {}) {
+      const file = getFiles(this.bucketName).find((file) => file._id === id)
+      if (!file) {
+        const stream = new Stream.Readable({ read() {} })
+        process.nextTick(() =>
+          stream.emit(
+            'error',
+            Object.assign(new Error('FileNotFound'), { code: 'ENOENT' })
+          )
+        )
+        return stream
+      }
+      return Stream.Readable.from(
+        [file.data.slice(options.start || 0, options.end)],
+        { objectMode: false }
+      )
+    }
+
+    find(filter, options = {}) {
+      let result = getFiles(this.bucketName).filter((file) =>
+        matches(file, filter)
+      )
+      if (options.sort) {
+        result.sort((a, b) => compare(a, b, options.sort))
+      }
+      if (options.limit) {
+        result = result.slice(0, options.limit)
+      }
+      return {
+        toArray: async () => result,
+        async *[Symbol.asyncIterator]() {
+          yield* result
+        }
+      }
+    }
+
+    async delete(id) {
+      const bucketFiles = getFiles(this.bucketName)
+      const index = bucketFiles.findIndex((file) => file._id === id)
+      if (index === -1) {
+        throw new Error(`FileNotFound: no file with id ${id} found`)
+      }
+      bucketFiles.splice(index, 1)
+    }
+  }
+
+  beforeEach(function () {
+    files = {}
+    nextId = 1
+    nextUploadDate = Date.now() - 60 * 1000
+
+    db = {
+      collection: sinon.stub().callsFake((name) => ({
+        updateOne: sinon.stub().callsFake(async ({ _id }, { $set }) => {
+          const bucketName = name.replace(/\.files$/, '')
+          const file = getFiles(bucketName).find((file) => file._id === _id)
+          for (const [path, value] of Object.entries($set)) {
+            const fields = path.split('.')
+            const last = fields.pop()
+            fields.reduce((object, field) => object[field], file)[last] = value
+          }
+        })
+      }))
+    }
+    client = { db: sinon.stub().returns(db) }
+    mongodb = {
+      MongoClient: { connect: sinon.stub().resolves(client) },
+      GridFSBucket
+    }
+
+    Metrics = { count: sinon.stub() }
+
+    GridFSPersistor = requireModule(
+      'GridFSPersistor.js',
+      { mongodb },
+      { process }
+    )
+    persistor = new GridFSPersistor({ url: 'mongodb://mongo/wombats', Metrics })
+  })
+
+  describe('constructor', function () {
+    it('should throw a SettingsError without a url', function () {
+      expect(() => new GridFSPersistor({})).to.throw(Errors.SettingsError)
+    })
+  })
+
+  describe('connecting', function () {
+    it('should connect to the url once', async function () {
+      await send(persistor, bucket, key, data)
+      await persistor.getObjectSize(bucket, key)
+      expect(mongodb.MongoClient.connect).to.have.been.calledOnceWith(
+        'mongodb://mongo/wombats'
+      )
+    })
+
+    it('should use the configured database', async function () {
+      persistor = new GridFSPersistor({ db })
+      await send(persistor, bucket, key, data)
+      expect(mongodb.MongoClient.connect).not.to.have.been.called
+      expect(await persistor.checkIfObjectExists(bucket, key)).to.be.true
+    })
+
+    it('should connect again after a failure', async function () {
+      mongodb.MongoClient.connect.onFirstCall().rejects(new Error('no mongo'))
+      await expect(
+        persistor.checkIfObjectExists(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+      expect(await persistor.checkIfObjectExists(bucket, key)).to.be.false
+    })
+  })
+
+  describe('sendStream', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, key, data, {
+        contentType: 'text/plain',
+        contentEncoding: 'gzip',
+        metadata: { project: 'wombat' },
+        tags: { team: 'marsupials' },
+        sourceMd5: md5
+      })
+    })
+
+    it('should store the file', async function () {
+      const stream = await persistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(data)
+    })
+
+    it('should store the metadata', async function () {
+      const metadata = await persistor.getObjectMetadata(bucket, key)
+      expect(metadata).to.include({
+        size: data.length,
+        md5,
+        contentType: 'text/plain',
+        contentEncoding: 'gzip'
+      })
+      expect(metadata.metadata).to.deep.equal({ project: 'wombat' })
+      expect(metadata.lastModified).to.be.an.instanceOf(Date)
+    })
+
+    it('should store the tags', async function () {
+      expect(await persistor.getObjectTags(bucket, key)).to.deep.equal({
+        team: 'marsupials'
+      })
+    })
+
+    it('should count the egress', function () {
+      expect(Metrics.count).to.have.been.calledWith(
+        'gridfs.egress',
+        data.length
+      )
+    })
+
+    it('should remove the previous file when the object is overwritten', async function () {
+      await send(persistor, bucket, key, Buffer.from('new wombats'))
+      expect(files[bucket]).to.have.length(1)
+      const stream = await persistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(Buffer.from('new wombats'))
+    })
+
+    describe('when the md5 hash does not match', function () {
+      beforeEach(async function () {
+        await expect(
+          send(persistor, bucket, key, Buffer.from('new wombats'), {
+            sourceMd5: 'ffffffff'
+          })
+        ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+      })
+
+      it('should remove the new file', function () {
+        expect(files[bucket]).to.have.length(1)
+      })
+
+      it('should keep the previous file', async function () {
+        expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+      })
+    })
+
+    it('should throw a PreconditionFailedError for ifNotExists', async function () {
+      await expect(
+        send(persistor, bucket, key, data, { ifNotExists: true })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+    })
+
+    it('should overwrite an object which matches ifMatch', async function () {
+      await send(persistor, bucket, key, Buffer.from('new wombats'), {
+        ifMatch: md5
+      })
+      expect(await persistor.getObjectSize(bucket, key)).to.equal(11)
+    })
+
+    it('should throw a PreconditionFailedError when ifMatch does not match', async function () {
+      await expect(
+        send(persistor, bucket, key, data, { ifMatch: 'ffffffff' })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+    })
+  })
+
+  describe('when the source stream fails', function () {
+    it('should abort the upload and throw a WriteError', async function () {
+      const readStream = new Stream.Readable({
+        read() {
+          this.destroy(new Error('wombat escaped'))
+        }
+      })
+      await expect(
+        persistor.sendStream(bucket, key, readStream)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+      expect(files[bucket] || []).to.have.length(0)
+    })
+  })
+
+  describe('getObjectStream', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, key, data)
+    })
+
+    it('should return a range', async function () {
+      const stream = await persistor.getObjectStream(bucket, key, {
+        start: 4,
+        end: 9
+      })
+      expect(await readAll(stream)).to.deep.equal(data.slice(4, 10))
+    })
+
+    it('should return a range which ends after the end of the file', async function () {
+      const stream = await persistor.getObjectStream(bucket, key, {
+        start: 4,
+        end: 1000
+      })
+      expect(await readAll(stream)).to.deep.equal(data.slice(4))
+    })
+
+    it('should throw a NotFoundError for a missing object', async function () {
+      await expect(
+        persistor.getObjectStream(bucket, 'missing')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+
+    it('should throw a NotFoundError when the file is deleted during the read', async function () {
+      sinon
+        .stub(GridFSBucket.prototype, 'openDownloadStream')
+        .callsFake(function (id) {
+          files[bucket] = []
+          return GridFSBucket.prototype.openDownloadStream.wrappedMethod.call(
+            this,
+            id
+          )
+        })
+      try {
+        await expect(
+          persistor.getObjectStream(bucket, key)
+        ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+      } finally {
+        GridFSBucket.prototype.openDownloadStream.restore()
+      }
+    })
+
+    it('should throw a NotImplementedError for a version', async function () {
+      await expect(
+        persistor.getObjectStream(bucket, key, { version: '1' })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.NotImplementedError
+      )
+    })
+  })
+
+  describe('getObjectMd5Hash', function () {
+    it('should return the stored md5 hash without reading the file', async function () {
+      await send(persistor, bucket, key, data)
+      const spy = sinon.spy(GridFSBucket.prototype, 'openDownloadStream')
+      try {
+        expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+        expect(spy).not.to.have.been.called
+      } finally {
+        spy.restore()
+      }
+    })
+
+    it('should calculate the md5 hash of a file without one', async function () {
+      await send(persistor, bucket, key, data)
+      delete files[bucket][0].md5
+      expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+    })
+  })
+
+  describe('setObjectTags', function () {
+    it('should replace the tags', async function () {
+      await send(persistor, bucket, key, data, { tags: { team: 'marsupials' } })
+      await persistor.setObjectTags(bucket, key, { team: 'wombats' })
+      expect(await persistor.getObjectTags(bucket, key)).to.deep.equal({
+        team: 'wombats'
+      })
+    })
+  })
+
+  describe('copyObject', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, key, data, {
+        metadata: { project: 'wombat' }
+      })
+    })
+
+    it('should copy the object within a bucket', async function () {
+      await persistor.copyObject(bucket, key, 'copyKey')
+      expect(await persistor.getObjectMd5Hash(bucket, 'copyKey')).to.equal(md5)
+      expect(
+        (await persistor.getObjectMetadata(bucket, 'copyKey')).metadata
+      ).to.deep.equal({ project: 'wombat' })
+    })
+
+    it('should copy the object to another bucket', async function () {
+      await persistor.copyObject(bucket, key, 'otherBucket', 'copyKey')
+      expect(await persistor.checkIfObjectExists('otherBucket', 'copyKey')).to
+        .be.true
+    })
+
+    it('should throw a NotFoundError for a missing object', async function () {
+      await expect(
+        persistor.copyObject(bucket, 'missing', 'copyKey')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('moveObject', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, key, data)
+      await send(persistor, bucket, 'newKey', Buffer.from('old wombats'))
+      await persistor.moveObject(bucket, key, 'newKey')
+    })
+
+    it('should rename the file', async function () {
+      expect(
+        files[bucket].map((file) => [file._id, file.filename])
+      ).to.deep.equal([[1, 'newKey']])
+    })
+
+    it('should replace the object at the new key', async function () {
+      expect(await persistor.checkIfObjectExists(bucket, key)).to.be.false
+      expect(await persistor.getObjectMd5Hash(bucket, 'newKey')).to.equal(md5)
+    })
+  })
+
+  describe('deleting objects', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, 'dir.1/one', data)
+      await send(persistor, bucket, 'dir.1/two', Buffer.from('two'))
+      await send(persistor, bucket, 'dirx1/three', data)
+    })
+
+    it('should delete an object', async function () {
+      await persistor.deleteObject(bucket, 'dir.1/one')
+      expect(await listKeys(persistor, bucket, '')).to.deep.equal([
+        'dir.1/two',
+        'dirx1/three'
+      ])
+    })
+
+    it('should not throw when deleting a missing object', async function () {
+      await persistor.deleteObject(bucket, 'missing')
+    })
+
+    it('should delete several objects', async function () {
+      const result = await persistor.deleteObjects(bucket, [
+        'dir.1/one',
+        'dirx1/three'
+      ])
+      expect(result.deleted).to.have.members(['dir.1/one', 'dirx1/three'])
+      expect(result.errors).to.deep.equal([])
+      expect(await listKeys(persistor, bucket, '')).to.deep.equal(['dir.1/two'])
+    })
+
+    it('should delete a directory, matching the prefix exactly', async function () {
+      await persistor.deleteDirectory(bucket, 'dir.1/')
+      expect(await listKeys(persistor, bucket, '')).to.deep.equal([
+        'dirx1/three'
+      ])
+    })
+
+    it('should return the size of a directory', async function () {
+      expect(await persistor.directorySize(bucket, 'dir.1/')).to.equal(
+        data.length + 3
+      )
+    })
+  })
+
+  describe('listObjects', function () {
+    it('should list the current object for each key, in order', async function () {
+      await send(persistor, bucket, 'b', data)
+      await send(persistor, bucket, 'a/2', data)
+      await send(persistor, bucket, 'a/1', data)
+      // a file left by an interrupted overwrite
+      files[bucket].push({
+        ...files[bucket][2],
+        _id: 100,
+        uploadDate: new Date(0),
+        length: 1
+      })
+      const objects = []
+      for await (const object of persistor.listObjects(bucket, 'a/')) {
+        objects.push(object)
+      }
+      expect(objects.map((object) => object.key)).to.deep.equal(['a/1', 'a/2'])
+      expect(objects[0]).to.include({ size: data.length, md5 })
+    })
+  })
+
+  describe('with a deleted bucket', function () {
+    let deleted
+
+    beforeEach(async function () {
+      persistor = new GridFSPersistor({ db, deletedBucketSuffix: '-deleted' })
+      await send(persistor, bucket, key, data)
+      await persistor.deleteObject(bucket, key)
+      deleted = []
+      for await (const object of persistor.listDeletedObjects(bucket, '')) {
+        deleted.push(object)
+      }
+    })
+
+    it('should keep a copy of the deleted object', function () {
+      expect(deleted).to.have.length(1)
+      expect(deleted[0].key).to.equal(key)
+    })
+
+    it('should restore the deleted object', async function () {
+      await persistor.restoreDeletedObject(bucket, key, deleted[0].deletedAt)
+      expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+    })
+  })
+})
@@ -0,0 +1,229 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const Crypto = require('crypto')
+const http = require('http')
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll } = require('../TestHelper')
+
+describe('HttpPersistorTests', function () {
+  const bucket = 'womBucket'
+  const key = 'dir/mon Key'
+  const data = Buffer.from('wombats are the best marsupials')
+  const md5 = Crypto.createHash('md5').update(data).digest('hex')
+
+  let HttpPersistor, persistor, server, baseUrl, files, requests, Metrics
+
+  // serves `files`, keyed by path, with single byte ranges unless the file
+  // has `noRanges` set
+  function handleRequest(req, res) {
+    requests.push(req)
+    const file = files[req.url]
+    if (!file) {
+      res.statusCode = 404
+      return res.end('not found')
+    }
+    if (file.status) {
+      res.statusCode = file.status
+      return res.end('oops')
+    }
+
+    let body = file.data
+    const range = req.headers.range && req.headers.range.match(/(\d+)-(\d*)/)
+    if (range && !file.noRanges) {
+      const end = range[2] ? parseInt(range[2], 10) : body.length - 1
+      body = body.slice(parseInt(range[1], 10), end + 1)
+      res.statusCode = 206
+    }
+    for (const [name, value] of Object.entries(file.headers || {})) {
+      res.setHeader(name, value)
+    }
+    res.setHeader('Content-Length', body.length)
+    res.end(req.method === 'HEAD' ? undefined : body)
+  }
+
+  before(function (done) {
+    server = http.createServer((req, res) => handleRequest(req, res))
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  beforeEach(function () {
+    requests = []
+    files = {
+      '/files/womBucket/dir/mon%20Key': {
+        data,
+        headers: {
+          'Content-Type': 'text/plain',
+          'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT',
+          ETag: `"${md5}"`
+        }
+      }
+    }
+    Metrics = { inc: sinon.stub(), count: sinon.stub() }
+
+    HttpPersistor = requireModule('HttpPersistor.js')
+    persistor = new HttpPersistor({
+      url: `${baseUrl}/files/{bucket}/{key}`,
+      headers: { Authorization: 'Bearer wombat' },
+      Metrics
+    })
+  })
+
+  describe('constructor', function () {
+    it('should throw a SettingsError without a url template', function () {
+      expect(() => new HttpPersistor({})).to.throw(Errors.SettingsError)
+    })
+  })
+
+  describe('getObjectStream', function () {
+    it('should return the file', async function () {
+      const stream = await persistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(data)
+    })
+
+    it('should send the configured headers', async function () {
+      await readAll(await persistor.getObjectStream(bucket, key))
+      expect(requests[0].headers.authorization).to.equal('Bearer wombat')
+    })
+
+    it('should request a range', async function () {
+      const stream = await persistor.getObjectStream(bucket, key, {
+        start: 4,
+        end: 9
+      })
+      expect(await readAll(stream)).to.deep.equal(data.slice(4, 10))
+      expect(requests[0].headers.range).to.equal('bytes=4-9')
+    })
+
+    it('should use the url template for the bucket', async function () {
+      persistor = new HttpPersistor({
+        buckets: { [bucket]: `${baseUrl}/legacy/{key}` }
+      })
+      files['/legacy/dir/mon%20Key'] = { data: Buffer.from('legacy') }
+      const stream = await persistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(Buffer.from('legacy'))
+    })
+
+    it('should throw a ReadError when the server ignores the range', async function () {
+      files['/files/womBucket/dir/mon%20Key'].noRanges = true
+      await expect(
+        persistor.getObjectStream(bucket, key, { start: 4, end: 9 })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+    })
+
+    it('should throw a NotFoundError for a missing file', async function () {
+      await expect(
+        persistor.getObjectStream(bucket, 'missing')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+
+    it('should throw a ReadError for a server error', async function () {
+      files['/files/womBucket/dir/mon%20Key'].status = 500
+      await expect(
+        persistor.getObjectStream(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+    })
+
+    it('should throw a ReadError when the server is unavailable', async function () {
+      persistor = new HttpPersistor({ url: 'http://127.0.0.1:1/{key}' })
+      await expect(
+        persistor.getObjectStream(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+    })
+  })
+
+  describe('getObjectMetadata', function () {
+    it('should return the metadata from the headers', async function () {
+      expect(await persistor.getObjectMetadata(bucket, key)).to.deep.equal({
+        size: data.length,
+        md5,
+        contentType: 'text/plain',
+        contentEncoding: undefined,
+        lastModified: new Date('2015-10-21T07:28:00Z'),
+        etag: `"${md5}"`,
+        metadata: {}
+      })
+      expect(requests[0].method).to.equal('HEAD')
+    })
+
+    it('should return the md5 hash from the Content-MD5 header', async function () {
+      files['/files/womBucket/dir/mon%20Key'].headers = {
+        'Content-MD5': Buffer.from(md5, 'hex').toString('base64'),
+        ETag: '"wombat"'
+      }
+      expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+      expect(requests).to.have.length(1)
+    })
+
+    it('should not use a weak ETag as the md5 hash', async function () {
+      files['/files/womBucket/dir/mon%20Key'].headers = { ETag: `W/"${md5}"` }
+      const metadata = await persistor.getObjectMetadata(bucket, key)
+      expect(metadata.md5).to.be.null
+    })
+
+    it('should throw a NotFoundError for a missing file', async function () {
+      await expect(
+        persistor.getObjectMetadata(bucket, 'missing')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('getObjectMd5Hash', function () {
+    it('should return the md5 hash from the ETag without downloading', async function () {
+      expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+      expect(requests.map((req) => req.method)).to.deep.equal(['HEAD'])
+    })
+
+    it('should download the file when there is no md5 hash', async function () {
+      files['/files/womBucket/dir/mon%20Key'].headers = {}
+      expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+      expect(Metrics.inc).to.have.been.calledWith('http.md5Download')
+    })
+  })
+
+  describe('getObjectSize', function () {
+    it('should return the size from a HEAD request', async function () {
+      expect(await persistor.getObjectSize(bucket, key)).to.equal(data.length)
+      expect(requests[0].method).to.equal('HEAD')
+    })
+  })
+
+  describe('checkIfObjectExists', function () {
+    it('should return true for an existing file', async function () {
+      expect(await persistor.checkIfObjectExists(bucket, key)).to.be.true
+    })
+
+    it('should return false for a missing file', async function () {
+      expect(await persistor.checkIfObjectExists(bucket, 'missing')).to.be.false
+    })
+  })
+
+  describe('unsupported methods', function () {
+    for (const method of [
+      'sendStream',
+      'copyObject',
+      'moveObject',
+      'deleteObject',
+      'deleteDirectory',
+      'listObjects'
+    ]) {
+      it(`should throw a NotImplementedError for ${method}`, async function () {
+        let result = persistor[method](bucket, key, key)
+        if (result[Symbol.asyncIterator]) {
+          result = result.next()
+        }
+        await expect(result).to.eventually.be.rejected.and.be.an.instanceOf(
+          Errors.NotImplementedError
+        )
+      })
+    }
+  })
+})
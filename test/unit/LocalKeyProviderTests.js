@@ -0,0 +1,68 @@
+const chai = require('chai')
+const { expect } = chai
+const Crypto = require('crypto')
+
+const Errors = require('../../src/Errors')
+const LocalKeyProvider = require('../../src/LocalKeyProvider')
+
+describe('LocalKeyProviderTests', function () {
+  const keys = {
+    old: Crypto.randomBytes(32).toString('base64'),
+    current: Crypto.randomBytes(32).toString('base64')
+  }
+  const dataKey = Crypto.randomBytes(32)
+
+  let keyProvider
+
+  beforeEach(function () {
+    keyProvider = new LocalKeyProvider({ keys, currentKeyId: 'current' })
+  })
+
+  it('should throw a SettingsError without a key for the current key id', function () {
+    expect(
+      () => new LocalKeyProvider({ keys, currentKeyId: 'missing' })
+    ).to.throw(Errors.SettingsError)
+  })
+
+  it('should throw a SettingsError for a key of the wrong length', function () {
+    expect(
+      () =>
+        new LocalKeyProvider({
+          keys: { current: 'c2hvcnQ=' },
+          currentKeyId: 'current'
+        })
+    ).to.throw(Errors.SettingsError)
+  })
+
+  it('should wrap keys with the current key', async function () {
+    const { keyId, wrappedKey } = await keyProvider.wrapKey(dataKey)
+    expect(keyId).to.equal('current')
+    expect(wrappedKey.includes(dataKey)).to.be.false
+    expect(await keyProvider.unwrapKey(keyId, wrappedKey)).to.deep.equal(
+      dataKey
+    )
+  })
+
+  it('should unwrap keys wrapped with an old key', async function () {
+    const oldKeyProvider = new LocalKeyProvider({ keys, currentKeyId: 'old' })
+    const { keyId, wrappedKey } = await oldKeyProvider.wrapKey(dataKey)
+    expect(await keyProvider.unwrapKey(keyId, wrappedKey)).to.deep.equal(
+      dataKey
+    )
+  })
+
+  it('should throw a ReadError for an unknown key id', async function () {
+    const { wrappedKey } = await keyProvider.wrapKey(dataKey)
+    await expect(
+      keyProvider.unwrapKey('missing', wrappedKey)
+    ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+  })
+
+  it('should throw a ReadError for a modified key', async function () {
+    const { keyId, wrappedKey } = await keyProvider.wrapKey(dataKey)
+    wrappedKey[20] ^= 1
+    await expect(
+      keyProvider.unwrapKey(keyId, wrappedKey)
+    ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+  })
+})
@@ -0,0 +1,284 @@
+const chai = require('chai')
+const { expect } = chai
+const Crypto = require('crypto')
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll, send, listKeys } = require('../TestHelper')
+
+describe('MemoryPersistorTests', function () {
+  const bucket = 'womBucket'
+  const key = 'monKey'
+  const data = Buffer.from('wombats are the best marsupials')
+  const md5 = Crypto.createHash('md5').update(data).digest('hex')
+
+  let MemoryPersistor, persistor
+
+  beforeEach(function () {
+    MemoryPersistor = requireModule('MemoryPersistor.js')
+    persistor = new MemoryPersistor({})
+  })
+
+  describe('sendStream', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, key, data, {
+        contentType: 'text/plain',
+        metadata: { project: 'wombat' },
+        tags: { team: 'marsupials' },
+        sourceMd5: md5
+      })
+    })
+
+    it('should store the object', async function () {
+      const stream = await persistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(data)
+    })
+
+    it('should store the metadata', async function () {
+      const metadata = await persistor.getObjectMetadata(bucket, key)
+      expect(metadata).to.include({
+        size: data.length,
+        md5,
+        contentType: 'text/plain'
+      })
+      expect(metadata.metadata).to.deep.equal({ project: 'wombat' })
+      expect(metadata.lastModified).to.be.an.instanceOf(Date)
+    })
+
+    it('should store the tags', async function () {
+      expect(await persistor.getObjectTags(bucket, key)).to.deep.equal({
+        team: 'marsupials'
+      })
+    })
+
+    it('should throw a WriteError when the md5 hash does not match', async function () {
+      await expect(
+        send(persistor, bucket, 'otherKey', data, { sourceMd5: 'ffffffff' })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+      expect(await persistor.checkIfObjectExists(bucket, 'otherKey')).to.be
+        .false
+    })
+
+    it('should throw a PreconditionFailedError for ifNotExists', async function () {
+      await expect(
+        send(persistor, bucket, key, data, { ifNotExists: true })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+    })
+
+    it('should overwrite an object which matches ifMatch', async function () {
+      await send(persistor, bucket, key, Buffer.from('new wombats'), {
+        ifMatch: md5
+      })
+      expect(await persistor.getObjectSize(bucket, key)).to.equal(11)
+    })
+
+    it('should throw a PreconditionFailedError when ifMatch does not match', async function () {
+      await expect(
+        send(persistor, bucket, key, data, { ifMatch: 'ffffffff' })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+    })
+  })
+
+  describe('getObjectStream', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, key, data)
+    })
+
+    it('should return a range', async function () {
+      const stream = await persistor.getObjectStream(bucket, key, {
+        start: 4,
+        end: 9
+      })
+      expect(await readAll(stream)).to.deep.equal(data.slice(4, 10))
+    })
+
+    it('should not allow the stored data to be modified', async function () {
+      const chunk = await readAll(await persistor.getObjectStream(bucket, key))
+      chunk[0] = 0
+      expect(
+        await readAll(await persistor.getObjectStream(bucket, key))
+      ).to.deep.equal(data)
+    })
+
+    it('should throw a NotFoundError for a missing object', async function () {
+      await expect(
+        persistor.getObjectStream(bucket, 'missing')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+
+    it('should throw a NotFoundError for a missing bucket', async function () {
+      await expect(
+        persistor.getObjectStream('missingBucket', key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('copyObject', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, key, data, {
+        metadata: { project: 'wombat' }
+      })
+    })
+
+    it('should copy the object within a bucket', async function () {
+      await persistor.copyObject(bucket, key, 'copyKey')
+      expect(await persistor.getObjectMd5Hash(bucket, 'copyKey')).to.equal(md5)
+      expect(
+        (await persistor.getObjectMetadata(bucket, 'copyKey')).metadata
+      ).to.deep.equal({ project: 'wombat' })
+    })
+
+    it('should copy the object to another bucket', async function () {
+      await persistor.copyObject(bucket, key, 'otherBucket', 'copyKey')
+      expect(await persistor.checkIfObjectExists('otherBucket', 'copyKey')).to
+        .be.true
+    })
+
+    it('should throw a NotFoundError for a missing object', async function () {
+      await expect(
+        persistor.copyObject(bucket, 'missing', 'copyKey')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('moveObject', function () {
+    it('should move the object', async function () {
+      await send(persistor, bucket, key, data)
+      await persistor.moveObject(bucket, key, 'newKey')
+      expect(await persistor.checkIfObjectExists(bucket, key)).to.be.false
+      expect(await persistor.getObjectMd5Hash(bucket, 'newKey')).to.equal(md5)
+    })
+  })
+
+  describe('deleting objects', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, 'dir/one', data)
+      await send(persistor, bucket, 'dir/two', Buffer.from('two'))
+      await send(persistor, bucket, 'dirt', data)
+    })
+
+    it('should delete an object', async function () {
+      await persistor.deleteObject(bucket, 'dir/one')
+      expect(await listKeys(persistor, bucket, '')).to.deep.equal([
+        'dir/two',
+        'dirt'
+      ])
+    })
+
+    it('should not throw when deleting a missing object', async function () {
+      await persistor.deleteObject(bucket, 'missing')
+    })
+
+    it('should delete several objects', async function () {
+      const result = await persistor.deleteObjects(bucket, ['dir/one', 'dirt'])
+      expect(result).to.deep.equal({ deleted: ['dir/one', 'dirt'], errors: [] })
+      expect(await listKeys(persistor, bucket, '')).to.deep.equal(['dir/two'])
+    })
+
+    it('should delete a directory', async function () {
+      await persistor.deleteDirectory(bucket, 'dir/')
+      expect(await listKeys(persistor, bucket, '')).to.deep.equal(['dirt'])
+    })
+
+    it('should return the size of a directory', async function () {
+      expect(await persistor.directorySize(bucket, 'dir/')).to.equal(
+        data.length + 3
+      )
+    })
+  })
+
+  describe('listObjects', function () {
+    it('should list the objects with the prefix in order', async function () {
+      await send(persistor, bucket, 'b', data)
+      await send(persistor, bucket, 'a/2', data)
+      await send(persistor, bucket, 'a/1', data)
+      const objects = []
+      for await (const object of persistor.listObjects(bucket, 'a/')) {
+        objects.push(object)
+      }
+      expect(objects.map((object) => object.key)).to.deep.equal(['a/1', 'a/2'])
+      expect(objects[0]).to.include({ size: data.length, md5 })
+    })
+  })
+
+  describe('with keepVersions', function () {
+    beforeEach(async function () {
+      persistor = new MemoryPersistor({ keepVersions: 2 })
+      await send(persistor, bucket, key, Buffer.from('one'))
+      await send(persistor, bucket, key, Buffer.from('two'))
+      await send(persistor, bucket, key, Buffer.from('three'))
+    })
+
+    it('should list the kept versions, newest first', async function () {
+      const versions = await persistor.listObjectVersions(bucket, key)
+      expect(
+        versions.map(({ size, isLatest }) => [size, isLatest])
+      ).to.deep.equal([
+        [5, true],
+        [3, false],
+        [3, false]
+      ])
+    })
+
+    it('should read a previous version', async function () {
+      const [, previous] = await persistor.listObjectVersions(bucket, key)
+      const stream = await persistor.getObjectStream(bucket, key, {
+        version: previous.version
+      })
+      expect(await readAll(stream)).to.deep.equal(Buffer.from('two'))
+    })
+
+    it('should restore a previous version', async function () {
+      const [, previous] = await persistor.listObjectVersions(bucket, key)
+      await persistor.restoreObjectVersion(bucket, key, previous.version)
+      const stream = await persistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(Buffer.from('two'))
+    })
+
+    it('should keep the versions of a deleted object', async function () {
+      await persistor.deleteObject(bucket, key)
+      const versions = await persistor.listObjectVersions(bucket, key)
+      expect(versions).to.have.length(2)
+      expect(versions[0].isLatest).to.be.false
+    })
+  })
+
+  describe('with a deleted bucket', function () {
+    let deleted
+
+    beforeEach(async function () {
+      persistor = new MemoryPersistor({ deletedBucketSuffix: '-deleted' })
+      await send(persistor, bucket, key, data)
+      await persistor.deleteObject(bucket, key)
+      deleted = []
+      for await (const object of persistor.listDeletedObjects(bucket, '')) {
+        deleted.push(object)
+      }
+    })
+
+    it('should keep a copy of the deleted object', function () {
+      expect(deleted).to.have.length(1)
+      expect(deleted[0].key).to.equal(key)
+    })
+
+    it('should restore the deleted object', async function () {
+      await persistor.restoreDeletedObject(bucket, key, deleted[0].deletedAt)
+      expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+    })
+  })
+
+  describe('purgeExpired', function () {
+    it('should delete expired objects', async function () {
+      await send(persistor, bucket, 'expired', data, {
+        expiresAt: new Date(Date.now() - 1000)
+      })
+      await send(persistor, bucket, 'current', data, { ttlMs: 60 * 1000 })
+      const result = await persistor.purgeExpired(bucket, '')
+      expect(result.deleted).to.deep.equal(['expired'])
+      expect(await listKeys(persistor, bucket, '')).to.deep.equal(['current'])
+    })
+  })
+})
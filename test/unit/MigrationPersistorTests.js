@@ -3,6 +3,7 @@ const chai = require('chai')
 const { expect } = chai
 const modulePath = '../../src/MigrationPersistor.js'
 const SandboxedModule = require('sandboxed-module')
+const asyncPool = require('tiny-async-pool')
 
 const Errors = require('../../src/Errors')
 
@@ -47,12 +48,18 @@ describe('MigrationPersistorTests', function () {
         copyObject: hasFile
           ? sinon.stub().resolves()
           : sinon.stub().rejects(notFoundError),
+        moveObject: hasFile
+          ? sinon.stub().resolves()
+          : sinon.stub().rejects(notFoundError),
         checkIfObjectExists: sinon.stub().resolves(hasFile),
         directorySize: hasFile
           ? sinon.stub().resolves(size)
           : sinon.stub().rejects(notFoundError),
         getObjectMd5Hash: hasFile
           ? sinon.stub().resolves(md5)
+          : sinon.stub().rejects(notFoundError),
+        getObjectMetadata: hasFile
+          ? sinon.stub().resolves({ size, md5 })
           : sinon.stub().rejects(notFoundError)
       }
     }
@@ -65,7 +72,8 @@ describe('MigrationPersistorTests', function () {
 
     Stream = {
       pipeline: sinon.stub().yields(),
-      PassThrough: sinon.stub()
+      PassThrough: sinon.stub(),
+      Transform: sinon.stub()
     }
 
     Logger = {
@@ -76,7 +84,8 @@ describe('MigrationPersistorTests', function () {
       requires: {
         stream: Stream,
         './Errors': Errors,
-        'logger-sharelatex': Logger
+        'logger-sharelatex': Logger,
+        'tiny-async-pool': asyncPool
       },
       globals: { console }
     })
@@ -208,6 +217,24 @@ describe('MigrationPersistorTests', function () {
       })
     })
 
+    describe('when a previous version is requested', function () {
+      let primaryPersistor
+      beforeEach(async function () {
+        primaryPersistor = newPersistor(false)
+        const migrationPersistor = new MigrationPersistor(
+          primaryPersistor,
+          newPersistor(true),
+          Settings
+        )
+        Settings.copyOnMiss = true
+        await migrationPersistor.getObjectStream(bucket, key, { version: '1' })
+      })
+
+      it('should not copy the version to the primary', function () {
+        expect(primaryPersistor.sendStream).not.to.have.been.called
+      })
+    })
+
     describe('when neither persistor has the file', function () {
       it('rejects with a NotFoundError', async function () {
         const migrationPersistor = new MigrationPersistor(
@@ -279,6 +306,55 @@ describe('MigrationPersistorTests', function () {
     })
   })
 
+  describe('getObjectMetadata', function () {
+    describe('when the primary persistor has the file', function () {
+      let primaryPersistor, fallbackPersistor, metadata
+      beforeEach(async function () {
+        primaryPersistor = newPersistor(true)
+        fallbackPersistor = newPersistor(false)
+        const migrationPersistor = new MigrationPersistor(
+          primaryPersistor,
+          fallbackPersistor,
+          Settings
+        )
+        metadata = await migrationPersistor.getObjectMetadata(bucket, key)
+      })
+
+      it('should return the metadata from the primary', function () {
+        expect(metadata).to.deep.equal({ size, md5 })
+        expect(primaryPersistor.getObjectMetadata).to.have.been.calledWith(
+          bucket,
+          key
+        )
+      })
+
+      it('should not query the fallback persistor', function () {
+        expect(fallbackPersistor.getObjectMetadata).not.to.have.been.called
+      })
+    })
+
+    describe('when only the fallback persistor has the file', function () {
+      let fallbackPersistor, metadata
+      beforeEach(async function () {
+        fallbackPersistor = newPersistor(true)
+        const migrationPersistor = new MigrationPersistor(
+          newPersistor(false),
+          fallbackPersistor,
+          Settings
+        )
+        metadata = await migrationPersistor.getObjectMetadata(bucket, key)
+      })
+
+      it('should return the metadata from the fallback', function () {
+        expect(metadata).to.deep.equal({ size, md5 })
+        expect(fallbackPersistor.getObjectMetadata).to.have.been.calledWith(
+          fallbackBucket,
+          key
+        )
+      })
+    })
+  })
+
   describe('sendStream', function () {
     let primaryPersistor, fallbackPersistor, migrationPersistor
     beforeEach(function () {
@@ -412,6 +488,175 @@ describe('MigrationPersistorTests', function () {
     })
   })
 
+  describe('purgeDeletedObjects', function () {
+    let primaryPersistor, fallbackPersistor, result
+
+    beforeEach(async function () {
+      primaryPersistor = newPersistor(true)
+      fallbackPersistor = newPersistor(true)
+      primaryPersistor.purgeDeletedObjects = sinon
+        .stub()
+        .resolves({ deleted: [key], errors: [] })
+      fallbackPersistor.purgeDeletedObjects = sinon
+        .stub()
+        .resolves({ deleted: [destKey], errors: [] })
+      const migrationPersistor = new MigrationPersistor(
+        primaryPersistor,
+        fallbackPersistor,
+        Settings
+      )
+      result = await migrationPersistor.purgeDeletedObjects(bucket, {
+        retentionMs: 1000
+      })
+    })
+
+    it('should purge the deleted objects on both persistors', function () {
+      expect(primaryPersistor.purgeDeletedObjects).to.have.been.calledWith(
+        bucket,
+        { retentionMs: 1000 }
+      )
+      expect(fallbackPersistor.purgeDeletedObjects).to.have.been.calledWith(
+        fallbackBucket,
+        { retentionMs: 1000 }
+      )
+    })
+
+    it('should merge the results', function () {
+      expect(result).to.deep.equal({ deleted: [key, destKey], errors: [] })
+    })
+  })
+
+  describe('purgeExpired', function () {
+    let primaryPersistor, fallbackPersistor, result
+
+    beforeEach(async function () {
+      primaryPersistor = newPersistor(true)
+      fallbackPersistor = newPersistor(true)
+      primaryPersistor.purgeExpired = sinon
+        .stub()
+        .resolves({ deleted: [key], errors: [] })
+      fallbackPersistor.purgeExpired = sinon
+        .stub()
+        .resolves({ deleted: [destKey], errors: [] })
+      const migrationPersistor = new MigrationPersistor(
+        primaryPersistor,
+        fallbackPersistor,
+        Settings
+      )
+      result = await migrationPersistor.purgeExpired(bucket, 'prefix')
+    })
+
+    it('should purge the expired objects on both persistors', function () {
+      expect(primaryPersistor.purgeExpired).to.have.been.calledWith(
+        bucket,
+        'prefix'
+      )
+      expect(fallbackPersistor.purgeExpired).to.have.been.calledWith(
+        fallbackBucket,
+        'prefix'
+      )
+    })
+
+    it('should merge the results', function () {
+      expect(result).to.deep.equal({ deleted: [key, destKey], errors: [] })
+    })
+  })
+
+  describe('deleteObjects', function () {
+    const keys = [key, destKey]
+    let primaryPersistor, fallbackPersistor, result
+
+    beforeEach(async function () {
+      primaryPersistor = newPersistor(true)
+      fallbackPersistor = newPersistor(true)
+      primaryPersistor.deleteObjects = sinon
+        .stub()
+        .resolves({ deleted: keys, errors: [] })
+      fallbackPersistor.deleteObjects = sinon.stub().resolves({
+        deleted: [key],
+        errors: [{ key: destKey, error: genericError }]
+      })
+      const migrationPersistor = new MigrationPersistor(
+        primaryPersistor,
+        fallbackPersistor,
+        Settings
+      )
+      result = await migrationPersistor.deleteObjects(bucket, keys)
+    })
+
+    it('should delete the objects from the primary', function () {
+      expect(primaryPersistor.deleteObjects).to.have.been.calledWithExactly(
+        bucket,
+        keys
+      )
+    })
+
+    it('should delete the objects from the fallback', function () {
+      expect(fallbackPersistor.deleteObjects).to.have.been.calledWithExactly(
+        fallbackBucket,
+        keys
+      )
+    })
+
+    it('should only report keys deleted from both persistors', function () {
+      expect(result).to.deep.equal({
+        deleted: [key],
+        errors: [{ key: destKey, error: genericError }]
+      })
+    })
+  })
+
+  describe('listObjects', function () {
+    const primaryObjects = [
+      { key: 'llama', size: 11, md5 },
+      { key: 'hippo', size: 22, md5 }
+    ]
+    const fallbackObjects = [
+      { key: 'hippo', size: 33, md5 },
+      { key: 'wombat', size: 44, md5 }
+    ]
+    let primaryPersistor, fallbackPersistor, objects
+
+    beforeEach(async function () {
+      primaryPersistor = newPersistor(true)
+      fallbackPersistor = newPersistor(true)
+      primaryPersistor.listObjects = sinon.spy(async function* () {
+        yield* primaryObjects
+      })
+      fallbackPersistor.listObjects = sinon.spy(async function* () {
+        yield* fallbackObjects
+      })
+      const migrationPersistor = new MigrationPersistor(
+        primaryPersistor,
+        fallbackPersistor,
+        Settings
+      )
+      objects = []
+      for await (const object of migrationPersistor.listObjects(bucket, key)) {
+        objects.push(object)
+      }
+    })
+
+    it('should list the objects on the primary', function () {
+      expect(primaryPersistor.listObjects).to.have.been.calledWith(bucket, key)
+    })
+
+    it('should list the objects on the fallback, with the fallback bucket', function () {
+      expect(fallbackPersistor.listObjects).to.have.been.calledWith(
+        fallbackBucket,
+        key
+      )
+    })
+
+    it('should merge the results, preferring the primary', function () {
+      expect(objects).to.deep.equal([
+        primaryObjects[0],
+        primaryObjects[1],
+        fallbackObjects[1]
+      ])
+    })
+  })
+
   describe('copyObject', function () {
     describe('when the file exists on the primary', function () {
       let primaryPersistor, fallbackPersistor, migrationPersistor
@@ -430,7 +675,9 @@ describe('MigrationPersistorTests', function () {
         expect(primaryPersistor.copyObject).to.have.been.calledWithExactly(
           bucket,
           key,
-          destKey
+          bucket,
+          destKey,
+          {}
         )
       })
 
@@ -456,7 +703,9 @@ describe('MigrationPersistorTests', function () {
         expect(primaryPersistor.copyObject).to.have.been.calledWithExactly(
           bucket,
           key,
-          destKey
+          bucket,
+          destKey,
+          {}
         )
       })
 
@@ -483,6 +732,86 @@ describe('MigrationPersistorTests', function () {
       })
     })
 
+    describe('when copying to another bucket', function () {
+      const destBucket = 'destBucket'
+      let primaryPersistor, fallbackPersistor
+      beforeEach(async function () {
+        primaryPersistor = newPersistor(false)
+        fallbackPersistor = newPersistor(true)
+        const migrationPersistor = new MigrationPersistor(
+          primaryPersistor,
+          fallbackPersistor,
+          Settings
+        )
+        return migrationPersistor.copyObject(bucket, key, destBucket, destKey)
+      })
+
+      it('should call copyObject to copy the file', function () {
+        expect(primaryPersistor.copyObject).to.have.been.calledWithExactly(
+          bucket,
+          key,
+          destBucket,
+          destKey,
+          {}
+        )
+      })
+
+      it('should fetch the file from the fallback for the source bucket', function () {
+        expect(fallbackPersistor.getObjectStream).to.have.been.calledWith(
+          fallbackBucket,
+          key
+        )
+      })
+
+      it('should send the file to the destination bucket', function () {
+        expect(primaryPersistor.sendStream).to.have.been.calledWithExactly(
+          destBucket,
+          destKey,
+          sinon.match.instanceOf(Stream.PassThrough),
+          { sourceMd5: md5 }
+        )
+      })
+    })
+
+    describe('when the destination precondition fails', function () {
+      let primaryPersistor, error
+      beforeEach(async function () {
+        primaryPersistor = newPersistor(false)
+        primaryPersistor.sendStream.rejects(
+          new Errors.PreconditionFailedError('precondition failed')
+        )
+        const migrationPersistor = new MigrationPersistor(
+          primaryPersistor,
+          newPersistor(true),
+          Settings
+        )
+        try {
+          await migrationPersistor.copyObject(bucket, key, destKey, {
+            ifNotExists: true
+          })
+        } catch (err) {
+          error = err
+        }
+      })
+
+      it('should pass the precondition to the primary', function () {
+        expect(primaryPersistor.sendStream).to.have.been.calledWith(
+          bucket,
+          destKey,
+          sinon.match.instanceOf(Stream.PassThrough),
+          { ifNotExists: true, sourceMd5: md5 }
+        )
+      })
+
+      it('should return a PreconditionFailedError', function () {
+        expect(error).to.be.an.instanceOf(Errors.PreconditionFailedError)
+      })
+
+      it('should not delete the existing destination object', function () {
+        expect(primaryPersistor.deleteObject).not.to.have.been.called
+      })
+    })
+
     describe('when the file does not exist on the fallback', function () {
       let primaryPersistor, fallbackPersistor, migrationPersistor, error
       beforeEach(async function () {
@@ -504,7 +833,9 @@ describe('MigrationPersistorTests', function () {
         expect(primaryPersistor.copyObject).to.have.been.calledWithExactly(
           bucket,
           key,
-          destKey
+          bucket,
+          destKey,
+          {}
         )
       })
 
@@ -519,4 +850,286 @@ describe('MigrationPersistorTests', function () {
       })
     })
   })
+
+  describe('moveObject', function () {
+    describe('when the file exists on the primary', function () {
+      let primaryPersistor, fallbackPersistor
+      beforeEach(async function () {
+        primaryPersistor = newPersistor(true)
+        fallbackPersistor = newPersistor(false)
+        const migrationPersistor = new MigrationPersistor(
+          primaryPersistor,
+          fallbackPersistor,
+          Settings
+        )
+        return migrationPersistor.moveObject(bucket, key, destKey)
+      })
+
+      it('should move the file on the primary', function () {
+        expect(primaryPersistor.moveObject).to.have.been.calledWithExactly(
+          bucket,
+          key,
+          destKey
+        )
+      })
+
+      it('should not try to read from the fallback', function () {
+        expect(fallbackPersistor.getObjectStream).not.to.have.been.called
+      })
+
+      it('should delete the source from the fallback', function () {
+        expect(fallbackPersistor.deleteObject).to.have.been.calledWithExactly(
+          fallbackBucket,
+          key
+        )
+      })
+    })
+
+    describe('when the file only exists on the fallback', function () {
+      let primaryPersistor, fallbackPersistor
+      beforeEach(async function () {
+        primaryPersistor = newPersistor(false)
+        fallbackPersistor = newPersistor(true)
+        const migrationPersistor = new MigrationPersistor(
+          primaryPersistor,
+          fallbackPersistor,
+          Settings
+        )
+        return migrationPersistor.moveObject(bucket, key, destKey)
+      })
+
+      it('should fetch the file from the fallback', function () {
+        expect(fallbackPersistor.getObjectStream).to.have.been.calledWith(
+          fallbackBucket,
+          key
+        )
+      })
+
+      it('should send the file to the destination on the primary', function () {
+        expect(primaryPersistor.sendStream).to.have.been.calledWithExactly(
+          bucket,
+          destKey,
+          fileStream,
+          { sourceMd5: md5 }
+        )
+      })
+
+      it('should delete the source from the fallback', function () {
+        expect(fallbackPersistor.deleteObject).to.have.been.calledWithExactly(
+          fallbackBucket,
+          key
+        )
+      })
+    })
+
+    describe('when the file does not exist on either persistor', function () {
+      let fallbackPersistor, error
+      beforeEach(async function () {
+        fallbackPersistor = newPersistor(false)
+        const migrationPersistor = new MigrationPersistor(
+          newPersistor(false),
+          fallbackPersistor,
+          Settings
+        )
+        try {
+          await migrationPersistor.moveObject(bucket, key, destKey)
+        } catch (err) {
+          error = err
+        }
+      })
+
+      it('should return a not-found error', function () {
+        expect(error).to.be.an.instanceOf(Errors.NotFoundError)
+      })
+
+      it('should not delete anything from the fallback', function () {
+        expect(fallbackPersistor.deleteObject).not.to.have.been.called
+      })
+    })
+  })
+
+  describe('setObjectTags', function () {
+    const tags = { foo: 'bar' }
+
+    describe('when the file exists on the primary', function () {
+      let primaryPersistor, fallbackPersistor
+      beforeEach(async function () {
+        primaryPersistor = newPersistor(true)
+        primaryPersistor.setObjectTags = sinon.stub().resolves()
+        fallbackPersistor = newPersistor(true)
+        fallbackPersistor.setObjectTags = sinon.stub().resolves()
+        const migrationPersistor = new MigrationPersistor(
+          primaryPersistor,
+          fallbackPersistor,
+          { ...Settings, copyOnMiss: true }
+        )
+        return migrationPersistor.setObjectTags(bucket, key, tags)
+      })
+
+      it('should tag the file on the primary', function () {
+        expect(primaryPersistor.setObjectTags).to.have.been.calledOnceWith(
+          bucket,
+          key,
+          tags
+        )
+      })
+
+      it('should not touch the fallback', function () {
+        expect(fallbackPersistor.setObjectTags).not.to.have.been.called
+        expect(fallbackPersistor.getObjectStream).not.to.have.been.called
+      })
+    })
+
+    describe('when the file only exists on the fallback', function () {
+      let primaryPersistor, fallbackPersistor
+      beforeEach(async function () {
+        primaryPersistor = newPersistor(false)
+        primaryPersistor.setObjectTags = sinon.stub().resolves()
+        primaryPersistor.setObjectTags.onFirstCall().rejects(notFoundError)
+        fallbackPersistor = newPersistor(true)
+        fallbackPersistor.setObjectTags = sinon
+          .stub()
+          .rejects(new Errors.NotImplementedError('read-only'))
+        const migrationPersistor = new MigrationPersistor(
+          primaryPersistor,
+          fallbackPersistor,
+          Settings
+        )
+        return migrationPersistor.setObjectTags(bucket, key, tags)
+      })
+
+      it('should copy the file to the primary', function () {
+        expect(fallbackPersistor.getObjectStream).to.have.been.calledWith(
+          fallbackBucket,
+          key
+        )
+        expect(primaryPersistor.sendStream).to.have.been.calledWithExactly(
+          bucket,
+          key,
+          fileStream,
+          { sourceMd5: md5 }
+        )
+      })
+
+      it('should tag the copy on the primary', function () {
+        expect(primaryPersistor.setObjectTags).to.have.been.calledTwice
+        expect(primaryPersistor.setObjectTags).to.always.have.been.calledWith(
+          bucket,
+          key,
+          tags
+        )
+        expect(
+          primaryPersistor.setObjectTags.secondCall.calledAfter(
+            primaryPersistor.sendStream.firstCall
+          )
+        ).to.be.true
+      })
+
+      it('should not tag the file on the fallback', function () {
+        expect(fallbackPersistor.setObjectTags).not.to.have.been.called
+      })
+    })
+
+    describe('when the file does not exist on either persistor', function () {
+      it('should return a not-found error', async function () {
+        const primaryPersistor = newPersistor(false)
+        primaryPersistor.setObjectTags = sinon.stub().rejects(notFoundError)
+        const migrationPersistor = new MigrationPersistor(
+          primaryPersistor,
+          newPersistor(false),
+          Settings
+        )
+        await expect(
+          migrationPersistor.setObjectTags(bucket, key, tags)
+        ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+        expect(primaryPersistor.sendStream).not.to.have.been.called
+      })
+    })
+  })
+
+  describe('with a read-only fallback', function () {
+    const notImplementedError = new Errors.NotImplementedError('read-only')
+    let primaryPersistor, fallbackPersistor, migrationPersistor
+
+    beforeEach(function () {
+      primaryPersistor = newPersistor(true)
+      fallbackPersistor = newPersistor(true)
+      for (const method of [
+        'deleteObject',
+        'deleteDirectory',
+        'deleteObjects',
+        'purgeDeletedObjects',
+        'purgeExpired'
+      ]) {
+        fallbackPersistor[method] = sinon.stub().rejects(notImplementedError)
+      }
+      fallbackPersistor.listObjects = sinon.spy(async function* () {
+        throw notImplementedError
+      })
+      migrationPersistor = new MigrationPersistor(
+        primaryPersistor,
+        fallbackPersistor,
+        Settings
+      )
+    })
+
+    it('should delete an object from the primary only', async function () {
+      await migrationPersistor.deleteObject(bucket, key)
+      expect(primaryPersistor.deleteObject).to.have.been.calledWith(bucket, key)
+    })
+
+    it('should delete a directory from the primary only', async function () {
+      await migrationPersistor.deleteDirectory(bucket, key)
+      expect(primaryPersistor.deleteDirectory).to.have.been.calledWith(
+        bucket,
+        key
+      )
+    })
+
+    it('should report the objects deleted from the primary', async function () {
+      primaryPersistor.deleteObjects = sinon
+        .stub()
+        .resolves({ deleted: [key], errors: [] })
+      expect(
+        await migrationPersistor.deleteObjects(bucket, [key])
+      ).to.deep.equal({ deleted: [key], errors: [] })
+    })
+
+    it('should report the objects purged from the primary', async function () {
+      primaryPersistor.purgeExpired = sinon
+        .stub()
+        .resolves({ deleted: [key], errors: [] })
+      expect(await migrationPersistor.purgeExpired(bucket, '')).to.deep.equal({
+        deleted: [key],
+        errors: []
+      })
+    })
+
+    it('should move an object on the primary', async function () {
+      await migrationPersistor.moveObject(bucket, key, destKey)
+      expect(primaryPersistor.moveObject).to.have.been.calledWith(
+        bucket,
+        key,
+        destKey
+      )
+    })
+
+    it('should only list the objects on the primary', async function () {
+      primaryPersistor.listObjects = async function* () {
+        yield { key, size, md5 }
+      }
+      const objects = []
+      for await (const object of migrationPersistor.listObjects(bucket, '')) {
+        objects.push(object)
+      }
+      expect(objects).to.deep.equal([{ key, size, md5 }])
+    })
+
+    it('should not hide other errors from the fallback', async function () {
+      fallbackPersistor.deleteObject = sinon.stub().rejects(genericError)
+      await expect(
+        migrationPersistor.deleteObject(bucket, key)
+      ).to.eventually.be.rejectedWith(genericError)
+    })
+  })
 })
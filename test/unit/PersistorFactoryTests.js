@@ -1,11 +1,28 @@
 const chai = require('chai')
 const { expect } = chai
 const SandboxedModule = require('sandboxed-module')
+const asyncPool = require('tiny-async-pool')
 
 const modulePath = '../../src/PersistorFactory.js'
 
 describe('PersistorManager', function () {
-  let PersistorFactory, FSPersistor, S3Persistor, Settings, GcsPersistor
+  let PersistorFactory,
+    FSPersistor,
+    S3Persistor,
+    Settings,
+    GcsPersistor,
+    CompressingPersistor,
+    EncryptingPersistor,
+    DedupPersistor,
+    CachingPersistor,
+    MemoryPersistor,
+    AzureBlobPersistor,
+    GridFSPersistor,
+    HttpPersistor,
+    MigrationPersistor,
+    ReplicatingPersistor,
+    RoutingPersistor,
+    RetryingPersistor
 
   beforeEach(function () {
     FSPersistor = class {
@@ -14,6 +31,10 @@ describe('PersistorManager', function () {
       }
     }
     S3Persistor = class {
+      constructor(settings) {
+        this.settings = settings
+      }
+
       wrappedMethod() {
         return 'S3Persistor'
       }
@@ -24,17 +45,115 @@ describe('PersistorManager', function () {
       }
     }
 
+    MemoryPersistor = class {
+      constructor(settings) {
+        this.settings = settings
+      }
+    }
+
+    AzureBlobPersistor = class {
+      constructor(settings) {
+        this.settings = settings
+      }
+    }
+
+    GridFSPersistor = class {
+      constructor(settings) {
+        this.settings = settings
+      }
+    }
+
+    HttpPersistor = class {
+      constructor(settings) {
+        this.settings = settings
+      }
+    }
+
+    MigrationPersistor = class {
+      constructor(primaryPersistor, fallbackPersistor, settings) {
+        this.primaryPersistor = primaryPersistor
+        this.fallbackPersistor = fallbackPersistor
+        this.settings = settings
+      }
+    }
+
+    ReplicatingPersistor = class {
+      constructor(persistors, settings) {
+        this.persistors = persistors
+        this.settings = settings
+      }
+    }
+
+    RoutingPersistor = class {
+      constructor(defaultPersistor, routes, settings) {
+        this.defaultPersistor = defaultPersistor
+        this.routes = routes
+        this.settings = settings
+      }
+    }
+
+    RetryingPersistor = class {
+      constructor(persistor, settings) {
+        this.persistor = persistor
+        this.settings = settings
+      }
+    }
+
+    CompressingPersistor = class {
+      constructor(persistor, settings) {
+        this.persistor = persistor
+        this.settings = settings
+      }
+    }
+
+    EncryptingPersistor = class {
+      constructor(persistor, settings) {
+        this.persistor = persistor
+        this.settings = settings
+      }
+    }
+
+    DedupPersistor = class {
+      constructor(persistor, settings) {
+        this.persistor = persistor
+        this.settings = settings
+      }
+    }
+
+    CachingPersistor = class {
+      constructor(persistor, settings) {
+        this.persistor = persistor
+        this.settings = settings
+      }
+    }
+
     Settings = {}
     const requires = {
+      './EncryptingPersistor': EncryptingPersistor,
+      './CompressingPersistor': CompressingPersistor,
+      './DedupPersistor': DedupPersistor,
+      './CachingPersistor': CachingPersistor,
       './GcsPersistor': GcsPersistor,
       './S3Persistor': S3Persistor,
       './FSPersistor': FSPersistor,
+      './MemoryPersistor': MemoryPersistor,
+      './AzureBlobPersistor': AzureBlobPersistor,
+      './GridFSPersistor': GridFSPersistor,
+      './HttpPersistor': HttpPersistor,
+      './MigrationPersistor': MigrationPersistor,
+      './ReplicatingPersistor': ReplicatingPersistor,
+      './RoutingPersistor': RoutingPersistor,
+      './RetryingPersistor': RetryingPersistor,
       'logger-sharelatex': {
         info() {},
         err() {}
-      }
+      },
+      'tiny-async-pool': asyncPool
     }
-    PersistorFactory = SandboxedModule.require(modulePath, { requires })
+    PersistorFactory = SandboxedModule.require(modulePath, {
+      requires,
+      globals: { Buffer }
+    })
   })
 
   it('should implement the S3 wrapped method when S3 is configured', function () {
@@ -58,6 +177,204 @@ describe('PersistorManager', function () {
     expect(PersistorFactory(Settings).wrappedMethod()).to.equal('FSPersistor')
   })
 
+  it('should use the memory persistor when memory is configured', function () {
+    Settings.backend = 'memory'
+    Settings.memory = { keepVersions: 2 }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(MemoryPersistor)
+    expect(persistor.settings.keepVersions).to.equal(2)
+  })
+
+  it('should use the azure persistor when azure is configured', function () {
+    Settings.backend = 'azure'
+    Settings.azure = { accountName: 'wombats' }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(AzureBlobPersistor)
+    expect(persistor.settings.accountName).to.equal('wombats')
+  })
+
+  it('should use the gridfs persistor when gridfs is configured', function () {
+    Settings.backend = 'gridfs'
+    Settings.gridfs = { url: 'mongodb://mongo/wombats' }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(GridFSPersistor)
+    expect(persistor.settings.url).to.equal('mongodb://mongo/wombats')
+  })
+
+  it('should use the http persistor as a fallback', function () {
+    Settings.backend = 's3'
+    Settings.fallback = { backend: 'http', copyOnMiss: true }
+    Settings.http = { url: 'https://files.example.com/{key}' }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(MigrationPersistor)
+    expect(persistor.fallbackPersistor).to.be.an.instanceOf(HttpPersistor)
+    expect(persistor.fallbackPersistor.settings.url).to.equal(
+      'https://files.example.com/{key}'
+    )
+  })
+
+  it('should replicate to the configured replicas', function () {
+    Settings.backend = 'memory'
+    Settings.memory = { keepVersions: 2 }
+    Settings.writeQuorum = 2
+    Settings.replicas = [
+      { backend: 'azure', buckets: { wombat: 'dr-wombat' } },
+      { backend: 'memory', memory: { keepVersions: 5 } }
+    ]
+    Settings.azure = { accountName: 'wombats' }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(ReplicatingPersistor)
+    expect(persistor.persistors).to.have.length(3)
+    expect(persistor.persistors[0].settings.keepVersions).to.equal(2)
+    expect(persistor.persistors[1]).to.be.an.instanceOf(AzureBlobPersistor)
+    expect(persistor.persistors[1].settings.accountName).to.equal('wombats')
+    expect(persistor.persistors[2].settings.keepVersions).to.equal(5)
+    expect(persistor.settings.writeQuorum).to.equal(2)
+    expect(persistor.settings.buckets).to.deep.equal([
+      {},
+      { wombat: 'dr-wombat' },
+      undefined
+    ])
+  })
+
+  it('should route objects to the configured backends', function () {
+    Settings.backend = 's3'
+    Settings.routes = [
+      { bucket: 'outputs', backend: 'gcs' },
+      { prefix: 'scratch/', backend: 'memory', memory: { keepVersions: 0 } }
+    ]
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(RoutingPersistor)
+    expect(persistor.defaultPersistor).to.be.an.instanceOf(S3Persistor)
+    expect(persistor.routes[0].bucket).to.equal('outputs')
+    expect(persistor.routes[0].persistor).to.be.an.instanceOf(GcsPersistor)
+    expect(persistor.routes[1].prefix).to.equal('scratch/')
+    expect(persistor.routes[1].persistor.settings.keepVersions).to.equal(0)
+  })
+
+  it('should fall back from the replicas', function () {
+    Settings.backend = 's3'
+    Settings.replicas = [{ backend: 'gcs' }]
+    Settings.fallback = { backend: 'http' }
+    Settings.http = { url: 'https://files.example.com/{key}' }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(MigrationPersistor)
+    expect(persistor.primaryPersistor).to.be.an.instanceOf(ReplicatingPersistor)
+  })
+
+  it('should retry each backend when retries are configured', function () {
+    Settings.backend = 's3'
+    Settings.fallback = { backend: 'gcs' }
+    Settings.retry = { maxAttempts: 5 }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(MigrationPersistor)
+    expect(persistor.primaryPersistor).to.be.an.instanceOf(RetryingPersistor)
+    expect(persistor.primaryPersistor.persistor).to.be.an.instanceOf(
+      S3Persistor
+    )
+    expect(persistor.primaryPersistor.settings.maxAttempts).to.equal(5)
+    expect(persistor.fallbackPersistor).to.be.an.instanceOf(RetryingPersistor)
+    expect(persistor.fallbackPersistor.persistor).to.be.an.instanceOf(
+      GcsPersistor
+    )
+  })
+
+  it('should turn off the retries of the S3 client when retries are configured', function () {
+    Settings.backend = 's3'
+    Settings.s3 = { bucketCreds: {} }
+    Settings.retry = {}
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor.persistor.settings.maxRetries).to.equal(0)
+    expect(persistor.persistor.settings.bucketCreds).to.deep.equal({})
+  })
+
+  it('should keep the configured retries of the S3 client', function () {
+    Settings.backend = 's3'
+    Settings.s3 = { maxRetries: 2 }
+    Settings.retry = {}
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor.persistor.settings.maxRetries).to.equal(2)
+  })
+
+  it('should wrap the persistor when compression is configured', function () {
+    Settings.backend = 's3'
+    Settings.compression = { algorithm: 'br' }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(CompressingPersistor)
+    expect(persistor.persistor.wrappedMethod()).to.equal('S3Persistor')
+    expect(persistor.settings.algorithm).to.equal('br')
+  })
+
+  it('should compress data before encrypting it', function () {
+    Settings.backend = 's3'
+    Settings.compression = {}
+    Settings.encryption = { keyProvider: { name: 'keyProvider' } }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(CompressingPersistor)
+    expect(persistor.persistor).to.be.an.instanceOf(EncryptingPersistor)
+    expect(persistor.persistor.settings.keyProvider).to.deep.equal({
+      name: 'keyProvider'
+    })
+  })
+
+  it('should deduplicate data before compressing it', function () {
+    Settings.backend = 's3'
+    Settings.compression = {}
+    Settings.dedup = { blobBucketSuffix: '-dedup' }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(DedupPersistor)
+    expect(persistor.persistor).to.be.an.instanceOf(CompressingPersistor)
+    expect(persistor.settings.blobBucketSuffix).to.equal('-dedup')
+  })
+
+  it("should keep the data of objects in the backend's deleted bucket", function () {
+    Settings.backend = 's3'
+    Settings.s3 = { deletedBucketSuffix: '-deleted' }
+    Settings.dedup = {}
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor.settings.deletedBucketSuffix).to.equal('-deleted')
+  })
+
+  it('should cache the data as it is read', function () {
+    Settings.backend = 's3'
+    Settings.dedup = {}
+    Settings.cache = { path: '/tmp/cache' }
+    Settings.Metrics = { name: 'metrics' }
+
+    const persistor = PersistorFactory(Settings)
+    expect(persistor).to.be.an.instanceOf(CachingPersistor)
+    expect(persistor.persistor).to.be.an.instanceOf(DedupPersistor)
+    expect(persistor.settings).to.deep.equal({
+      path: '/tmp/cache',
+      Metrics: { name: 'metrics' }
+    })
+  })
+
+  it('should use the local key provider when keys are configured', function () {
+    Settings.backend = 's3'
+    Settings.encryption = {
+      keys: { one: Buffer.alloc(32).toString('base64') },
+      currentKeyId: 'one'
+    }
+
+    const keyProvider = PersistorFactory(Settings).settings.keyProvider
+    expect(keyProvider.currentKeyId).to.equal('one')
+  })
+
   it('should throw an error when the backend is not configured', function () {
     try {
       PersistorFactory(Settings)
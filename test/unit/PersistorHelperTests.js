@@ -0,0 +1,580 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const modulePath = '../../src/PersistorHelper.js'
+const SandboxedModule = require('sandboxed-module')
+const asyncPool = require('tiny-async-pool')
+
+const Errors = require('../../src/Errors')
+
+describe('PersistorHelperTests', function () {
+  const sourceBucket = 'womBucket'
+  const destBucket = 'bucKangaroo'
+  const key = 'monKey'
+  const destKey = 'donKey'
+  const md5 = 'ffffffff'
+  const genericError = new Error('guru meditation error')
+
+  let PersistorHelper, Logger, fileStream, sourcePersistor, destPersistor
+
+  beforeEach(function () {
+    fileStream = { name: 'fileStream' }
+
+    sourcePersistor = {
+      getObjectMd5Hash: sinon.stub().resolves(md5),
+      getObjectStream: sinon.stub().resolves(fileStream)
+    }
+    destPersistor = {
+      sendStream: sinon.stub().resolves(),
+      deleteObject: sinon.stub().resolves()
+    }
+
+    Logger = {
+      warn: sinon.stub()
+    }
+
+    PersistorHelper = SandboxedModule.require(modulePath, {
+      requires: {
+        './Errors': Errors,
+        'logger-sharelatex': Logger,
+        'tiny-async-pool': asyncPool
+      },
+      globals: { console, Buffer }
+    })
+  })
+
+  describe('parseCopyObjectArgs', function () {
+    it('should parse a copy within a bucket', function () {
+      expect(
+        PersistorHelper.parseCopyObjectArgs([sourceBucket, key, destKey])
+      ).to.deep.equal({
+        sourceBucket,
+        sourceKey: key,
+        destBucket: sourceBucket,
+        destKey,
+        opts: {}
+      })
+    })
+
+    it('should parse a copy between buckets', function () {
+      expect(
+        PersistorHelper.parseCopyObjectArgs([
+          sourceBucket,
+          key,
+          destBucket,
+          destKey,
+          { ifNotExists: true }
+        ])
+      ).to.deep.equal({
+        sourceBucket,
+        sourceKey: key,
+        destBucket,
+        destKey,
+        opts: { ifNotExists: true }
+      })
+    })
+  })
+
+  describe('wrapError', function () {
+    it('should return a NotFoundError for a 404 status code', function () {
+      const error = Object.assign(new Error('not found'), { statusCode: 404 })
+      expect(
+        PersistorHelper.wrapError(error, 'oops', {}, Errors.ReadError)
+      ).to.be.an.instanceOf(Errors.NotFoundError)
+    })
+
+    it('should return a PreconditionFailedError for a 412 status code', function () {
+      const error = Object.assign(new Error('failed'), { statusCode: 412 })
+      expect(
+        PersistorHelper.wrapError(error, 'oops', {}, Errors.WriteError)
+      ).to.be.an.instanceOf(Errors.PreconditionFailedError)
+    })
+
+    it('should return a PreconditionFailedError when a blob already exists', function () {
+      const error = Object.assign(new Error('exists'), {
+        statusCode: 409,
+        code: 'BlobAlreadyExists'
+      })
+      expect(
+        PersistorHelper.wrapError(error, 'oops', {}, Errors.WriteError, {
+          ifNotExists: true
+        })
+      ).to.be.an.instanceOf(Errors.PreconditionFailedError)
+    })
+
+    it('should return the error type when a file exists without ifNotExists', function () {
+      const error = Object.assign(new Error('exists'), { code: 'EEXIST' })
+      expect(
+        PersistorHelper.wrapError(error, 'oops', {}, Errors.WriteError)
+      ).to.be.an.instanceOf(Errors.WriteError)
+    })
+
+    it('should return the error type for other errors', function () {
+      expect(
+        PersistorHelper.wrapError(genericError, 'oops', {}, Errors.WriteError)
+      ).to.be.an.instanceOf(Errors.WriteError)
+    })
+  })
+
+  describe('isRetryableError', function () {
+    function wrap(error) {
+      return PersistorHelper.wrapError(error, 'oops', {}, Errors.ReadError)
+    }
+
+    it('should retry a wrapped connection reset', function () {
+      const error = Object.assign(new Error('reset'), { code: 'ECONNRESET' })
+      expect(PersistorHelper.isRetryableError(wrap(error))).to.be.true
+    })
+
+    it('should retry server errors and throttling', function () {
+      for (const statusCode of [500, 503, 429, 408]) {
+        const error = Object.assign(new Error('oops'), { statusCode })
+        expect(PersistorHelper.isRetryableError(wrap(error))).to.be.true
+      }
+    })
+
+    it('should retry a numeric error code from GCS', function () {
+      const error = Object.assign(new Error('unavailable'), { code: 503 })
+      expect(PersistorHelper.isRetryableError(wrap(error))).to.be.true
+    })
+
+    it('should follow the retryable flag from the S3 SDK', function () {
+      const error = Object.assign(new Error('oops'), {
+        statusCode: 500,
+        retryable: false
+      })
+      expect(PersistorHelper.isRetryableError(wrap(error))).to.be.false
+    })
+
+    it('should not retry client errors', function () {
+      const error = Object.assign(new Error('forbidden'), { statusCode: 403 })
+      expect(PersistorHelper.isRetryableError(wrap(error))).to.be.false
+    })
+
+    it('should not retry not-found or precondition errors', function () {
+      const notFound = Object.assign(new Error('oops'), { code: 'ENOENT' })
+      const exists = Object.assign(new Error('oops'), { statusCode: 412 })
+      expect(PersistorHelper.isRetryableError(wrap(notFound))).to.be.false
+      expect(PersistorHelper.isRetryableError(wrap(exists))).to.be.false
+    })
+
+    it('should not retry unknown errors', function () {
+      expect(PersistorHelper.isRetryableError(wrap(genericError))).to.be.false
+    })
+  })
+
+  describe('copyBetweenPersistors', function () {
+    describe('when the copy succeeds', function () {
+      beforeEach(async function () {
+        return PersistorHelper.copyBetweenPersistors(
+          sourcePersistor,
+          destPersistor,
+          sourceBucket,
+          key,
+          destBucket,
+          destKey,
+          { contentType: 'text/plain' }
+        )
+      })
+
+      it('should get the md5 hash from the source', function () {
+        expect(sourcePersistor.getObjectMd5Hash).to.have.been.calledWith(
+          sourceBucket,
+          key
+        )
+      })
+
+      it('should send the stream to the destination with the md5 hash', function () {
+        expect(destPersistor.sendStream).to.have.been.calledWithExactly(
+          destBucket,
+          destKey,
+          fileStream,
+          { contentType: 'text/plain', sourceMd5: md5 }
+        )
+      })
+
+      it('should not delete the destination', function () {
+        expect(destPersistor.deleteObject).not.to.have.been.called
+      })
+    })
+
+    describe('when the source md5 hash is not available', function () {
+      beforeEach(async function () {
+        sourcePersistor.getObjectMd5Hash.rejects(genericError)
+        return PersistorHelper.copyBetweenPersistors(
+          sourcePersistor,
+          destPersistor,
+          sourceBucket,
+          key,
+          destBucket,
+          destKey
+        )
+      })
+
+      it('should let the destination calculate the hash', function () {
+        expect(destPersistor.sendStream).to.have.been.calledWithExactly(
+          destBucket,
+          destKey,
+          fileStream,
+          { sourceMd5: undefined }
+        )
+      })
+
+      it('should log a warning', function () {
+        expect(Logger.warn).to.have.been.called
+      })
+    })
+
+    describe('when the source does not exist', function () {
+      it('should throw a NotFoundError', async function () {
+        sourcePersistor.getObjectStream.rejects(
+          new Errors.NotFoundError('not found')
+        )
+        await expect(
+          PersistorHelper.copyBetweenPersistors(
+            sourcePersistor,
+            destPersistor,
+            sourceBucket,
+            key,
+            destBucket,
+            destKey
+          )
+        ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+        expect(destPersistor.sendStream).not.to.have.been.called
+      })
+    })
+
+    describe('when the upload fails', function () {
+      let error
+      beforeEach(async function () {
+        destPersistor.sendStream.rejects(genericError)
+        try {
+          await PersistorHelper.copyBetweenPersistors(
+            sourcePersistor,
+            destPersistor,
+            sourceBucket,
+            key,
+            destBucket,
+            destKey
+          )
+        } catch (err) {
+          error = err
+        }
+      })
+
+      it('should throw a WriteError', function () {
+        expect(error).to.be.an.instanceOf(Errors.WriteError)
+        expect(error.cause).to.equal(genericError)
+      })
+
+      it('should clean up the destination', function () {
+        expect(destPersistor.deleteObject).to.have.been.calledWith(
+          destBucket,
+          destKey
+        )
+      })
+    })
+
+    describe('when a precondition fails', function () {
+      it('should not clean up the destination', async function () {
+        destPersistor.sendStream.rejects(
+          new Errors.PreconditionFailedError('precondition failed')
+        )
+        await expect(
+          PersistorHelper.copyBetweenPersistors(
+            sourcePersistor,
+            destPersistor,
+            sourceBucket,
+            key,
+            destBucket,
+            destKey,
+            { ifNotExists: true }
+          )
+        ).to.eventually.be.rejected.and.be.an.instanceOf(
+          Errors.PreconditionFailedError
+        )
+        expect(destPersistor.deleteObject).not.to.have.been.called
+      })
+    })
+  })
+
+  describe('deleted objects', function () {
+    const deletedBucket = `${sourceBucket}-deleted`
+    const deletedAt = '2020-01-01T00:00:00.000Z'
+    let persistor
+
+    async function collect(iterator) {
+      const objects = []
+      for await (const object of iterator) {
+        objects.push(object)
+      }
+      return objects
+    }
+
+    beforeEach(function () {
+      persistor = {
+        settings: { deletedBucketSuffix: '-deleted' },
+        copyObject: sinon.stub().resolves(),
+        checkIfObjectExists: sinon.stub().resolves(true),
+        deleteObject: sinon.stub().resolves(),
+        deleteObjects: sinon.stub().resolves({ deleted: [], errors: [] }),
+        listObjects: sinon.stub().returns(
+          (async function* () {
+            yield { key: `${key}-${deletedAt}`, size: 4, md5 }
+            yield { key: `${destKey}-${new Date().toISOString()}`, size: 2 }
+            yield { key: 'not-a-deleted-key', size: 1 }
+          })()
+        )
+      }
+    })
+
+    describe('trashObject', function () {
+      it('should copy the object to the deleted bucket', async function () {
+        await PersistorHelper.trashObject(persistor, sourceBucket, key)
+        expect(persistor.copyObject).to.have.been.calledWith(
+          sourceBucket,
+          key,
+          deletedBucket
+        )
+        expect(persistor.copyObject.firstCall.args[3]).to.match(
+          new RegExp(`^${key}-\\d{4}-\\d{2}-\\d{2}T`)
+        )
+      })
+
+      it('should not copy objects in the deleted bucket', async function () {
+        await PersistorHelper.trashObject(persistor, deletedBucket, key)
+        expect(persistor.copyObject).not.to.have.been.called
+      })
+
+      it('should not copy anything without a deleted bucket', async function () {
+        persistor.settings = {}
+        await PersistorHelper.trashObject(persistor, sourceBucket, key)
+        expect(persistor.copyObject).not.to.have.been.called
+      })
+
+      it('should ignore objects which do not exist', async function () {
+        persistor.copyObject.rejects(new Errors.NotFoundError('not found'))
+        persistor.checkIfObjectExists.resolves(false)
+        await expect(PersistorHelper.trashObject(persistor, sourceBucket, key))
+          .to.eventually.be.fulfilled
+      })
+
+      it('should throw when the deleted bucket does not exist', async function () {
+        persistor.copyObject.rejects(new Errors.NotFoundError('not found'))
+        await expect(
+          PersistorHelper.trashObject(persistor, sourceBucket, key)
+        ).to.eventually.be.rejectedWith(Errors.WriteError)
+        expect(persistor.checkIfObjectExists).to.have.been.calledWith(
+          sourceBucket,
+          key
+        )
+      })
+
+      it('should throw other errors', async function () {
+        persistor.copyObject.rejects(genericError)
+        await expect(
+          PersistorHelper.trashObject(persistor, sourceBucket, key)
+        ).to.eventually.be.rejectedWith(genericError)
+      })
+    })
+
+    describe('trashObjects', function () {
+      it('should report the objects which could not be copied', async function () {
+        persistor.copyObject
+          .withArgs(sourceBucket, destKey)
+          .rejects(genericError)
+        const errors = await PersistorHelper.trashObjects(
+          persistor,
+          sourceBucket,
+          [key, destKey],
+          2
+        )
+        expect(errors).to.deep.equal([{ key: destKey, error: genericError }])
+      })
+    })
+
+    describe('listDeletedObjects', function () {
+      it('should list the deleted objects', async function () {
+        const objects = await collect(
+          PersistorHelper.listDeletedObjects(persistor, sourceBucket, 'mon')
+        )
+        expect(persistor.listObjects).to.have.been.calledWith(
+          deletedBucket,
+          'mon'
+        )
+        expect(objects).to.have.length(2)
+        expect(objects[0]).to.deep.equal({ key, deletedAt, size: 4, md5 })
+      })
+
+      it('should throw a SettingsError without a deleted bucket', async function () {
+        persistor.settings = {}
+        await expect(
+          collect(PersistorHelper.listDeletedObjects(persistor, sourceBucket))
+        ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.SettingsError)
+      })
+    })
+
+    describe('restoreDeletedObject', function () {
+      beforeEach(async function () {
+        return PersistorHelper.restoreDeletedObject(
+          persistor,
+          sourceBucket,
+          key,
+          deletedAt
+        )
+      })
+
+      it('should copy the deleted object back', function () {
+        expect(persistor.copyObject).to.have.been.calledWith(
+          deletedBucket,
+          `${key}-${deletedAt}`,
+          sourceBucket,
+          key
+        )
+      })
+
+      it('should remove the deleted copy', function () {
+        expect(persistor.deleteObject).to.have.been.calledWith(
+          deletedBucket,
+          `${key}-${deletedAt}`
+        )
+      })
+    })
+
+    describe('purgeDeletedObjects', function () {
+      it('should delete objects older than the retention period', async function () {
+        await PersistorHelper.purgeDeletedObjects(persistor, sourceBucket, {
+          retentionMs: 60 * 1000
+        })
+        expect(persistor.deleteObjects).to.have.been.calledWith(deletedBucket, [
+          `${key}-${deletedAt}`
+        ])
+      })
+
+      it('should use the retention period from the settings', async function () {
+        persistor.settings.deletedRetentionMs = 60 * 1000
+        await PersistorHelper.purgeDeletedObjects(persistor, sourceBucket)
+        expect(persistor.deleteObjects.firstCall.args[1]).to.have.length(1)
+      })
+
+      it('should throw a SettingsError without a retention period', async function () {
+        await expect(
+          PersistorHelper.purgeDeletedObjects(persistor, sourceBucket)
+        ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.SettingsError)
+      })
+    })
+  })
+
+  describe('expiry', function () {
+    describe('getMetadataWithExpiry', function () {
+      it('should return the metadata when there is no expiry', function () {
+        const metadata = { project: 'wombat' }
+        expect(PersistorHelper.getMetadataWithExpiry({ metadata })).to.equal(
+          metadata
+        )
+      })
+
+      it('should add the expiry time to the metadata', function () {
+        expect(
+          PersistorHelper.getMetadataWithExpiry({
+            metadata: { project: 'wombat' },
+            expiresAt: new Date('2030-01-01T00:00:00.000Z')
+          })
+        ).to.deep.equal({
+          project: 'wombat',
+          'expires-at': '2030-01-01T00:00:00.000Z'
+        })
+      })
+
+      it('should calculate the expiry time from a ttl', function () {
+        const metadata = PersistorHelper.getMetadataWithExpiry({ ttlMs: 1000 })
+        expect(
+          new Date(metadata['expires-at']).getTime() - Date.now()
+        ).to.be.within(0, 1000)
+      })
+
+      it('should throw a WriteError for an invalid expiry time', function () {
+        expect(() =>
+          PersistorHelper.getMetadataWithExpiry({ expiresAt: 'tomorrow' })
+        ).to.throw(Errors.WriteError)
+      })
+    })
+
+    describe('purgeExpired', function () {
+      const expiredKey = 'expiredKey'
+      let persistor, result
+
+      beforeEach(async function () {
+        persistor = {
+          settings: { deleteConcurrency: 2 },
+          listObjects: sinon.stub().returns(
+            (async function* () {
+              yield { key }
+              yield { key: destKey }
+              yield { key: expiredKey }
+            })()
+          ),
+          getObjectMetadata: sinon.stub(),
+          deleteObjects: sinon
+            .stub()
+            .resolves({ deleted: [expiredKey], errors: [] })
+        }
+        persistor.getObjectMetadata.withArgs(sourceBucket, key).resolves({
+          metadata: { 'expires-at': '2100-01-01T00:00:00.000Z' }
+        })
+        persistor.getObjectMetadata
+          .withArgs(sourceBucket, destKey)
+          .resolves({ metadata: {} })
+        persistor.getObjectMetadata
+          .withArgs(sourceBucket, expiredKey)
+          .resolves({
+            metadata: { 'expires-at': '2000-01-01T00:00:00.000Z' }
+          })
+
+        result = await PersistorHelper.purgeExpired(
+          persistor,
+          sourceBucket,
+          'prefix'
+        )
+      })
+
+      it('should list the objects with the prefix', function () {
+        expect(persistor.listObjects).to.have.been.calledWith(
+          sourceBucket,
+          'prefix'
+        )
+      })
+
+      it('should only delete the expired objects', function () {
+        expect(persistor.deleteObjects).to.have.been.calledWith(sourceBucket, [
+          expiredKey
+        ])
+      })
+
+      it('should return the result of the deletion', function () {
+        expect(result).to.deep.equal({ deleted: [expiredKey], errors: [] })
+      })
+
+      it('should limit the number of metadata requests at once', async function () {
+        let active = 0
+        let maxActive = 0
+        persistor.listObjects.returns(
+          (async function* () {
+            yield { key }
+            yield { key: destKey }
+            yield { key: expiredKey }
+          })()
+        )
+        persistor.getObjectMetadata = sinon.stub().callsFake(async () => {
+          active++
+          maxActive = Math.max(active, maxActive)
+          await new Promise((resolve) => setImmediate(resolve))
+          active--
+          return { metadata: {} }
+        })
+        await PersistorHelper.purgeExpired(persistor, sourceBucket, 'prefix')
+        expect(maxActive).to.equal(2)
+      })
+    })
+  })
+})
@@ -0,0 +1,315 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+const Crypto = require('crypto')
+const Stream = require('stream')
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll, send, listKeys } = require('../TestHelper')
+
+describe('ReplicatingPersistorTests', function () {
+  const bucket = 'womBucket'
+  const drBucket = 'womBucket-dr'
+  const key = 'monKey'
+  const data = Buffer.from('wombats are the best marsupials')
+  const md5 = Crypto.createHash('md5').update(data).digest('hex')
+  const genericError = new Error('guru meditation error')
+
+  let ReplicatingPersistor, persistor, replicas, Logger, Metrics
+
+  async function has(index, key) {
+    return replicas[index].checkIfObjectExists(
+      index === 1 ? drBucket : bucket,
+      key
+    )
+  }
+
+  // lets writes which run in the background finish
+  function settle() {
+    return new Promise((resolve) => setImmediate(resolve))
+  }
+
+  beforeEach(function () {
+    Logger = { warn: sinon.stub() }
+    Metrics = { inc: sinon.stub() }
+
+    const requires = { 'logger-sharelatex': Logger }
+    const MemoryPersistor = requireModule('MemoryPersistor.js', requires)
+    ReplicatingPersistor = requireModule('ReplicatingPersistor.js', requires)
+
+    replicas = [
+      new MemoryPersistor({}),
+      new MemoryPersistor({}),
+      new MemoryPersistor({})
+    ]
+    persistor = new ReplicatingPersistor(replicas, {
+      buckets: [{}, { [bucket]: drBucket }],
+      Metrics
+    })
+  })
+
+  describe('constructor', function () {
+    it('should require a replica', function () {
+      expect(() => new ReplicatingPersistor([])).to.throw(Errors.SettingsError)
+    })
+
+    it('should default to a majority write quorum', function () {
+      expect(persistor.writeQuorum).to.equal(2)
+    })
+
+    it('should reject a quorum larger than the number of replicas', function () {
+      expect(
+        () => new ReplicatingPersistor(replicas, { writeQuorum: 4 })
+      ).to.throw(Errors.SettingsError)
+    })
+  })
+
+  describe('sendStream', function () {
+    it('should write the object to every replica', async function () {
+      await send(persistor, bucket, key, data)
+      await settle()
+      expect(await has(0, key)).to.be.true
+      expect(await has(1, key)).to.be.true
+      expect(await has(2, key)).to.be.true
+      expect(
+        await readAll(await replicas[1].getObjectStream(drBucket, key))
+      ).to.deep.equal(data)
+    })
+
+    it('should succeed when one replica fails', async function () {
+      sinon.stub(replicas[0], 'sendStream').rejects(genericError)
+      await send(persistor, bucket, key, data)
+      await settle()
+      expect(await has(1, key)).to.be.true
+      expect(await has(2, key)).to.be.true
+    })
+
+    it('should log the replica which failed as divergent', async function () {
+      sinon.stub(replicas[2], 'sendStream').rejects(genericError)
+      await send(persistor, bucket, key, data)
+      await settle()
+      expect(Logger.warn).to.have.been.calledWithMatch(
+        { replica: 2, method: 'sendStream', bucketName: bucket, key },
+        'replica has diverged and needs repair'
+      )
+      expect(Metrics.inc).to.have.been.calledWith('replication.divergent')
+    })
+
+    it('should not wait for replicas once the quorum is reached', async function () {
+      sinon.stub(replicas[2], 'sendStream').returns(new Promise(() => {}))
+      await send(persistor, bucket, key, data)
+      expect(await has(0, key)).to.be.true
+    })
+
+    it('should throw a WriteError when the quorum is not reached', async function () {
+      sinon.stub(replicas[0], 'sendStream').rejects(genericError)
+      sinon.stub(replicas[1], 'sendStream').rejects(genericError)
+      await expect(
+        send(persistor, bucket, key, data)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+    })
+
+    it('should throw a PreconditionFailedError when the object exists', async function () {
+      await send(persistor, bucket, key, data)
+      await settle()
+      await expect(
+        send(persistor, bucket, key, data, { ifNotExists: true })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(
+        Errors.PreconditionFailedError
+      )
+    })
+
+    it('should verify the md5 hash on every replica', async function () {
+      await expect(
+        send(persistor, bucket, key, data, { sourceMd5: 'ffffffff' })
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+      await settle()
+      expect(await has(0, key)).to.be.false
+    })
+  })
+
+  describe('getObjectStream', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, key, data)
+      await settle()
+    })
+
+    it('should read from the first replica', async function () {
+      const spy = sinon.spy(replicas[1], 'getObjectStream')
+      const stream = await persistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(data)
+      expect(spy).not.to.have.been.called
+    })
+
+    it('should read from the next replica when one fails', async function () {
+      sinon.stub(replicas[0], 'getObjectStream').rejects(genericError)
+      const stream = await persistor.getObjectStream(bucket, key, {
+        start: 4,
+        end: 9
+      })
+      expect(await readAll(stream)).to.deep.equal(data.slice(4, 10))
+      expect(Metrics.inc).to.have.been.calledWith('replication.readFailure')
+    })
+
+    it('should log a replica which is missing the object', async function () {
+      await replicas[0].deleteObject(bucket, key)
+      const stream = await persistor.getObjectStream(bucket, key)
+      expect(await readAll(stream)).to.deep.equal(data)
+      expect(Logger.warn).to.have.been.calledWithMatch(
+        { replica: 0, method: 'getObjectStream' },
+        'replica has diverged and needs repair'
+      )
+    })
+
+    it('should throw a NotFoundError when no replica has the object', async function () {
+      sinon.stub(replicas[2], 'getObjectStream').rejects(genericError)
+      await expect(
+        persistor.getObjectStream(bucket, 'missing')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+
+    it('should throw the error when every replica fails', async function () {
+      for (const replica of replicas) {
+        sinon.stub(replica, 'getObjectStream').rejects(genericError)
+      }
+      await expect(
+        persistor.getObjectStream(bucket, key)
+      ).to.eventually.be.rejected.and.equal(genericError)
+    })
+  })
+
+  describe('getObjectMd5Hash', function () {
+    it('should return the md5 hash from the first replica', async function () {
+      await send(persistor, bucket, key, data)
+      expect(await persistor.getObjectMd5Hash(bucket, key)).to.equal(md5)
+    })
+  })
+
+  describe('checkIfObjectExists', function () {
+    it('should return true when a later replica has the object', async function () {
+      await replicas[2].sendStream(bucket, key, Stream.Readable.from([data]))
+      expect(await persistor.checkIfObjectExists(bucket, key)).to.be.true
+    })
+
+    it('should return false when no replica has the object', async function () {
+      sinon.stub(replicas[1], 'checkIfObjectExists').rejects(genericError)
+      expect(await persistor.checkIfObjectExists(bucket, key)).to.be.false
+    })
+  })
+
+  describe('getUploadUrl', function () {
+    it('should return null', async function () {
+      expect(await persistor.getUploadUrl(bucket, key)).to.be.null
+    })
+  })
+
+  describe('copyObject', function () {
+    it('should copy the object on every replica', async function () {
+      await send(persistor, bucket, key, data)
+      await settle()
+      await persistor.copyObject(bucket, key, 'destKey')
+      await settle()
+      expect(await has(0, 'destKey')).to.be.true
+      expect(await has(1, 'destKey')).to.be.true
+      expect(await has(2, 'destKey')).to.be.true
+    })
+
+    it('should throw a NotFoundError when the source is missing', async function () {
+      await expect(
+        persistor.copyObject(bucket, 'missing', 'destKey')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('deleteObject', function () {
+    it('should delete the object from every replica', async function () {
+      await send(persistor, bucket, key, data)
+      await settle()
+      await persistor.deleteObject(bucket, key)
+      await settle()
+      expect(await has(0, key)).to.be.false
+      expect(await has(1, key)).to.be.false
+      expect(await has(2, key)).to.be.false
+    })
+  })
+
+  describe('deleteObjects', function () {
+    it('should only report keys deleted from a quorum of replicas', async function () {
+      const error = new Errors.WriteError('oops')
+      for (const replica of replicas.slice(0, 2)) {
+        sinon.stub(replica, 'deleteObjects').resolves({
+          deleted: ['a'],
+          errors: [{ key: 'b', error }]
+        })
+      }
+      sinon.stub(replicas[2], 'deleteObjects').rejects(genericError)
+
+      expect(await persistor.deleteObjects(bucket, ['a', 'b'])).to.deep.equal({
+        deleted: ['a'],
+        errors: [
+          { key: 'b', error },
+          { key: 'b', error }
+        ]
+      })
+      expect(Logger.warn).to.have.been.calledWithMatch({
+        replica: 2,
+        method: 'deleteObjects'
+      })
+    })
+  })
+
+  describe('purgeExpired', function () {
+    it('should report each deleted key once', async function () {
+      for (const replica of replicas) {
+        sinon
+          .stub(replica, 'purgeExpired')
+          .resolves({ deleted: ['a', 'b'], errors: [] })
+      }
+      expect(await persistor.purgeExpired(bucket)).to.deep.equal({
+        deleted: ['a', 'b'],
+        errors: []
+      })
+    })
+  })
+
+  describe('listObjects', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, 'dir/a', data)
+      await send(persistor, bucket, 'dir/b', data)
+      await settle()
+    })
+
+    it('should list the objects on the first replica', async function () {
+      expect(await listKeys(persistor, bucket, 'dir/')).to.deep.equal([
+        'dir/a',
+        'dir/b'
+      ])
+    })
+
+    it('should list the objects on the next replica when one fails', async function () {
+      sinon.stub(replicas[0], 'listObjects').callsFake(async function* () {
+        throw genericError
+      })
+      const spy = sinon.spy(replicas[1], 'listObjects')
+      expect(await listKeys(persistor, bucket, 'dir/')).to.deep.equal([
+        'dir/a',
+        'dir/b'
+      ])
+      expect(spy).to.have.been.calledWith(drBucket, 'dir/')
+    })
+  })
+
+  describe('restoreObjectVersion', function () {
+    it('should restore the version on the first replica and copy it to the others', async function () {
+      const restore = sinon.stub(replicas[0], 'restoreObjectVersion').resolves()
+      await send(persistor, bucket, key, data)
+      await settle()
+      await replicas[1].deleteObject(drBucket, key)
+
+      await persistor.restoreObjectVersion(bucket, key, 'v1')
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      expect(restore).to.have.been.calledWith(bucket, key, 'v1')
+      expect(await has(1, key)).to.be.true
+    })
+  })
+})
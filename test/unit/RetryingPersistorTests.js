@@ -0,0 +1,258 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+
+const Errors = require('../../src/Errors')
+const { requireModule, listKeys } = require('../TestHelper')
+
+describe('RetryingPersistorTests', function () {
+  const bucket = 'womBucket'
+  const key = 'monKey'
+  const fsPath = '/tmp/wombat'
+
+  let RetryingPersistor, retryingPersistor, persistor, Logger, Metrics
+  let transientError, permanentError
+
+  beforeEach(function () {
+    transientError = new Errors.ReadError(
+      'error reading file',
+      {},
+      Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+    )
+    permanentError = new Errors.NotFoundError('no such file')
+
+    persistor = {
+      sendFile: sinon.stub().resolves(),
+      sendStream: sinon.stub().resolves(),
+      getObjectSize: sinon.stub().resolves(42),
+      copyObject: sinon.stub().resolves(),
+      moveObject: sinon.stub().resolves(),
+      deleteObjects: sinon.stub(),
+      listObjects: sinon.stub()
+    }
+    Logger = { warn: sinon.stub() }
+    Metrics = { inc: sinon.stub() }
+
+    // the delays use the timers and Math.random of the test, so that they
+    // can be faked
+    RetryingPersistor = requireModule(
+      'RetryingPersistor.js',
+      { 'logger-sharelatex': Logger },
+      { Math, setTimeout: (...args) => setTimeout(...args) }
+    )
+    retryingPersistor = new RetryingPersistor(persistor, {
+      maxAttempts: 3,
+      minDelayMs: 0,
+      Metrics
+    })
+  })
+
+  describe('constructor', function () {
+    it('should throw a SettingsError for an invalid number of attempts', function () {
+      expect(
+        () => new RetryingPersistor(persistor, { maxAttempts: 0.5 })
+      ).to.throw(Errors.SettingsError)
+    })
+  })
+
+  describe('a read', function () {
+    it('should return the result', async function () {
+      expect(await retryingPersistor.getObjectSize(bucket, key)).to.equal(42)
+      expect(persistor.getObjectSize).to.have.been.calledOnceWith(bucket, key)
+      expect(Metrics.inc).to.have.been.calledOnceWith('retry.success')
+    })
+
+    it('should retry a transient error', async function () {
+      persistor.getObjectSize.onFirstCall().rejects(transientError)
+      expect(await retryingPersistor.getObjectSize(bucket, key)).to.equal(42)
+      expect(persistor.getObjectSize).to.have.been.calledTwice
+      expect(Metrics.inc).to.have.been.calledWith('retry.retry')
+      expect(Metrics.inc).to.have.been.calledWith('retry.success')
+      expect(Logger.warn).to.have.been.calledWithMatch({
+        method: 'getObjectSize',
+        attempt: 1
+      })
+    })
+
+    it('should give up after the maximum number of attempts', async function () {
+      persistor.getObjectSize.rejects(transientError)
+      await expect(
+        retryingPersistor.getObjectSize(bucket, key)
+      ).to.eventually.be.rejected.and.equal(transientError)
+      expect(persistor.getObjectSize).to.have.been.calledThrice
+      expect(Metrics.inc.withArgs('retry.retry')).to.have.been.calledTwice
+      expect(Metrics.inc).to.have.been.calledWith('retry.failure')
+    })
+
+    it('should not retry a permanent error', async function () {
+      persistor.getObjectSize.rejects(permanentError)
+      await expect(
+        retryingPersistor.getObjectSize(bucket, key)
+      ).to.eventually.be.rejected.and.equal(permanentError)
+      expect(persistor.getObjectSize).to.have.been.calledOnce
+      expect(Metrics.inc).to.have.been.calledOnceWith('retry.failure')
+    })
+
+    it('should not wait when the maximum delay is zero', async function () {
+      retryingPersistor = new RetryingPersistor(persistor, {
+        minDelayMs: 1000,
+        maxDelayMs: 0
+      })
+      const clock = sinon.useFakeTimers()
+      try {
+        persistor.getObjectSize.onFirstCall().rejects(transientError)
+        const promise = retryingPersistor.getObjectSize(bucket, key)
+        await clock.tickAsync(0)
+        expect(persistor.getObjectSize).to.have.been.calledTwice
+        expect(await promise).to.equal(42)
+      } finally {
+        clock.restore()
+      }
+    })
+
+    it('should wait before retrying', async function () {
+      retryingPersistor = new RetryingPersistor(persistor, {
+        minDelayMs: 1000,
+        maxDelayMs: 1000
+      })
+      sinon.stub(Math, 'random').returns(0.5)
+      const clock = sinon.useFakeTimers()
+      try {
+        persistor.getObjectSize.onFirstCall().rejects(transientError)
+        const promise = retryingPersistor.getObjectSize(bucket, key)
+        await clock.tickAsync(499)
+        expect(persistor.getObjectSize).to.have.been.calledOnce
+        await clock.tickAsync(1)
+        expect(await promise).to.equal(42)
+      } finally {
+        clock.restore()
+        Math.random.restore()
+      }
+    })
+  })
+
+  describe('sendFile', function () {
+    it('should retry, as the file can be read again', async function () {
+      persistor.sendFile.onFirstCall().rejects(transientError)
+      await retryingPersistor.sendFile(bucket, key, fsPath)
+      expect(persistor.sendFile).to.have.been.calledTwice
+      expect(persistor.sendFile).to.always.have.been.calledWith(
+        bucket,
+        key,
+        fsPath
+      )
+    })
+  })
+
+  describe('copyObject', function () {
+    it('should retry a transient error', async function () {
+      persistor.copyObject.onFirstCall().rejects(transientError)
+      await retryingPersistor.copyObject(bucket, key, 'destKey')
+      expect(persistor.copyObject).to.have.been.calledTwice
+    })
+  })
+
+  describe('operations which cannot be repeated', function () {
+    it('should not retry sendStream', async function () {
+      persistor.sendStream.rejects(transientError)
+      await expect(
+        retryingPersistor.sendStream(bucket, key, {})
+      ).to.eventually.be.rejected.and.equal(transientError)
+      expect(persistor.sendStream).to.have.been.calledOnce
+    })
+
+    it('should not retry moveObject', async function () {
+      persistor.moveObject.rejects(transientError)
+      await expect(
+        retryingPersistor.moveObject(bucket, key, 'destKey')
+      ).to.eventually.be.rejected.and.equal(transientError)
+      expect(persistor.moveObject).to.have.been.calledOnce
+    })
+  })
+
+  describe('deleteObjects', function () {
+    it('should retry the keys which failed with a transient error', async function () {
+      persistor.deleteObjects.onFirstCall().resolves({
+        deleted: ['a'],
+        errors: [
+          { key: 'b', error: transientError },
+          { key: 'c', error: permanentError }
+        ]
+      })
+      persistor.deleteObjects.onSecondCall().resolves({
+        deleted: ['b'],
+        errors: []
+      })
+
+      expect(
+        await retryingPersistor.deleteObjects(bucket, ['a', 'b', 'c'])
+      ).to.deep.equal({
+        deleted: ['a', 'b'],
+        errors: [{ key: 'c', error: permanentError }]
+      })
+      expect(persistor.deleteObjects).to.have.been.calledWith(bucket, ['b'])
+    })
+
+    it('should return the keys which still fail', async function () {
+      persistor.deleteObjects.resolves({
+        deleted: [],
+        errors: [{ key: 'b', error: transientError }]
+      })
+      expect(
+        await retryingPersistor.deleteObjects(bucket, ['b'])
+      ).to.deep.equal({
+        deleted: [],
+        errors: [{ key: 'b', error: transientError }]
+      })
+      expect(persistor.deleteObjects).to.have.been.calledThrice
+    })
+  })
+
+  describe('listObjects', function () {
+    it('should retry a listing which fails to start', async function () {
+      persistor.listObjects.onFirstCall().callsFake(async function* () {
+        throw transientError
+      })
+      persistor.listObjects.onSecondCall().callsFake(async function* () {
+        yield { key: 'dir/a' }
+        yield { key: 'dir/b' }
+      })
+      expect(await listKeys(retryingPersistor, bucket, 'dir/')).to.deep.equal([
+        'dir/a',
+        'dir/b'
+      ])
+      expect(persistor.listObjects).to.have.been.calledTwice
+    })
+
+    it('should close the listing when the caller stops reading it', async function () {
+      const closed = sinon.stub()
+      persistor.listObjects.callsFake(async function* () {
+        try {
+          yield { key: 'dir/a' }
+          yield { key: 'dir/b' }
+        } finally {
+          closed()
+        }
+      })
+      for await (const object of retryingPersistor.listObjects(
+        bucket,
+        'dir/'
+      )) {
+        expect(object.key).to.equal('dir/a')
+        break
+      }
+      expect(closed).to.have.been.calledOnce
+    })
+
+    it('should not retry a listing which fails part-way through', async function () {
+      persistor.listObjects.callsFake(async function* () {
+        yield { key: 'dir/a' }
+        throw transientError
+      })
+      await expect(
+        listKeys(retryingPersistor, bucket, 'dir/')
+      ).to.eventually.be.rejected.and.equal(transientError)
+      expect(persistor.listObjects).to.have.been.calledOnce
+    })
+  })
+})
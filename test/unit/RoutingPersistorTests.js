@@ -0,0 +1,207 @@
+const sinon = require('sinon')
+const chai = require('chai')
+const { expect } = chai
+
+const Errors = require('../../src/Errors')
+const { requireModule, readAll, send, listKeys } = require('../TestHelper')
+
+describe('RoutingPersistorTests', function () {
+  const bucket = 'womBucket'
+  const outputsBucket = 'outputs'
+  const data = Buffer.from('wombats are the best marsupials')
+
+  let RoutingPersistor, persistor, defaultPersistor, outputs, scratch
+
+  beforeEach(function () {
+    const MemoryPersistor = requireModule('MemoryPersistor.js')
+    RoutingPersistor = requireModule('RoutingPersistor.js')
+
+    defaultPersistor = new MemoryPersistor({})
+    outputs = new MemoryPersistor({})
+    scratch = new MemoryPersistor({})
+    persistor = new RoutingPersistor(defaultPersistor, [
+      {
+        bucket: outputsBucket,
+        buckets: { [outputsBucket]: 'gcs-outputs' },
+        persistor: outputs
+      },
+      { prefix: 'dir/scratch/', persistor: scratch }
+    ])
+  })
+
+  describe('constructor', function () {
+    it('should throw a SettingsError for a route which matches everything', function () {
+      expect(
+        () => new RoutingPersistor(defaultPersistor, [{ persistor: scratch }])
+      ).to.throw(Errors.SettingsError)
+    })
+  })
+
+  describe('sendStream', function () {
+    it('should send objects in a routed bucket to its persistor', async function () {
+      await send(persistor, outputsBucket, 'output.pdf', data)
+      expect(await outputs.checkIfObjectExists('gcs-outputs', 'output.pdf')).to
+        .be.true
+      expect(
+        await defaultPersistor.checkIfObjectExists(outputsBucket, 'output.pdf')
+      ).to.be.false
+    })
+
+    it('should send objects with a routed prefix to its persistor', async function () {
+      await send(persistor, bucket, 'dir/scratch/tmp', data)
+      expect(await scratch.checkIfObjectExists(bucket, 'dir/scratch/tmp')).to.be
+        .true
+    })
+
+    it('should send other objects to the default persistor', async function () {
+      await send(persistor, bucket, 'dir/file', data)
+      expect(await defaultPersistor.checkIfObjectExists(bucket, 'dir/file')).to
+        .be.true
+    })
+  })
+
+  describe('getObjectStream', function () {
+    it('should read the object from its persistor', async function () {
+      await send(scratch, bucket, 'dir/scratch/tmp', data)
+      const stream = await persistor.getObjectStream(bucket, 'dir/scratch/tmp')
+      expect(await readAll(stream)).to.deep.equal(data)
+    })
+
+    it('should throw a NotFoundError when the object is on another persistor', async function () {
+      await send(defaultPersistor, bucket, 'dir/scratch/tmp', data)
+      await expect(
+        persistor.getObjectStream(bucket, 'dir/scratch/tmp')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('copyObject', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, 'dir/file', data)
+    })
+
+    it('should copy within a persistor', async function () {
+      const copy = sinon.spy(defaultPersistor, 'copyObject')
+      await persistor.copyObject(bucket, 'dir/file', 'dir/copy')
+      expect(copy).to.have.been.calledWith(
+        bucket,
+        'dir/file',
+        bucket,
+        'dir/copy'
+      )
+    })
+
+    it('should copy between persistors', async function () {
+      await persistor.copyObject(
+        bucket,
+        'dir/file',
+        outputsBucket,
+        'output.pdf'
+      )
+      const stream = await outputs.getObjectStream('gcs-outputs', 'output.pdf')
+      expect(await readAll(stream)).to.deep.equal(data)
+    })
+  })
+
+  describe('moveObject', function () {
+    it('should move the object between persistors', async function () {
+      await send(persistor, bucket, 'dir/file', data)
+      await persistor.moveObject(bucket, 'dir/file', 'dir/scratch/file')
+      expect(await scratch.checkIfObjectExists(bucket, 'dir/scratch/file')).to
+        .be.true
+      expect(await defaultPersistor.checkIfObjectExists(bucket, 'dir/file')).to
+        .be.false
+    })
+  })
+
+  describe('deleteObjects', function () {
+    it('should delete the keys from each of their persistors', async function () {
+      await send(persistor, bucket, 'dir/file', data)
+      await send(persistor, bucket, 'dir/scratch/tmp', data)
+
+      const result = await persistor.deleteObjects(bucket, [
+        'dir/file',
+        'dir/scratch/tmp'
+      ])
+      expect(result.deleted.sort()).to.deep.equal([
+        'dir/file',
+        'dir/scratch/tmp'
+      ])
+      expect(result.errors).to.deep.equal([])
+      expect(await listKeys(persistor, bucket, 'dir/')).to.deep.equal([])
+    })
+  })
+
+  describe('with a prefix which spans several routes', function () {
+    beforeEach(async function () {
+      await send(persistor, bucket, 'dir/file', data)
+      await send(persistor, bucket, 'dir/scratch/tmp', Buffer.from('wombat'))
+      await send(persistor, bucket, 'other/file', data)
+      // left over from before the routes were configured
+      await send(defaultPersistor, bucket, 'dir/scratch/stale', data)
+    })
+
+    it('should list the objects from every route', async function () {
+      expect(await listKeys(persistor, bucket, 'dir/')).to.have.members([
+        'dir/file',
+        'dir/scratch/tmp'
+      ])
+    })
+
+    it('should only list from the route which holds a narrower prefix', async function () {
+      const list = sinon.spy(defaultPersistor, 'listObjects')
+      expect(await listKeys(persistor, bucket, 'dir/scratch/')).to.deep.equal([
+        'dir/scratch/tmp'
+      ])
+      expect(list).not.to.have.been.called
+    })
+
+    it('should add up the size of the objects on every route', async function () {
+      expect(await persistor.directorySize(bucket, 'dir/')).to.equal(
+        data.length + 'wombat'.length
+      )
+    })
+
+    it('should delete the directory on every route', async function () {
+      await persistor.deleteDirectory(bucket, 'dir/')
+      expect(await listKeys(persistor, bucket, '')).to.deep.equal([
+        'other/file'
+      ])
+      expect(await scratch.checkIfObjectExists(bucket, 'dir/scratch/tmp')).to.be
+        .false
+    })
+  })
+
+  describe('with a route which returns keys in a different form', function () {
+    beforeEach(async function () {
+      // like the FS persistor, which flattens the keys
+      scratch.listObjects = async function* (bucketName, prefix) {
+        yield { key: prefix.replace(/\//g, '_') + 'tmp', size: 6 }
+      }
+      await send(persistor, bucket, 'dir/file', data)
+    })
+
+    it('should list the objects from the route', async function () {
+      expect(await listKeys(persistor, bucket, 'dir/')).to.have.members([
+        'dir/file',
+        'dir_scratch_tmp'
+      ])
+    })
+
+    it('should count the size of the objects from the route', async function () {
+      expect(await persistor.directorySize(bucket, 'dir/')).to.equal(
+        data.length + 6
+      )
+    })
+  })
+
+  describe('directorySize', function () {
+    it('should use the persistor of a prefix within a single route', async function () {
+      const directorySize = sinon.stub(scratch, 'directorySize').resolves(42)
+      expect(await persistor.directorySize(bucket, 'dir/scratch/a/')).to.equal(
+        42
+      )
+      expect(directorySize).to.have.been.calledWith(bucket, 'dir/scratch/a/')
+    })
+  })
+})
@@ -3,6 +3,7 @@ const chai = require('chai')
 const { expect } = chai
 const modulePath = '../../src/S3Persistor.js'
 const SandboxedModule = require('sandboxed-module')
+const asyncPool = require('tiny-async-pool')
 
 const Errors = require('../../src/Errors')
 
@@ -128,7 +129,17 @@ describe('S3PersistorTests', function () {
       copyObject: sinon.stub().returns(EmptyPromise),
       deleteObject: sinon.stub().returns(EmptyPromise),
       deleteObjects: sinon.stub().returns(EmptyPromise),
-      getSignedUrlPromise: sinon.stub().resolves(redirectUrl)
+      getSignedUrlPromise: sinon.stub().resolves(redirectUrl),
+      createPresignedPost: sinon
+        .stub()
+        .yields(null, { url: redirectUrl, fields: { key } }),
+      customizeRequests: sinon.stub(),
+      getObjectTagging: sinon.stub().returns({
+        promise: sinon.stub().resolves({
+          TagSet: [{ Key: 'team', Value: 'wombat' }]
+        })
+      }),
+      putObjectTagging: sinon.stub().returns(EmptyPromise)
     }
     S3 = sinon.stub().returns(S3Client)
 
@@ -152,7 +163,8 @@ describe('S3PersistorTests', function () {
         './Errors': Errors,
         fs: Fs,
         stream: Stream,
-        crypto
+        crypto,
+        'tiny-async-pool': asyncPool
       },
       globals: { console, Buffer }
     }))(settings)
@@ -211,6 +223,20 @@ describe('S3PersistorTests', function () {
       })
     })
 
+    describe('when called with a version', function () {
+      beforeEach(async function () {
+        await S3Persistor.getObjectStream(bucket, key, { version: 'v1' })
+      })
+
+      it('passes the version on to S3', function () {
+        expect(S3Client.getObject).to.have.been.calledWith({
+          Bucket: bucket,
+          Key: key,
+          VersionId: 'v1'
+        })
+      })
+    })
+
     describe('when there are alternative credentials', function () {
       let stream
       const alternativeSecret = 'giraffe'
@@ -280,6 +306,17 @@ describe('S3PersistorTests', function () {
       })
     })
 
+    describe('when the retries of the S3 client are turned off', function () {
+      beforeEach(async function () {
+        settings.maxRetries = 0
+        await S3Persistor.getObjectStream(bucket, key)
+      })
+
+      it('configures the S3 client without retries', function () {
+        expect(S3).to.have.been.calledWithMatch({ maxRetries: 0 })
+      })
+    })
+
     describe("when the file doesn't exist", function () {
       let error, stream
 
@@ -385,6 +422,115 @@ describe('S3PersistorTests', function () {
     it('should return the url', function () {
       expect(signedUrl).to.equal(redirectUrl)
     })
+
+    describe('with options', function () {
+      beforeEach(async function () {
+        signedUrl = await S3Persistor.getRedirectUrl(bucket, key, {
+          expiresInMs: 60000,
+          responseContentDisposition: 'attachment; filename="potato.tex"',
+          responseContentType: 'text/plain'
+        })
+      })
+
+      it('should sign the response overrides', function () {
+        expect(S3Client.getSignedUrlPromise).to.have.been.calledWith(
+          'getObject',
+          {
+            Bucket: bucket,
+            Key: key,
+            Expires: 60,
+            ResponseContentDisposition: 'attachment; filename="potato.tex"',
+            ResponseContentType: 'text/plain'
+          }
+        )
+      })
+    })
+  })
+
+  describe('getUploadUrl', function () {
+    describe('for a PUT upload', function () {
+      let upload
+
+      beforeEach(async function () {
+        upload = await S3Persistor.getUploadUrl(bucket, key, {
+          contentType: 'text/plain',
+          contentMd5: md5,
+          expiresInMs: 60000
+        })
+      })
+
+      it('should request a signed PUT URL', function () {
+        expect(S3Client.getSignedUrlPromise).to.have.been.calledWith(
+          'putObject',
+          {
+            Bucket: bucket,
+            Key: key,
+            Expires: 60,
+            ContentType: 'text/plain',
+            ContentMD5: '/////wAAAAD/////AAAAAA=='
+          }
+        )
+      })
+
+      it('should return the url and the headers to send', function () {
+        expect(upload).to.deep.equal({
+          method: 'PUT',
+          url: redirectUrl,
+          headers: {
+            'Content-Type': 'text/plain',
+            'Content-MD5': '/////wAAAAD/////AAAAAA=='
+          }
+        })
+      })
+    })
+
+    describe('for a POST upload', function () {
+      let upload
+
+      beforeEach(async function () {
+        settings.signedUrlExpiryInMs = 30000
+        upload = await S3Persistor.getUploadUrl(bucket, key, {
+          method: 'POST',
+          contentType: 'text/plain',
+          maxSize: 1024
+        })
+      })
+
+      it('should request a presigned POST policy', function () {
+        expect(S3Client.createPresignedPost).to.have.been.calledWith({
+          Bucket: bucket,
+          Fields: { key, 'Content-Type': 'text/plain' },
+          Conditions: [['content-length-range', 0, 1024]],
+          Expires: 30
+        })
+      })
+
+      it('should return the url and the form fields', function () {
+        expect(upload).to.deep.equal({
+          method: 'POST',
+          url: redirectUrl,
+          fields: { key }
+        })
+      })
+    })
+
+    describe('for a PUT upload with a maximum size', function () {
+      it('should throw a SettingsError', async function () {
+        await expect(
+          S3Persistor.getUploadUrl(bucket, key, { maxSize: 1024 })
+        ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.SettingsError)
+        expect(S3Client.getSignedUrlPromise).not.to.have.been.called
+      })
+    })
+
+    describe('when signing fails', function () {
+      it('should throw a WriteError', async function () {
+        S3Client.getSignedUrlPromise = sinon.stub().rejects(genericError)
+        await expect(S3Persistor.getUploadUrl(bucket, key))
+          .to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+          .and.have.property('cause', genericError)
+      })
+    })
   })
 
   describe('getObjectSize', function () {
@@ -520,6 +666,132 @@ describe('S3PersistorTests', function () {
       })
     })
 
+    describe('when custom metadata is supplied', function () {
+      const metadata = { project: 'wombat', uploader: 'potato' }
+
+      beforeEach(async function () {
+        return S3Persistor.sendStream(bucket, key, ReadStream, { metadata })
+      })
+
+      it('sends the custom metadata to S3', function () {
+        expect(S3Client.upload).to.have.been.calledWith({
+          Bucket: bucket,
+          Key: key,
+          Body: sinon.match.instanceOf(Transform),
+          Metadata: metadata
+        })
+      })
+    })
+
+    describe('when tags are supplied', function () {
+      beforeEach(async function () {
+        return S3Persistor.sendStream(bucket, key, ReadStream, {
+          tags: { team: 'wombat' }
+        })
+      })
+
+      it('passes the tags to the managed upload', function () {
+        expect(S3Client.upload).to.have.been.calledWith(sinon.match.any, {
+          partSize: settings.partSize,
+          tags: [{ Key: 'team', Value: 'wombat' }]
+        })
+      })
+    })
+
+    describe('when an expiry time is supplied', function () {
+      beforeEach(async function () {
+        return S3Persistor.sendStream(bucket, key, ReadStream, {
+          metadata: { project: 'wombat' },
+          expiresAt: new Date('2030-01-01T00:00:00.000Z')
+        })
+      })
+
+      it('stores the expiry time in the custom metadata', function () {
+        expect(S3Client.upload).to.have.been.calledWith(
+          sinon.match({
+            Metadata: {
+              project: 'wombat',
+              'expires-at': '2030-01-01T00:00:00.000Z'
+            }
+          })
+        )
+      })
+    })
+
+    describe('when preconditions are supplied', function () {
+      let request
+
+      function buildRequest(operation) {
+        request = {
+          operation,
+          on: sinon.stub().yields(),
+          httpRequest: { headers: {} }
+        }
+        S3Client.customizeRequests.firstCall.args[0](request)
+        return request.httpRequest.headers
+      }
+
+      it('does not customize requests without preconditions', async function () {
+        await S3Persistor.sendStream(bucket, key, ReadStream)
+        expect(S3Client.customizeRequests).not.to.have.been.called
+      })
+
+      it('sends If-None-Match when the object must not exist', async function () {
+        await S3Persistor.sendStream(bucket, key, ReadStream, {
+          ifNotExists: true
+        })
+        expect(buildRequest('putObject')).to.deep.equal({
+          'If-None-Match': '*'
+        })
+        expect(buildRequest('completeMultipartUpload')).to.deep.equal({
+          'If-None-Match': '*'
+        })
+      })
+
+      it('sends a quoted If-Match when an etag is expected', async function () {
+        await S3Persistor.sendStream(bucket, key, ReadStream, {
+          ifMatch: md5
+        })
+        expect(buildRequest('putObject')).to.deep.equal({
+          'If-Match': `"${md5}"`
+        })
+      })
+
+      it('does not add headers to other requests', async function () {
+        await S3Persistor.sendStream(bucket, key, ReadStream, {
+          ifNotExists: true
+        })
+        expect(buildRequest('uploadPart')).to.deep.equal({})
+        expect(request.on).not.to.have.been.called
+      })
+
+      it('throws a PreconditionFailedError when the precondition fails', async function () {
+        const preconditionError = new Error('precondition failed')
+        preconditionError.code = 'PreconditionFailed'
+        S3Client.upload = sinon.stub().returns({
+          promise: sinon.stub().rejects(preconditionError)
+        })
+        await expect(
+          S3Persistor.sendStream(bucket, key, ReadStream, { ifNotExists: true })
+        )
+          .to.eventually.be.rejected.and.be.an.instanceOf(
+            Errors.PreconditionFailedError
+          )
+          .and.have.property('cause', preconditionError)
+      })
+
+      it('throws a PreconditionFailedError when there is no object to match', async function () {
+        S3Client.upload = sinon.stub().returns({
+          promise: sinon.stub().rejects(S3NotFoundError)
+        })
+        await expect(
+          S3Persistor.sendStream(bucket, key, ReadStream, { ifMatch: md5 })
+        ).to.eventually.be.rejected.and.be.an.instanceOf(
+          Errors.PreconditionFailedError
+        )
+      })
+    })
+
     describe('when the upload fails', function () {
       let error
       beforeEach(async function () {
@@ -559,6 +831,88 @@ describe('S3PersistorTests', function () {
     })
   })
 
+  describe('getObjectMetadata', function () {
+    const lastModified = new Date('2020-01-01T00:00:00Z')
+
+    describe('when called with valid parameters', function () {
+      let metadata
+
+      beforeEach(async function () {
+        S3Client.headObject = sinon.stub().returns({
+          promise: sinon.stub().resolves({
+            ContentLength: objectSize,
+            ETag: `"${md5}"`,
+            ContentType: 'text/plain',
+            ContentEncoding: 'gzip',
+            LastModified: lastModified,
+            VersionId: 'v1',
+            Metadata: { project: 'wombat' }
+          })
+        })
+        metadata = await S3Persistor.getObjectMetadata(bucket, key)
+      })
+
+      it('should get the object header', function () {
+        expect(S3Client.headObject).to.have.been.calledOnceWith({
+          Bucket: bucket,
+          Key: key
+        })
+      })
+
+      it('should return the normalized metadata', function () {
+        expect(metadata).to.deep.equal({
+          size: objectSize,
+          md5,
+          contentType: 'text/plain',
+          contentEncoding: 'gzip',
+          lastModified,
+          etag: `"${md5}"`,
+          version: 'v1',
+          metadata: { project: 'wombat' }
+        })
+      })
+    })
+
+    describe('when a version is requested', function () {
+      it('should get the header of that version', async function () {
+        await S3Persistor.getObjectMetadata(bucket, key, { version: 'v1' })
+        expect(S3Client.headObject).to.have.been.calledWith({
+          Bucket: bucket,
+          Key: key,
+          VersionId: 'v1'
+        })
+      })
+    })
+
+    describe('when the object is not found', function () {
+      beforeEach(function () {
+        S3Client.headObject = sinon.stub().returns({
+          promise: sinon.stub().rejects(S3NotFoundError)
+        })
+      })
+
+      it('should throw a NotFoundError', async function () {
+        await expect(S3Persistor.getObjectMetadata(bucket, key))
+          .to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+          .and.have.property('cause', S3NotFoundError)
+      })
+    })
+
+    describe('when S3 returns an error', function () {
+      beforeEach(function () {
+        S3Client.headObject = sinon.stub().returns({
+          promise: sinon.stub().rejects(genericError)
+        })
+      })
+
+      it('should throw a ReadError', async function () {
+        await expect(S3Persistor.getObjectMetadata(bucket, key))
+          .to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+          .and.have.property('cause', genericError)
+      })
+    })
+  })
+
   describe('getObjectMd5Hash', function () {
     describe('when the etag is a valid md5 hash', function () {
       let hash
@@ -634,6 +988,40 @@ describe('S3PersistorTests', function () {
       })
     })
 
+    describe('when copying to another bucket', function () {
+      beforeEach(async function () {
+        return S3Persistor.copyObject(bucket, key, 'destBucket', destKey)
+      })
+
+      it('should copy the object into the destination bucket', function () {
+        expect(S3Client.copyObject).to.have.been.calledWith({
+          Bucket: 'destBucket',
+          Key: destKey,
+          CopySource: `${bucket}/${key}`
+        })
+      })
+    })
+
+    describe('when the destination must not exist', function () {
+      beforeEach(async function () {
+        return S3Persistor.copyObject(bucket, key, destKey, {
+          ifNotExists: true
+        })
+      })
+
+      it('should add the precondition to the copy request', function () {
+        const request = {
+          operation: 'copyObject',
+          on: sinon.stub().yields(),
+          httpRequest: { headers: {} }
+        }
+        S3Client.customizeRequests.firstCall.args[0](request)
+        expect(request.httpRequest.headers).to.deep.equal({
+          'If-None-Match': '*'
+        })
+      })
+    })
+
     describe('when the file does not exist', function () {
       let error
 
@@ -654,6 +1042,154 @@ describe('S3PersistorTests', function () {
     })
   })
 
+  describe('moveObject', function () {
+    describe('with valid parameters', function () {
+      beforeEach(async function () {
+        return S3Persistor.moveObject(bucket, key, destKey)
+      })
+
+      it('should copy the object', function () {
+        expect(S3Client.copyObject).to.have.been.calledWith({
+          Bucket: bucket,
+          Key: destKey,
+          CopySource: `${bucket}/${key}`
+        })
+      })
+
+      it('should check the copied object', function () {
+        expect(S3Client.headObject).to.have.been.calledWith({
+          Bucket: bucket,
+          Key: destKey
+        })
+      })
+
+      it('should delete the source object', function () {
+        expect(S3Client.deleteObject).to.have.been.calledWith({
+          Bucket: bucket,
+          Key: key
+        })
+      })
+    })
+
+    describe('with a deleted bucket', function () {
+      beforeEach(async function () {
+        S3Persistor.settings.deletedBucketSuffix = '-deleted'
+        return S3Persistor.moveObject(bucket, key, destKey)
+      })
+
+      it('should not copy the source object to the deleted bucket', function () {
+        expect(S3Client.copyObject).to.have.been.calledOnce
+        expect(S3Client.copyObject).not.to.have.been.calledWith(
+          sinon.match({ Bucket: `${bucket}-deleted` })
+        )
+      })
+
+      it('should delete the source object', function () {
+        expect(S3Client.deleteObject).to.have.been.calledWith({
+          Bucket: bucket,
+          Key: key
+        })
+      })
+    })
+
+    describe('when the copy does not match the source', function () {
+      let error
+
+      beforeEach(async function () {
+        S3Client.headObject.withArgs({ Bucket: bucket, Key: destKey }).returns({
+          promise: sinon.stub().resolves({
+            ContentLength: objectSize,
+            ETag: 'aaaaaaaabbbbbbbbaaaaaaaabbbbbbbb'
+          })
+        })
+        try {
+          await S3Persistor.moveObject(bucket, key, destKey)
+        } catch (err) {
+          error = err
+        }
+      })
+
+      it('should throw a WriteError', function () {
+        expect(error).to.be.an.instanceOf(Errors.WriteError)
+      })
+
+      it('should not delete the source object', function () {
+        expect(S3Client.deleteObject).not.to.have.been.called
+      })
+    })
+
+    describe('when the file does not exist', function () {
+      let error
+
+      beforeEach(async function () {
+        S3Client.headObject = sinon.stub().returns({
+          promise: sinon.stub().rejects(S3NotFoundError)
+        })
+        try {
+          await S3Persistor.moveObject(bucket, key, destKey)
+        } catch (err) {
+          error = err
+        }
+      })
+
+      it('should throw a NotFoundError', function () {
+        expect(error).to.be.an.instanceOf(Errors.NotFoundError)
+      })
+
+      it('should not copy the object', function () {
+        expect(S3Client.copyObject).not.to.have.been.called
+      })
+    })
+  })
+
+  describe('getObjectTags', function () {
+    it('should return the tags as an object', async function () {
+      const tags = await S3Persistor.getObjectTags(bucket, key)
+      expect(S3Client.getObjectTagging).to.have.been.calledWith({
+        Bucket: bucket,
+        Key: key
+      })
+      expect(tags).to.deep.equal({ team: 'wombat' })
+    })
+
+    it('should throw a NotFoundError when the object does not exist', async function () {
+      S3Client.getObjectTagging = sinon
+        .stub()
+        .returns({ promise: sinon.stub().rejects(S3NotFoundError) })
+      await expect(
+        S3Persistor.getObjectTags(bucket, key)
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
+  describe('setObjectTags', function () {
+    it('should replace the tags on the object', async function () {
+      await S3Persistor.setObjectTags(bucket, key, {
+        team: 'wombat',
+        cost: 'low'
+      })
+      expect(S3Client.putObjectTagging).to.have.been.calledWith({
+        Bucket: bucket,
+        Key: key,
+        Tagging: {
+          TagSet: [
+            { Key: 'team', Value: 'wombat' },
+            { Key: 'cost', Value: 'low' }
+          ]
+        }
+      })
+    })
+
+    it('should throw a WriteError when the request fails', async function () {
+      S3Client.putObjectTagging = sinon
+        .stub()
+        .returns({ promise: sinon.stub().rejects(genericError) })
+      await expect(
+        S3Persistor.setObjectTags(bucket, key, {})
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.WriteError)
+    })
+  })
+
   describe('deleteObject', function () {
     describe('with valid parameters', function () {
       beforeEach(async function () {
@@ -667,6 +1203,30 @@ describe('S3PersistorTests', function () {
         })
       })
     })
+
+    describe('with a deleted bucket', function () {
+      beforeEach(async function () {
+        S3Persistor.settings.deletedBucketSuffix = '-deleted'
+        return S3Persistor.deleteObject(bucket, key)
+      })
+
+      it('should copy the object to the deleted bucket', function () {
+        expect(S3Client.copyObject).to.have.been.calledWith(
+          sinon.match({
+            Bucket: `${bucket}-deleted`,
+            Key: sinon.match(`${key}-`),
+            CopySource: `${bucket}/${key}`
+          })
+        )
+      })
+
+      it('should delete the object', function () {
+        expect(S3Client.deleteObject).to.have.been.calledWith({
+          Bucket: bucket,
+          Key: key
+        })
+      })
+    })
   })
 
   describe('deleteDirectory', function () {
@@ -796,6 +1356,128 @@ describe('S3PersistorTests', function () {
     })
   })
 
+  describe('deleteObjects', function () {
+    const keys = [key, destKey]
+
+    beforeEach(function () {
+      S3Client.deleteObjects = sinon.stub().returns({
+        promise: sinon.stub().resolves({ Deleted: [], Errors: [] })
+      })
+    })
+
+    describe('with valid parameters', function () {
+      let result
+
+      beforeEach(async function () {
+        result = await S3Persistor.deleteObjects(bucket, keys)
+      })
+
+      it('should delete the objects in a single request', function () {
+        expect(S3Client.deleteObjects).to.have.been.calledOnceWithExactly({
+          Bucket: bucket,
+          Delete: {
+            Objects: [{ Key: key }, { Key: destKey }],
+            Quiet: true
+          }
+        })
+      })
+
+      it('should report the deleted objects', function () {
+        expect(result).to.deep.equal({ deleted: keys, errors: [] })
+      })
+    })
+
+    describe('when there are more than 1000 keys', function () {
+      const manyKeys = Array.from({ length: 1001 }, (_, index) => `${index}`)
+
+      beforeEach(async function () {
+        return S3Persistor.deleteObjects(bucket, manyKeys)
+      })
+
+      it('should split the keys into chunks of 1000', function () {
+        expect(S3Client.deleteObjects).to.have.been.calledTwice
+        expect(
+          S3Client.deleteObjects.firstCall.args[0].Delete.Objects
+        ).to.have.length(1000)
+        expect(
+          S3Client.deleteObjects.secondCall.args[0].Delete.Objects
+        ).to.deep.equal([{ Key: '1000' }])
+      })
+    })
+
+    describe('when S3 cannot delete some of the objects', function () {
+      let result
+
+      beforeEach(async function () {
+        S3Client.deleteObjects = sinon.stub().returns({
+          promise: sinon.stub().resolves({
+            Deleted: [],
+            Errors: [{ Key: destKey, Code: 'AccessDenied', Message: 'no' }]
+          })
+        })
+        result = await S3Persistor.deleteObjects(bucket, keys)
+      })
+
+      it('should report the deleted objects', function () {
+        expect(result.deleted).to.deep.equal([key])
+      })
+
+      it('should report the failures', function () {
+        expect(result.errors).to.have.length(1)
+        expect(result.errors[0].key).to.equal(destKey)
+        expect(result.errors[0].error).to.be.an.instanceOf(Errors.WriteError)
+        expect(result.errors[0].error.info.code).to.equal('AccessDenied')
+      })
+    })
+
+    describe('when an object cannot be copied to the deleted bucket', function () {
+      let result
+
+      beforeEach(async function () {
+        S3Persistor.settings.deletedBucketSuffix = '-deleted'
+        S3Client.copyObject = sinon.stub().returns(EmptyPromise)
+        S3Client.copyObject
+          .withArgs(sinon.match({ CopySource: `${bucket}/${destKey}` }))
+          .returns({ promise: sinon.stub().rejects(genericError) })
+        result = await S3Persistor.deleteObjects(bucket, keys)
+      })
+
+      it('should not delete that object', function () {
+        expect(S3Client.deleteObjects).to.have.been.calledOnceWithExactly({
+          Bucket: bucket,
+          Delete: {
+            Objects: [{ Key: key }],
+            Quiet: true
+          }
+        })
+      })
+
+      it('should report the failure', function () {
+        expect(result.deleted).to.deep.equal([key])
+        expect(result.errors.map(({ key }) => key)).to.deep.equal([destKey])
+        expect(result.errors[0].error).to.be.an.instanceOf(Errors.WriteError)
+      })
+    })
+
+    describe('when the request fails', function () {
+      let result
+
+      beforeEach(async function () {
+        S3Client.deleteObjects = sinon.stub().returns({
+          promise: sinon.stub().rejects(genericError)
+        })
+        result = await S3Persistor.deleteObjects(bucket, keys)
+      })
+
+      it('should report a failure for every key', function () {
+        expect(result.deleted).to.be.empty
+        expect(result.errors.map(({ key }) => key)).to.deep.equal(keys)
+        expect(result.errors[0].error).to.be.an.instanceOf(Errors.WriteError)
+        expect(result.errors[0].error.cause).to.equal(genericError)
+      })
+    })
+  })
+
   describe('directorySize', function () {
     describe('with valid parameters', function () {
       let size
@@ -895,6 +1577,211 @@ describe('S3PersistorTests', function () {
     })
   })
 
+  describe('listObjects', function () {
+    const lastModified = new Date('2020-01-01T00:00:00Z')
+    const listedFiles = [
+      { Key: 'llama', Size: 11, ETag: `"${md5}"`, LastModified: lastModified },
+      {
+        Key: 'hippo',
+        Size: 22,
+        ETag: '"multipart-2"',
+        LastModified: lastModified
+      }
+    ]
+
+    async function listObjects(...args) {
+      const objects = []
+      for await (const object of S3Persistor.listObjects(...args)) {
+        objects.push(object)
+      }
+      return objects
+    }
+
+    describe('with valid parameters', function () {
+      let objects
+
+      beforeEach(async function () {
+        S3Client.listObjectsV2 = sinon.stub().returns({
+          promise: sinon.stub().resolves({ Contents: listedFiles })
+        })
+        objects = await listObjects(bucket, key)
+      })
+
+      it('should list the objects with the prefix', function () {
+        expect(S3Client.listObjectsV2).to.have.been.calledWith({
+          Bucket: bucket,
+          Prefix: key
+        })
+      })
+
+      it('should return the objects', function () {
+        expect(objects).to.deep.equal([
+          { key: 'llama', size: 11, md5, lastModified },
+          { key: 'hippo', size: 22, md5: null, lastModified }
+        ])
+      })
+    })
+
+    describe('when a page size is given', function () {
+      beforeEach(async function () {
+        await listObjects(bucket, key, { pageSize: 10 })
+      })
+
+      it('should pass the page size to S3', function () {
+        expect(S3Client.listObjectsV2).to.have.been.calledWith({
+          Bucket: bucket,
+          Prefix: key,
+          MaxKeys: 10
+        })
+      })
+    })
+
+    describe('when there are more files available', function () {
+      const continuationToken = 'wombat'
+      let objects
+
+      beforeEach(async function () {
+        S3Client.listObjectsV2.onCall(0).returns({
+          promise: sinon.stub().resolves({
+            Contents: files,
+            IsTruncated: true,
+            NextContinuationToken: continuationToken
+          })
+        })
+        objects = await listObjects(bucket, key)
+      })
+
+      it('should list the objects a second time, with a continuation token', function () {
+        expect(S3Client.listObjectsV2).to.be.calledTwice
+        expect(S3Client.listObjectsV2.secondCall).to.be.calledWith({
+          Bucket: bucket,
+          Prefix: key,
+          ContinuationToken: continuationToken
+        })
+      })
+
+      it('should return both sets of files', function () {
+        expect(objects.map((object) => object.key)).to.deep.equal([
+          'llama',
+          'hippo',
+          'llama',
+          'hippo'
+        ])
+      })
+    })
+
+    describe('when there is an error listing the objects', function () {
+      beforeEach(function () {
+        S3Client.listObjectsV2 = sinon
+          .stub()
+          .returns({ promise: sinon.stub().rejects(genericError) })
+      })
+
+      it('should generate a ReadError', async function () {
+        await expect(listObjects(bucket, key))
+          .to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+          .and.have.property('cause', genericError)
+      })
+    })
+  })
+
+  describe('listObjectVersions', function () {
+    const lastModified = new Date('2020-01-01T00:00:00Z')
+
+    describe('with valid parameters', function () {
+      let versions
+
+      beforeEach(async function () {
+        S3Client.listObjectVersions = sinon.stub()
+        S3Client.listObjectVersions.onFirstCall().returns({
+          promise: sinon.stub().resolves({
+            Versions: [
+              {
+                Key: key,
+                VersionId: 'v2',
+                Size: 11,
+                ETag: `"${md5}"`,
+                LastModified: lastModified,
+                IsLatest: true
+              },
+              { Key: `${key}-other`, VersionId: 'v3' }
+            ],
+            IsTruncated: true,
+            NextKeyMarker: key,
+            NextVersionIdMarker: 'v2'
+          })
+        })
+        S3Client.listObjectVersions.onSecondCall().returns({
+          promise: sinon.stub().resolves({
+            Versions: [
+              {
+                Key: key,
+                VersionId: 'v1',
+                Size: 22,
+                ETag: '"abc-2"',
+                LastModified: lastModified,
+                IsLatest: false
+              }
+            ],
+            IsTruncated: false
+          })
+        })
+        versions = await S3Persistor.listObjectVersions(bucket, key)
+      })
+
+      it('should request each page of versions', function () {
+        expect(S3Client.listObjectVersions).to.have.been.calledWith({
+          Bucket: bucket,
+          Prefix: key
+        })
+        expect(S3Client.listObjectVersions).to.have.been.calledWith({
+          Bucket: bucket,
+          Prefix: key,
+          KeyMarker: key,
+          VersionIdMarker: 'v2'
+        })
+      })
+
+      it('should return the versions of the object', function () {
+        expect(versions).to.deep.equal([
+          { version: 'v2', size: 11, md5, lastModified, isLatest: true },
+          { version: 'v1', size: 22, md5: null, lastModified, isLatest: false }
+        ])
+      })
+    })
+
+    describe('when the listing fails', function () {
+      it('should throw a ReadError', async function () {
+        S3Client.listObjectVersions = sinon.stub().returns({
+          promise: sinon.stub().rejects(genericError)
+        })
+        await expect(S3Persistor.listObjectVersions(bucket, key))
+          .to.eventually.be.rejected.and.be.an.instanceOf(Errors.ReadError)
+          .and.have.property('cause', genericError)
+      })
+    })
+  })
+
+  describe('restoreObjectVersion', function () {
+    it('should copy the version over the object', async function () {
+      await S3Persistor.restoreObjectVersion(bucket, key, 'v1')
+      expect(S3Client.copyObject).to.have.been.calledWith({
+        Bucket: bucket,
+        Key: key,
+        CopySource: `${bucket}/${key}?versionId=v1`
+      })
+    })
+
+    it('should throw a NotFoundError if the version does not exist', async function () {
+      S3Client.copyObject = sinon.stub().returns({
+        promise: sinon.stub().rejects(S3NotFoundError)
+      })
+      await expect(
+        S3Persistor.restoreObjectVersion(bucket, key, 'v1')
+      ).to.eventually.be.rejected.and.be.an.instanceOf(Errors.NotFoundError)
+    })
+  })
+
   describe('checkIfObjectExists', function () {
     describe('when the file exists', function () {
       let exists